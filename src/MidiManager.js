@@ -2,6 +2,8 @@
  * MIDI Manager
  * A simple manager for MIDI input devices with special support for Korg nanoPAD2
  */
+import { DEFAULT_BANK_GEOMETRY, formatSlotLabel } from "./utils/SceneBanks.js";
+
 // Module-level variables for MIDI state
 let isNanoPad = false;
 let midiAccess = null;
@@ -10,7 +12,34 @@ let isConnected = false;
 let xyPadPanel = null;
 const xyPadValues = { x: 0, y: 0 };
 
-export function createMidiManager(slotsPanel) {
+// nanoPAD2 scenes
+const NANOPAD_SCENE_COUNT = 4;
+
+/**
+ * Default pad mapping per bank, for the nanoPAD2: scene N's pads play notes
+ * 36 + 16 × N upwards, the top row on the odd notes (slots 0–7) and the bottom
+ * row on the even ones (slots 8–15). Banks past the 4 scenes reuse their notes.
+ * @param {{banks: number, slots: number}} geometry - Slots past `slots` are left out.
+ */
+export function createDefaultMidiMapping(geometry = DEFAULT_BANK_GEOMETRY) {
+  return Array.from({ length: geometry.banks }, (_, bank) => {
+    const base = 36 + 16 * (bank % NANOPAD_SCENE_COUNT);
+    const mapping = [];
+    for (let slot = 0; slot < geometry.slots; slot++) {
+      mapping.push({ note: slot < 8 ? base + 1 + slot * 2 : base + (slot - 8) * 2, slot });
+    }
+    return mapping;
+  });
+}
+
+/**
+ * @param {object} slotsPanel
+ * @param {object} [options]
+ * @param {{banks: number, slots: number}} [options.geometry] - Number of banks and slots.
+ */
+export function createMidiManager(slotsPanel, options = {}) {
+  const geometry = options.geometry || DEFAULT_BANK_GEOMETRY;
+
   // Initialize global XY pad values
   window.nanoX = 0.5;
   window.nanoY = 0.5;
@@ -149,6 +178,8 @@ export function createMidiManager(slotsPanel) {
   const THROTTLE_TIME = 150; // ms between allowed bank changes
   const CC_THROTTLE_TIME = 25;
   let lastBankChange = 0;
+  // Listeners for control changes other than the XY pad's (see onControlChange)
+  const controlChangeListeners = new Set();
 
   // Handle MIDI messages
   function onMIDIMessage(message) {
@@ -196,6 +227,14 @@ export function createMidiManager(slotsPanel) {
 
         return;
       }
+
+      for (const listener of controlChangeListeners) {
+        try {
+          listener(ccNum, value, channel);
+        } catch (error) {
+          console.error("Error in MIDI control change listener:", error);
+        }
+      }
     }
 
     // Enhanced MIDI debugging
@@ -236,7 +275,7 @@ export function createMidiManager(slotsPanel) {
       // Pattern: [240, 66, 64, 0, 1, 18, 0, 95, 79, sceneNumber, 247]
       if (data[1] === 66 && data[2] === 64 && data[8] === 79) {
         const sceneNumber = data[9];
-        if (sceneNumber >= 0 && sceneNumber <= 3) {
+        if (sceneNumber >= 0 && sceneNumber < geometry.banks) {
           // Throttle scene changes to prevent issues from XY pad
           const now = Date.now();
 
@@ -288,8 +327,8 @@ export function createMidiManager(slotsPanel) {
         // Program Change
         const program = data[1];
 
-        // If program is in range 0-3, it might be a scene change
-        if (program >= 0 && program <= 3) {
+        // If program is one of the banks, it might be a scene change
+        if (program >= 0 && program < geometry.banks) {
           handlePossibleSceneChange(program);
         }
       }
@@ -316,7 +355,7 @@ export function createMidiManager(slotsPanel) {
 
   // Helper for handling scene changes
   function handlePossibleSceneChange(sceneNumber) {
-    if (sceneNumber >= 0 && sceneNumber <= 3) {
+    if (sceneNumber >= 0 && sceneNumber < geometry.banks) {
       console.log(`Scene change detected: ${sceneNumber + 1}`);
 
       // Update current scene
@@ -327,8 +366,11 @@ export function createMidiManager(slotsPanel) {
         slotsPanel.switchBank(sceneNumber);
       }
 
-      // Update MIDI status with highlighted text
-      showMidiStatus(`Scene ${sceneNumber + 1} / Bank ${sceneNumber + 1} selected`);
+      // Update MIDI status with highlighted text (and the bank's name, if it has one)
+      const bankName = slotsPanel?.getBankName?.(sceneNumber);
+      showMidiStatus(
+        `Scene ${sceneNumber + 1} / Bank ${sceneNumber + 1}${bankName ? ` — ${bankName}` : ""} selected`,
+      );
 
       // Update UI if needed
       if (window.updateMidiDeviceList) {
@@ -372,84 +414,7 @@ export function createMidiManager(slotsPanel) {
   }
 
   // Define the default MIDI mapping structure
-  const defaultMidiMapping = [
-    // Bank 0 (Scene 1) - maps top row to even slots, bottom row to odd slots
-    [
-      { note: 37, slot: 0 },
-      { note: 39, slot: 1 },
-      { note: 41, slot: 2 },
-      { note: 43, slot: 3 },
-      { note: 45, slot: 4 },
-      { note: 47, slot: 5 },
-      { note: 49, slot: 6 },
-      { note: 51, slot: 7 },
-      { note: 36, slot: 8 },
-      { note: 38, slot: 9 },
-      { note: 40, slot: 10 },
-      { note: 42, slot: 11 },
-      { note: 44, slot: 12 },
-      { note: 46, slot: 13 },
-      { note: 48, slot: 14 },
-      { note: 50, slot: 15 },
-    ],
-    // Bank 1 (Scene 2) - using same mapping pattern with different notes
-    [
-      { note: 53, slot: 0 }, // Top row (higher notes)
-      { note: 55, slot: 1 },
-      { note: 57, slot: 2 },
-      { note: 59, slot: 3 },
-      { note: 61, slot: 4 },
-      { note: 63, slot: 5 },
-      { note: 65, slot: 6 },
-      { note: 67, slot: 7 },
-      { note: 52, slot: 8 }, // Bottom row (lower notes)
-      { note: 54, slot: 9 },
-      { note: 56, slot: 10 },
-      { note: 58, slot: 11 },
-      { note: 60, slot: 12 },
-      { note: 62, slot: 13 },
-      { note: 64, slot: 14 },
-      { note: 66, slot: 15 },
-    ],
-    // Bank 2 (Scene 3) - using same mapping pattern with different notes
-    [
-      { note: 69, slot: 0 }, // Top row (higher notes)
-      { note: 71, slot: 1 },
-      { note: 73, slot: 2 },
-      { note: 75, slot: 3 },
-      { note: 77, slot: 4 },
-      { note: 79, slot: 5 },
-      { note: 81, slot: 6 },
-      { note: 83, slot: 7 },
-      { note: 68, slot: 8 }, // Bottom row (lower notes)
-      { note: 70, slot: 9 },
-      { note: 72, slot: 10 },
-      { note: 74, slot: 11 },
-      { note: 76, slot: 12 },
-      { note: 78, slot: 13 },
-      { note: 80, slot: 14 },
-      { note: 82, slot: 15 },
-    ],
-    // Bank 3 (Scene 4) - using same mapping pattern with different notes
-    [
-      { note: 85, slot: 0 }, // Top row (higher notes)
-      { note: 87, slot: 1 },
-      { note: 89, slot: 2 },
-      { note: 91, slot: 3 },
-      { note: 93, slot: 4 },
-      { note: 95, slot: 5 },
-      { note: 97, slot: 6 },
-      { note: 99, slot: 7 },
-      { note: 84, slot: 8 }, // Bottom row (lower notes)
-      { note: 86, slot: 9 },
-      { note: 88, slot: 10 },
-      { note: 90, slot: 11 },
-      { note: 92, slot: 12 },
-      { note: 94, slot: 13 },
-      { note: 96, slot: 14 },
-      { note: 98, slot: 15 },
-    ],
-  ];
+  const defaultMidiMapping = createDefaultMidiMapping(geometry);
 
   // Load saved mapping from localStorage or use default
   function loadMidiMapping() {
@@ -457,9 +422,12 @@ export function createMidiManager(slotsPanel) {
       const savedMapping = localStorage.getItem("hydractrl-midi-mapping");
       if (savedMapping) {
         const parsed = JSON.parse(savedMapping);
-        // Validate the mapping structure
-        if (Array.isArray(parsed) && parsed.length === 4) {
-          return parsed;
+        // Validate the mapping structure. It follows the number of banks:
+        // banks added since it was saved get the default mapping
+        if (Array.isArray(parsed)) {
+          return defaultMidiMapping.map((defaults, bank) =>
+            Array.isArray(parsed[bank]) ? parsed[bank] : JSON.parse(JSON.stringify(defaults)),
+          );
         }
       }
     } catch (error) {
@@ -484,6 +452,13 @@ export function createMidiManager(slotsPanel) {
   // Load or initialize the MIDI mapping
   const midiMapping = loadMidiMapping();
 
+  // Status line for a slot picked by a pad, with its title if it has one
+  function showSlotStatus(slot) {
+    const bank = slotsPanel.getBank ? slotsPanel.getBank() : currentScene;
+    const meta = slotsPanel.getSlotMeta ? slotsPanel.getSlotMeta(bank, slot) : {};
+    showMidiStatus(formatSlotLabel(bank, slot, meta));
+  }
+
   // Handle nanoPAD2 pad press
   function handleNanoPadNote(note) {
     console.log(`nanoPAD2 pad: ${note}`);
@@ -498,6 +473,7 @@ export function createMidiManager(slotsPanel) {
     if (mapping && slotsPanel) {
       console.debug(`MIDI note ${note} maps to slot ${mapping.slot}`);
       slotsPanel.setActiveSlot(mapping.slot);
+      showSlotStatus(mapping.slot);
     } else {
       console.debug(`No mapping found for MIDI note ${note} in bank ${currentScene}`);
     }
@@ -505,12 +481,13 @@ export function createMidiManager(slotsPanel) {
 
   // Handle generic MIDI notes for other controllers
   function handleGenericNote(note) {
-    // Map MIDI notes to slot index (0-15)
+    // Map MIDI notes to slot index (0 to the slot count)
     // Common midi note range starts at 48 (C3)
-    const slotIndex = (note - 48) % 16;
+    const slotIndex = (note - 48) % geometry.slots;
 
-    if (slotIndex >= 0 && slotIndex < 16 && slotsPanel) {
+    if (slotIndex >= 0 && slotIndex < geometry.slots && slotsPanel) {
       slotsPanel.setActiveSlot(slotIndex);
+      showSlotStatus(slotIndex);
     }
   }
 
@@ -523,7 +500,7 @@ export function createMidiManager(slotsPanel) {
     getCurrentScene: () => currentScene,
     // Set scene and bank
     setScene: (sceneIndex) => {
-      if (sceneIndex >= 0 && sceneIndex < 4) {
+      if (sceneIndex >= 0 && sceneIndex < geometry.banks) {
         currentScene = sceneIndex;
 
         // Also change the bank to match
@@ -564,7 +541,7 @@ export function createMidiManager(slotsPanel) {
     },
     // Update a specific note mapping in the current bank
     updateMapping: (note, slotIndex) => {
-      if (slotIndex < 0 || slotIndex > 15) return false;
+      if (slotIndex < 0 || slotIndex >= geometry.slots) return false;
 
       // Find the existing mapping for this note
       const mapIndex = midiMapping[currentScene].findIndex((m) => m.note === note);
@@ -587,7 +564,7 @@ export function createMidiManager(slotsPanel) {
     },
     // Set an entirely new mapping for a specific bank/scene
     setMappingForBank: (bankIndex, newMapping) => {
-      if (bankIndex < 0 || bankIndex > 3) return false;
+      if (bankIndex < 0 || bankIndex >= geometry.banks) return false;
 
       // Validate mapping
       if (!Array.isArray(newMapping)) return false;
@@ -607,7 +584,7 @@ export function createMidiManager(slotsPanel) {
     // Reset to default mapping
     resetToDefaultMapping: () => {
       // Reset to default mapping
-      for (let i = 0; i < 4; i++) {
+      for (let i = 0; i < geometry.banks; i++) {
         midiMapping[i] = JSON.parse(JSON.stringify(defaultMidiMapping[i]));
       }
 
@@ -638,6 +615,13 @@ export function createMidiManager(slotsPanel) {
     // Check if we're in learn mode
     isLearning: () => isLearning,
 
+    // Listen to control changes (number, value 0–127, channel), except the
+    // XY pad's CC 1 and 2. Returns an unsubscribe function.
+    onControlChange: (listener) => {
+      controlChangeListeners.add(listener);
+      return () => controlChangeListeners.delete(listener);
+    },
+
     // Set the XY pad panel
     setXYPadPanel: (panel) => {
       xyPadPanel = panel;
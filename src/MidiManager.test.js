@@ -0,0 +1,21 @@
+import { describe, expect, test } from "bun:test";
+import { createDefaultMidiMapping } from "./MidiManager.js";
+
+describe("createDefaultMidiMapping", () => {
+  test("maps the nanoPAD2 rows of each scene to the slots", () => {
+    const mapping = createDefaultMidiMapping();
+    expect(mapping).toHaveLength(4);
+    expect(mapping[0][0]).toEqual({ note: 37, slot: 0 });
+    expect(mapping[0][8]).toEqual({ note: 36, slot: 8 });
+    expect(mapping[3][7]).toEqual({ note: 99, slot: 7 });
+    expect(mapping[3][15]).toEqual({ note: 98, slot: 15 });
+  });
+
+  test("follows the bank/slot layout", () => {
+    const mapping = createDefaultMidiMapping({ banks: 6, slots: 8 });
+    expect(mapping).toHaveLength(6);
+    expect(mapping.every((bank) => bank.length === 8)).toBe(true);
+    // Banks past the nanoPAD2's 4 scenes reuse their notes
+    expect(mapping[4]).toEqual(mapping[0]);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Scene Import Dialog
+ * Previews a bank file before anything is written: every bank of the file
+ * with its thumbnails, a target per bank (a bank, the first empty slots or
+ * nothing) and what happens to filled slots (keep both, overwrite, skip).
+ * The plan itself comes from utils/SceneImport.js.
+ */
+import { readBankName } from "./utils/SceneBanks.js";
+import { CONFLICT_MODES, TARGET_EMPTY, TARGET_SKIP, planSceneImport } from "./utils/SceneImport.js";
+
+const CONFLICT_LABELS = {
+  "keep-both": "Keep both (move to the next empty slot)",
+  overwrite: "Overwrite the existing slot",
+  skip: "Skip the incoming slot",
+};
+
+const STATUS_LABELS = {
+  new: "new",
+  overwrite: "overwrites",
+  moved: "moved",
+  skipped: "skipped",
+};
+
+/** "Bank 1: slots 3, 5 · Bank 2: slot 1" for the overwrite warning. */
+function describeOverwrites(operations) {
+  const byBank = new Map();
+  for (const { status, target } of operations) {
+    if (status !== "overwrite") continue;
+    byBank.set(target.bank, [...(byBank.get(target.bank) || []), target.slot + 1]);
+  }
+  return [...byBank.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(
+      ([bank, slots]) => `Bank ${bank + 1}: slot${slots.length > 1 ? "s" : ""} ${slots.join(", ")}`,
+    )
+    .join(" · ");
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.data - Scenes data from readImportData.
+ * @param {object} options.storage - Safe storage, to find filled slots and bank names.
+ * @param {{banks: number, slots: number}} options.geometry
+ * @param {object} options.targets - Initial target by source bank (see defaultImportTargets).
+ * @param {string} [options.title]
+ * @param {string} [options.onConflict] - Initial conflict mode.
+ * @param {(plan: object) => void} options.onImport - Called with the plan on "Import".
+ * @returns {{close: () => void}}
+ */
+export function showSceneImportDialog(options) {
+  const { data, storage, geometry, onImport } = options;
+  const targets = { ...options.targets };
+  let onConflict = options.onConflict || "keep-both";
+
+  document.querySelector(".scene-import-dialog")?.remove();
+  const dialog = document.createElement("div");
+  dialog.className = "scene-import-dialog";
+
+  const header = document.createElement("div");
+  header.className = "scene-import-header";
+  const title = document.createElement("span");
+  title.className = "scene-import-title";
+  title.textContent = options.title || "Import scenes";
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = "×";
+  closeBtn.title = "Cancel (Esc)";
+  header.append(title, closeBtn);
+
+  const conflictLabel = document.createElement("label");
+  conflictLabel.className = "scene-import-conflict";
+  conflictLabel.textContent = "When a slot is filled: ";
+  const conflictSelect = document.createElement("select");
+  for (const mode of CONFLICT_MODES) {
+    conflictSelect.add(new Option(CONFLICT_LABELS[mode], mode, false, mode === onConflict));
+  }
+  conflictLabel.appendChild(conflictSelect);
+
+  const banksList = document.createElement("div");
+  banksList.className = "scene-import-banks";
+
+  const summary = document.createElement("div");
+  summary.className = "scene-import-summary";
+
+  const buttons = document.createElement("div");
+  buttons.className = "scene-import-buttons";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.textContent = "Cancel";
+  const importBtn = document.createElement("button");
+  importBtn.textContent = "Import";
+  buttons.append(cancelBtn, importBtn);
+
+  dialog.append(header, conflictLabel, banksList, summary, buttons);
+
+  // One row per bank of the file; the slot previews are refreshed by render()
+  const slotPreviews = new Map();
+  for (const bank of data.banks) {
+    const row = document.createElement("div");
+    row.className = "scene-import-bank";
+
+    const rowHeader = document.createElement("div");
+    rowHeader.className = "scene-import-bank-header";
+    const label = document.createElement("span");
+    label.textContent = `Bank ${bank.bankIndex + 1}${bank.name ? ` · ${bank.name}` : ""} — ${bank.slots.length} slot${bank.slots.length === 1 ? "" : "s"}`;
+    const targetSelect = document.createElement("select");
+    for (let index = 0; index < geometry.banks; index++) {
+      const name = readBankName(storage, index);
+      targetSelect.add(new Option(`→ Bank ${index + 1}${name ? ` · ${name}` : ""}`, index));
+    }
+    targetSelect.add(new Option("→ First empty slots", TARGET_EMPTY));
+    targetSelect.add(new Option("Don't import", TARGET_SKIP));
+    targetSelect.value = String(targets[bank.bankIndex]);
+    targetSelect.addEventListener("change", () => {
+      const value = targetSelect.value;
+      targets[bank.bankIndex] =
+        value === TARGET_EMPTY || value === TARGET_SKIP ? value : Number(value);
+      render();
+    });
+    rowHeader.append(label, targetSelect);
+
+    const slotsRow = document.createElement("div");
+    slotsRow.className = "scene-import-slots";
+    for (const slot of bank.slots) {
+      const preview = document.createElement("div");
+      preview.className = "scene-import-slot";
+      if (slot.thumbnail) preview.style.backgroundImage = `url(${slot.thumbnail})`;
+      const badge = document.createElement("span");
+      preview.appendChild(badge);
+      slotsRow.appendChild(preview);
+      slotPreviews.set(`${bank.bankIndex}:${slot.slotIndex}`, preview);
+    }
+
+    row.append(rowHeader, slotsRow);
+    banksList.appendChild(row);
+  }
+
+  let plan = null;
+
+  function render() {
+    plan = planSceneImport(storage, data, { geometry, targets, onConflict });
+    for (const { source, target, status, reason, slotData } of plan.operations) {
+      const preview = slotPreviews.get(`${source.bank}:${source.slot}`);
+      preview.className = `scene-import-slot ${status}`;
+      preview.firstChild.textContent = target
+        ? `${target.bank + 1}·${(target.slot + 1).toString().padStart(2, "0")}`
+        : "–";
+      const name = slotData.title ? ` "${slotData.title}"` : "";
+      preview.title = target
+        ? `Slot ${source.slot + 1}${name} → Bank ${target.bank + 1}, Slot ${target.slot + 1} (${STATUS_LABELS[status]})`
+        : `Slot ${source.slot + 1}${name}: ${reason}`;
+    }
+
+    const { counts } = plan;
+    const written = counts.new + counts.overwrite + counts.moved;
+    const parts = [`${written} slot${written === 1 ? "" : "s"} will be written`];
+    if (counts.moved) parts.push(`${counts.moved} moved to empty slots`);
+    if (counts.skipped) parts.push(`${counts.skipped} skipped`);
+    summary.textContent = `${parts.join(", ")}.`;
+    if (counts.overwrite) {
+      const warning = document.createElement("div");
+      warning.className = "scene-import-warning";
+      warning.textContent = `Overwrites ${describeOverwrites(plan.operations)}`;
+      summary.appendChild(warning);
+    }
+    importBtn.disabled = written === 0;
+  }
+
+  function close() {
+    dialog.remove();
+  }
+
+  conflictSelect.addEventListener("change", () => {
+    onConflict = conflictSelect.value;
+    render();
+  });
+  closeBtn.addEventListener("click", close);
+  cancelBtn.addEventListener("click", close);
+  importBtn.addEventListener("click", () => {
+    close();
+    onImport(plan);
+  });
+  // Keys in the dialog must not trigger app shortcuts or auto-run
+  dialog.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") close();
+    e.stopPropagation();
+  });
+
+  render();
+  document.body.appendChild(dialog);
+  importBtn.focus();
+  return { close };
+}
@@ -0,0 +1,138 @@
+/**
+ * Slot History Dialog
+ * Lists earlier revisions of a slot, or the trash of cleared slots, and shows
+ * what restoring the selected one would change: a line diff from the code in
+ * the slot now (−) to the revision (+). The entries and the restoring itself
+ * come from the caller (see utils/SlotHistory.js).
+ */
+import { diffLines } from "./utils/SlotHistory.js";
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.title
+ * @param {Array<{timestamp: number, code: string, thumbnail?: string}>} options.entries - Newest first.
+ * @param {(entry: object) => string} options.describe - Label of an entry.
+ * @param {(entry: object) => string} options.getCurrentCode - Code the entry would replace ("" if none).
+ * @param {(index: number) => void} options.onRestore
+ * @param {string} [options.emptyText] - Shown when there are no entries.
+ * @param {() => void} [options.onClear] - Adds a button to remove all entries.
+ * @param {string} [options.clearLabel]
+ * @returns {{close: () => void}}
+ */
+export function showSlotHistoryDialog(options) {
+  const { entries, describe, getCurrentCode, onRestore } = options;
+
+  document.querySelector(".slot-history-dialog")?.remove();
+  const dialog = document.createElement("div");
+  dialog.className = "slot-history-dialog";
+
+  const header = document.createElement("div");
+  header.className = "slot-history-header";
+  const title = document.createElement("span");
+  title.className = "slot-history-title";
+  title.textContent = options.title;
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = "×";
+  closeBtn.title = "Close (Esc)";
+  header.append(title, closeBtn);
+
+  const body = document.createElement("div");
+  body.className = "slot-history-body";
+  const list = document.createElement("div");
+  list.className = "slot-history-list";
+  const diff = document.createElement("pre");
+  diff.className = "slot-history-diff";
+  body.append(list, diff);
+
+  const buttons = document.createElement("div");
+  buttons.className = "slot-history-buttons";
+  const restoreBtn = document.createElement("button");
+  restoreBtn.textContent = "Restore";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.textContent = "Close";
+  if (options.onClear && entries.length > 0) {
+    const clearBtn = document.createElement("button");
+    clearBtn.className = "slot-history-clear";
+    clearBtn.textContent = options.clearLabel || "Remove all";
+    clearBtn.addEventListener("click", () => {
+      close();
+      options.onClear();
+    });
+    buttons.appendChild(clearBtn);
+  }
+  buttons.append(cancelBtn, restoreBtn);
+
+  dialog.append(header, body, buttons);
+
+  let selected = -1;
+
+  function select(index) {
+    selected = index;
+    list.querySelectorAll(".slot-history-entry").forEach((item, i) => {
+      item.classList.toggle("active", i === index);
+    });
+    diff.replaceChildren();
+    for (const line of diffLines(getCurrentCode(entries[index]), entries[index].code)) {
+      const row = document.createElement("div");
+      row.className = `slot-history-line ${line.type}`;
+      const sign = line.type === "added" ? "+" : line.type === "removed" ? "−" : " ";
+      row.textContent = `${sign} ${line.text}`;
+      diff.appendChild(row);
+    }
+  }
+
+  entries.forEach((entry, index) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "slot-history-entry";
+    const thumbnail = document.createElement("span");
+    thumbnail.className = "slot-history-thumbnail";
+    if (entry.thumbnail) thumbnail.style.backgroundImage = `url(${entry.thumbnail})`;
+    const label = document.createElement("span");
+    label.textContent = describe(entry);
+    const time = document.createElement("small");
+    time.textContent = formatTime(entry.timestamp);
+    item.append(thumbnail, label, time);
+    item.addEventListener("click", () => select(index));
+    item.addEventListener("dblclick", restore);
+    list.appendChild(item);
+  });
+
+  if (entries.length === 0) {
+    list.textContent = options.emptyText || "Nothing here yet.";
+    restoreBtn.disabled = true;
+  }
+
+  function close() {
+    dialog.remove();
+  }
+
+  function restore() {
+    if (selected < 0) return;
+    close();
+    onRestore(selected);
+  }
+
+  closeBtn.addEventListener("click", close);
+  cancelBtn.addEventListener("click", close);
+  restoreBtn.addEventListener("click", restore);
+  // Keys in the dialog must not trigger app shortcuts or auto-run
+  dialog.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") close();
+    e.stopPropagation();
+  });
+
+  document.body.appendChild(dialog);
+  if (entries.length > 0) select(0);
+  (entries.length > 0 ? restoreBtn : cancelBtn).focus();
+  return { close };
+}
@@ -1,10 +1,82 @@
 /**
  * Slots Panel Component
- * A draggable panel with 16 slots for saving and loading Hydra programs
+ * A draggable panel with banks of slots (4 × 16 by default, see the layout
+ * setting in utils/SceneBanks.js) for saving and loading Hydra programs
  */
+import { showSceneImportDialog } from "./SceneImportDialog.js";
+import { showSlotHistoryDialog } from "./SlotHistoryDialog.js";
+import { createSafeStorage } from "./client/core/Storage.js";
+import {
+  ALL_COLLECTIONS,
+  DEFAULT_DICE_COLLECTION,
+  MANIFEST_URL,
+  getBankFileUrl,
+  normalizeManifest,
+  pickRandomBank,
+  resolveCollection,
+} from "./utils/BankManifest.js";
 import { loadPanelPosition, savePanelPosition } from "./utils/PanelStorage.js";
+import {
+  MAX_BANK_GEOMETRY,
+  MAX_TITLE_LENGTH,
+  collectScenesData,
+  copySlotInStorage,
+  encodeSlotCode,
+  formatSlotLabel,
+  getSlotStorageKey,
+  loadBankGeometry,
+  parseTags,
+  readBankName,
+  readSlotMeta,
+  saveBankGeometry,
+  swapSlotsInStorage,
+  writeBankName,
+  writeScenesData,
+  writeSlotMeta,
+} from "./utils/SceneBanks.js";
+import { applySceneImport, defaultImportTargets, readImportData } from "./utils/SceneImport.js";
+import { MAX_TRANSITION_DURATION, TRANSITION_MODES } from "./utils/SceneTransition.js";
+import {
+  emptyTrash,
+  moveSlotToTrash,
+  readSlotHistory,
+  readTrash,
+  recordSlotRevision,
+  restoreFromTrash,
+  restoreSlotRevision,
+} from "./utils/SlotHistory.js";
+
+// Color labels offered in the slot editor (right-click a slot)
+const SLOT_COLORS = [
+  "#ff5555",
+  "#ffb86c",
+  "#f1fa8c",
+  "#50fa7b",
+  "#8be9fd",
+  "#6272ff",
+  "#bd93f9",
+  "#ff79c6",
+];
+
+// Layouts offered in the bank dots' right-click menu
+const LAYOUT_PRESETS = [
+  { banks: 4, slots: 16 },
+  { banks: 8, slots: 16 },
+  { banks: 16, slots: 16 },
+  { banks: 4, slots: 8 },
+  { banks: 8, slots: 8 },
+  { banks: 16, slots: 8 },
+];
 
 export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false, options = {}) {
+  // Safe storage for the bank format helpers (see utils/SceneBanks.js)
+  const storage = options.storage || createSafeStorage();
+
+  // Number of banks and slots per bank
+  const geometry = options.geometry || loadBankGeometry(storage);
+  const bankCount = geometry.banks;
+  const slotCount = geometry.slots;
+
   // Load saved position or use defaults
   const savedPosition = loadPanelPosition("slots-panel");
 
@@ -66,6 +138,15 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
   title.style.textTransform = "uppercase";
   title.style.color = "var(--color-text-secondary)";
   title.textContent = "SCENE ";
+  title.style.maxWidth = "140px";
+  title.style.overflow = "hidden";
+  title.style.textOverflow = "ellipsis";
+  title.style.whiteSpace = "nowrap";
+  title.title = "Double-click to name this bank";
+  title.addEventListener("dblclick", (e) => {
+    e.stopPropagation();
+    renameBank(currentBank);
+  });
 
   // Create bank selector dots container
   const dotsContainer = document.createElement("div");
@@ -73,17 +154,24 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
   dotsContainer.style.display = "flex";
   dotsContainer.style.gap = "5px";
   dotsContainer.style.alignItems = "center";
+  dotsContainer.title = "Right-click to change the number of banks and slots";
 
   // Bank dot elements array
   const bankDots = [];
 
-  // Create 4 bank selector dots
-  for (let i = 0; i < 4; i++) {
+  // Slot being dragged: {bank, slot}, or null
+  const SLOT_DRAG_TYPE = "application/x-hydractrl-slot";
+  let dragSource = null;
+
+  // Create a bank selector dot per bank (smaller when there are many)
+  const dotSize = bankCount > 8 ? "6px" : "8px";
+  if (bankCount > 8) dotsContainer.style.gap = "3px";
+  for (let i = 0; i < bankCount; i++) {
     const dot = document.createElement("div");
     dot.className = "bank-dot";
     dot.dataset.bank = i;
-    dot.style.width = "8px";
-    dot.style.height = "8px";
+    dot.style.width = dotSize;
+    dot.style.height = dotSize;
     dot.style.borderRadius = "50%";
     dot.style.backgroundColor = i === 0 ? "rgba(255, 255, 255, 0.8)" : "rgba(255, 255, 255, 0.3)";
     dot.style.cursor = "pointer";
@@ -123,6 +211,14 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
       }
     });
 
+    // Drop a dragged slot here to move it to this bank
+    addDropTarget(dot, (source) => {
+      if (source.bank === i) return null;
+      const target = findFreeSlot(i, source.slot);
+      if (!target) showSlotNotification(`Bank ${i + 1} is full`, "var(--color-error)");
+      return target;
+    });
+
     dotsContainer.appendChild(dot);
     bankDots.push(dot);
   }
@@ -240,37 +336,101 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     clearBtn.style.transform = "scale(1)";
   });
 
+  // Create the trash button: cleared slots can be restored from there
+  const trashBtn = document.createElement("div");
+  trashBtn.className = "slots-trash";
+  trashBtn.title = "Trash: restore cleared slots";
+  trashBtn.style.fontSize = "11px";
+  trashBtn.style.width = "14px";
+  trashBtn.style.height = "14px";
+  trashBtn.style.display = "flex";
+  trashBtn.style.alignItems = "center";
+  trashBtn.style.justifyContent = "center";
+  trashBtn.style.cursor = "pointer";
+  trashBtn.style.borderRadius = "3px";
+  trashBtn.textContent = "↺";
+
+  trashBtn.addEventListener("mouseover", () => {
+    trashBtn.style.backgroundColor = "rgba(255, 255, 255, 0.2)";
+    trashBtn.style.transform = "scale(1.1)";
+  });
+
+  trashBtn.addEventListener("mouseout", () => {
+    trashBtn.style.backgroundColor = "transparent";
+    trashBtn.style.transform = "scale(1)";
+  });
+
   // Create the content container
   const content = document.createElement("div");
   content.className = "slots-content";
 
-  // Create slots grid - 2 rows of 8 slots
+  // Create slots grid - up to 8 slots in one row, more in 2 rows
+  const gridColumns = slotCount <= 8 ? slotCount : Math.ceil(slotCount / 2);
   const slotsGrid = document.createElement("div");
   slotsGrid.className = "slots-grid";
   slotsGrid.style.display = "grid";
-  slotsGrid.style.gridTemplateColumns = "repeat(8, 1fr)";
-  slotsGrid.style.gridTemplateRows = "repeat(2, 1fr)";
+  slotsGrid.style.gridTemplateColumns = `repeat(${gridColumns}, 1fr)`;
+  slotsGrid.style.gridTemplateRows = `repeat(${Math.ceil(slotCount / gridColumns)}, 1fr)`;
   slotsGrid.style.gap = "4px";
   slotsGrid.style.width = "100%";
 
   // Local storage key prefix
   const STORAGE_KEY_PREFIX = "hydractrl-slot-";
 
-  // Track current bank (0-3) and active slot
+  // Track current bank and active slot
   let currentBank = 0; // Default to first bank
   let activeSlotIndex = 0; // Default to first slot
 
   // Storage key includes bank
   const getStorageKey = (bank, index) => `${STORAGE_KEY_PREFIX}bank-${bank}-slot-${index}`;
 
+  // Server sync mode: when served by the hydractrl server, every change is
+  // written through to its bank store as well (see core/ServerBankSync.js)
+  const serverSync = options.serverSync?.isAvailable() ? options.serverSync : null;
+
+  if (serverSync) {
+    const syncIndicator = document.createElement("div");
+    syncIndicator.className = "slots-sync-indicator";
+    syncIndicator.title = "Banks are saved to the hydractrl server";
+    syncIndicator.style.fontSize = "10px";
+    syncIndicator.style.color = "var(--color-text-secondary)";
+    syncIndicator.textContent = "⇅";
+    titleContainer.appendChild(syncIndicator);
+  }
+
+  // Write one slot through to the server
+  function syncSlotToServer(bank, slot) {
+    if (!serverSync) return;
+    const storageKey = getStorageKey(bank, slot);
+    const code = storage.get(storageKey);
+    if (!code) return;
+
+    const slotData = { code: encodeSlotCode(code) };
+    const thumbnail = storage.get(`${storageKey}-thumbnail`);
+    if (thumbnail) {
+      slotData.thumbnail = thumbnail;
+    }
+    serverSync.putSlot(bank, slot, { ...slotData, ...readSlotMeta(storage, bank, slot) });
+  }
+
+  // Write the banks of this layout to the server after bulk changes (clear,
+  // import, dice); the server keeps the slots of larger layouts
+  function syncAllBanksToServer(layout = geometry) {
+    if (!serverSync) return Promise.resolve(false);
+    return serverSync.pushAll(collectScenesData(storage, layout));
+  }
+
+  // Optional app event bus (panel-level events like "slots:saved")
+  const events = options.events || null;
+
   // Store slot elements for easy access
   const slotElements = [];
 
   // Load saved slot size or use default
   const savedSlotSize = localStorage.getItem("hydractrl-slot-size") || "40";
 
-  // Create 16 slots
-  for (let i = 0; i < 16; i++) {
+  // Create the slots of a bank
+  for (let i = 0; i < slotCount; i++) {
     const slot = document.createElement("div");
     slot.className = "slot";
     slot.dataset.index = i;
@@ -306,22 +466,375 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     thumbnail.style.backgroundSize = "cover";
     thumbnail.style.backgroundPosition = "center";
 
+    // Title overlay and color label (see renderSlotMeta)
+    const slotTitle = document.createElement("div");
+    slotTitle.className = "slot-title";
+    const colorLabel = document.createElement("div");
+    colorLabel.className = "slot-color";
+
     // Add click event to select slot
     slot.addEventListener("click", () => {
       setActiveSlot(i);
     });
 
+    // Right-click to edit the title, color label and tags
+    slot.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showSlotMetaEditor(i, e.clientX, e.clientY);
+    });
+
+    // Drag a filled slot onto another slot or a bank dot (see dropSlot)
+    slot.draggable = true;
+    slot.addEventListener("dragstart", (e) => {
+      if (!storage.get(getStorageKey(currentBank, i))) {
+        e.preventDefault();
+        return;
+      }
+      dragSource = { bank: currentBank, slot: i };
+      e.dataTransfer.effectAllowed = "copyMove";
+      e.dataTransfer.setData(SLOT_DRAG_TYPE, `${currentBank}:${i}`);
+      slot.classList.add("slot-dragging");
+    });
+    slot.addEventListener("dragend", () => {
+      dragSource = null;
+      slot.classList.remove("slot-dragging");
+    });
+    addDropTarget(slot, () => ({ bank: currentBank, slot: i }));
+
     // Assemble the slot
     slot.appendChild(thumbnail);
+    slot.appendChild(colorLabel);
+    slot.appendChild(slotTitle);
     slot.appendChild(index);
     slotsGrid.appendChild(slot);
     slotElements.push(slot);
   }
 
+  // Show a slot's title and color label on it, and everything in its tooltip
+  function renderSlotMeta(index) {
+    const slot = slotElements[index];
+    const meta = readSlotMeta(storage, currentBank, index);
+    const hasCode = Boolean(storage.get(getStorageKey(currentBank, index)));
+    slot.querySelector(".slot-title").textContent = meta.title || "";
+    slot.querySelector(".slot-color").style.backgroundColor = meta.color || "transparent";
+    const lines = [meta.title || `Slot ${index + 1}${hasCode ? "" : " (empty)"}`];
+    if (meta.tags) lines.push(meta.tags.map((tag) => `#${tag}`).join(" "));
+    if (hasCode) lines.push("Right-click to edit title, color and tags");
+    slot.title = lines.join("\n");
+  }
+
+  // Bank title: "SCENE 2" or "2 · Intro" for named banks; the dots get the name as tooltip
+  function updateBankTitle() {
+    const name = readBankName(storage, currentBank);
+    title.textContent = name ? `${currentBank + 1} · ${name}` : `SCENE ${currentBank + 1}`;
+    bankDots.forEach((dot, bank) => {
+      const bankName = readBankName(storage, bank);
+      dot.title = `Bank ${bank + 1}${bankName ? `: ${bankName}` : ""}`;
+    });
+  }
+
+  function setBankName(bank, name) {
+    if (!Number.isInteger(bank) || bank < 0 || bank >= bankCount) return null;
+    const stored = writeBankName(storage, bank, name);
+    updateBankTitle();
+    syncAllBanksToServer();
+    events?.emit("slots:meta", { bank, slot: null, name: stored });
+    return stored;
+  }
+
+  function renameBank(bank) {
+    const name = prompt(
+      `Name for bank ${bank + 1} (empty to remove):`,
+      readBankName(storage, bank),
+    );
+    if (name !== null) setBankName(bank, name);
+  }
+
+  function setSlotMeta(bank, slot, meta) {
+    if (!Number.isInteger(slot) || slot < 0 || slot >= slotCount) return null;
+    if (!Number.isInteger(bank) || bank < 0 || bank >= bankCount) return null;
+    const stored = writeSlotMeta(storage, bank, slot, meta);
+    if (bank === currentBank) renderSlotMeta(slot);
+    syncSlotToServer(bank, slot);
+    events?.emit("slots:meta", { bank, slot, meta: stored });
+    return stored;
+  }
+
+  // Popover to edit a filled slot's title, color label, tags and transition
+  function showSlotMetaEditor(index, x, y) {
+    document.querySelector(".slot-meta-editor")?.remove();
+    if (!storage.get(getStorageKey(currentBank, index))) return;
+
+    const bank = currentBank;
+    const meta = readSlotMeta(storage, bank, index);
+    let color = meta.color || "";
+
+    const editorEl = document.createElement("div");
+    editorEl.className = "slot-meta-editor";
+    editorEl.style.left = `${x}px`;
+    editorEl.style.top = `${y}px`;
+
+    const heading = document.createElement("div");
+    heading.className = "slot-meta-heading";
+    heading.textContent = `Bank ${bank + 1}, Slot ${index + 1}`;
+
+    const titleInput = document.createElement("input");
+    titleInput.type = "text";
+    titleInput.placeholder = "Title";
+    titleInput.maxLength = MAX_TITLE_LENGTH;
+    titleInput.value = meta.title || "";
+
+    const colors = document.createElement("div");
+    colors.className = "slot-meta-colors";
+    for (const value of ["", ...SLOT_COLORS]) {
+      const swatch = document.createElement("button");
+      swatch.type = "button";
+      swatch.className = "slot-meta-swatch";
+      swatch.title = value || "No color";
+      swatch.style.backgroundColor = value || "transparent";
+      swatch.classList.toggle("active", value === color);
+      swatch.addEventListener("click", () => {
+        color = value;
+        for (const other of colors.children) other.classList.toggle("active", other === swatch);
+      });
+      colors.appendChild(swatch);
+    }
+
+    const tagsInput = document.createElement("input");
+    tagsInput.type = "text";
+    tagsInput.placeholder = "Tags, comma separated";
+    tagsInput.value = (meta.tags || []).join(", ");
+
+    // Transition into this slot; empty fields follow the global setting
+    const transition = document.createElement("div");
+    transition.className = "slot-meta-transition";
+    const transitionSelect = document.createElement("select");
+    transitionSelect.title = "Transition into this slot";
+    for (const mode of [{ id: "", label: "Default transition" }, ...TRANSITION_MODES]) {
+      const option = document.createElement("option");
+      option.value = mode.id;
+      option.textContent = mode.label;
+      transitionSelect.appendChild(option);
+    }
+    transitionSelect.value = meta.transition?.mode || "";
+    const durationInput = document.createElement("input");
+    durationInput.type = "number";
+    durationInput.min = "0";
+    durationInput.max = String(MAX_TRANSITION_DURATION);
+    durationInput.step = "0.1";
+    durationInput.placeholder = "s";
+    durationInput.title = "Duration in seconds (empty: default)";
+    durationInput.value = meta.transition?.duration ?? "";
+    transition.append(transitionSelect, durationInput);
+
+    const close = () => {
+      editorEl.remove();
+      document.removeEventListener("mousedown", onOutside);
+    };
+    const save = () => {
+      setSlotMeta(bank, index, {
+        title: titleInput.value,
+        color,
+        tags: parseTags(tagsInput.value),
+        transition: {
+          mode: transitionSelect.value || undefined,
+          duration: durationInput.value === "" ? undefined : Number(durationInput.value),
+        },
+      });
+      close();
+    };
+    const onOutside = (e) => {
+      if (!editorEl.contains(e.target)) close();
+    };
+
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "button";
+    saveBtn.textContent = "Save";
+    saveBtn.addEventListener("click", save);
+
+    const historyBtn = document.createElement("button");
+    historyBtn.type = "button";
+    historyBtn.textContent = `History (${readSlotHistory(storage, bank, index).length})`;
+    historyBtn.addEventListener("click", () => {
+      close();
+      showSlotHistory(bank, index);
+    });
+
+    // Typing must not trigger app shortcuts or auto-run
+    editorEl.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") save();
+      if (e.key === "Escape") close();
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "slot-meta-actions";
+    actions.append(historyBtn, saveBtn);
+
+    editorEl.append(heading, titleInput, colors, tagsInput, transition, actions);
+    document.body.appendChild(editorEl);
+    document.addEventListener("mousedown", onOutside);
+    titleInput.focus();
+  }
+
+  // Show a restored slot: switch to it and run it
+  function showRestoredSlot(bank, slot, from) {
+    syncSlotToServer(bank, slot);
+    if (bank === currentBank) loadAllSlotsForCurrentBank();
+    else switchBank(bank);
+    updateBankDots();
+    setActiveSlot(slot, true);
+    events?.emit("slots:restored", { bank, slot, from });
+  }
+
+  function restoreRevision(bank, slot, index) {
+    const revision = readSlotHistory(storage, bank, slot)[index];
+    if (!revision) return false;
+    restoreSlotRevision(storage, bank, slot, revision);
+    showRestoredSlot(bank, slot, "history");
+    return true;
+  }
+
+  // Slots outside the layout stay in the trash until the layout includes them
+  function restoreTrashed(index) {
+    const entry = readTrash(storage)[index];
+    if (!entry) return null;
+    if (entry.bank >= bankCount || entry.slot >= slotCount) {
+      showSlotNotification(
+        `Can't restore to bank ${entry.bank + 1}, slot ${entry.slot + 1}: outside this layout`,
+        "var(--color-error)",
+      );
+      return null;
+    }
+    const target = restoreFromTrash(storage, index);
+    showRestoredSlot(target.bank, target.slot, "trash");
+    return target;
+  }
+
+  // Earlier revisions of a slot, with a diff against what it holds now
+  function showSlotHistory(bank, slot) {
+    const current = storage.get(getStorageKey(bank, slot)) || "";
+    showSlotHistoryDialog({
+      title: `History of ${formatSlotLabel(bank, slot, readSlotMeta(storage, bank, slot))}`,
+      entries: readSlotHistory(storage, bank, slot),
+      describe: (revision) => revision.meta?.title || `Slot ${slot + 1}`,
+      getCurrentCode: () => current,
+      onRestore: (index) => restoreRevision(bank, slot, index),
+      emptyText: "No earlier revisions: they are kept when the slot is overwritten.",
+    });
+  }
+
+  // Cleared slots, with a diff against what their slot holds now
+  function showTrash() {
+    showSlotHistoryDialog({
+      title: "Trash",
+      entries: readTrash(storage),
+      describe: (entry) => formatSlotLabel(entry.bank, entry.slot, entry.meta || {}),
+      getCurrentCode: (entry) => storage.get(getStorageKey(entry.bank, entry.slot)) || "",
+      onRestore: restoreTrashed,
+      emptyText: "The trash is empty: cleared slots end up here.",
+      onClear: () => {
+        if (confirm("Empty the trash? Its slots can't be restored afterwards.")) {
+          emptyTrash(storage);
+        }
+      },
+      clearLabel: "Empty trash",
+    });
+  }
+
+  // Accept dragged slots on an element. getTarget(source) picks the slot to drop
+  // on, or null to ignore the drop. Alt/⌥ duplicates instead of moving.
+  function addDropTarget(element, getTarget) {
+    element.addEventListener("dragover", (e) => {
+      if (!dragSource) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = e.altKey ? "copy" : "move";
+      element.classList.add("slot-drop-target");
+    });
+    element.addEventListener("dragleave", () => {
+      element.classList.remove("slot-drop-target");
+    });
+    element.addEventListener("drop", (e) => {
+      element.classList.remove("slot-drop-target");
+      if (!dragSource) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const target = getTarget(dragSource);
+      if (target) dropSlot(dragSource, target, e.altKey);
+    });
+  }
+
+  // Slot of a bank to move a scene into: the same slot number when it's empty,
+  // otherwise the first empty one
+  function findFreeSlot(bank, preferred) {
+    if (!storage.get(getStorageKey(bank, preferred))) return { bank, slot: preferred };
+    for (let slot = 0; slot < slotCount; slot++) {
+      if (!storage.get(getStorageKey(bank, slot))) return { bank, slot };
+    }
+    return null;
+  }
+
+  // Move a slot onto another (swapping them when both are filled), or duplicate
+  // it with copy. Thumbnails, titles, colors, tags and revisions follow the code;
+  // the MIDI mapping addresses slot positions, so it is left as it is.
+  function dropSlot(from, to, copy = false) {
+    if (from.bank === to.bank && from.slot === to.slot) return false;
+    if (!storage.get(getStorageKey(from.bank, from.slot))) return false;
+
+    const swapped = !copy && Boolean(storage.get(getStorageKey(to.bank, to.slot)));
+    if (copy) {
+      // A duplicate dropped on a filled slot keeps what was there as a revision
+      recordSlotRevision(storage, to.bank, to.slot);
+      copySlotInStorage(storage, from, to);
+      syncSlotToServer(to.bank, to.slot);
+    } else {
+      swapSlotsInStorage(storage, from, to);
+      syncAllBanksToServer();
+    }
+
+    // The active slot follows the scene it was showing
+    let active = activeSlotIndex;
+    if (!copy && from.bank === currentBank && to.bank === currentBank) {
+      if (active === from.slot) active = to.slot;
+      else if (active === to.slot) active = from.slot;
+    }
+    loadAllSlotsForCurrentBank();
+    updateBankDots();
+    setActiveSlot(active, false);
+
+    const label = formatSlotLabel(to.bank, to.slot, readSlotMeta(storage, to.bank, to.slot));
+    let message = `Moved to ${label}`;
+    if (copy) message = `Duplicated to ${label}`;
+    if (swapped) {
+      message = `Swapped ${formatSlotLabel(from.bank, from.slot)} and ${formatSlotLabel(to.bank, to.slot)}`;
+    }
+    showSlotNotification(message);
+    events?.emit("slots:moved", { from, to, copy, swapped });
+    return true;
+  }
+
+  function showSlotNotification(text, color) {
+    const notification = document.createElement("div");
+    notification.className = "saved-notification";
+    if (color) notification.style.backgroundColor = color;
+    notification.textContent = text;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.classList.add("fade-out");
+      setTimeout(() => {
+        if (notification.parentNode) {
+          document.body.removeChild(notification);
+        }
+      }, 500);
+    }, 1500);
+  }
+
   // Function to cycle to next/previous bank
   function cycleBank(direction) {
-    // Calculate new bank index with wrapping (0-3)
-    const newBank = (currentBank + direction + 4) % 4;
+    // Calculate new bank index with wrapping
+    const newBank = (currentBank + direction + bankCount) % bankCount;
 
     // Switch to the new bank
     switchBank(newBank);
@@ -329,8 +842,8 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
   // Function to check if a bank has any content
   function bankHasContent(bankIndex) {
-    for (let i = 0; i < 16; i++) {
-      if (localStorage.getItem(getStorageKey(bankIndex, i))) {
+    for (let i = 0; i < slotCount; i++) {
+      if (storage.get(getStorageKey(bankIndex, i))) {
         return true;
       }
     }
@@ -339,7 +852,7 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
   // Function to update the dots to reflect which banks have content
   function updateBankDots() {
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < bankCount; i++) {
       if (i === currentBank) {
         // Active bank is white
         bankDots[i].style.backgroundColor = "rgba(255, 255, 255, 0.8)";
@@ -356,15 +869,15 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     }
   }
 
-  // Function to switch bank
-  function switchBank(bankIndex) {
+  // Function to switch bank, activating (and by default running) `slot` in it
+  function switchBank(bankIndex, slot = 0, loadContent = true) {
     if (bankIndex === currentBank) return;
 
     // Save current bank index
     currentBank = bankIndex;
 
     // Update bank indicator in title
-    title.textContent = `SCENE ${bankIndex + 1}`;
+    updateBankTitle();
 
     // Update bank dots styling
     updateBankDots();
@@ -373,15 +886,25 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     loadAllSlotsForCurrentBank();
 
     // Set the first slot as active
-    setActiveSlot(0);
+    setActiveSlot(slot, loadContent);
+  }
+
+  // Activate and run a slot in any bank (without running slot 0 of a new bank
+  // first); with loadContent false it's only shown as the active slot
+  function selectSlot(bank, slot, loadContent = true) {
+    if (bank === currentBank) return setActiveSlot(slot, loadContent);
+    if (bank < 0 || bank >= bankCount || slot < 0 || slot >= slotCount) return;
+    switchBank(bank, slot, loadContent);
   }
 
   // Function to update active slot styling
   async function setActiveSlot(index, loadContent = true) {
+    if (!Number.isInteger(index) || index < 0 || index >= slotCount) return;
+
     // Remove active styling from previous active slot but preserve content indication
     const prevStorageKey = getStorageKey(currentBank, activeSlotIndex);
-    const prevHasCode = localStorage.getItem(prevStorageKey);
-    const prevThumbnail = localStorage.getItem(`${prevStorageKey}-thumbnail`);
+    const prevHasCode = storage.get(prevStorageKey);
+    const prevThumbnail = storage.get(`${prevStorageKey}-thumbnail`);
 
     if (prevThumbnail) {
       // Has thumbnail, use normal border
@@ -400,6 +923,8 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     // Add active styling to new active slot
     slotElements[activeSlotIndex].style.border = "2px solid var(--color-perf-medium)";
 
+    events?.emit("slots:selected", { bank: currentBank, slot: activeSlotIndex });
+
     // Load code from storage if requested
     if (loadContent) {
       await loadSlot(activeSlotIndex);
@@ -437,9 +962,11 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
       console.log(`Saving to bank ${targetBank}, slot ${targetSlot}`);
 
-      // Save to localStorage with bank and slot index
+      // Save to storage with bank and slot index, keeping what was there as a revision
       const storageKey = getStorageKey(targetBank, targetSlot);
-      localStorage.setItem(storageKey, codeToSave);
+      recordSlotRevision(storage, targetBank, targetSlot);
+      storage.set(storageKey, codeToSave);
+      syncSlotToServer(targetBank, targetSlot);
 
       // Update bank dots to reflect new content
       updateBankDots();
@@ -452,10 +979,16 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
         captureScreenshot(targetBank, targetSlot);
       }
 
+      events?.emit("slots:saved", { bank: targetBank, slot: targetSlot, code: codeToSave });
+
       // Show temporary "Saved to Slot!" notification
       const savedNotification = document.createElement("div");
       savedNotification.className = "saved-notification";
-      savedNotification.textContent = `Saved to Bank ${targetBank + 1}, Slot ${targetSlot + 1}`;
+      savedNotification.textContent = `Saved to ${formatSlotLabel(
+        targetBank,
+        targetSlot,
+        readSlotMeta(storage, targetBank, targetSlot),
+      )}`;
       document.body.appendChild(savedNotification);
 
       setTimeout(() => {
@@ -482,7 +1015,7 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
   // Function to load code from slot
   async function loadSlot(index, runCodeAfterLoad = true) {
     const storageKey = getStorageKey(currentBank, index);
-    const savedCode = localStorage.getItem(storageKey);
+    const savedCode = storage.get(storageKey);
 
     if (savedCode) {
       // Load main code into editor - setup code persists separately
@@ -506,6 +1039,7 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
       // Run the code if requested
       if (runCodeAfterLoad) {
+        events?.emit("slots:loading", { bank: currentBank, slot: index });
         await runCode(editor, hydra);
       }
 
@@ -515,7 +1049,9 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     return false;
   }
 
-  // Function to check localStorage size and purge thumbnails if needed
+  // Function to check localStorage size and purge thumbnails if needed. Only
+  // matters when scenes stay in localStorage because IndexedDB is unavailable
+  // (see core/SceneStorage.js): otherwise no thumbnails are left in there.
   function checkAndPurgeLocalStorage() {
     try {
       // Calculate total localStorage size
@@ -598,8 +1134,10 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
         // Force a new animation frame to make sure rendering is complete
         requestAnimationFrame(() => {
-          // Create a tiny temporary canvas for the thumbnail (32x32 pixels)
-          const thumbnailSize = 32;
+          // Create a small temporary canvas for the thumbnail: 128x128 in IndexedDB,
+          // a tiny 32x32 when thumbnails have to share localStorage's ~5 MB
+          const roomy = Boolean(storage.isIndexedDB?.());
+          const thumbnailSize = roomy ? 128 : 32;
           const tmpCanvas = document.createElement("canvas");
           tmpCanvas.width = thumbnailSize;
           tmpCanvas.height = thumbnailSize;
@@ -622,27 +1160,25 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
             thumbnailSize,
           );
 
-          // Create thumbnail image from the small canvas with very low quality
-          const thumbnail = tmpCanvas.toDataURL("image/jpeg", 0.4); // Use JPEG with 40% quality for smaller size
+          // Create thumbnail image from the small canvas (JPEG, low quality in localStorage)
+          const thumbnail = tmpCanvas.toDataURL("image/jpeg", roomy ? 0.75 : 0.4);
 
-          // Save thumbnail to localStorage with bank and slot index.
+          // Save thumbnail to storage with bank and slot index.
           // We use the target indices to ensure we save to the correct slot.
           // This runs in an async callback, so the outer try/catch can't see a
           // QuotaExceededError — guard it here (thumbnails are the main quota eater).
           try {
-            localStorage.setItem(
-              `${getStorageKey(targetBankIndex, targetSlotIndex)}-thumbnail`,
-              thumbnail,
-            );
+            storage.set(`${getStorageKey(targetBankIndex, targetSlotIndex)}-thumbnail`, thumbnail);
 
             // Store timestamp for age-based purging
-            localStorage.setItem(
+            storage.set(
               `${getStorageKey(targetBankIndex, targetSlotIndex)}-thumbnail-timestamp`,
               Date.now(),
             );
           } catch (storageError) {
             console.warn("Could not save slot thumbnail (storage full?):", storageError);
           }
+          syncSlotToServer(targetBankIndex, targetSlotIndex);
 
           // Update the slot thumbnail if the target bank is visible
           if (targetBankIndex === currentBank) {
@@ -659,19 +1195,45 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     }
   }
 
+  // Replace a slot's code from outside the panel (e.g. its sketch file changed
+  // on disk). The old thumbnail no longer matches the code, so it is dropped.
+  function updateSlot(bank, slot, code) {
+    if (
+      bank < 0 ||
+      bank >= bankCount ||
+      slot < 0 ||
+      slot >= slotCount ||
+      typeof code !== "string"
+    ) {
+      return false;
+    }
+    const storageKey = getStorageKey(bank, slot);
+    recordSlotRevision(storage, bank, slot);
+    if (!storage.set(storageKey, code)) return false;
+    storage.remove(`${storageKey}-thumbnail`);
+    storage.remove(`${storageKey}-thumbnail-timestamp`);
+    syncSlotToServer(bank, slot);
+
+    if (bank === currentBank) {
+      loadAllSlotsForCurrentBank();
+    }
+    updateBankDots();
+    return true;
+  }
+
   // Function to load all thumbnails for the current bank
   function loadAllSlotsForCurrentBank() {
     // Clear all thumbnails first
-    for (let i = 0; i < 16; i++) {
+    for (let i = 0; i < slotCount; i++) {
       const thumbnailElement = slotElements[i].querySelector(".slot-thumbnail");
       thumbnailElement.style.backgroundImage = "";
     }
 
     // Load thumbnails for current bank
-    for (let i = 0; i < 16; i++) {
+    for (let i = 0; i < slotCount; i++) {
       const storageKey = getStorageKey(currentBank, i);
-      const hasCode = localStorage.getItem(storageKey);
-      const thumbnail = localStorage.getItem(`${storageKey}-thumbnail`);
+      const hasCode = storage.get(storageKey);
+      const thumbnail = storage.get(`${storageKey}-thumbnail`);
       const thumbnailElement = slotElements[i].querySelector(".slot-thumbnail");
 
       // Clear the thumbnail display first
@@ -693,13 +1255,14 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
         // Reset border for empty slots
         slotElements[i].style.borderColor = "var(--color-bg-tertiary)";
       }
+      renderSlotMeta(i);
     }
   }
 
   // Load all saved slots on startup
   function loadAllSlots() {
     // Set the bank title
-    title.textContent = `SCENE ${currentBank + 1}`;
+    updateBankTitle();
 
     // Load thumbnails for the initial bank
     loadAllSlotsForCurrentBank();
@@ -713,6 +1276,7 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
   // Assemble the panel
   handle.appendChild(titleContainer);
+  iconsContainer.appendChild(trashBtn);
   iconsContainer.appendChild(clearBtn);
   handle.appendChild(iconsContainer);
   // handle.appendChild(clearBtn);
@@ -730,8 +1294,8 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     // Show dialog with options
     const message =
       "What would you like to clear?\n\n" +
-      "1. Clear Current Bank - Removes all slots in the current bank\n" +
-      "2. Clear All Banks - Removes all slots in all banks\n" +
+      "1. Clear Current Bank - Moves all slots in the current bank to the trash\n" +
+      "2. Clear All Banks - Moves all slots in all banks to the trash\n" +
       "3. Clear All Thumbnails Only - Keeps code but removes all thumbnails to save space";
 
     const choice = prompt(message, "1");
@@ -745,29 +1309,30 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
       // Clear all thumbnails only (across all banks)
       let thumbnailCount = 0;
 
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.includes("-thumbnail")) {
-          localStorage.removeItem(key);
-          thumbnailCount++;
+      for (const key of storage.keys(STORAGE_KEY_PREFIX)) {
+        if (key.includes("-thumbnail")) {
+          storage.remove(key);
+          if (key.endsWith("-thumbnail")) thumbnailCount++;
         }
       }
 
       // Clear current bank's thumbnail display
-      for (let i = 0; i < 16; i++) {
+      for (let i = 0; i < slotCount; i++) {
         const thumbnailElement = slotElements[i].querySelector(".slot-thumbnail");
         thumbnailElement.style.backgroundImage = "";
         thumbnailElement.style.backgroundColor = "";
 
         // Add colored background for slots that still have code
         const storageKey = getStorageKey(currentBank, i);
-        const hasCode = localStorage.getItem(storageKey);
+        const hasCode = storage.get(storageKey);
         if (hasCode) {
           thumbnailElement.style.backgroundColor = "var(--color-syntax-function)";
           thumbnailElement.style.opacity = "0.3";
         }
       }
 
+      syncAllBanksToServer();
+
       // Show notification
       const clearedNotification = document.createElement("div");
       clearedNotification.className = "saved-notification";
@@ -789,30 +1354,30 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
     // Handle original clear options
     if (choice === "2" || choice.toLowerCase() === "all") {
-      // Clear all banks
-      for (let bank = 0; bank < 4; bank++) {
-        for (let slot = 0; slot < 16; slot++) {
-          localStorage.removeItem(getStorageKey(bank, slot));
-          localStorage.removeItem(`${getStorageKey(bank, slot)}-thumbnail`);
-          localStorage.removeItem(`${getStorageKey(bank, slot)}-thumbnail-timestamp`);
+      // Clear all banks into the trash
+      for (let bank = 0; bank < bankCount; bank++) {
+        for (let slot = 0; slot < slotCount; slot++) {
+          moveSlotToTrash(storage, bank, slot);
         }
       }
 
       // Clear current bank's thumbnail display
-      for (let i = 0; i < 16; i++) {
+      for (let i = 0; i < slotCount; i++) {
         const thumbnailElement = slotElements[i].querySelector(".slot-thumbnail");
         thumbnailElement.style.backgroundImage = "";
         thumbnailElement.style.backgroundColor = "";
+        renderSlotMeta(i);
       }
 
       // Update bank dots
       updateBankDots();
+      syncAllBanksToServer();
 
       // Show notification
       const clearedNotification = document.createElement("div");
       clearedNotification.className = "saved-notification";
       clearedNotification.style.backgroundColor = "var(--color-error)";
-      clearedNotification.textContent = "Cleared All Banks!";
+      clearedNotification.textContent = "Cleared All Banks! (↺ to restore)";
       document.body.appendChild(clearedNotification);
 
       setTimeout(() => {
@@ -825,25 +1390,25 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
       }, 1500);
     } else {
       // Clear only current bank (default option)
-      for (let i = 0; i < 16; i++) {
-        localStorage.removeItem(getStorageKey(currentBank, i));
-        localStorage.removeItem(`${getStorageKey(currentBank, i)}-thumbnail`);
-        localStorage.removeItem(`${getStorageKey(currentBank, i)}-thumbnail-timestamp`);
+      for (let i = 0; i < slotCount; i++) {
+        moveSlotToTrash(storage, currentBank, i);
 
         // Clear thumbnail display
         const thumbnailElement = slotElements[i].querySelector(".slot-thumbnail");
         thumbnailElement.style.backgroundImage = "";
         thumbnailElement.style.backgroundColor = "";
+        renderSlotMeta(i);
       }
 
       // Update bank dots
       updateBankDots();
+      syncAllBanksToServer();
 
       // Show notification
       const clearedNotification = document.createElement("div");
       clearedNotification.className = "saved-notification";
       clearedNotification.style.backgroundColor = "var(--color-error)";
-      clearedNotification.textContent = `Cleared Bank ${currentBank + 1}!`;
+      clearedNotification.textContent = `Cleared Bank ${currentBank + 1}! (↺ to restore)`;
       document.body.appendChild(clearedNotification);
 
       setTimeout(() => {
@@ -896,7 +1461,7 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
   // Load all saved slots. When the app was opened with a sketch in the URL
   // (#sketch=...), keep the editor content instead of loading slot 0 into it.
   if (options.keepEditorContent) {
-    title.textContent = `SCENE ${currentBank + 1}`;
+    updateBankTitle();
     loadAllSlotsForCurrentBank();
     updateBankDots();
     setActiveSlot(0, false);
@@ -930,53 +1495,12 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
 
   // Function to export all filled slots in all banks
   function exportAllSlots() {
-    // Create an object to hold all scenes data
+    // Collect all filled slots (thumbnails included, they're tiny) in the bank format
     const scenesData = {
-      version: 1,
-      banks: [],
+      ...collectScenesData(storage, geometry),
       exportDate: new Date().toISOString(),
     };
 
-    // Loop through all banks
-    for (let bankIndex = 0; bankIndex < 4; bankIndex++) {
-      const bankData = {
-        bankIndex,
-        slots: [],
-      };
-
-      let hasFilledSlots = false;
-
-      // Loop through all slots in this bank
-      for (let slotIndex = 0; slotIndex < 16; slotIndex++) {
-        const storageKey = getStorageKey(bankIndex, slotIndex);
-        const code = localStorage.getItem(storageKey);
-        const thumbnail = localStorage.getItem(`${storageKey}-thumbnail`);
-
-        if (code) {
-          hasFilledSlots = true;
-          // Add slot data with base64 encoded content
-          // Use encodeURIComponent before btoa to handle non-Latin1 characters
-          const slotData = {
-            slotIndex,
-            code: btoa(encodeURIComponent(code)), // Safe base64 encoding
-          };
-
-          // Always include thumbnails in exports if available
-          // Since we're now using tiny thumbnails, they should be small enough
-          if (thumbnail) {
-            slotData.thumbnail = thumbnail;
-          }
-
-          bankData.slots.push(slotData);
-        }
-      }
-
-      // Only add banks that have filled slots
-      if (hasFilledSlots) {
-        scenesData.banks.push(bankData);
-      }
-    }
-
     // Check if there's data to export
     if (scenesData.banks.length === 0) {
       alert("No scenes found to export.");
@@ -1015,39 +1539,65 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     }, 1500);
   }
 
+  // Write scenes data from outside the panel (e.g. a show file) and show it.
+  // Slots outside this layout are kept too, for a show that changes the layout.
+  // Resolves once the server has the new banks, so callers can reload safely.
+  function importScenesData(scenesData, { clear = false } = {}) {
+    if (clear && readImportData(scenesData)) {
+      // Replaced slots go to the trash first
+      for (let bank = 0; bank < MAX_BANK_GEOMETRY.banks; bank++) {
+        for (let slot = 0; slot < MAX_BANK_GEOMETRY.slots; slot++) {
+          moveSlotToTrash(storage, bank, slot);
+        }
+      }
+    }
+    const written = writeScenesData(storage, scenesData, { clear, geometry: MAX_BANK_GEOMETRY });
+    loadAllSlotsForCurrentBank();
+    updateBankTitle();
+    updateBankDots();
+    return syncAllBanksToServer(MAX_BANK_GEOMETRY).then(() => written);
+  }
+
   // Function to load a random JSON file from the banks folder
+  // The dice loads a curated bank from the manifest (banks/index.json),
+  // filtered by the chosen collection, never the same bank twice in a row
+  const DICE_COLLECTION_KEY = "hydractrl-dice-collection";
+  const DICE_LAST_BANK_KEY = "hydractrl-dice-last-bank";
+
+  async function fetchBankManifest() {
+    // Not cached: banks are added and removed while the app is open
+    const response = await fetch(MANIFEST_URL, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`Could not load the bank manifest, status: ${response.status}`);
+    }
+    const manifest = normalizeManifest(await response.json());
+    if (!manifest) throw new Error("Invalid bank manifest");
+    return manifest;
+  }
+
   async function loadRandomScenes() {
     try {
-      // Generate random file number (0-29 for 30 files)
-      const randomFileNumber = Math.floor(Math.random() * 30);
-      const fileName = `bank-${randomFileNumber.toString().padStart(2, "0")}.json`;
-      const fileUrl = `/assets/banks/random/${fileName}`;
-
-      console.log(`Loading random scenes from: ${fileName}`);
-
-      // Fetch the random JSON file
-      const response = await fetch(fileUrl);
+      const manifest = await fetchBankManifest();
+      const collection = resolveCollection(manifest, storage.get(DICE_COLLECTION_KEY));
+      const entry = pickRandomBank(manifest, {
+        collection,
+        lastFile: storage.get(DICE_LAST_BANK_KEY),
+      });
+      if (!entry) {
+        throw new Error(`No banks in collection "${collection}"`);
+      }
 
+      console.log(`Loading random scenes from: ${entry.file}`);
+      const response = await fetch(getBankFileUrl(entry));
       if (!response.ok) {
-        console.warn(`Failed to load ${fileName}, status: ${response.status}`);
-        // Try a few more random files if the first one fails
-        for (let attempts = 0; attempts < 5; attempts++) {
-          const retryFileNumber = Math.floor(Math.random() * 30);
-          const retryFileName = `bank-${retryFileNumber.toString().padStart(2, "0")}.json`;
-          const retryFileUrl = `/assets/banks/random/${retryFileName}`;
-
-          const retryResponse = await fetch(retryFileUrl);
-          if (retryResponse.ok) {
-            const scenesData = await retryResponse.json();
-            await processRandomScenes(scenesData, retryFileName);
-            return;
-          }
-        }
-        throw new Error("Could not load any random scenes after multiple attempts");
+        throw new Error(`Failed to load ${entry.file}, status: ${response.status}`);
       }
 
       const scenesData = await response.json();
-      await processRandomScenes(scenesData, fileName);
+      // Only a bank that was actually loaded counts as the last one
+      await processRandomScenes(scenesData, entry.name, () => {
+        storage.set(DICE_LAST_BANK_KEY, entry.file);
+      });
     } catch (error) {
       console.error("Error loading random scenes:", error);
 
@@ -1069,87 +1619,166 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     }
   }
 
-  // Helper function to process the loaded random scenes
-  async function processRandomScenes(scenesData, fileName) {
-    // Validate format
-    if (!scenesData.version || !Array.isArray(scenesData.banks)) {
-      throw new Error("Invalid scenes data format");
+  function updateDiceTitle() {
+    const collection = storage.get(DICE_COLLECTION_KEY) || DEFAULT_DICE_COLLECTION;
+    const label = collection === ALL_COLLECTIONS ? "all collections" : `"${collection}"`;
+    diceBtn.title = `Load random scenes from ${label} (right-click to choose)`;
+  }
+
+  // Right-click menu on the dice to choose the collection it picks from
+  async function showDiceCollectionMenu(x, y) {
+    document.querySelector(".dice-collection-menu")?.remove();
+    let manifest;
+    try {
+      manifest = await fetchBankManifest();
+    } catch (error) {
+      console.error("Error loading the bank manifest:", error);
+      return;
     }
+    const current = resolveCollection(manifest, storage.get(DICE_COLLECTION_KEY));
 
-    // Clear all existing scenes silently (all 4 banks)
-    for (let bank = 0; bank < 4; bank++) {
-      for (let slot = 0; slot < 16; slot++) {
-        localStorage.removeItem(getStorageKey(bank, slot));
-        localStorage.removeItem(`${getStorageKey(bank, slot)}-thumbnail`);
-        localStorage.removeItem(`${getStorageKey(bank, slot)}-thumbnail-timestamp`);
-      }
+    const menu = document.createElement("div");
+    menu.className = "dice-collection-menu";
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    const options = [
+      [ALL_COLLECTIONS, "All collections", manifest.banks.length],
+      ...manifest.collections.map((name) => [
+        name,
+        name,
+        manifest.banks.filter((entry) => entry.collection === name).length,
+      ]),
+    ];
+    for (const [value, label, count] of options) {
+      const item = document.createElement("button");
+      item.textContent = `${value === current ? "● " : ""}${label} (${count})`;
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        storage.set(DICE_COLLECTION_KEY, value);
+        updateDiceTitle();
+        menu.remove();
+      });
+      menu.appendChild(item);
     }
+    document.body.appendChild(menu);
 
-    // Import all banks and slots from the random file
-    scenesData.banks.forEach((bankData) => {
-      const { bankIndex, slots } = bankData;
-
-      if (bankIndex >= 0 && bankIndex < 4 && Array.isArray(slots)) {
-        slots.forEach((slot) => {
-          if (slot.slotIndex >= 0 && slot.slotIndex < 16 && slot.code) {
-            try {
-              // Decode base64 code and handle non-Latin1 characters
-              const decodedCode = decodeURIComponent(atob(slot.code));
-
-              // Save to localStorage
-              const storageKey = getStorageKey(bankIndex, slot.slotIndex);
-              localStorage.setItem(storageKey, decodedCode);
-
-              // Save thumbnail if available in the imported data
-              if (slot.thumbnail) {
-                localStorage.setItem(`${storageKey}-thumbnail`, slot.thumbnail);
-                localStorage.setItem(`${storageKey}-thumbnail-timestamp`, Date.now());
-              }
-            } catch (decodeError) {
-              console.error("Error decoding slot data:", decodeError);
-            }
-          }
-        });
+    const close = (e) => {
+      if (!menu.contains(e.target)) {
+        menu.remove();
+        document.removeEventListener("mousedown", close);
       }
-    });
+    };
+    document.addEventListener("mousedown", close);
+  }
 
-    // Reload current bank
-    loadAllSlotsForCurrentBank();
-    updateBankDots();
+  // Right-click menu on the bank dots to change the number of banks and slots.
+  // Slots outside a smaller layout stay in storage and come back with a
+  // bigger one. Every part of the app reads the layout once, so it reloads.
+  function showLayoutMenu(x, y) {
+    document.querySelector(".bank-layout-menu")?.remove();
+
+    const menu = document.createElement("div");
+    menu.className = "bank-layout-menu";
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    for (const layout of LAYOUT_PRESETS) {
+      const current = layout.banks === bankCount && layout.slots === slotCount;
+      const item = document.createElement("button");
+      item.textContent = `${current ? "● " : ""}${layout.banks} banks × ${layout.slots} slots`;
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        menu.remove();
+        if (!current) changeLayout(layout);
+      });
+      menu.appendChild(item);
+    }
+    document.body.appendChild(menu);
 
-    // Execute the first slot that has code after loading
-    let firstSlotExecuted = false;
-    for (let bankIndex = 0; bankIndex < 4 && !firstSlotExecuted; bankIndex++) {
-      for (let slotIndex = 0; slotIndex < 16; slotIndex++) {
-        const storageKey = getStorageKey(bankIndex, slotIndex);
-        if (localStorage.getItem(storageKey)) {
-          // Switch to the bank if needed
-          if (bankIndex !== currentBank) {
-            switchBank(bankIndex);
-          }
-          // Set and load the first slot
-          setActiveSlot(slotIndex, true);
-          firstSlotExecuted = true;
-          break;
-        }
+    const close = (e) => {
+      if (!menu.contains(e.target)) {
+        menu.remove();
+        document.removeEventListener("mousedown", close);
       }
-    }
+    };
+    document.addEventListener("mousedown", close);
+  }
 
-    // Show subtle notification
-    const notification = document.createElement("div");
-    notification.className = "saved-notification";
-    notification.style.backgroundColor = "var(--color-perf-medium)";
-    notification.textContent = `Loaded ${fileName}`;
-    document.body.appendChild(notification);
+  function changeLayout(layout) {
+    let hidden = 0;
+    for (let bank = 0; bank < bankCount; bank++) {
+      for (let slot = 0; slot < slotCount; slot++) {
+        const outside = bank >= layout.banks || slot >= layout.slots;
+        if (outside && storage.get(getSlotStorageKey(bank, slot))) hidden++;
+      }
+    }
+    if (
+      hidden > 0 &&
+      !confirm(
+        `${hidden} filled slot(s) are outside ${layout.banks} banks × ${layout.slots} slots.\n` +
+          "They are kept in this browser and come back when you switch back, but they " +
+          "won't be shown, exported or synced to the server until then. Continue?",
+      )
+    ) {
+      return;
+    }
+    saveBankGeometry(storage, layout);
+    window.location.reload();
+  }
 
-    setTimeout(() => {
-      notification.classList.add("fade-out");
-      setTimeout(() => {
-        if (notification.parentNode) {
-          document.body.removeChild(notification);
+  // Preview scenes data in the import dialog; nothing is written before "Import".
+  // Then show the result and run the first imported slot.
+  // onImported runs once the user confirmed the import (not when cancelled)
+  function openImportDialog(scenesData, { title, notice, color, onImported = () => {} }) {
+    const data = readImportData(scenesData);
+    if (!data) throw new Error("Invalid scenes data format");
+
+    showSceneImportDialog({
+      data,
+      storage,
+      geometry,
+      targets: defaultImportTargets(data, geometry),
+      title,
+      onImport(plan) {
+        // Bank names and slot titles/colors/tags come along with the code
+        const written = applySceneImport(storage, data, plan);
+        loadAllSlotsForCurrentBank();
+        updateBankTitle();
+        updateBankDots();
+        syncAllBanksToServer();
+        onImported();
+
+        const first = plan.operations.find((operation) => operation.target)?.target;
+        if (first) {
+          if (first.bank !== currentBank) switchBank(first.bank);
+          setActiveSlot(first.slot, true);
         }
-      }, 500);
-    }, 1500);
+
+        const notification = document.createElement("div");
+        notification.className = "saved-notification";
+        if (color) notification.style.backgroundColor = color;
+        notification.textContent = `${notice} (${written} slot${written === 1 ? "" : "s"})`;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+          notification.classList.add("fade-out");
+          setTimeout(() => {
+            if (notification.parentNode) {
+              document.body.removeChild(notification);
+            }
+          }, 500);
+        }, 1500);
+      },
+    });
+  }
+
+  // Helper function to process the loaded random scenes
+  async function processRandomScenes(scenesData, bankName, onImported) {
+    openImportDialog(scenesData, {
+      title: `Load ${bankName}`,
+      notice: `Loaded ${bankName}`,
+      color: "var(--color-perf-medium)",
+      onImported,
+    });
   }
 
   // Function to import slots from JSON file
@@ -1172,88 +1801,10 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
       const reader = new FileReader();
       reader.onload = (e) => {
         try {
-          const scenesData = JSON.parse(e.target.result);
-
-          // Validate format
-          if (!scenesData.version || !Array.isArray(scenesData.banks)) {
-            throw new Error("Invalid scenes data format");
-          }
-
-          // Confirm import with user
-          const confirmImport = confirm(
-            `Import ${scenesData.banks.length} bank(s) of scenes?\nThis will overwrite any existing scenes in those slots.`,
-          );
-
-          if (confirmImport) {
-            // Import all banks and slots
-            scenesData.banks.forEach((bankData) => {
-              const { bankIndex, slots } = bankData;
-
-              if (bankIndex >= 0 && bankIndex < 4 && Array.isArray(slots)) {
-                slots.forEach((slot) => {
-                  if (slot.slotIndex >= 0 && slot.slotIndex < 16 && slot.code) {
-                    try {
-                      // Decode base64 code and handle non-Latin1 characters
-                      const decodedCode = decodeURIComponent(atob(slot.code));
-
-                      // Save to localStorage
-                      const storageKey = getStorageKey(bankIndex, slot.slotIndex);
-                      localStorage.setItem(storageKey, decodedCode);
-
-                      // Always remove existing thumbnail first
-                      localStorage.removeItem(`${storageKey}-thumbnail`);
-                      localStorage.removeItem(`${storageKey}-thumbnail-timestamp`);
-
-                      // Save thumbnail if available in the imported data
-                      if (slot.thumbnail) {
-                        localStorage.setItem(`${storageKey}-thumbnail`, slot.thumbnail);
-                        localStorage.setItem(`${storageKey}-thumbnail-timestamp`, Date.now());
-                      }
-                    } catch (decodeError) {
-                      console.error("Error decoding slot data:", decodeError);
-                    }
-                  }
-                });
-              }
-            });
-
-            // Reload current bank
-            loadAllSlotsForCurrentBank();
-            updateBankDots();
-
-            // Execute the first slot that has code after import
-            let firstSlotExecuted = false;
-            for (let bankIndex = 0; bankIndex < 4 && !firstSlotExecuted; bankIndex++) {
-              for (let slotIndex = 0; slotIndex < 16; slotIndex++) {
-                const storageKey = getStorageKey(bankIndex, slotIndex);
-                if (localStorage.getItem(storageKey)) {
-                  // Switch to the bank if needed
-                  if (bankIndex !== currentBank) {
-                    switchBank(bankIndex);
-                  }
-                  // Set and load the first slot
-                  setActiveSlot(slotIndex, true);
-                  firstSlotExecuted = true;
-                  break;
-                }
-              }
-            }
-
-            // Show notification
-            const notification = document.createElement("div");
-            notification.className = "saved-notification";
-            notification.textContent = "Scenes imported successfully!";
-            document.body.appendChild(notification);
-
-            setTimeout(() => {
-              notification.classList.add("fade-out");
-              setTimeout(() => {
-                if (notification.parentNode) {
-                  document.body.removeChild(notification);
-                }
-              }, 500);
-            }, 1500);
-          }
+          openImportDialog(JSON.parse(e.target.result), {
+            title: `Import ${file.name}`,
+            notice: "Scenes imported",
+          });
         } catch (error) {
           console.error("Error importing scenes:", error);
           alert("Error importing scenes. Invalid file format.");
@@ -1291,6 +1842,24 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     loadRandomScenes();
   });
 
+  trashBtn.addEventListener("click", (e) => {
+    e.stopPropagation(); // Prevent drag from activating
+    showTrash();
+  });
+
+  dotsContainer.addEventListener("contextmenu", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showLayoutMenu(e.clientX, e.clientY);
+  });
+
+  diceBtn.addEventListener("contextmenu", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showDiceCollectionMenu(e.clientX, e.clientY);
+  });
+  updateDiceTitle();
+
   // Add hover effects for export/import buttons
   exportBtn.addEventListener("mouseover", () => {
     exportBtn.style.transform = "scale(1.2)";
@@ -1317,16 +1886,33 @@ export function createSlotsPanel(editor, hydra, runCode, mobilePosition = false,
     panel,
     saveToActiveSlot,
     loadSlot,
+    updateSlot,
+    captureThumbnail: captureScreenshot,
     getActiveSlotIndex: () => activeSlotIndex,
     getBank: () => currentBank,
+    getGeometry: () => ({ banks: bankCount, slots: slotCount }),
+    getSlotMeta: (bank, slot) => readSlotMeta(storage, bank, slot),
+    setSlotMeta,
+    getBankName: (bank) => readBankName(storage, bank),
+    setBankName,
     setActiveSlot,
+    selectSlot,
     clearAllSlots,
     switchBank,
     cycleBank,
     flashActiveBankDot,
     exportAllSlots,
     importSlots,
+    importScenesData,
     loadRandomScenes,
+    getSlotHistory: (bank, slot) => readSlotHistory(storage, bank, slot),
+    restoreRevision,
+    showSlotHistory,
+    getTrash: () => readTrash(storage),
+    restoreTrashed,
+    showTrash,
+    moveSlot: (from, to) => dropSlot(from, to),
+    duplicateSlot: (from, to) => dropSlot(from, to, true),
   };
 }
 
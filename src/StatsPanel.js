@@ -3,6 +3,7 @@
  * A minimal, draggable FPS counter that doesn't rely on complex component architecture
  */
 import { loadPanelPosition, savePanelPosition } from "./utils/PanelStorage.js";
+import { MAX_TRANSITION_DURATION, TRANSITION_MODES } from "./utils/SceneTransition.js";
 
 export function createStatsPanel() {
   // Load saved position or use defaults
@@ -631,10 +632,77 @@ export function createStatsPanel() {
   moveToNextSlotOption.appendChild(moveToNextSlotCheckbox);
   moveToNextSlotOption.appendChild(moveToNextSlotLabel);
 
+  // Transition on slot change (wired by the transitions plugin)
+  const transitionSection = document.createElement("div");
+  transitionSection.style.marginTop = "8px";
+  transitionSection.style.display = "flex";
+  transitionSection.style.flexDirection = "column";
+  transitionSection.style.gap = "6px";
+
+  const transitionLabel = document.createElement("div");
+  transitionLabel.style.fontSize = "11px";
+  transitionLabel.style.color = "var(--color-text-primary)";
+  transitionLabel.textContent = "Transition";
+
+  const transitionModeSelect = document.createElement("select");
+  transitionModeSelect.className = "transition-mode-select";
+  for (const mode of TRANSITION_MODES) {
+    const option = document.createElement("option");
+    option.value = mode.id;
+    option.textContent = mode.label;
+    transitionModeSelect.appendChild(option);
+  }
+
+  const transitionDurationContainer = document.createElement("div");
+  transitionDurationContainer.style.display = "flex";
+  transitionDurationContainer.style.alignItems = "center";
+  transitionDurationContainer.style.gap = "8px";
+
+  const transitionDurationSlider = document.createElement("input");
+  transitionDurationSlider.type = "range";
+  transitionDurationSlider.min = "0";
+  transitionDurationSlider.max = String(MAX_TRANSITION_DURATION);
+  transitionDurationSlider.step = "0.1";
+  transitionDurationSlider.title = "Duration";
+  transitionDurationSlider.style.flex = "1";
+  transitionDurationSlider.style.margin = "0";
+
+  const transitionDurationValue = document.createElement("span");
+  transitionDurationValue.style.fontSize = "11px";
+  transitionDurationValue.style.fontFamily = "monospace";
+  transitionDurationValue.style.color = "var(--color-text-primary)";
+  transitionDurationValue.style.minWidth = "32px";
+  transitionDurationValue.style.textAlign = "center";
+
+  transitionDurationContainer.appendChild(transitionDurationSlider);
+  transitionDurationContainer.appendChild(transitionDurationValue);
+
+  // MIDI controller that sets the duration
+  const transitionCCLabel = document.createElement("label");
+  transitionCCLabel.style.display = "flex";
+  transitionCCLabel.style.alignItems = "center";
+  transitionCCLabel.style.gap = "8px";
+  transitionCCLabel.style.fontSize = "11px";
+  transitionCCLabel.style.color = "var(--color-text-primary)";
+  transitionCCLabel.textContent = "Duration MIDI CC";
+  const transitionCCInput = document.createElement("input");
+  transitionCCInput.type = "number";
+  transitionCCInput.min = "0";
+  transitionCCInput.max = "127";
+  transitionCCInput.placeholder = "off";
+  transitionCCInput.className = "transition-cc-input";
+  transitionCCLabel.appendChild(transitionCCInput);
+
+  transitionSection.appendChild(transitionLabel);
+  transitionSection.appendChild(transitionModeSelect);
+  transitionSection.appendChild(transitionDurationContainer);
+  transitionSection.appendChild(transitionCCLabel);
+
   // Add elements to slots section
   slotsSection.appendChild(slotsTitle);
   slotsSection.appendChild(slotSizeSection);
   slotsSection.appendChild(moveToNextSlotOption);
+  slotsSection.appendChild(transitionSection);
 
   // Display section title
   const displayTitle = document.createElement("div");
@@ -1052,6 +1120,12 @@ export function createStatsPanel() {
     slots: {
       section: slotsSection,
       moveToNextSlotCheckbox: moveToNextSlotCheckbox,
+      transition: {
+        modeSelect: transitionModeSelect,
+        durationSlider: transitionDurationSlider,
+        durationValue: transitionDurationValue,
+        ccInput: transitionCCInput,
+      },
     },
     docsButton, // Expose docs button for external access
   };
@@ -5,6 +5,21 @@
 import { savePanelPosition, setupPanelPersistence } from "./utils/PanelStorage.js";
 import { XYPhysics } from "./utils/XYPhysics.js";
 
+// Friction and bounce of the pad, so they survive reloads and travel in show files
+const PHYSICS_KEY = "hydractrl-xy-physics";
+
+function loadPhysicsSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PHYSICS_KEY));
+    return {
+      friction: Number.isFinite(saved?.friction) ? saved.friction : 0,
+      bounce: Number.isFinite(saved?.bounce) ? saved.bounce : 1,
+    };
+  } catch (_error) {
+    return { friction: 0, bounce: 1 };
+  }
+}
+
 export function createXYPadPanel() {
   // Create the panel container
   const panel = document.createElement("div");
@@ -176,8 +191,9 @@ export function createXYPadPanel() {
     return { container, slider };
   };
 
-  const frictionControl = createParamSlider("Friction", 0, 0, 0.15);
-  const bounceControl = createParamSlider("Bounce", 1, 0.3, 1);
+  const savedPhysics = loadPhysicsSettings();
+  const frictionControl = createParamSlider("Friction", savedPhysics.friction, 0, 0.15);
+  const bounceControl = createParamSlider("Bounce", savedPhysics.bounce, 0.3, 1);
 
   paramsSection.appendChild(frictionControl.container);
   paramsSection.appendChild(bounceControl.container);
@@ -207,6 +223,7 @@ export function createXYPadPanel() {
 
   // Initialize physics system
   const physics = new XYPhysics(padArea.offsetWidth, padArea.offsetHeight, { historySize: 3 });
+  updatePhysicsParams(false);
   const isPhysicsEnabled = true;
 
   // Track pad interaction state and physics values
@@ -343,11 +360,19 @@ export function createXYPadPanel() {
     }
   }
 
-  function updatePhysicsParams() {
-    physics.updateParams({
+  function updatePhysicsParams(save = true) {
+    const params = {
       friction: Number.parseFloat(frictionControl.slider.value),
       bounce: Number.parseFloat(bounceControl.slider.value),
-    });
+    };
+    physics.updateParams(params);
+    if (save) {
+      try {
+        localStorage.setItem(PHYSICS_KEY, JSON.stringify(params));
+      } catch (error) {
+        console.warn("Could not save the XY pad physics settings:", error);
+      }
+    }
   }
 
   // Update indicator position based on XY values
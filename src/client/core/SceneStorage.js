@@ -0,0 +1,220 @@
+/**
+ * SceneStorage - keeps scene banks in IndexedDB, behind the Storage interface.
+ *
+ * localStorage holds about 5 MB, which thumbnails used to fill up fast. Slot
+ * code, thumbnails, titles and bank names (see isSceneStorageKey) now live in
+ * an IndexedDB object store; every other key (settings) stays in localStorage.
+ *
+ * The rest of the app reads storage synchronously, so open() loads the whole
+ * store into memory once, and writes update that copy right away and reach
+ * IndexedDB in a batched transaction shortly after. The first open() moves
+ * existing scene keys out of localStorage; they are only removed there once
+ * the copy is committed. Without IndexedDB (old browsers, some private modes)
+ * or when it fails to open, everything stays in localStorage as before.
+ */
+
+import { isSceneStorageKey } from "../../utils/SceneBanks.js";
+import { createSafeStorage } from "./Storage.js";
+
+const DB_NAME = "hydractrl";
+const DB_VERSION = 1;
+const STORE_NAME = "scenes";
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("transaction aborted"));
+  });
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.backend] - Safe storage for settings (and scenes until
+ *   open() succeeds), defaults to createSafeStorage().
+ * @param {IDBFactory|null} [options.indexedDB] - Defaults to window.indexedDB.
+ *   Injectable for tests.
+ * @param {string} [options.dbName]
+ * @param {(error: Error, key: string) => void} [options.onWriteError] - Called when
+ *   scenes could not be written to IndexedDB.
+ */
+export function createSceneStorage(options = {}) {
+  const backend = options.backend || createSafeStorage();
+  const idb =
+    options.indexedDB !== undefined
+      ? options.indexedDB
+      : typeof indexedDB !== "undefined"
+        ? indexedDB
+        : null;
+  const dbName = options.dbName || DB_NAME;
+  const onWriteError = options.onWriteError || (() => {});
+
+  let db = null;
+  // In-memory copy of the object store, null until open() succeeds
+  let scenes = null;
+  // Writes not yet handed to IndexedDB: key → value, or null for a removal
+  const pending = new Map();
+  let flushing = Promise.resolve();
+  let flushScheduled = false;
+
+  const inIndexedDB = (key) => scenes !== null && isSceneStorageKey(key);
+
+  function openDatabase() {
+    const request = idb.open(dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    return promisifyRequest(request);
+  }
+
+  async function writeBatch(batch) {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    for (const [key, value] of batch) {
+      if (value === null) store.delete(key);
+      else store.put(value, key);
+    }
+    await promisifyTransaction(transaction);
+  }
+
+  function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    // Batch the writes of one synchronous run (an import writes hundreds of keys)
+    flushing = flushing.then(async () => {
+      await null;
+      flushScheduled = false;
+      const batch = [...pending];
+      pending.clear();
+      if (batch.length === 0) return;
+      try {
+        await writeBatch(batch);
+      } catch (error) {
+        console.warn("SceneStorage: failed to write scenes to IndexedDB:", error);
+        onWriteError(error, batch[0][0]);
+      }
+    });
+  }
+
+  /**
+   * Load the scenes from IndexedDB, moving any still in localStorage there first.
+   * @returns {Promise<boolean>} true when scenes are kept in IndexedDB from now on.
+   */
+  async function open() {
+    if (scenes !== null) return true;
+    if (!idb) return false;
+    try {
+      db = await openDatabase();
+      const transaction = db.transaction(STORE_NAME, "readonly");
+      const store = transaction.objectStore(STORE_NAME);
+      const [keys, values] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll()),
+      ]);
+      const loaded = new Map(keys.map((key, index) => [key, values[index]]));
+
+      // One-time migration: localStorage copies are newer than anything in the store
+      const legacyKeys = backend.keys().filter(isSceneStorageKey);
+      if (legacyKeys.length > 0) {
+        const batch = legacyKeys.map((key) => [key, backend.get(key)]);
+        await writeBatch(batch);
+        for (const [key, value] of batch) {
+          loaded.set(key, value);
+          backend.remove(key);
+        }
+        console.log(`SceneStorage: moved ${batch.length} scene keys to IndexedDB`);
+      }
+
+      scenes = loaded;
+      return true;
+    } catch (error) {
+      console.warn("SceneStorage: IndexedDB unavailable, keeping scenes in localStorage:", error);
+      db?.close();
+      db = null;
+      return false;
+    }
+  }
+
+  /** @returns {string|null} */
+  function get(key, fallback = null) {
+    if (!inIndexedDB(key)) return backend.get(key, fallback);
+    return scenes.has(key) ? scenes.get(key) : fallback;
+  }
+
+  /** @returns {boolean} true if the write succeeded */
+  function set(key, value) {
+    if (!inIndexedDB(key)) return backend.set(key, value);
+    scenes.set(key, String(value));
+    pending.set(key, String(value));
+    scheduleFlush();
+    return true;
+  }
+
+  function remove(key) {
+    if (!inIndexedDB(key)) return backend.remove(key);
+    scenes.delete(key);
+    pending.set(key, null);
+    scheduleFlush();
+    return true;
+  }
+
+  function getJSON(key, fallback = null) {
+    if (!inIndexedDB(key)) return backend.getJSON(key, fallback);
+    const raw = get(key);
+    if (raw === null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`SceneStorage: corrupt JSON in "${key}", using fallback:`, error);
+      return fallback;
+    }
+  }
+
+  function setJSON(key, value) {
+    if (!inIndexedDB(key)) return backend.setJSON(key, value);
+    try {
+      return set(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`SceneStorage: failed to serialize "${key}":`, error);
+      return false;
+    }
+  }
+
+  /** All keys, optionally filtered by prefix. Never throws. */
+  function keys(prefix = "") {
+    const result = backend.keys(prefix);
+    if (scenes !== null) {
+      for (const key of scenes.keys()) {
+        if (key.startsWith(prefix)) result.push(key);
+      }
+    }
+    return result;
+  }
+
+  /** Resolves once every write so far has reached IndexedDB (or failed). */
+  function flush() {
+    return flushing;
+  }
+
+  return {
+    get,
+    set,
+    remove,
+    getJSON,
+    setJSON,
+    keys,
+    isAvailable: backend.isAvailable,
+    open,
+    flush,
+    isIndexedDB: () => scenes !== null,
+  };
+}
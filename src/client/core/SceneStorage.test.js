@@ -0,0 +1,150 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../../testing/MemoryStorage.js";
+import { getBankNameKey, getSlotStorageKey } from "../../utils/SceneBanks.js";
+import { createSceneStorage } from "./SceneStorage.js";
+
+/**
+ * Just enough of IndexedDB for SceneStorage: one database per name with
+ * key-value object stores, asynchronous requests and all-or-nothing transactions.
+ */
+function createFakeIndexedDB({ failWrites = false } = {}) {
+  const databases = new Map();
+  const fake = { open, failWrites };
+
+  function request(run) {
+    const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+    setTimeout(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+
+  function createTransaction(data) {
+    const ops = [];
+    const transaction = { error: null, oncomplete: null, onerror: null, onabort: null };
+    transaction.objectStore = () => ({
+      put: (value, key) => ops.push(() => data.set(key, value)),
+      delete: (key) => ops.push(() => data.delete(key)),
+      getAllKeys: () => request(() => [...data.keys()]),
+      getAll: () => request(() => [...data.values()]),
+    });
+    setTimeout(() => {
+      if (fake.failWrites && ops.length > 0) {
+        transaction.error = new DOMException("quota exceeded", "QuotaExceededError");
+        transaction.onabort?.();
+        return;
+      }
+      for (const op of ops) op();
+      transaction.oncomplete?.();
+    });
+    return transaction;
+  }
+
+  function open(name) {
+    const req = { result: undefined, onsuccess: null, onerror: null, onupgradeneeded: null };
+    setTimeout(() => {
+      const isNew = !databases.has(name);
+      if (isNew) databases.set(name, new Map());
+      const stores = databases.get(name);
+      req.result = {
+        objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+        createObjectStore: (storeName) => stores.set(storeName, new Map()),
+        transaction: (storeName) => createTransaction(stores.get(storeName)),
+        close() {},
+      };
+      if (isNew) req.onupgradeneeded?.();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+
+  return fake;
+}
+
+const slotKey = getSlotStorageKey(1, 2);
+
+function setup(options = {}) {
+  const backend = createMemoryStorage();
+  const indexedDB = "indexedDB" in options ? options.indexedDB : createFakeIndexedDB();
+  const storage = createSceneStorage({ backend, indexedDB, ...options.extra });
+  return { backend, indexedDB, storage };
+}
+
+describe("createSceneStorage", () => {
+  test("keeps scenes in IndexedDB and settings in localStorage", async () => {
+    const { backend, indexedDB, storage } = setup();
+    expect(await storage.open()).toBe(true);
+    expect(storage.isIndexedDB()).toBe(true);
+
+    storage.set(slotKey, "osc().out()");
+    storage.set(getBankNameKey(1), "Intro");
+    storage.set("hydractrl-slot-size", "60");
+    expect(storage.get(slotKey)).toBe("osc().out()");
+    expect(backend.get(slotKey)).toBe(null);
+    expect(backend.get("hydractrl-slot-size")).toBe("60");
+    expect(storage.keys("hydractrl-").sort()).toEqual(
+      [getBankNameKey(1), slotKey, "hydractrl-slot-size"].sort(),
+    );
+
+    await storage.flush();
+    const reopened = createSceneStorage({ backend, indexedDB });
+    await reopened.open();
+    expect(reopened.get(slotKey)).toBe("osc().out()");
+    expect(reopened.get(getBankNameKey(1))).toBe("Intro");
+
+    reopened.remove(slotKey);
+    await reopened.flush();
+    const again = createSceneStorage({ backend, indexedDB });
+    await again.open();
+    expect(again.get(slotKey)).toBe(null);
+  });
+
+  test("moves existing scenes out of localStorage on the first open", async () => {
+    const { backend, storage } = setup();
+    backend.set(slotKey, "noise().out()");
+    backend.set(`${slotKey}-thumbnail`, "data:image/jpeg;base64,AAAA");
+    backend.set("hydractrl-code", "shape().out()");
+
+    // Until open() succeeds, reads still come from localStorage
+    expect(storage.get(slotKey)).toBe("noise().out()");
+    await storage.open();
+
+    expect(storage.get(slotKey)).toBe("noise().out()");
+    expect(storage.get(`${slotKey}-thumbnail`)).toBe("data:image/jpeg;base64,AAAA");
+    expect(backend.keys()).toEqual(["hydractrl-code"]);
+  });
+
+  test("leaves scenes in localStorage when IndexedDB can't take them", async () => {
+    const { backend, storage } = setup({ indexedDB: createFakeIndexedDB({ failWrites: true }) });
+    backend.set(slotKey, "noise().out()");
+
+    expect(await storage.open()).toBe(false);
+    expect(storage.isIndexedDB()).toBe(false);
+    expect(backend.get(slotKey)).toBe("noise().out()");
+    storage.set(slotKey, "osc().out()");
+    expect(backend.get(slotKey)).toBe("osc().out()");
+  });
+
+  test("works like plain safe storage without IndexedDB", async () => {
+    const { backend, storage } = setup({ indexedDB: null });
+    expect(await storage.open()).toBe(false);
+    storage.setJSON(getSlotStorageKey(0, 0), { a: 1 });
+    expect(backend.getJSON(getSlotStorageKey(0, 0))).toEqual({ a: 1 });
+  });
+
+  test("reports writes that don't reach IndexedDB", async () => {
+    const errors = [];
+    const { indexedDB, storage } = setup({
+      extra: { onWriteError: (_error, key) => errors.push(key) },
+    });
+    await storage.open();
+    indexedDB.failWrites = true;
+
+    storage.set(slotKey, "osc().out()");
+    await storage.flush();
+    expect(errors).toEqual([slotKey]);
+    // The in-memory copy still has it for the rest of the session
+    expect(storage.get(slotKey)).toBe("osc().out()");
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * ServerBankSync - client for the server-side bank store (/api/banks).
+ *
+ * Only the Bun server (dev server or the hydractrl executable) provides the
+ * API. On static hosting the request either fails or falls through to
+ * index.html, so availability is decided by actually getting scenes JSON back.
+ * Like Storage, nothing here throws: failures are logged and reported through
+ * return values so a flaky server can never interrupt a set.
+ */
+
+import { isScenesData } from "../../utils/SceneBanks.js";
+
+const DEFAULT_ENDPOINT = "/api/banks";
+
+/**
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] - Injectable for tests.
+ * @param {string} [options.endpoint] - Base URL of the bank API.
+ */
+export function createServerBankSync(options = {}) {
+  const fetchImpl =
+    options.fetch || (typeof fetch !== "undefined" ? (...args) => fetch(...args) : null);
+  const endpoint = options.endpoint || DEFAULT_ENDPOINT;
+  let available = false;
+
+  async function request(method, path, body) {
+    const init = { method, headers: {} };
+    if (body !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(body);
+    }
+    const response = await fetchImpl(`${endpoint}${path}`, init);
+    const contentType = response.headers.get("content-type") || "";
+    if (!response.ok || !contentType.includes("application/json")) {
+      throw new Error(`${method} ${endpoint}${path} failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Probe the server and fetch its banks.
+   * @returns {Promise<object|null>} Scenes data, or null when there is no bank API.
+   */
+  async function connect() {
+    available = false;
+    if (!fetchImpl) return null;
+    try {
+      const data = await request("GET", "");
+      if (!isScenesData(data)) return null;
+      available = true;
+      return data;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  async function write(method, path, body) {
+    if (!available) return false;
+    try {
+      await request(method, path, body);
+      return true;
+    } catch (error) {
+      console.warn("ServerBankSync: write failed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the banks on the server within the layout of `scenesData` (its
+   * `geometry`); the server keeps slots outside it. @returns {Promise<boolean>}
+   */
+  function pushAll(scenesData) {
+    return write("PUT", "", scenesData);
+  }
+
+  /** Store one slot ({ code, thumbnail? } in the bank format). @returns {Promise<boolean>} */
+  function putSlot(bank, slot, slotData) {
+    return write("PUT", `/${bank}/slots/${slot}`, slotData);
+  }
+
+  return { connect, isAvailable: () => available, pushAll, putSlot };
+}
@@ -0,0 +1,85 @@
+import { describe, expect, test } from "bun:test";
+import { createServerBankSync } from "./ServerBankSync.js";
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/** Fake fetch that records requests and answers with the given responder. */
+function createFakeFetch(respond) {
+  const requests = [];
+  const fakeFetch = async (url, init = {}) => {
+    requests.push({ url, method: init.method, body: init.body ? JSON.parse(init.body) : null });
+    return respond(url, init);
+  };
+  return { fakeFetch, requests };
+}
+
+describe("ServerBankSync", () => {
+  test("connect returns the server banks and marks the sync available", async () => {
+    const banks = { version: 1, banks: [] };
+    const { fakeFetch } = createFakeFetch(() => jsonResponse(banks));
+    const sync = createServerBankSync({ fetch: fakeFetch });
+
+    expect(sync.isAvailable()).toBe(false);
+    expect(await sync.connect()).toEqual(banks);
+    expect(sync.isAvailable()).toBe(true);
+  });
+
+  test("static hosting falling back to index.html is not a bank server", async () => {
+    const { fakeFetch } = createFakeFetch(
+      () => new Response("<!DOCTYPE html>", { headers: { "Content-Type": "text/html" } }),
+    );
+    const sync = createServerBankSync({ fetch: fakeFetch });
+
+    expect(await sync.connect()).toBe(null);
+    expect(sync.isAvailable()).toBe(false);
+  });
+
+  test("network errors are not a bank server either", async () => {
+    const sync = createServerBankSync({
+      fetch: async () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    expect(await sync.connect()).toBe(null);
+  });
+
+  test("writes are skipped when the server is unavailable", async () => {
+    const { fakeFetch, requests } = createFakeFetch(() => new Response("nope", { status: 404 }));
+    const sync = createServerBankSync({ fetch: fakeFetch });
+    await sync.connect();
+
+    expect(await sync.pushAll({ version: 1, banks: [] })).toBe(false);
+    expect(requests.length).toBe(1);
+  });
+
+  test("pushAll and putSlot send the bank format to the API", async () => {
+    const { fakeFetch, requests } = createFakeFetch((_url, init) =>
+      jsonResponse(init.body ? JSON.parse(init.body) : { version: 1, banks: [] }),
+    );
+    const sync = createServerBankSync({ fetch: fakeFetch });
+    await sync.connect();
+
+    expect(await sync.pushAll({ version: 1, banks: [] })).toBe(true);
+    expect(await sync.putSlot(1, 5, { code: "b3NjKCk=" })).toBe(true);
+
+    expect(requests.slice(1)).toEqual([
+      { url: "/api/banks", method: "PUT", body: { version: 1, banks: [] } },
+      { url: "/api/banks/1/slots/5", method: "PUT", body: { code: "b3NjKCk=" } },
+    ]);
+  });
+
+  test("failed writes report false instead of throwing", async () => {
+    let calls = 0;
+    const sync = createServerBankSync({
+      fetch: async () =>
+        calls++ === 0 ? jsonResponse({ version: 1, banks: [] }) : jsonResponse({}, 500),
+    });
+    await sync.connect();
+    expect(await sync.putSlot(0, 0, { code: "b3NjKCk=" })).toBe(false);
+  });
+});
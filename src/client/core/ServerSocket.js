@@ -0,0 +1,100 @@
+/**
+ * ServerSocket - the browser end of the server's WebSocket hub (/ws).
+ *
+ * Messages are JSON objects with a `type` (e.g. "sketch:changed") and are
+ * delivered through an event bus, so a throwing handler can't break the others.
+ * The connection reconnects with backoff after the server restarts; while it's
+ * down `send` simply reports false. Connection changes are emitted as
+ * "socket:open" / "socket:close".
+ */
+
+import { createEventBus } from "./EventBus.js";
+
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+function defaultUrl() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.host}/ws`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.url] - Defaults to /ws on the page's host.
+ * @param {typeof WebSocket} [options.WebSocket] - Injectable for tests.
+ */
+export function createServerSocket(options = {}) {
+  const url = options.url || defaultUrl();
+  const WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+  const bus = createEventBus();
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let retryDelay = RECONNECT_MIN_MS;
+  let retryTimer = null;
+
+  function scheduleReconnect() {
+    if (closed) return;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  function connect() {
+    if (closed || !WebSocketImpl) return;
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (error) {
+      console.warn("ServerSocket: failed to connect:", error);
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      connected = true;
+      retryDelay = RECONNECT_MIN_MS;
+      bus.emit("socket:open");
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (_error) {
+        return;
+      }
+      if (message && typeof message.type === "string") {
+        bus.emit(message.type, message);
+      }
+    };
+    socket.onclose = () => {
+      const wasConnected = connected;
+      connected = false;
+      socket = null;
+      if (wasConnected) bus.emit("socket:close");
+      scheduleReconnect();
+    };
+  }
+
+  /** Send a message to the server. @returns {boolean} false while disconnected. */
+  function send(message) {
+    if (!connected || !socket) return false;
+    try {
+      socket.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.warn("ServerSocket: send failed:", error);
+      return false;
+    }
+  }
+
+  /** Stop reconnecting and close the connection. */
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    socket?.close();
+  }
+
+  connect();
+
+  return { on: bus.on, send, close, isConnected: () => connected };
+}
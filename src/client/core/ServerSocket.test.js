@@ -0,0 +1,75 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { createServerSocket } from "./ServerSocket.js";
+
+/** Fake WebSocket that records instances and lets tests drive the lifecycle. */
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.onclose?.();
+  }
+}
+
+const sockets = [];
+
+function createSocket() {
+  const socket = createServerSocket({ url: "ws://test/ws", WebSocket: FakeWebSocket });
+  sockets.push(socket);
+  return socket;
+}
+
+afterEach(() => {
+  for (const socket of sockets.splice(0)) socket.close();
+  FakeWebSocket.instances = [];
+});
+
+describe("ServerSocket", () => {
+  test("sends only while connected", () => {
+    const socket = createSocket();
+    const [raw] = FakeWebSocket.instances;
+
+    expect(socket.send({ type: "sketch:saved" })).toBe(false);
+    raw.onopen();
+    expect(socket.isConnected()).toBe(true);
+    expect(socket.send({ type: "sketch:saved", bank: 0 })).toBe(true);
+    expect(raw.sent).toEqual([{ type: "sketch:saved", bank: 0 }]);
+  });
+
+  test("delivers typed messages and ignores anything else", () => {
+    const socket = createSocket();
+    const [raw] = FakeWebSocket.instances;
+    const received = [];
+    socket.on("sketch:changed", (message) => received.push(message));
+
+    raw.onopen();
+    raw.onmessage({ data: "not json" });
+    raw.onmessage({ data: JSON.stringify({ bank: 0 }) });
+    raw.onmessage({ data: JSON.stringify({ type: "sketch:changed", bank: 1 }) });
+
+    expect(received).toEqual([{ type: "sketch:changed", bank: 1 }]);
+  });
+
+  test("reconnects after the connection drops", async () => {
+    const socket = createSocket();
+    const closes = [];
+    socket.on("socket:close", () => closes.push(true));
+
+    FakeWebSocket.instances[0].onopen();
+    FakeWebSocket.instances[0].onclose();
+    expect(socket.isConnected()).toBe(false);
+    expect(closes.length).toBe(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    expect(FakeWebSocket.instances.length).toBe(2);
+  });
+});
@@ -7,28 +7,60 @@ import { createCodeMirrorEditor } from "../utils/CodeMirrorEditor.js";
 import { isMobileOrTablet } from "../utils/DeviceDetection.js";
 import { makeDraggable } from "../utils/Draggable.js";
 import { savePanelPosition } from "../utils/PanelStorage.js";
+import { createSafeRun } from "../utils/SafeRun.js";
+import {
+  collectScenesData,
+  getSlotStorageKey,
+  loadBankGeometry,
+  writeScenesData,
+} from "../utils/SceneBanks.js";
+import {
+  buildSketchBody,
+  buildSketchSource,
+  buildSnippetSource,
+  locateSketchError,
+} from "../utils/SketchSource.js";
 import { createEventBus } from "./core/EventBus.js";
 import { createPluginHost } from "./core/PluginHost.js";
+import { createSceneStorage } from "./core/SceneStorage.js";
+import { createServerBankSync } from "./core/ServerBankSync.js";
+import { createServerSocket } from "./core/ServerSocket.js";
 import { createSafeStorage } from "./core/Storage.js";
 import { notify, notifyError } from "./core/notify.js";
+import { createAssetLibraryPlugin } from "./plugins/AssetLibraryPlugin.js";
 import { createAudioWatchdogPlugin } from "./plugins/AudioWatchdogPlugin.js";
 import { createAutoRunPlugin } from "./plugins/AutoRunPlugin.js";
 import { createBreakoutPlugin } from "./plugins/BreakoutPlugin.js";
 import { createInfoPanelPlugin } from "./plugins/InfoPanelPlugin.js";
 import { createMidiUiPlugin } from "./plugins/MidiUiPlugin.js";
 import { createMobileUiPlugin } from "./plugins/MobileUiPlugin.js";
+import { createNumberScrubPlugin } from "./plugins/NumberScrubPlugin.js";
+import { createOscVarsPlugin } from "./plugins/OscVarsPlugin.js";
+import { createRemoteControlPlugin } from "./plugins/RemoteControlPlugin.js";
+import { createSafeRunPlugin, isSafeRunEnabled } from "./plugins/SafeRunPlugin.js";
+import { createSetlistPlugin } from "./plugins/SetlistPlugin.js";
+import { createShowFilePlugin } from "./plugins/ShowFilePlugin.js";
+import { createSketchFolderPlugin } from "./plugins/SketchFolderPlugin.js";
+import { createSketchSearchPlugin } from "./plugins/SketchSearchPlugin.js";
 import { createSlotAdvancePlugin } from "./plugins/SlotAdvancePlugin.js";
+import { createTransitionPlugin } from "./plugins/TransitionPlugin.js";
 import { createUrlSharePlugin, readSketchFromHash } from "./plugins/UrlSharePlugin.js";
 
 // Shared application services: safe storage (never throws on quota errors or
-// in private mode) and the event bus that panels and plugins communicate through.
-const storage = createSafeStorage({
-  onWriteError: () => {
-    notifyError("Storage is full — changes may not persist. Export your banks and clear space.");
-  },
+// in private mode; scene banks go to IndexedDB once it is opened in init) and
+// the event bus that panels and plugins communicate through.
+const reportStorageFull = () => {
+  notifyError("Storage is full — changes may not persist. Export your banks and clear space.");
+};
+const storage = createSceneStorage({
+  backend: createSafeStorage({ onWriteError: reportStorageFull }),
+  onWriteError: reportStorageFull,
 });
 const events = createEventBus();
 
+// Number of banks and slots per bank, read once: changing it reloads the app
+const bankGeometry = loadBankGeometry(storage);
+
 // Helper function to debounce events
 function debounce(func, wait) {
   let timeout;
@@ -64,7 +96,7 @@ function initEditor() {
   // Initialize tab state with persistent setup code
   const savedSetupCode =
     localStorage.getItem("hydractrl-setup-code") ||
-    "// Setup code runs once before main code\n// Use this for audio settings, global variables, etc.\n// This only persists in your browser and will not be exported to JSON.\n\n";
+    "// Setup code runs once before main code\n// Use this for audio settings, global variables, etc.\n// It is saved in your browser and exported with show files (Alt/⌥+Shift+X).\n\n";
 
   const editorTabs = {
     main: { code: DEFAULT_CODE },
@@ -77,27 +109,27 @@ function initEditor() {
 
   // Add tab switching functionality
   const tabButtons = document.querySelectorAll(".editor-tab");
-  tabButtons.forEach((button) => {
-    button.addEventListener("click", () => {
-      // Save current editor content
-      editorTabs[currentTab].code = editor.getCode();
+  function switchTab(tab) {
+    // Save current editor content
+    editorTabs[currentTab].code = editor.getCode();
 
-      // If leaving setup tab, save to localStorage
-      if (currentTab === "setup") {
-        localStorage.setItem("hydractrl-setup-code", editor.getCode());
-      }
+    // If leaving setup tab, save to localStorage
+    if (currentTab === "setup") {
+      localStorage.setItem("hydractrl-setup-code", editor.getCode());
+    }
 
-      // Switch to new tab
-      currentTab = button.dataset.tab;
+    // Switch to new tab
+    currentTab = tab;
 
-      // Update active tab UI
-      tabButtons.forEach((btn) => btn.classList.remove("active"));
-      button.classList.add("active");
+    // Update active tab UI
+    tabButtons.forEach((btn) => btn.classList.toggle("active", btn.dataset.tab === tab));
 
-      // Load new tab content
-      editor.setCode(editorTabs[currentTab].code);
-      editor.focus();
-    });
+    // Load new tab content
+    editor.setCode(editorTabs[currentTab].code);
+    editor.focus();
+  }
+  tabButtons.forEach((button) => {
+    button.addEventListener("click", () => switchTab(button.dataset.tab));
   });
 
   // Add getter for tab content
@@ -124,6 +156,17 @@ function initEditor() {
     };
   };
 
+  // Show where an error was thrown: switch to its tab and put the cursor on
+  // the line. Without select, only highlight the line, and don't switch tabs
+  // under someone typing (auto-run reports errors while they type).
+  editor.goTo = (tab, line, column, { select = true } = {}) => {
+    if (tab !== currentTab) {
+      if (!editorTabs[tab] || (!select && editor.hasFocus())) return;
+      switchTab(tab);
+    }
+    editor.highlightError(line, column, { select });
+  };
+
   // Add method to set both setup and main code
   editor.setAllCode = (setupCode, mainCode) => {
     editorTabs.setup.code = setupCode || "";
@@ -240,8 +283,9 @@ async function initHydra() {
   }
 }
 
-// Display error message to the user
-function showErrorNotification(errorMessage) {
+// Display error message to the user, with a link to where it was thrown when
+// that's known ({tab, line, column} and a function showing it)
+function showErrorNotification(errorMessage, location = null, goToError = null) {
   // Remove any existing error notifications
   const existingErrors = document.querySelectorAll(".error-notification");
   existingErrors.forEach((el) => el.remove());
@@ -264,6 +308,19 @@ function showErrorNotification(errorMessage) {
   errorNotification.appendChild(errorTitle);
   errorNotification.appendChild(errorMessageEl);
 
+  if (location && goToError) {
+    const goToButton = document.createElement("button");
+    goToButton.type = "button";
+    goToButton.className = "error-location";
+    goToButton.textContent = `Go to error (${location.tab}, line ${location.line}:${location.column})`;
+    goToButton.addEventListener("click", (e) => {
+      // Keep the message around while fixing the code
+      e.stopPropagation();
+      goToError();
+    });
+    errorNotification.appendChild(goToButton);
+  }
+
   // Add to body
   document.body.appendChild(errorNotification);
 
@@ -290,77 +347,82 @@ function showErrorNotification(errorMessage) {
   }, 10000);
 }
 
-// Run hydra code with setup support
-async function runCode(editor, hydra) {
+// Create an async function to execute the code with hydra in scope
+// This allows top-level await support
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Runs sketches and snippets, and restores the last working code when a
+// sketch fails in safe run mode (see utils/SafeRun.js)
+const safeRun = createSafeRun({
+  compile: (code) => new AsyncFunction("hydra", buildSketchBody(code)),
+  // Last look at the outgoing scene (e.g. for transitions)
+  onWillRun: (hydra) => events.emit("code:will-run", { hydra }),
+  onRestored: (hydra, code) => events.emit("code:ran", { hydra, code, restored: true }),
+});
+
+// Run hydra code with setup support. With a snippet (part of a tab, see
+// utils/EvalRange.js), run just that code on top of the running sketch,
+// without hush(). In safe run mode, a sketch that doesn't compile leaves the
+// visuals alone and one that throws is replaced by the last working code.
+async function runCode(editor, hydra, snippet = null) {
+  let source = null;
+
+  // Show where an error was thrown: in the toast, and in the editor
+  const reportError = ({ error, message, restored }) => {
+    const text = restored
+      ? `${message} (safe run: the last working code is still running)`
+      : message;
+    const location = source && locateSketchError(error, source);
+    const tabs = editor._editor;
+    const goToError = (select) =>
+      tabs.goTo(location.tab, location.line, location.column, { select });
+    if (location && tabs?.goTo) {
+      showErrorNotification(text, location, () => goToError(true));
+      goToError(false);
+    } else {
+      showErrorNotification(text);
+    }
+  };
+
   try {
     // Get code from editor - check if it has tab support
-    let setupCode = "";
-    let mainCode;
-
-    if (editor._editor && editor._editor.getAllCode) {
+    if (snippet) {
+      source = buildSnippetSource(snippet.tab, snippet.code, snippet);
+    } else if (editor._editor && editor._editor.getAllCode) {
       // Editor has tab support, get both setup and main code
-      const allCode = editor._editor.getAllCode();
-      setupCode = allCode.setup.trim();
-      mainCode = allCode.main.trim();
+      source = buildSketchSource(editor._editor.getAllCode());
     } else {
       // Fallback for direct editor access
-      mainCode = editor.state ? editor.state.doc.toString() : editor.getCode();
+      source = buildSketchSource({
+        main: editor.state ? editor.state.doc.toString() : editor.getCode(),
+      });
     }
     // Remove any existing error notifications
     const existingErrors = document.querySelectorAll(".error-notification");
     existingErrors.forEach((el) => el.remove());
+    editor._editor?.clearError?.();
 
-    // Clear canvas by resetting default outputs
-    hydra.hush();
-
-    // Create an async function to execute the code with hydra in scope
-    // This allows top-level await support
-    const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
-
-    // Combine setup and main code
-    const codeToExecute = setupCode ? `${setupCode}\n\n${mainCode}` : mainCode;
-
-    const fn = new AsyncFunction(
-      "hydra",
-      `
-      // Set global h variable to hydra for convenience
-      window.h = hydra;
-      // Make hydra functions available in global scope
-      Object.keys(hydra).forEach(key => {
-        if (typeof hydra[key] === 'function' && key !== 'eval') {
-          window[key] = hydra[key].bind(hydra);
-        }
-      });
-      
-      // Execute the user's code
-      try {
-        ${codeToExecute}
-        return { success: true };
-      } catch(e) {
-        console.error('Error in Hydra code:', e);
-        return { 
-          success: false, 
-          error: e,
-          message: e.message || 'Unknown error'
-        };
-      }
-    `,
-    );
-
-    // Execute the function with hydra as parameter
-    const result = await fn(hydra);
-
-    // Check if there was an error
-    if (result && !result.success) {
-      showErrorNotification(result.message);
+    // Setup and main code joined, in a body that returns errors as a result
+    const codeToExecute = source.code;
+    const result = await safeRun.run(hydra, codeToExecute, {
+      snippet: Boolean(snippet),
+      safe: isSafeRunEnabled(storage),
+    });
+    if (!result.success) {
+      reportError(result);
       return false;
     }
 
     console.log("Hydra code executed successfully");
+    if (snippet) {
+      events.emit("code:evaluated", { hydra, code: codeToExecute, mode: snippet.mode });
+    } else {
+      events.emit("code:ran", { hydra, code: codeToExecute });
+    }
     return true;
   } catch (error) {
     console.error("Error running Hydra code:", error);
-    showErrorNotification(error.message || "Failed to execute Hydra code");
+    reportError({ error, message: error.message || "Failed to execute Hydra code" });
     return false;
   }
 }
@@ -428,21 +490,18 @@ function loadCode(editor) {
   }
 }
 
-// Check if any scenes are stored in localStorage and import default bank if none
+// Check if any scenes are stored and import the default bank if none
 async function importDefaultScenesIfEmpty() {
-  // Check if any scenes exist in localStorage
+  // Check if any scenes exist in storage
   let hasSavedScenes = false;
-  const STORAGE_KEY_PREFIX = "hydractrl-slot-";
-  const getStorageKey = (bank, index) => `${STORAGE_KEY_PREFIX}bank-${bank}-slot-${index}`;
 
-  for (let bank = 0; bank < 4; bank++) {
-    for (let slot = 0; slot < 16; slot++) {
-      if (localStorage.getItem(getStorageKey(bank, slot))) {
+  for (let bank = 0; bank < bankGeometry.banks && !hasSavedScenes; bank++) {
+    for (let slot = 0; slot < bankGeometry.slots; slot++) {
+      if (storage.get(getSlotStorageKey(bank, slot))) {
         hasSavedScenes = true;
         break;
       }
     }
-    if (hasSavedScenes) break;
   }
 
   // If no scenes found, import the default extension pack
@@ -463,34 +522,9 @@ async function importDefaultScenesIfEmpty() {
         throw new Error("Invalid scenes data format");
       }
 
-      // Import all banks and slots
-      scenesData.banks.forEach((bankData) => {
-        const { bankIndex, slots } = bankData;
-
-        if (bankIndex >= 0 && bankIndex < 4 && Array.isArray(slots)) {
-          slots.forEach((slot) => {
-            if (slot.slotIndex >= 0 && slot.slotIndex < 16 && slot.code) {
-              try {
-                // Decode base64 code and handle non-Latin1 characters
-                const decodedCode = decodeURIComponent(atob(slot.code));
-
-                // Save using the same key format as SlotsPanel; storage.set is
-                // quota-safe so a full store can't abort the whole import
-                const storageKey = getStorageKey(bankIndex, slot.slotIndex);
-                storage.set(storageKey, decodedCode);
-
-                // Save thumbnail if available in the imported data
-                if (slot.thumbnail) {
-                  storage.set(`${storageKey}-thumbnail`, slot.thumbnail);
-                  storage.set(`${storageKey}-thumbnail-timestamp`, Date.now());
-                }
-              } catch (decodeError) {
-                console.error("Error decoding slot data:", decodeError);
-              }
-            }
-          });
-        }
-      });
+      // Import the banks and slots that fit the layout; storage.set is
+      // quota-safe so a full store can't abort the whole import
+      writeScenesData(storage, scenesData, { geometry: bankGeometry });
 
       notify("Default scenes imported successfully!");
 
@@ -504,15 +538,35 @@ async function importDefaultScenesIfEmpty() {
   return hasSavedScenes;
 }
 
+// When served by the hydractrl server, its bank store is the source of truth:
+// its banks replace this browser's, or this browser's banks seed an empty
+// store. Returns the sync client, which is only "available" with a server,
+// and whether the server's store is empty.
+async function connectServerBanks() {
+  const serverSync = createServerBankSync();
+  if (storage.get("hydractrl-server-sync") === "false") {
+    return { serverSync, serverIsEmpty: false };
+  }
+
+  const serverData = await serverSync.connect();
+  if (!serverData) return { serverSync, serverIsEmpty: false };
+
+  if (serverData.banks.length > 0) {
+    writeScenesData(storage, serverData, { clear: true, geometry: bankGeometry });
+    console.log("Loaded scene banks from the hydractrl server");
+  }
+  return { serverSync, serverIsEmpty: serverData.banks.length === 0 };
+}
+
 // Run Hydra code on both main and breakout windows
-async function runCodeOnAllInstances(editor, mainHydra) {
+async function runCodeOnAllInstances(editor, mainHydra, snippet = null) {
   // Run on main Hydra instance
-  const success = await runCode(editor, mainHydra);
+  const success = await runCode(editor, mainHydra, snippet);
 
   // If breakout window is active, run the same code there
   if (window.breakoutHydra && window.breakoutWindow && !window.breakoutWindow.closed) {
     try {
-      await runCode(editor, window.breakoutHydra);
+      await runCode(editor, window.breakoutHydra, snippet);
     } catch (error) {
       console.error("Error running Hydra code in breakout window:", error);
     }
@@ -526,6 +580,9 @@ async function init() {
   try {
     const isMobile = isMobileOrTablet();
 
+    // Load the scene banks from IndexedDB (moving them out of localStorage once)
+    await storage.open();
+
     const editor = initEditor(); // No longer async
     const hydra = await initHydra();
 
@@ -576,6 +633,12 @@ async function init() {
       editor.focus(); // Return focus to editor after saving
     });
 
+    // Shift+Enter / Alt+Enter in the editor evaluate the block, line or
+    // selection under the cursor on its own (see utils/EvalRange.js)
+    editor._editor.onEvaluate((range) => {
+      runCodeOnAllInstances(editor, hydra, { ...range, tab: editor._editor.getCurrentTab() });
+    });
+
     // Add keyboard shortcuts
     document.addEventListener("keydown", (e) => {
       // Ctrl+Enter or Cmd+Enter to run code
@@ -623,7 +686,8 @@ async function init() {
       }
 
       if (e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
-        // Hexadecimal keys 0-F (physical keys) to select slots 0-15
+        // Hexadecimal keys 0-F (physical keys) to select slots 0-15, as far as
+        // the bank has slots (other keys are left to the OS)
         let slotIndex = -1;
         const keyCode = e.code; // Use e.code for physical key identification
 
@@ -657,7 +721,7 @@ async function init() {
           window.slotsPanel.importSlots();
         }
 
-        if (slotIndex !== -1 && window.slotsPanel) {
+        if (slotIndex !== -1 && slotIndex < bankGeometry.slots && window.slotsPanel) {
           e.preventDefault(); // Prevent default browser/OS action (e.g., typing special chars on Mac)
           window.slotsPanel.setActiveSlot(slotIndex);
         }
@@ -743,18 +807,38 @@ async function init() {
       });
     }
 
-    // Import default scenes if there are no saved scenes in localStorage
+    // Pull banks from the hydractrl server (executable / dev server) if there is one
+    const { serverSync, serverIsEmpty } = await connectServerBanks();
+
+    // Import default scenes if there are no saved scenes
     await importDefaultScenesIfEmpty();
 
+    // Seed an empty server store with the banks this browser has. A store
+    // with banks already replaced this browser's, so there's nothing to push.
+    if (serverIsEmpty) {
+      const localData = collectScenesData(storage, bankGeometry);
+      if (localData.banks.length > 0) {
+        await serverSync.pushAll(localData);
+      }
+    }
+
+    // Live connection to the server for pushes (e.g. sketch files edited on disk)
+    const serverSocket = serverSync.isAvailable() ? createServerSocket() : null;
+
     // Create the slots panel (always shown, but positioned differently on mobile)
-    const slotsPanel = createSlotsPanel(editor, hydra, runCode, isMobile, {
+    // Slots run on the breakout window too
+    const slotsPanel = createSlotsPanel(editor, hydra, runCodeOnAllInstances, isMobile, {
       // Don't let slot 0 overwrite a sketch that was loaded from the URL
       keepEditorContent: urlSketch !== null,
+      storage,
+      serverSync,
+      events,
+      geometry: bankGeometry,
     });
 
     if (!isMobile) {
       // Initialize MIDI support with the slots panel (desktop only)
-      midiManager = createMidiManager(slotsPanel);
+      midiManager = createMidiManager(slotsPanel, { geometry: bankGeometry });
 
       // Create XY pad panel (desktop only)
       import("./../XYPadPanel.js").then((module) => {
@@ -810,7 +894,11 @@ async function init() {
       storage,
       notify,
       isMobile,
+      // Number of banks and slots per bank: { banks, slots }
+      geometry: { ...bankGeometry },
       midi: { manager: midiManager, supported: midiSupported },
+      // WebSocket to the hydractrl server, null on static hosting
+      socket: serverSocket,
       getPanels: () => ({
         stats: statsPanel,
         slots: slotsPanel,
@@ -823,10 +911,20 @@ async function init() {
     pluginHost.register(createAudioWatchdogPlugin());
     pluginHost.register(createInfoPanelPlugin());
     pluginHost.register(createAutoRunPlugin());
+    pluginHost.register(createSafeRunPlugin());
+    pluginHost.register(createNumberScrubPlugin());
     pluginHost.register(createSlotAdvancePlugin());
     pluginHost.register(createBreakoutPlugin());
     pluginHost.register(createMidiUiPlugin());
     pluginHost.register(createMobileUiPlugin());
+    pluginHost.register(createSketchFolderPlugin());
+    pluginHost.register(createRemoteControlPlugin());
+    pluginHost.register(createOscVarsPlugin());
+    pluginHost.register(createAssetLibraryPlugin());
+    pluginHost.register(createShowFilePlugin());
+    pluginHost.register(createTransitionPlugin());
+    pluginHost.register(createSetlistPlugin());
+    pluginHost.register(createSketchSearchPlugin());
     pluginHost.init();
 
     // Public extension point: external code (console, userscripts, future
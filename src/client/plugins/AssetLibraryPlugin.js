@@ -0,0 +1,383 @@
+/**
+ * AssetLibraryPlugin - browse the server's images and videos and use them as s0–s3.
+ *
+ * Alt/⌥+L opens a panel listing GET /api/assets. Each asset can be assigned to
+ * a hydra source in two ways:
+ *   - Insert: adds (or replaces) the `s0.initImage("/path")` line at the top
+ *     of the sketch and runs it, so the sketch carries its own media.
+ *   - Bind to slot: remembers the asset for the active bank/slot and loads it
+ *     into the source after every run of that slot (on every hydra instance,
+ *     incl. the breakout window), without touching the code. Bindings
+ *     follow their slot when it's dragged elsewhere (moved, swapped or
+ *     duplicated).
+ *
+ * Does nothing on static hosting, where there is no server to list files.
+ */
+
+import { makeDraggable } from "../../utils/Draggable.js";
+
+export const HYDRA_SOURCES = ["s0", "s1", "s2", "s3"];
+
+const BINDINGS_KEY = "hydractrl-source-bindings";
+
+const INIT_METHODS = { image: "initImage", video: "initVideo" };
+
+// Every row has a live preview element; keep the DOM light on big libraries
+const MAX_ROWS = 200;
+
+/** Pure helper: the hydra call loading an asset into a source. */
+export function buildSourceInit(source, asset) {
+  return `${source}.${INIT_METHODS[asset.type]}(${JSON.stringify(asset.url)})`;
+}
+
+/** Pure helper: does the code initialize this source itself? */
+export function codeInitsSource(code, source) {
+  return new RegExp(`\\b${source}\\.init[A-Z]\\w*\\(`).test(code);
+}
+
+/**
+ * Pure helper: put the init call for `source` into the code. An existing
+ * one-line `sN.init...(...)` for the same source is replaced in place,
+ * otherwise the call is added as the first line.
+ */
+export function insertSourceInit(code, source, asset) {
+  const line = buildSourceInit(source, asset);
+  const existing = new RegExp(
+    `^[ \\t]*(await[ \\t]+)?${source}\\.init[A-Z]\\w*\\(.*\\);?[ \\t]*$`,
+    "m",
+  );
+  if (existing.test(code)) {
+    return code.replace(existing, (match) => match.replace(/\S.*$/, line));
+  }
+  return `${line}\n${code}`;
+}
+
+/** Pure helper: storage key of a slot's source bindings. */
+export function slotBindingKey(bank, slot) {
+  return `${bank}:${slot}`;
+}
+
+/**
+ * Pure helper: the bindings after a slot was dragged onto another (see
+ * `slots:moved`): a move or swap exchanges the two slots' bindings, a copy
+ * gives the target the source slot's bindings.
+ * @returns {Object} New bindings; the given ones are left as they are.
+ */
+export function moveSlotBindings(bindings, { from, to, copy = false }) {
+  const fromKey = slotBindingKey(from.bank, from.slot);
+  const toKey = slotBindingKey(to.bank, to.slot);
+  const moved = { ...bindings };
+  delete moved[toKey];
+  if (bindings[fromKey]) moved[toKey] = bindings[fromKey];
+  if (!copy) {
+    delete moved[fromKey];
+    if (bindings[toKey]) moved[fromKey] = bindings[toKey];
+  }
+  return moved;
+}
+
+/** Pure helper: "1.2 MB" style sizes. */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+/** Pure helper: filter the listing by type ("all", "image", "video") and a search string. */
+export function filterAssets(assets, { type = "all", query = "" } = {}) {
+  const needle = query.trim().toLowerCase();
+  return assets.filter(
+    (asset) =>
+      (type === "all" || asset.type === type) &&
+      (!needle || asset.path.toLowerCase().includes(needle)),
+  );
+}
+
+export function createAssetLibraryPlugin() {
+  return {
+    id: "asset-library",
+    name: "Asset Library",
+    description: "Browse local images/videos and assign them to s0–s3 (Alt/⌥+L, server only)",
+
+    setup(ctx) {
+      if (!ctx.socket || ctx.isMobile) return;
+
+      let bindings = ctx.storage.getJSON(BINDINGS_KEY, {}) || {};
+      let assets = [];
+      let panel = null;
+      let mode = "insert";
+
+      function activeSlotKey() {
+        const slots = ctx.getPanels().slots;
+        return slots ? slotBindingKey(slots.getBank(), slots.getActiveSlotIndex()) : null;
+      }
+
+      function activeSlotLabel() {
+        const slots = ctx.getPanels().slots;
+        return slots ? `Bank ${slots.getBank() + 1}, Slot ${slots.getActiveSlotIndex() + 1}` : "";
+      }
+
+      function saveBindings() {
+        ctx.storage.setJSON(BINDINGS_KEY, bindings);
+      }
+
+      // Sources are cleared by hush() on every run, so bound assets are
+      // reloaded after each run — unless the sketch initializes the source itself
+      function applyBindings({ hydra, code }) {
+        const key = activeSlotKey();
+        const bound = key ? bindings[key] : null;
+        if (!bound || !hydra?.synth) return;
+        for (const [source, asset] of Object.entries(bound)) {
+          const target = hydra.synth[source];
+          if (!target || codeInitsSource(code || "", source)) continue;
+          try {
+            target[INIT_METHODS[asset.type]](asset.url);
+          } catch (error) {
+            console.warn(`AssetLibraryPlugin: could not load ${asset.url} into ${source}:`, error);
+          }
+        }
+      }
+
+      async function insertIntoSketch(source, asset) {
+        const editor = ctx.editor._editor;
+        if (editor?.getAllCode) {
+          const { setup, main } = editor.getAllCode();
+          editor.setAllCode(setup, insertSourceInit(main, source, asset));
+        } else {
+          const code = ctx.editor.state.doc.toString();
+          ctx.editor.dispatch({ changes: { insert: insertSourceInit(code, source, asset) } });
+        }
+        await ctx.runCode();
+        ctx.notify(`${source} ← ${asset.path}`, { duration: 1500 });
+      }
+
+      async function bindToSlot(source, asset) {
+        const key = activeSlotKey();
+        if (!key) return;
+        bindings[key] = { ...bindings[key], [source]: { url: asset.url, type: asset.type } };
+        saveBindings();
+        await ctx.runCode();
+        ctx.notify(`${source} bound to ${asset.path} for ${activeSlotLabel()}`, {
+          duration: 2000,
+        });
+        ctx.events.emit("assets:bound", { key, source, url: asset.url });
+        render();
+      }
+
+      function unbind(source) {
+        const key = activeSlotKey();
+        if (!key || !bindings[key]) return;
+        delete bindings[key][source];
+        if (Object.keys(bindings[key]).length === 0) delete bindings[key];
+        saveBindings();
+        ctx.events.emit("assets:bound", { key, source, url: null });
+        render();
+      }
+
+      async function refresh() {
+        try {
+          const response = await fetch("/api/assets");
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const listing = await response.json();
+          assets = listing.assets || [];
+          if (listing.truncated) {
+            ctx.notify(`Showing the first ${assets.length} assets only`, { duration: 2000 });
+          }
+        } catch (error) {
+          console.error("AssetLibraryPlugin: failed to list assets:", error);
+          ctx.notify("Could not load the asset list from the server", { type: "error" });
+          assets = [];
+        }
+        render();
+      }
+
+      function createPanel() {
+        panel = document.createElement("div");
+        panel.className = "asset-library-panel";
+        panel.innerHTML = `
+          <div class="asset-library-header">
+            <span class="asset-library-title">Assets</span>
+            <button class="asset-library-refresh" title="Reload the list">⟳</button>
+            <button class="asset-library-close" title="Close (Esc)">×</button>
+          </div>
+          <div class="asset-library-toolbar">
+            <input class="asset-library-search" type="search" placeholder="Filter…">
+            <select class="asset-library-type">
+              <option value="all">All</option>
+              <option value="image">Images</option>
+              <option value="video">Videos</option>
+            </select>
+            <select class="asset-library-mode" title="What the s0–s3 buttons do">
+              <option value="insert">Insert into sketch</option>
+              <option value="bind">Bind to slot</option>
+            </select>
+          </div>
+          <div class="asset-library-bindings"></div>
+          <div class="asset-library-list"></div>
+        `;
+        document.body.appendChild(panel);
+
+        panel.querySelector(".asset-library-close").addEventListener("click", hide);
+        panel.querySelector(".asset-library-refresh").addEventListener("click", refresh);
+        panel.querySelector(".asset-library-search").addEventListener("input", render);
+        panel.querySelector(".asset-library-type").addEventListener("change", render);
+        panel.querySelector(".asset-library-mode").addEventListener("change", (e) => {
+          mode = e.target.value;
+          render();
+        });
+        // Typing in the filter must not trigger app shortcuts or auto-run
+        panel.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") hide();
+          e.stopPropagation();
+        });
+
+        makeDraggable(panel, panel.querySelector(".asset-library-header"), "asset-library-panel");
+      }
+
+      function renderBindings() {
+        const container = panel.querySelector(".asset-library-bindings");
+        container.innerHTML = "";
+        container.style.display = mode === "bind" ? "" : "none";
+        if (mode !== "bind") return;
+
+        const bound = bindings[activeSlotKey()] || {};
+        const label = document.createElement("div");
+        label.textContent = `${activeSlotLabel()}:${Object.keys(bound).length ? "" : " nothing bound"}`;
+        container.appendChild(label);
+        for (const source of HYDRA_SOURCES) {
+          if (!bound[source]) continue;
+          const chip = document.createElement("button");
+          chip.className = "asset-library-chip";
+          chip.textContent = `${source}: ${decodeURI(bound[source].url)} ×`;
+          chip.title = `Unbind ${source}`;
+          chip.addEventListener("click", () => unbind(source));
+          container.appendChild(chip);
+        }
+      }
+
+      function createRow(asset, bound) {
+        const row = document.createElement("div");
+        row.className = "asset-library-item";
+
+        const preview = document.createElement(asset.type === "video" ? "video" : "img");
+        preview.className = "asset-library-preview";
+        if (asset.type === "video") {
+          preview.muted = true;
+          preview.preload = "metadata";
+          // Play on hover only: dozens of looping videos would eat the GPU
+          row.addEventListener("mouseenter", () => preview.play().catch(() => {}));
+          row.addEventListener("mouseleave", () => preview.pause());
+        } else {
+          preview.loading = "lazy";
+          preview.alt = "";
+        }
+        preview.src = asset.url;
+
+        const info = document.createElement("div");
+        info.className = "asset-library-info";
+        info.textContent = asset.path;
+        info.title = asset.path;
+        const meta = document.createElement("small");
+        meta.textContent = `${asset.type} · ${formatFileSize(asset.size)}`;
+        info.appendChild(meta);
+
+        const buttons = document.createElement("div");
+        buttons.className = "asset-library-sources";
+        for (const source of HYDRA_SOURCES) {
+          const button = document.createElement("button");
+          button.textContent = source;
+          button.title =
+            mode === "bind"
+              ? `Load into ${source} whenever ${activeSlotLabel()} runs`
+              : `Insert ${buildSourceInit(source, asset)}`;
+          if (bound[source]?.url === asset.url) button.classList.add("active");
+          button.addEventListener("click", () => {
+            const action = mode === "bind" ? bindToSlot : insertIntoSketch;
+            action(source, asset).catch((error) => {
+              console.error("AssetLibraryPlugin: failed to assign asset:", error);
+            });
+          });
+          buttons.appendChild(button);
+        }
+
+        row.append(preview, info, buttons);
+        return row;
+      }
+
+      function render() {
+        if (!panel) return;
+        renderBindings();
+        const list = panel.querySelector(".asset-library-list");
+        const visible = filterAssets(assets, {
+          type: panel.querySelector(".asset-library-type").value,
+          query: panel.querySelector(".asset-library-search").value,
+        });
+        list.innerHTML = "";
+        if (visible.length === 0) {
+          list.textContent = assets.length
+            ? "No matching assets."
+            : "No images or videos found. Put them in local-assets/ or pass --assets-dir.";
+          return;
+        }
+        const bound = mode === "bind" ? bindings[activeSlotKey()] || {} : {};
+        for (const asset of visible.slice(0, MAX_ROWS)) list.appendChild(createRow(asset, bound));
+        if (visible.length > MAX_ROWS) {
+          const more = document.createElement("div");
+          more.textContent = `${visible.length - MAX_ROWS} more — use the filter to narrow down.`;
+          list.appendChild(more);
+        }
+      }
+
+      function show() {
+        if (!panel) createPanel();
+        panel.style.display = "flex";
+        refresh();
+      }
+
+      function hide() {
+        if (panel) panel.style.display = "none";
+      }
+
+      function toggle() {
+        if (panel && panel.style.display !== "none") hide();
+        else show();
+      }
+
+      const onKeyDown = (e) => {
+        // Alt/⌥+L toggles the library (physical key, like the slot shortcuts)
+        if (e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey && e.code === "KeyL") {
+          e.preventDefault();
+          toggle();
+        }
+      };
+      document.addEventListener("keydown", onKeyDown);
+
+      const offRan = ctx.events.on("code:ran", applyBindings);
+      const offSelected = ctx.events.on("slots:selected", render);
+      const offMoved = ctx.events.on("slots:moved", (move) => {
+        bindings = moveSlotBindings(bindings, move);
+        saveBindings();
+        render();
+      });
+
+      return {
+        api: { show, hide, toggle, refresh, getBindings: () => bindings },
+        dispose() {
+          document.removeEventListener("keydown", onKeyDown);
+          offRan();
+          offSelected();
+          offMoved();
+          if (panel) panel.remove();
+          panel = null;
+          bindings = {};
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, test } from "bun:test";
+import {
+  buildSourceInit,
+  codeInitsSource,
+  filterAssets,
+  formatFileSize,
+  insertSourceInit,
+  moveSlotBindings,
+  slotBindingKey,
+} from "./AssetLibraryPlugin.js";
+
+const image = { path: "stills/sky.jpg", url: "/stills/sky.jpg", type: "image", size: 2048 };
+const video = { path: "clips/my loop.mp4", url: "/clips/my%20loop.mp4", type: "video", size: 5e6 };
+
+describe("buildSourceInit", () => {
+  test("uses initImage or initVideo with the asset URL", () => {
+    expect(buildSourceInit("s0", image)).toBe('s0.initImage("/stills/sky.jpg")');
+    expect(buildSourceInit("s2", video)).toBe('s2.initVideo("/clips/my%20loop.mp4")');
+  });
+});
+
+describe("insertSourceInit", () => {
+  test("prepends the call to the sketch", () => {
+    expect(insertSourceInit("src(s0).out()", "s0", image)).toBe(
+      's0.initImage("/stills/sky.jpg")\nsrc(s0).out()',
+    );
+  });
+
+  test("replaces an existing init of the same source only", () => {
+    const code = 's1.initCam()\n  await s0.initImage("/old.png");\nsrc(s0).out()';
+    expect(insertSourceInit(code, "s0", video)).toBe(
+      's1.initCam()\n  s0.initVideo("/clips/my%20loop.mp4")\nsrc(s0).out()',
+    );
+  });
+});
+
+describe("codeInitsSource", () => {
+  test("detects init calls for one source", () => {
+    expect(codeInitsSource('s1.initVideo("/a.mp4")', "s1")).toBe(true);
+    expect(codeInitsSource("src(s1).out()", "s1")).toBe(false);
+    expect(codeInitsSource("s10.initCam()", "s1")).toBe(false);
+  });
+});
+
+describe("helpers", () => {
+  test("slotBindingKey and formatFileSize", () => {
+    expect(slotBindingKey(1, 3)).toBe("1:3");
+    expect(formatFileSize(512)).toBe("512 B");
+    expect(formatFileSize(2048)).toBe("2.0 KB");
+    expect(formatFileSize(5e6)).toBe("4.8 MB");
+  });
+
+  test("filterAssets by type and search", () => {
+    expect(filterAssets([image, video], { type: "video" })).toEqual([video]);
+    expect(filterAssets([image, video], { query: "SKY" })).toEqual([image]);
+    expect(filterAssets([image, video])).toEqual([image, video]);
+  });
+});
+
+describe("moveSlotBindings", () => {
+  const sky = { s0: image };
+  const loop = { s1: video };
+
+  test("a move or swap exchanges the bindings of both slots", () => {
+    const from = { bank: 0, slot: 1 };
+    const to = { bank: 2, slot: 3 };
+    expect(moveSlotBindings({ "0:1": sky }, { from, to })).toEqual({ "2:3": sky });
+    expect(moveSlotBindings({ "0:1": sky, "2:3": loop }, { from, to, swapped: true })).toEqual({
+      "0:1": loop,
+      "2:3": sky,
+    });
+  });
+
+  test("a copy replaces the target's bindings with the source's", () => {
+    const move = { from: { bank: 0, slot: 1 }, to: { bank: 0, slot: 2 }, copy: true };
+    expect(moveSlotBindings({ "0:1": sky, "0:2": loop }, move)).toEqual({
+      "0:1": sky,
+      "0:2": sky,
+    });
+    expect(moveSlotBindings({ "0:2": loop }, move)).toEqual({});
+  });
+});
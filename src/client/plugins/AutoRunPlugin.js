@@ -7,7 +7,7 @@
  */
 
 const STORAGE_KEY = "hydractrl-auto-run";
-const RUN_DELAY_MS = 250;
+export const RUN_DELAY_MS = 250;
 
 export function createAutoRunPlugin() {
   return {
@@ -50,6 +50,10 @@ export function createAutoRunPlugin() {
           return;
         }
 
+        // Evaluating a block or line (Shift/Alt+Enter) must not be followed
+        // by a full run that hushes it
+        if (e.key === "Enter" && (e.shiftKey || e.altKey)) return;
+
         if (enabled) {
           clearTimeout(runTimer);
           runTimer = setTimeout(() => {
@@ -19,12 +19,28 @@ export const KEYBOARD_SHORTCUTS = [
   { keys: "Esc", action: "Bring back hidden UI" },
   { keys: "Alt/⌥ + U", action: "Copy sketch as shareable URL" },
   { keys: "Ctrl/⌘ + Enter", action: "Run code" },
+  { keys: "Shift + Enter", action: "Evaluate block or selection (no hush)" },
+  { keys: "Alt/⌥ + Enter", action: "Evaluate line or selection (no hush)" },
   { keys: "Ctrl/⌘ + S", action: "Save code" },
   { keys: "Ctrl/⌘ + Y", action: "Toggle Auto Run" },
-  { keys: "Alt/⌥ + 0-9 / A-F", action: "Select slot 1 to 16 (HEX)" },
+  {
+    keys: "Drag / scroll a number",
+    action: "Change it and re-run (Alt/⌥ finer, Shift coarser)",
+  },
+  { keys: "Ctrl/⌘ + K", action: "Search sketches in all banks (fn:kaleid, cat:modulate, #tag)" },
+  { keys: "Alt/⌥ + 0-9 / A-F", action: "Select slot 1 to 16 (HEX, as far as the bank goes)" },
   { keys: "Alt/⌥ + ←/→", action: "Cycle between banks (only when no MIDI connected)" },
+  {
+    keys: "Drag slot / Alt/⌥ + drag",
+    action: "Move or swap slots, or onto a bank dot / duplicate",
+  },
   { keys: "Alt/⌥ + X", action: "Export all slots" },
   { keys: "Alt/⌥ + I", action: "Import slots file" },
+  { keys: "Alt/⌥ + Shift + X", action: "Export show file (banks, setup, MIDI, settings)" },
+  { keys: "Alt/⌥ + Shift + I", action: "Import show file, choosing its parts" },
+  { keys: "Alt/⌥ + L", action: "Asset library: assign images/videos to s0–s3 (server only)" },
+  { keys: "Alt/⌥ + P / N", action: "Setlist: play/pause / next slot" },
+  { keys: "Alt/⌥ + Shift + P", action: "Edit the setlist" },
 ];
 
 export function createInfoPanelPlugin() {
@@ -0,0 +1,35 @@
+/**
+ * NumberScrubPlugin - re-run the sketch while numbers are scrubbed in the
+ * editor (dragged or scrolled over, see utils/NumberScrub.js).
+ *
+ * Runs with the same debounce as auto-run, whether or not auto-run is on:
+ * the point of scrubbing is to see the change while dragging.
+ */
+
+import { RUN_DELAY_MS } from "./AutoRunPlugin.js";
+
+export function createNumberScrubPlugin() {
+  return {
+    id: "number-scrub",
+    name: "Number Scrubbing",
+    description: "Drag or scroll over a number in the editor to change it and re-run the sketch",
+
+    setup(ctx) {
+      const editor = ctx.editor._editor;
+      if (!editor?.onNumberScrub) return null;
+      let runTimer = null;
+
+      const offScrub = editor.onNumberScrub(() => {
+        clearTimeout(runTimer);
+        runTimer = setTimeout(() => {
+          ctx.runCode();
+        }, RUN_DELAY_MS);
+      });
+
+      return () => {
+        clearTimeout(runTimer);
+        offScrub();
+      };
+    },
+  };
+}
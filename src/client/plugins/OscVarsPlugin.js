@@ -0,0 +1,52 @@
+/**
+ * OscVarsPlugin - globals for sketches, set over OSC (/hydractrl/var/<name>).
+ *
+ * The server forwards "osc:var" messages; the value is stored on window so
+ * sketches read it like window.nanoX, e.g. `osc(() => window.speed * 10)`.
+ * Only names that aren't already taken by something else can be set, so an
+ * OSC message can never clobber `osc`, `hush` or other hydra/app globals.
+ *
+ * Slot, bank and XY pad OSC messages arrive as remote:* messages and are
+ * handled by the RemoteControlPlugin.
+ */
+
+const NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Pure helper: may an OSC variable write `name` on `target`?
+ * @param {Set<string>} owned - Names previously set over OSC.
+ */
+export function canSetOscVar(target, name, owned) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) return false;
+  return owned.has(name) || !(name in target);
+}
+
+export function createOscVarsPlugin() {
+  return {
+    id: "osc-vars",
+    name: "OSC Variables",
+    description: "Sets window.<name> from /hydractrl/var/<name> OSC messages",
+
+    setup(ctx) {
+      if (!ctx.socket) return;
+      const owned = new Set();
+
+      const off = ctx.socket.on("osc:var", ({ name, value }) => {
+        if (!canSetOscVar(window, name, owned)) {
+          console.warn(`OscVarsPlugin: refusing to overwrite window.${name}`);
+          return;
+        }
+        owned.add(name);
+        window[name] = value;
+        ctx.events.emit("osc:var", { name, value });
+      });
+
+      return {
+        api: { getNames: () => [...owned] },
+        dispose() {
+          off();
+        },
+      };
+    },
+  };
+}
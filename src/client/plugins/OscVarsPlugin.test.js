@@ -0,0 +1,23 @@
+import { describe, expect, test } from "bun:test";
+import { canSetOscVar } from "./OscVarsPlugin.js";
+
+describe("canSetOscVar", () => {
+  test("allows new names and names set over OSC before", () => {
+    const target = { speed: 0.5 };
+    expect(canSetOscVar(target, "intensity", new Set())).toBe(true);
+    expect(canSetOscVar(target, "speed", new Set(["speed"]))).toBe(true);
+  });
+
+  test("never overwrites existing globals", () => {
+    const target = { osc: () => {}, nanoX: 0 };
+    expect(canSetOscVar(target, "osc", new Set())).toBe(false);
+    expect(canSetOscVar(target, "nanoX", new Set())).toBe(false);
+    expect(canSetOscVar(target, "toString", new Set())).toBe(false);
+  });
+
+  test("rejects names that aren't identifiers", () => {
+    expect(canSetOscVar({}, "a.b", new Set())).toBe(false);
+    expect(canSetOscVar({}, "1st", new Set())).toBe(false);
+    expect(canSetOscVar({}, undefined, new Set())).toBe(false);
+  });
+});
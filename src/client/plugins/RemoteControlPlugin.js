@@ -0,0 +1,130 @@
+/**
+ * RemoteControlPlugin - let a phone or tablet on the LAN drive this browser.
+ *
+ * The controller page (/remote, see src/client/remote.js) sends slot, bank
+ * and XY pad messages through the server's socket hub. They are applied with
+ * the same effect as the MIDI path in MidiManager.onMIDIMessage: pads select
+ * slots, scene buttons switch banks (keeping the MIDI scene in sync), and the
+ * XY pad sets window.nanoX/nanoY and moves the XY pad panel, including the
+ * physics "throw" on release. The current bank/slot and the bank/slot layout
+ * are reported back so controllers can show them.
+ *
+ * Does nothing on static hosting, where there is no server socket.
+ */
+
+import { DEFAULT_BANK_GEOMETRY, getSlotStorageKey } from "../../utils/SceneBanks.js";
+
+const MESSAGE_TYPES = ["remote:hello", "remote:slot", "remote:bank", "remote:xy", "remote:release"];
+
+function isIndex(value, count) {
+  return Number.isInteger(value) && value >= 0 && value < count;
+}
+
+function clampUnit(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Pure helper: validate a controller message into a command.
+ * @param {{banks: number, slots: number}} [geometry] - Valid bank and slot range.
+ * @returns {{action: "hello"|"slot"|"bank"|"xy"|"release", ...}|null}
+ */
+export function parseRemoteMessage(message, geometry = DEFAULT_BANK_GEOMETRY) {
+  switch (message?.type) {
+    case "remote:hello":
+      return { action: "hello" };
+    case "remote:slot":
+      return isIndex(message.slot, geometry.slots) ? { action: "slot", slot: message.slot } : null;
+    case "remote:bank":
+      return isIndex(message.bank, geometry.banks) ? { action: "bank", bank: message.bank } : null;
+    case "remote:xy":
+      if (!Number.isFinite(message.x) || !Number.isFinite(message.y)) return null;
+      return { action: "xy", x: clampUnit(message.x), y: clampUnit(message.y) };
+    case "remote:release":
+      return { action: "release" };
+    default:
+      return null;
+  }
+}
+
+export function createRemoteControlPlugin() {
+  return {
+    id: "remote-control",
+    name: "Remote Control",
+    description: "Lets a phone or tablet on the LAN trigger slots, banks and the XY pad",
+
+    setup(ctx) {
+      if (!ctx.socket) return;
+
+      function sendState() {
+        const slots = ctx.getPanels().slots;
+        if (!slots) return;
+        const bank = slots.getBank();
+        const filled = [];
+        for (let slot = 0; slot < ctx.geometry.slots; slot++) {
+          if (ctx.storage.get(getSlotStorageKey(bank, slot))) filled.push(slot);
+        }
+        ctx.socket.send({
+          type: "remote:state",
+          bank,
+          slot: slots.getActiveSlotIndex(),
+          filled,
+          geometry: ctx.geometry,
+        });
+      }
+
+      function apply(command) {
+        const slots = ctx.getPanels().slots;
+        const xyPad = ctx.getPanels().xyPad;
+
+        switch (command.action) {
+          case "hello":
+            sendState();
+            break;
+          case "slot":
+            slots?.setActiveSlot(command.slot);
+            break;
+          case "bank":
+            // Go through the MIDI manager when there is one, so a nanoPAD2
+            // pressed afterwards maps its pads for the same scene
+            if (!ctx.midi.manager?.setScene(command.bank)) {
+              slots?.switchBank(command.bank);
+            }
+            slots?.flashActiveBankDot?.(command.bank);
+            break;
+          case "xy":
+            window.nanoX = command.x;
+            window.nanoY = command.y;
+            if (xyPad) {
+              xyPad.updateFromMIDIX(command.x);
+              xyPad.updateFromMIDIY(command.y);
+              if (typeof xyPad.updateFromMIDI === "function") {
+                xyPad.updateFromMIDI(command.x, command.y);
+              }
+            }
+            break;
+          case "release":
+            xyPad?.handlePadRelease();
+            break;
+        }
+        ctx.events.emit("remote:command", command);
+      }
+
+      const unsubscribers = MESSAGE_TYPES.map((type) =>
+        ctx.socket.on(type, (message) => {
+          const command = parseRemoteMessage(message, ctx.geometry);
+          if (command) apply(command);
+        }),
+      );
+      // Keep controllers up to date with changes made here (keys, MIDI, saves)
+      unsubscribers.push(ctx.events.on("slots:selected", sendState));
+      unsubscribers.push(ctx.events.on("slots:saved", sendState));
+
+      return {
+        dispose() {
+          for (const unsubscribe of unsubscribers) unsubscribe();
+        },
+      };
+    },
+  };
+}
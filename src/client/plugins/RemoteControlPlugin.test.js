@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { createEventBus } from "../core/EventBus.js";
+import { createRemoteControlPlugin, parseRemoteMessage } from "./RemoteControlPlugin.js";
+
+describe("parseRemoteMessage", () => {
+  test("maps controller messages to commands", () => {
+    expect(parseRemoteMessage({ type: "remote:slot", slot: 15 })).toEqual({
+      action: "slot",
+      slot: 15,
+    });
+    expect(parseRemoteMessage({ type: "remote:bank", bank: 3 })).toEqual({
+      action: "bank",
+      bank: 3,
+    });
+    expect(parseRemoteMessage({ type: "remote:release" })).toEqual({ action: "release" });
+    expect(parseRemoteMessage({ type: "remote:hello" })).toEqual({ action: "hello" });
+  });
+
+  test("clamps XY values to 0-1", () => {
+    expect(parseRemoteMessage({ type: "remote:xy", x: -0.5, y: 1.5 })).toEqual({
+      action: "xy",
+      x: 0,
+      y: 1,
+    });
+  });
+
+  test("rejects out-of-range and malformed messages", () => {
+    expect(parseRemoteMessage({ type: "remote:slot", slot: 16 })).toBe(null);
+    expect(parseRemoteMessage({ type: "remote:bank", bank: "1" })).toBe(null);
+    expect(parseRemoteMessage({ type: "remote:xy", x: Number.NaN, y: 0 })).toBe(null);
+    expect(parseRemoteMessage({ type: "sketch:saved" })).toBe(null);
+    expect(parseRemoteMessage(null)).toBe(null);
+  });
+
+  test("follows the bank/slot layout", () => {
+    const geometry = { banks: 8, slots: 8 };
+    expect(parseRemoteMessage({ type: "remote:bank", bank: 7 }, geometry)).toEqual({
+      action: "bank",
+      bank: 7,
+    });
+    expect(parseRemoteMessage({ type: "remote:slot", slot: 8 }, geometry)).toBe(null);
+  });
+});
+
+/** Fake socket that lets tests deliver server messages and records sends. */
+function createFakeSocket() {
+  const bus = createEventBus();
+  const sent = [];
+  return {
+    on: bus.on,
+    send: (message) => sent.push(message),
+    deliver: (message) => bus.emit(message.type, message),
+    sent,
+  };
+}
+
+function setupPlugin({ midiManager } = {}) {
+  const calls = [];
+  let bank = 0;
+  let activeSlot = 0;
+  const slots = {
+    getBank: () => bank,
+    getActiveSlotIndex: () => activeSlot,
+    setActiveSlot: (slot) => {
+      activeSlot = slot;
+      calls.push(["setActiveSlot", slot]);
+    },
+    switchBank: (index) => {
+      bank = index;
+      calls.push(["switchBank", index]);
+    },
+  };
+  const xyPad = {
+    updateFromMIDIX: (x) => calls.push(["updateFromMIDIX", x]),
+    updateFromMIDIY: (y) => calls.push(["updateFromMIDIY", y]),
+    handlePadRelease: () => calls.push(["handlePadRelease"]),
+  };
+  const socket = createFakeSocket();
+  const events = createEventBus();
+  const stored = { "hydractrl-slot-bank-0-slot-2": "osc().out()" };
+  createRemoteControlPlugin().setup({
+    socket,
+    events,
+    storage: { get: (key) => stored[key] ?? null },
+    geometry: { banks: 4, slots: 16 },
+    midi: { manager: midiManager },
+    getPanels: () => ({ slots, xyPad }),
+  });
+  return { socket, events, calls };
+}
+
+describe("RemoteControlPlugin", () => {
+  // The XY pad values are globals for sketches (window.nanoX / window.nanoY)
+  beforeEach(() => {
+    globalThis.window = {};
+  });
+  afterEach(() => {
+    globalThis.window = undefined;
+  });
+
+  test("applies slot, bank and XY commands like the MIDI path", () => {
+    const { socket, calls } = setupPlugin();
+
+    socket.deliver({ type: "remote:slot", slot: 4 });
+    socket.deliver({ type: "remote:bank", bank: 2 });
+    socket.deliver({ type: "remote:xy", x: 0.25, y: 0.75 });
+    socket.deliver({ type: "remote:release" });
+
+    expect(calls).toEqual([
+      ["setActiveSlot", 4],
+      ["switchBank", 2],
+      ["updateFromMIDIX", 0.25],
+      ["updateFromMIDIY", 0.75],
+      ["handlePadRelease"],
+    ]);
+    expect(window.nanoX).toBe(0.25);
+    expect(window.nanoY).toBe(0.75);
+  });
+
+  test("switches banks through the MIDI manager when there is one", () => {
+    const scenes = [];
+    const { socket, calls } = setupPlugin({
+      midiManager: { setScene: (index) => scenes.push(index) > 0 },
+    });
+    socket.deliver({ type: "remote:bank", bank: 1 });
+    expect(scenes).toEqual([1]);
+    expect(calls).toEqual([]);
+  });
+
+  test("answers hello and slot changes with the current state", () => {
+    const { socket, events } = setupPlugin();
+    socket.deliver({ type: "remote:hello" });
+    events.emit("slots:selected", { bank: 0, slot: 0 });
+
+    const state = {
+      type: "remote:state",
+      bank: 0,
+      slot: 0,
+      filled: [2],
+      geometry: { banks: 4, slots: 16 },
+    };
+    expect(socket.sent).toEqual([state, state]);
+  });
+});
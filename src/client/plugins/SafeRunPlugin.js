@@ -0,0 +1,38 @@
+/**
+ * SafeRunPlugin - keep the last good visuals when a sketch fails to run.
+ *
+ * Wires the "Safe Run" checkbox in the editor toolbar and persists the
+ * setting (on by default). The run itself lives in utils/SafeRun.js: with
+ * safe run on, a sketch that doesn't compile never clears the outputs, and
+ * one that throws is replaced by the code that last ran on that instance.
+ * The error is still shown and highlighted in the editor either way.
+ */
+
+export const SAFE_RUN_KEY = "hydractrl-safe-run";
+
+/** Whether safe run is on: it is unless turned off. */
+export function isSafeRunEnabled(storage) {
+  return storage.get(SAFE_RUN_KEY) !== "false";
+}
+
+export function createSafeRunPlugin() {
+  return {
+    id: "safe-run",
+    name: "Safe Run",
+    description: "Keeps the last working sketch running when new code fails",
+
+    setup(ctx) {
+      const checkbox = document.getElementById("safe-run-checkbox");
+      if (!checkbox) return null;
+
+      checkbox.checked = isSafeRunEnabled(ctx.storage);
+      const onCheckboxChange = (e) => {
+        ctx.storage.set(SAFE_RUN_KEY, e.target.checked);
+        ctx.events.emit("saferun:changed", { enabled: e.target.checked });
+      };
+      checkbox.addEventListener("change", onCheckboxChange);
+
+      return () => checkbox.removeEventListener("change", onCheckboxChange);
+    },
+  };
+}
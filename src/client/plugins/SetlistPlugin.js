@@ -0,0 +1,504 @@
+/**
+ * SetlistPlugin - keep the visuals going unattended.
+ *
+ * Plays the slots of a setlist (see utils/Setlist.js) one after another, each
+ * for its hold time in seconds or beats: in order, shuffled, or picking at
+ * random from the slots tagged #fav. Alt/⌥+P plays/pauses, Alt/⌥+N skips to
+ * the next slot and Alt/⌥+Shift+P opens the setlist editor; two MIDI CC
+ * buttons do the same. Selecting slots by hand while it plays is fine: the
+ * setlist moves on when the hold time is up. Entries follow sketches that
+ * are moved or swapped to another slot.
+ *
+ * Emits "setlist:played", "setlist:paused", "setlist:stopped" and
+ * "setlist:step" so other plugins can follow along.
+ */
+
+import { formatSlotLabel, getSlotStorageKey, readSlotMeta } from "../../utils/SceneBanks.js";
+import {
+  FAVOURITE_TAG,
+  MAX_SETLIST_ENTRIES,
+  SETLIST_MODES,
+  createSetlistSequence,
+  findFavourites,
+  formatHold,
+  getHoldDuration,
+  loadSetlist,
+  moveSetlistEntries,
+  saveSetlist,
+} from "../../utils/Setlist.js";
+
+const HOLD_UNITS = [
+  { id: "seconds", label: "s" },
+  { id: "beats", label: "beats" },
+];
+
+const sameSlot = (a, b) => a?.bank === b?.bank && a?.slot === b?.slot;
+
+function formatRemaining(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60
+    ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
+    : `${seconds}s`;
+}
+
+export function createSetlistPlugin() {
+  return {
+    id: "setlist",
+    name: "Setlist",
+    description: "Plays a list of slots unattended (Alt/⌥+P play/pause, Alt/⌥+N next)",
+
+    setup(ctx) {
+      let setlist = loadSetlist(ctx.storage, ctx.geometry);
+      let sequence = null;
+      let playing = false;
+      // The entry on screen: how long it holds, and what's left of that
+      let current = null;
+      let remaining = 0;
+      let startedAt = 0;
+      let timer = null;
+      let dialog = null;
+      let statusTimer = null;
+
+      const hasCode = (entry) =>
+        Boolean(ctx.storage.get(getSlotStorageKey(entry.bank, entry.slot)));
+
+      function newSequence(start = 0) {
+        return createSetlistSequence(setlist, {
+          favourites: findFavourites(ctx.storage, ctx.geometry),
+          start,
+        });
+      }
+
+      function schedule(ms) {
+        clearTimeout(timer);
+        remaining = ms;
+        startedAt = Date.now();
+        timer = setTimeout(advance, ms);
+      }
+
+      function show(entry) {
+        const slots = ctx.getPanels().slots;
+        const bankChanged = slots && entry.bank !== slots.getBank();
+        current = { ...entry, duration: getHoldDuration(setlist, entry) };
+        slots?.selectSlot(entry.bank, entry.slot);
+        if (bankChanged) slots.flashActiveBankDot?.(entry.bank);
+        if (playing) schedule(current.duration);
+        else remaining = current.duration;
+        ctx.events.emit("setlist:step", {
+          bank: entry.bank,
+          slot: entry.slot,
+          duration: current.duration,
+        });
+        renderStatus();
+      }
+
+      // Show the next filled slot; empty ones are skipped
+      function advance() {
+        if (!sequence) sequence = newSequence();
+        for (let tries = 0; tries <= MAX_SETLIST_ENTRIES; tries++) {
+          const entry = sequence.next();
+          if (!entry) break;
+          if (hasCode(entry)) {
+            show(entry);
+            return true;
+          }
+        }
+        const started = current !== null;
+        stop(started);
+        if (started) ctx.notify("Setlist finished", { duration: 1500 });
+        return false;
+      }
+
+      function play() {
+        if (playing || !ctx.getPanels().slots) return false;
+        playing = true;
+        const resumed = current !== null;
+        if (resumed) {
+          schedule(remaining);
+        } else if (!advance()) {
+          ctx.notify(
+            setlist.mode === "favourites"
+              ? `No filled slots tagged #${FAVOURITE_TAG}`
+              : "The setlist has no filled slots",
+            { type: "error" },
+          );
+          return false;
+        }
+        ctx.events.emit("setlist:played", { resumed, mode: setlist.mode });
+        renderStatus();
+        return true;
+      }
+
+      function pause() {
+        if (!playing) return false;
+        clearTimeout(timer);
+        remaining = Math.max(remaining - (Date.now() - startedAt), 0);
+        playing = false;
+        ctx.events.emit("setlist:paused", { remaining });
+        renderStatus();
+        return true;
+      }
+
+      function stop(finished = false) {
+        const wasStarted = current !== null || playing;
+        clearTimeout(timer);
+        playing = false;
+        sequence = null;
+        current = null;
+        remaining = 0;
+        if (wasStarted) ctx.events.emit("setlist:stopped", { finished });
+        renderStatus();
+      }
+
+      const toggle = () => (playing ? pause() : play());
+      const next = () => advance();
+
+      function getState() {
+        const left = playing ? remaining - (Date.now() - startedAt) : remaining;
+        return {
+          playing,
+          current: current && { bank: current.bank, slot: current.slot },
+          remaining: current ? Math.max(left, 0) : 0,
+        };
+      }
+
+      // Store a changed setlist; a running one carries on after the slot it's on
+      function update(changes) {
+        setlist = saveSetlist(ctx.storage, { ...setlist, ...changes }, ctx.geometry);
+        if (sequence) {
+          const index = setlist.entries.findIndex((entry) => sameSlot(entry, current));
+          sequence = newSequence(index + 1);
+        }
+        return setlist;
+      }
+
+      // --- Setlist editor -------------------------------------------------
+
+      function renderStatus() {
+        if (!dialog) return;
+        const state = getState();
+        const status = dialog.querySelector(".setlist-status");
+        if (state.current) {
+          const label = formatSlotLabel(
+            state.current.bank,
+            state.current.slot,
+            readSlotMeta(ctx.storage, state.current.bank, state.current.slot),
+          );
+          status.textContent = `${state.playing ? "▶" : "❚❚"} ${label} · ${formatRemaining(state.remaining)}`;
+        } else {
+          status.textContent = "Stopped";
+        }
+        dialog.querySelector(".setlist-play").textContent = state.playing ? "Pause" : "Play";
+        dialog.querySelectorAll(".setlist-entry").forEach((row, index) => {
+          row.classList.toggle("active", sameSlot(setlist.entries[index], state.current));
+        });
+      }
+
+      function createHoldInput(hold, onChange, placeholder) {
+        const wrapper = document.createElement("span");
+        wrapper.className = "setlist-hold";
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "1";
+        input.placeholder = placeholder || "";
+        const unit = document.createElement("select");
+        for (const option of HOLD_UNITS) {
+          const element = document.createElement("option");
+          element.value = option.id;
+          element.textContent = option.label;
+          unit.appendChild(element);
+        }
+        unit.value = hold?.beats !== undefined ? "beats" : "seconds";
+        input.value = hold ? (hold.seconds ?? hold.beats) : "";
+        const change = () =>
+          onChange(input.value === "" ? {} : { [unit.value]: Number(input.value) });
+        input.addEventListener("change", change);
+        unit.addEventListener("change", change);
+        wrapper.append(input, unit);
+        return wrapper;
+      }
+
+      function createCCInput(label, value, onChange) {
+        const wrapper = document.createElement("label");
+        wrapper.textContent = label;
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.max = "127";
+        input.placeholder = "off";
+        input.value = value === null ? "" : String(value);
+        input.addEventListener("change", () =>
+          onChange(input.value === "" ? null : Number(input.value)),
+        );
+        wrapper.appendChild(input);
+        return wrapper;
+      }
+
+      function moveEntry(index, offset) {
+        const entries = [...setlist.entries];
+        const [entry] = entries.splice(index, 1);
+        entries.splice(Math.min(Math.max(index + offset, 0), entries.length), 0, entry);
+        update({ entries });
+        renderEntries();
+      }
+
+      function renderEntries() {
+        const list = dialog.querySelector(".setlist-entries");
+        list.replaceChildren();
+        setlist.entries.forEach((entry, index) => {
+          const row = document.createElement("div");
+          row.className = "setlist-entry";
+          row.classList.toggle("empty", !hasCode(entry));
+
+          const thumbnail = document.createElement("span");
+          thumbnail.className = "setlist-thumbnail";
+          const image = ctx.storage.get(`${getSlotStorageKey(entry.bank, entry.slot)}-thumbnail`);
+          if (image) thumbnail.style.backgroundImage = `url(${image})`;
+
+          const label = document.createElement("span");
+          label.className = "setlist-label";
+          label.textContent = formatSlotLabel(
+            entry.bank,
+            entry.slot,
+            readSlotMeta(ctx.storage, entry.bank, entry.slot),
+          );
+          label.title = hasCode(entry) ? "Double-click to show it now" : "Empty: skipped";
+          label.addEventListener("dblclick", () => {
+            if (!hasCode(entry)) return;
+            sequence = newSequence(index + 1);
+            show(entry);
+          });
+
+          const hold = createHoldInput(
+            entry.seconds !== undefined || entry.beats !== undefined ? entry : null,
+            (value) => {
+              const entries = [...setlist.entries];
+              entries[index] = { bank: entry.bank, slot: entry.slot, ...value };
+              update({ entries });
+            },
+            formatHold(setlist.hold),
+          );
+
+          const buttons = [
+            ["↑", "Earlier", () => moveEntry(index, -1)],
+            ["↓", "Later", () => moveEntry(index, 1)],
+            [
+              "×",
+              "Remove",
+              () => {
+                update({ entries: setlist.entries.filter((_, i) => i !== index) });
+                renderEntries();
+              },
+            ],
+          ].map(([text, title, onClick]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener("click", onClick);
+            return button;
+          });
+
+          row.append(thumbnail, label, hold, ...buttons);
+          list.appendChild(row);
+        });
+        if (setlist.entries.length === 0) {
+          list.textContent = "No slots yet: add the active slot or a whole bank below.";
+        }
+
+        const favourites = findFavourites(ctx.storage, ctx.geometry).length;
+        dialog.querySelector(".setlist-note").textContent =
+          setlist.mode === "favourites"
+            ? `Plays random filled slots tagged #${FAVOURITE_TAG} (${favourites} now) instead of the list.`
+            : "";
+        renderStatus();
+      }
+
+      function addEntries(entries) {
+        const room = MAX_SETLIST_ENTRIES - setlist.entries.length;
+        update({ entries: [...setlist.entries, ...entries.slice(0, room)] });
+        renderEntries();
+      }
+
+      function closeDialog() {
+        clearInterval(statusTimer);
+        dialog?.remove();
+        dialog = null;
+      }
+
+      function showDialog() {
+        closeDialog();
+        dialog = document.createElement("div");
+        dialog.className = "setlist-dialog";
+
+        const header = document.createElement("div");
+        header.className = "setlist-header";
+        const title = document.createElement("span");
+        title.className = "setlist-title";
+        title.textContent = "Setlist";
+        const status = document.createElement("span");
+        status.className = "setlist-status";
+        const closeBtn = document.createElement("button");
+        closeBtn.textContent = "×";
+        closeBtn.title = "Close (Esc)";
+        closeBtn.addEventListener("click", closeDialog);
+        header.append(title, status, closeBtn);
+
+        const options = document.createElement("div");
+        options.className = "setlist-options";
+        const mode = document.createElement("select");
+        for (const option of SETLIST_MODES) {
+          const element = document.createElement("option");
+          element.value = option.id;
+          element.textContent = option.label;
+          mode.appendChild(element);
+        }
+        mode.value = setlist.mode;
+        mode.addEventListener("change", () => {
+          update({ mode: mode.value });
+          renderEntries();
+        });
+        const loopLabel = document.createElement("label");
+        const loop = document.createElement("input");
+        loop.type = "checkbox";
+        loop.checked = setlist.loop;
+        loop.addEventListener("change", () => update({ loop: loop.checked }));
+        loopLabel.append(loop, "Loop");
+        const holdLabel = document.createElement("label");
+        holdLabel.append(
+          "Hold",
+          createHoldInput(setlist.hold, (value) => {
+            if (Object.keys(value).length === 0) return;
+            update({ hold: value });
+            renderEntries();
+          }),
+        );
+        const bpmLabel = document.createElement("label");
+        const bpm = document.createElement("input");
+        bpm.type = "number";
+        bpm.min = "20";
+        bpm.max = "300";
+        bpm.value = String(setlist.bpm);
+        bpm.addEventListener("change", () => {
+          bpm.value = String(update({ bpm: Number(bpm.value) }).bpm);
+        });
+        bpmLabel.append("BPM", bpm);
+        options.append(mode, loopLabel, holdLabel, bpmLabel);
+
+        const list = document.createElement("div");
+        list.className = "setlist-entries";
+        const note = document.createElement("div");
+        note.className = "setlist-note";
+
+        const add = document.createElement("div");
+        add.className = "setlist-add";
+        const addSlotBtn = document.createElement("button");
+        addSlotBtn.textContent = "Add active slot";
+        addSlotBtn.addEventListener("click", () => {
+          const slots = ctx.getPanels().slots;
+          if (slots) addEntries([{ bank: slots.getBank(), slot: slots.getActiveSlotIndex() }]);
+        });
+        const addBankBtn = document.createElement("button");
+        addBankBtn.textContent = "Add this bank";
+        addBankBtn.title = "Add the filled slots of the current bank";
+        addBankBtn.addEventListener("click", () => {
+          const bank = ctx.getPanels().slots?.getBank() ?? 0;
+          const entries = [];
+          for (let slot = 0; slot < ctx.geometry.slots; slot++) {
+            if (hasCode({ bank, slot })) entries.push({ bank, slot });
+          }
+          addEntries(entries);
+        });
+        const midi = document.createElement("span");
+        midi.className = "setlist-midi";
+        midi.append(
+          createCCInput("Play/pause CC", setlist.midi.playPause, (cc) =>
+            update({ midi: { ...setlist.midi, playPause: cc } }),
+          ),
+          createCCInput("Next CC", setlist.midi.next, (cc) =>
+            update({ midi: { ...setlist.midi, next: cc } }),
+          ),
+        );
+        add.append(addSlotBtn, addBankBtn, midi);
+
+        const buttons = document.createElement("div");
+        buttons.className = "setlist-buttons";
+        const stopBtn = document.createElement("button");
+        stopBtn.textContent = "Stop";
+        stopBtn.addEventListener("click", () => stop());
+        const nextBtn = document.createElement("button");
+        nextBtn.textContent = "Next";
+        nextBtn.title = "Alt/⌥+N";
+        nextBtn.addEventListener("click", next);
+        const playBtn = document.createElement("button");
+        playBtn.className = "setlist-play";
+        playBtn.title = "Alt/⌥+P";
+        playBtn.addEventListener("click", toggle);
+        buttons.append(stopBtn, nextBtn, playBtn);
+
+        dialog.append(header, options, list, note, add, buttons);
+        // Keys in the dialog must not trigger app shortcuts or auto-run
+        dialog.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") closeDialog();
+          e.stopPropagation();
+        });
+        document.body.appendChild(dialog);
+        renderEntries();
+        statusTimer = setInterval(renderStatus, 500);
+        playBtn.focus();
+      }
+
+      // --- Keys and MIDI --------------------------------------------------
+
+      const onKeyDown = (e) => {
+        if (!e.altKey || e.ctrlKey || e.metaKey) return;
+        // Physical keys, like the other Alt shortcuts
+        if (e.code === "KeyP") {
+          e.preventDefault();
+          if (e.shiftKey) showDialog();
+          else toggle();
+        } else if (e.code === "KeyN" && !e.shiftKey) {
+          e.preventDefault();
+          next();
+        }
+      };
+      document.addEventListener("keydown", onKeyDown);
+
+      // Buttons send a value on press and 0 on release
+      const offControlChange = ctx.midi?.manager?.onControlChange?.((cc, value) => {
+        if (value === 0) return;
+        if (cc === setlist.midi.playPause) toggle();
+        else if (cc === setlist.midi.next) next();
+      });
+
+      // Entries follow sketches that are dragged to another slot
+      const offMoved = ctx.events.on("slots:moved", (move) => {
+        if (move.copy) return;
+        if (current) [current] = moveSetlistEntries([current], move);
+        update({ entries: moveSetlistEntries(setlist.entries, move) });
+        if (dialog) renderEntries();
+      });
+
+      return {
+        api: {
+          play,
+          pause,
+          toggle,
+          next,
+          stop: () => stop(),
+          getState,
+          getSetlist: () => structuredClone(setlist),
+          setSetlist: (value) => structuredClone(update(value)),
+          showDialog,
+        },
+        dispose() {
+          stop();
+          closeDialog();
+          offControlChange?.();
+          offMoved();
+          document.removeEventListener("keydown", onKeyDown);
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * ShowFilePlugin - export and import the whole set as one show file.
+ *
+ * Alt/⌥+Shift+X downloads a show file (see utils/ShowFile.js): all banks, the
+ * setup tab, the MIDI mapping and the settings. Alt/⌥+Shift+I imports one —
+ * or a plain bank export — and asks which of its parts to apply. The setup
+ * code is applied in place; the MIDI mapping and settings are read at startup,
+ * so the app reloads after applying them.
+ */
+
+import {
+  SHOW_PARTS,
+  applyShowFile,
+  createShowFile,
+  describeShowPart,
+  parseShowFile,
+} from "../../utils/ShowFile.js";
+
+// Parts that only take effect after a reload
+const RELOAD_PARTS = ["midiMapping", "settings"];
+
+export function createShowFilePlugin() {
+  return {
+    id: "show-file",
+    name: "Show File",
+    description:
+      "Export/import banks, setup code, MIDI mapping and settings as one file (Alt/⌥+Shift+X / I)",
+
+    setup(ctx) {
+      let dialog = null;
+
+      function exportShow() {
+        const show = createShowFile(ctx.storage, ctx.geometry);
+        // The setup tab is only stored when leaving it: take the live code
+        const editor = ctx.editor._editor;
+        if (editor?.getAllCode) show.parts.setupCode = editor.getAllCode().setup;
+
+        const blob = new Blob([JSON.stringify(show, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `hydractrl-show-${new Date().toISOString().split("T")[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        ctx.notify("Show exported", { duration: 1500 });
+      }
+
+      async function applyParts(show, partIds) {
+        const slots = ctx.getPanels().slots;
+        const rest = partIds.filter((id) => id !== "banks");
+        if (partIds.includes("banks")) {
+          if (slots?.importScenesData) {
+            await slots.importScenesData(show.parts.banks, { clear: true });
+          } else {
+            rest.unshift("banks");
+          }
+        }
+        applyShowFile(ctx.storage, show, rest);
+
+        if (rest.includes("setupCode")) {
+          const editor = ctx.editor._editor;
+          if (editor?.setAllCode) {
+            editor.setAllCode(show.parts.setupCode, editor.getAllCode().main);
+          }
+        }
+        ctx.events.emit("show:imported", { parts: partIds });
+
+        if (partIds.some((id) => RELOAD_PARTS.includes(id))) {
+          ctx.notify("Show imported — reloading to apply MIDI mapping and settings…");
+          // Scene writes reach IndexedDB asynchronously; don't reload before they land
+          await ctx.storage.flush?.();
+          window.location.reload();
+        } else {
+          ctx.notify("Show imported", { duration: 1500 });
+        }
+      }
+
+      function closeDialog() {
+        dialog?.remove();
+        dialog = null;
+      }
+
+      function showImportDialog(show, fileName) {
+        closeDialog();
+        dialog = document.createElement("div");
+        dialog.className = "show-import-dialog";
+
+        const heading = document.createElement("div");
+        heading.className = "show-import-title";
+        heading.textContent = `Import ${fileName}`;
+        dialog.appendChild(heading);
+
+        const checkboxes = [];
+        for (const part of SHOW_PARTS) {
+          const value = show.parts[part.id];
+          if (value === undefined) continue;
+          const label = document.createElement("label");
+          label.className = "show-import-part";
+          const checkbox = document.createElement("input");
+          checkbox.type = "checkbox";
+          checkbox.checked = true;
+          checkbox.value = part.id;
+          const text = document.createElement("span");
+          text.textContent = part.label;
+          const detail = document.createElement("small");
+          detail.textContent = describeShowPart(part.id, value);
+          label.append(checkbox, text, detail);
+          dialog.appendChild(label);
+          checkboxes.push(checkbox);
+        }
+
+        const note = document.createElement("div");
+        note.className = "show-import-note";
+        note.textContent =
+          "Scene banks replace all current banks. MIDI mapping and settings reload the app.";
+        dialog.appendChild(note);
+
+        const buttons = document.createElement("div");
+        buttons.className = "show-import-buttons";
+        const cancelBtn = document.createElement("button");
+        cancelBtn.textContent = "Cancel";
+        cancelBtn.addEventListener("click", closeDialog);
+        const importBtn = document.createElement("button");
+        importBtn.textContent = "Import";
+        importBtn.addEventListener("click", () => {
+          const partIds = checkboxes.filter((box) => box.checked).map((box) => box.value);
+          closeDialog();
+          if (partIds.length === 0) return;
+          applyParts(show, partIds).catch((error) => {
+            console.error("ShowFilePlugin: import failed:", error);
+            ctx.notify("Could not import the show", { type: "error" });
+          });
+        });
+        buttons.append(cancelBtn, importBtn);
+        dialog.appendChild(buttons);
+
+        dialog.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") closeDialog();
+          e.stopPropagation();
+        });
+        document.body.appendChild(dialog);
+        importBtn.focus();
+      }
+
+      function importShow() {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".json";
+        input.addEventListener("change", async () => {
+          const file = input.files?.[0];
+          if (!file) return;
+          let data = null;
+          try {
+            data = JSON.parse(await file.text());
+          } catch (_error) {
+            ctx.notify(`${file.name} is not a JSON file`, { type: "error" });
+            return;
+          }
+          const { show, error } = parseShowFile(data);
+          if (!show) {
+            ctx.notify(error, { type: "error" });
+            return;
+          }
+          showImportDialog(show, file.name);
+        });
+        input.click();
+      }
+
+      const onKeyDown = (e) => {
+        if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return;
+        // Physical keys, like the other Alt shortcuts (Alt+Shift changes e.key on macOS)
+        if (e.code === "KeyX") {
+          e.preventDefault();
+          exportShow();
+        } else if (e.code === "KeyI") {
+          e.preventDefault();
+          importShow();
+        }
+      };
+      document.addEventListener("keydown", onKeyDown);
+
+      return {
+        api: { exportShow, importShow },
+        dispose() {
+          document.removeEventListener("keydown", onKeyDown);
+          closeDialog();
+        },
+      };
+    },
+  };
+}
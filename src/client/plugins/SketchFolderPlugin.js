@@ -0,0 +1,74 @@
+/**
+ * SketchFolderPlugin - keep slots in sync with the server's sketch folder.
+ *
+ * The hydractrl server mirrors every slot as a .js file
+ * (sketches/bank-1/slot-03.js, ...) so sketches can be edited in an external
+ * editor. When a file changes on disk the server pushes "sketch:changed"; the
+ * slot is updated, and if it's the active slot it's reloaded and re-run.
+ * Saving in the browser (Ctrl/⌘+S) sends "sketch:saved" so the file follows.
+ *
+ * Does nothing on static hosting, where there is no server socket.
+ */
+
+/**
+ * Pure helper: validate a sketch message from the server.
+ * @returns {{bank: number, slot: number, code: string}|null}
+ */
+export function parseSketchMessage(message) {
+  if (!message || typeof message !== "object") return null;
+  const { bank, slot, code } = message;
+  if (!Number.isInteger(bank) || !Number.isInteger(slot) || typeof code !== "string") {
+    return null;
+  }
+  return { bank, slot, code };
+}
+
+export function createSketchFolderPlugin() {
+  return {
+    id: "sketch-folder",
+    name: "Sketch Folder",
+    description: "Syncs slots with .js files in the server's sketches/ folder",
+
+    setup(ctx) {
+      if (!ctx.socket) return;
+
+      async function applyChange(change) {
+        const slots = ctx.getPanels().slots;
+        if (!slots || !slots.updateSlot(change.bank, change.slot, change.code)) return;
+        ctx.events.emit("sketch-folder:changed", { bank: change.bank, slot: change.slot });
+
+        const isActive =
+          change.bank === slots.getBank() && change.slot === slots.getActiveSlotIndex();
+        if (!isActive) return;
+
+        // Reload the edited sketch and run it everywhere (incl. the breakout window)
+        await slots.loadSlot(change.slot, false);
+        if (await ctx.runCode()) {
+          slots.captureThumbnail(change.bank, change.slot);
+        }
+        ctx.notify(`Reloaded Bank ${change.bank + 1}, Slot ${change.slot + 1} from disk`, {
+          duration: 1500,
+        });
+      }
+
+      const offChanged = ctx.socket.on("sketch:changed", (message) => {
+        const change = parseSketchMessage(message);
+        if (!change) return;
+        applyChange(change).catch((error) => {
+          console.error("SketchFolderPlugin: failed to apply sketch change:", error);
+        });
+      });
+
+      const offSaved = ctx.events.on("slots:saved", ({ bank, slot, code }) => {
+        ctx.socket.send({ type: "sketch:saved", bank, slot, code });
+      });
+
+      return {
+        dispose() {
+          offChanged();
+          offSaved();
+        },
+      };
+    },
+  };
+}
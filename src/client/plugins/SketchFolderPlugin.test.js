@@ -0,0 +1,34 @@
+import { describe, expect, test } from "bun:test";
+import { createEventBus } from "../core/EventBus.js";
+import { createSketchFolderPlugin, parseSketchMessage } from "./SketchFolderPlugin.js";
+
+describe("parseSketchMessage", () => {
+  test("accepts integer coordinates and string code", () => {
+    expect(parseSketchMessage({ type: "sketch:changed", bank: 1, slot: 2, code: "osc()" })).toEqual(
+      { bank: 1, slot: 2, code: "osc()" },
+    );
+  });
+
+  test("rejects malformed messages", () => {
+    expect(parseSketchMessage(null)).toBe(null);
+    expect(parseSketchMessage({ bank: "1", slot: 2, code: "osc()" })).toBe(null);
+    expect(parseSketchMessage({ bank: 1, slot: 2.5, code: "osc()" })).toBe(null);
+    expect(parseSketchMessage({ bank: 1, slot: 2 })).toBe(null);
+  });
+});
+
+describe("SketchFolderPlugin", () => {
+  test("sends browser saves to the server", () => {
+    const events = createEventBus();
+    const sent = [];
+    const socket = { on: () => () => {}, send: (message) => sent.push(message) };
+    createSketchFolderPlugin().setup({ events, socket });
+
+    events.emit("slots:saved", { bank: 0, slot: 3, code: "noise().out()" });
+    expect(sent).toEqual([{ type: "sketch:saved", bank: 0, slot: 3, code: "noise().out()" }]);
+  });
+
+  test("is inert without a server socket", () => {
+    expect(createSketchFolderPlugin().setup({ socket: null })).toBe(undefined);
+  });
+});
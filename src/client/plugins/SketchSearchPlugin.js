@@ -0,0 +1,283 @@
+/**
+ * SketchSearchPlugin - a search palette over every sketch (Ctrl/⌘+K).
+ *
+ * Searches the code, titles, tags and bank names of all slots in all banks,
+ * plus the dice's bank files from the manifest, with structured conditions on
+ * the hydra functions used (see utils/SketchSearch.js for the query syntax).
+ * Enter loads the selected sketch — a slot is selected and run, a bank file's
+ * sketch is run from the editor without saving it — and Shift+Enter jumps to a
+ * slot without running it.
+ */
+
+import hydraData from "../../data/hydra-functions.json" assert { type: "json" };
+import { MANIFEST_URL, getBankFileUrl, normalizeManifest } from "../../utils/BankManifest.js";
+import {
+  collectFileSketches,
+  collectSlotSketches,
+  createFunctionIndex,
+  parseSearchQuery,
+  searchSketches,
+} from "../../utils/SketchSearch.js";
+
+const MAX_RESULTS = 50;
+const FILES_KEY = "hydractrl-search-bank-files";
+
+async function fetchFileSketches(index) {
+  const response = await fetch(MANIFEST_URL, { cache: "no-cache" });
+  if (!response.ok) throw new Error(`Could not load the bank manifest, status: ${response.status}`);
+  const manifest = normalizeManifest(await response.json());
+  if (!manifest) throw new Error("Invalid bank manifest");
+  const files = await Promise.all(
+    manifest.banks.map(async (entry) => {
+      const name = entry.file.replace(/\.json$/, "");
+      try {
+        const file = await fetch(getBankFileUrl(entry));
+        return file.ok ? collectFileSketches(await file.json(), name, index) : [];
+      } catch (_error) {
+        return [];
+      }
+    }),
+  );
+  return files.flat();
+}
+
+export function createSketchSearchPlugin() {
+  return {
+    id: "sketch-search",
+    name: "Sketch Search",
+    description: "Search all banks by code, title, tag or hydra functions used (Ctrl/⌘+K)",
+
+    setup(ctx) {
+      const index = createFunctionIndex(hydraData);
+      let palette = null;
+      // Bank files don't change while the app is open: fetched once
+      let fileSketches = null;
+      let fileSketchesPromise = null;
+      let sketches = [];
+      let results = [];
+      let selected = 0;
+
+      function loadFileSketches() {
+        fileSketchesPromise ??= fetchFileSketches(index)
+          .then((found) => {
+            fileSketches = found;
+            return found;
+          })
+          .catch((error) => {
+            console.error("SketchSearchPlugin: bank files unavailable:", error);
+            fileSketches = [];
+            return [];
+          });
+        return fileSketchesPromise;
+      }
+
+      const includeFiles = () => ctx.storage.get(FILES_KEY) !== "false";
+
+      function collect() {
+        sketches = collectSlotSketches(ctx.storage, index, ctx.geometry);
+        if (includeFiles()) sketches = sketches.concat(fileSketches ?? []);
+      }
+
+      function close() {
+        palette?.remove();
+        palette = null;
+        document.removeEventListener("mousedown", onOutside);
+      }
+
+      const onOutside = (e) => {
+        if (palette && !palette.contains(e.target)) close();
+      };
+
+      function open(result, jump = false) {
+        if (!result) return;
+        const { sketch } = result;
+        close();
+        if (sketch.source === "slot") {
+          const slots = ctx.getPanels().slots;
+          if (!slots) return;
+          const bankChanged = sketch.bank !== slots.getBank();
+          slots.selectSlot(sketch.bank, sketch.slot, !jump);
+          if (bankChanged) slots.flashActiveBankDot?.(sketch.bank);
+        } else {
+          ctx.editor.dispatch({ changes: { insert: sketch.code } });
+          ctx.runCode();
+          ctx.notify(`Loaded ${sketch.label} (not saved to your banks)`);
+        }
+      }
+
+      function renderConditions(conditions) {
+        const chips = palette.querySelector(".sketch-search-conditions");
+        chips.replaceChildren();
+        for (const condition of conditions) {
+          if (condition.type !== "function" && condition.type !== "category") continue;
+          const chip = document.createElement("span");
+          chip.className = "sketch-search-chip";
+          chip.classList.toggle("unknown", !condition.known);
+          chip.classList.toggle("negate", condition.negate);
+          if (condition.color) chip.style.borderColor = condition.color;
+          chip.textContent =
+            condition.type === "category"
+              ? `${condition.value} (${condition.functions.length} functions)`
+              : `${condition.value}()`;
+          if (!condition.known) chip.title = `Not a hydra ${condition.type}`;
+          chips.appendChild(chip);
+        }
+      }
+
+      function renderResults() {
+        const list = palette.querySelector(".sketch-search-results");
+        list.replaceChildren();
+        results.slice(0, MAX_RESULTS).forEach((result, i) => {
+          const item = document.createElement("div");
+          item.className = "sketch-search-result";
+          item.classList.toggle("active", i === selected);
+          const thumbnail = document.createElement("span");
+          thumbnail.className = "sketch-search-thumbnail";
+          if (result.sketch.thumbnail) {
+            thumbnail.style.backgroundImage = `url(${result.sketch.thumbnail})`;
+          }
+          const label = document.createElement("span");
+          label.className = "sketch-search-label";
+          label.textContent = result.sketch.label;
+          const snippet = document.createElement("code");
+          snippet.textContent = result.snippet;
+          item.append(thumbnail, label, snippet);
+          if (result.sketch.source === "slot") {
+            const jumpBtn = document.createElement("button");
+            jumpBtn.type = "button";
+            jumpBtn.textContent = "Jump";
+            jumpBtn.title = "Show the slot without running it (Shift+Enter)";
+            jumpBtn.addEventListener("click", (e) => {
+              e.stopPropagation();
+              open(result, true);
+            });
+            item.appendChild(jumpBtn);
+          }
+          item.addEventListener("click", () => open(result));
+          item.addEventListener("mousemove", () => {
+            if (selected === i) return;
+            selected = i;
+            for (const [n, other] of [...list.children].entries()) {
+              other.classList.toggle("active", n === i);
+            }
+          });
+          list.appendChild(item);
+        });
+
+        const status = palette.querySelector(".sketch-search-count");
+        const loading = includeFiles() && fileSketches === null ? " · loading bank files…" : "";
+        status.textContent =
+          results.length > MAX_RESULTS
+            ? `${MAX_RESULTS} of ${results.length} sketches${loading}`
+            : `${results.length} sketch${results.length === 1 ? "" : "es"}${loading}`;
+        list.querySelector(".active")?.scrollIntoView({ block: "nearest" });
+      }
+
+      function update() {
+        const conditions = parseSearchQuery(
+          palette.querySelector(".sketch-search-input").value,
+          index,
+        );
+        results = searchSketches(sketches, conditions);
+        selected = 0;
+        renderConditions(conditions);
+        renderResults();
+      }
+
+      function show() {
+        if (palette) {
+          palette.querySelector(".sketch-search-input").select();
+          return;
+        }
+        palette = document.createElement("div");
+        palette.className = "sketch-search";
+
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "sketch-search-input";
+        input.placeholder = "Search sketches: words, fn:kaleid, cat:modulate, #tag, -word";
+        input.spellcheck = false;
+        input.addEventListener("input", update);
+
+        const conditions = document.createElement("div");
+        conditions.className = "sketch-search-conditions";
+        const list = document.createElement("div");
+        list.className = "sketch-search-results";
+
+        const footer = document.createElement("div");
+        footer.className = "sketch-search-footer";
+        const filesLabel = document.createElement("label");
+        const filesCheckbox = document.createElement("input");
+        filesCheckbox.type = "checkbox";
+        filesCheckbox.checked = includeFiles();
+        filesCheckbox.addEventListener("change", () => {
+          ctx.storage.set(FILES_KEY, filesCheckbox.checked);
+          if (filesCheckbox.checked) loadFileSketches().then(refresh);
+          refresh();
+        });
+        filesLabel.append(filesCheckbox, "Dice bank files");
+        const count = document.createElement("span");
+        count.className = "sketch-search-count";
+        const hint = document.createElement("span");
+        hint.textContent = "↑↓ select · Enter load · Shift+Enter jump";
+        footer.append(filesLabel, count, hint);
+
+        palette.append(input, conditions, list, footer);
+        // Keys in the palette must not trigger app shortcuts or auto-run
+        palette.addEventListener("keydown", (e) => {
+          e.stopPropagation();
+          const shown = Math.min(results.length, MAX_RESULTS);
+          if (e.key === "Escape") {
+            close();
+          } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            if (shown === 0) return;
+            selected = (selected + (e.key === "ArrowDown" ? 1 : shown - 1)) % shown;
+            renderResults();
+          } else if (e.key === "Enter") {
+            e.preventDefault();
+            open(results[selected], e.shiftKey);
+          }
+        });
+
+        document.body.appendChild(palette);
+        document.addEventListener("mousedown", onOutside);
+        input.focus();
+        refresh();
+        if (includeFiles() && fileSketches === null) loadFileSketches().then(refresh);
+      }
+
+      // Collect again (slots change while the palette is closed) and search
+      function refresh() {
+        if (!palette) return;
+        collect();
+        update();
+      }
+
+      const onKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.code === "KeyK") {
+          e.preventDefault();
+          show();
+        }
+      };
+      document.addEventListener("keydown", onKeyDown);
+
+      return {
+        api: {
+          show,
+          close,
+          search: async (query, options = {}) => {
+            if (options.files) await loadFileSketches();
+            const found = collectSlotSketches(ctx.storage, index, ctx.geometry);
+            const all = options.files ? found.concat(fileSketches) : found;
+            return searchSketches(all, parseSearchQuery(query, index));
+          },
+        },
+        dispose() {
+          close();
+          document.removeEventListener("keydown", onKeyDown);
+        },
+      };
+    },
+  };
+}
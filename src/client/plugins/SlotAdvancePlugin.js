@@ -9,9 +9,9 @@
  * core save handlers (save button, Ctrl/⌘+S) call them.
  */
 
+import { BANK_COUNT, SLOT_COUNT } from "../../utils/SceneBanks.js";
+
 const STORAGE_KEY = "hydractrl-move-to-next-slot";
-const BANK_COUNT = 4;
-const SLOT_COUNT = 16;
 
 /**
  * Pure helper: compute the slot that follows (bank, slot).
@@ -84,7 +84,10 @@ export function createSlotAdvancePlugin() {
           info = { bank: slots.getBank(), slot: slots.getActiveSlotIndex() };
         }
 
-        const next = computeNextSlot(info.bank, info.slot);
+        const next = computeNextSlot(info.bank, info.slot, {
+          bankCount: ctx.geometry.banks,
+          slotCount: ctx.geometry.slots,
+        });
         if (!next) {
           console.error("SlotAdvancePlugin: invalid slot info:", info);
           return false;
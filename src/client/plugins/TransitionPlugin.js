@@ -0,0 +1,323 @@
+/**
+ * TransitionPlugin - crossfade, luma wipe or dip to black on slot change.
+ *
+ * Right before a loaded slot's code runs ("code:will-run"), the outgoing
+ * scene's outputs (o0–o3: their compiled passes and framebuffers) are set
+ * aside and hydra's outputs get spare framebuffers, so the incoming scene
+ * renders into those. Until the transition is over, every frame also renders
+ * the outgoing outputs, and hydra's final draw (`renderFbo`) is swapped for
+ * one that blends the two scenes' shown outputs. Every instance gets its own
+ * layer, so the breakout window (which runs the same code) transitions too.
+ *
+ * Both scenes keep moving, but they share one hydra instance: the outgoing
+ * scene's sources (s0–s3) are cleared by the incoming run, and its `update`
+ * function stops. Scenes shown with render() (all four outputs) cut.
+ *
+ * Mode and duration come from the stats panel, a slot's own metadata or a MIDI
+ * CC (see utils/SceneTransition.js).
+ */
+
+import { readSlotMeta } from "../../utils/SceneBanks.js";
+import {
+  durationFromCC,
+  loadTransitionSettings,
+  resolveTransition,
+  saveTransitionSettings,
+  transitionProgress,
+} from "../../utils/SceneTransition.js";
+
+// A slot load arms the transition for the runs it starts, on each instance
+const ARM_TIMEOUT = 2000;
+// The outgoing scene is let go when the incoming code doesn't finish (e.g. errors)
+const HOLD_TIMEOUT = 3000;
+const SHADER_MODES = { crossfade: 0, luma: 1, black: 2 };
+
+// What makes an output render its scene: hydra's Output draws its compiled
+// pass into `fbos`, ping-ponging between them
+function takeOutputState(output) {
+  return { draw: output.draw, fbos: output.fbos, pingPongIndex: output.pingPongIndex };
+}
+
+function putOutputState(output, state) {
+  output.draw = state.draw;
+  output.fbos = state.fbos;
+  output.pingPongIndex = state.pingPongIndex;
+}
+
+function createTransitionLayer(hydra) {
+  const { regl, precision } = hydra;
+  const position = [
+    [-2, 0],
+    [0, -2],
+    [2, 2],
+  ];
+
+  // hydra's renderFbo with the outgoing scene mixed in
+  const blend = regl({
+    frag: `
+    precision ${precision} float;
+    varying vec2 uv;
+    uniform sampler2D tex0;
+    uniform sampler2D outgoingTex;
+    uniform float progress;
+    uniform int mode;
+
+    void main () {
+      vec2 st = vec2(1.0 - uv.x, uv.y);
+      vec4 incoming = texture2D(tex0, st);
+      vec4 outgoing = texture2D(outgoingTex, st);
+      vec4 black = vec4(0.0, 0.0, 0.0, 1.0);
+      if (mode == 1) {
+        // Bright parts of the incoming scene come through first
+        float softness = 0.1;
+        float key = 1.0 - dot(incoming.rgb, vec3(0.299, 0.587, 0.114));
+        float t = progress * (1.0 + 2.0 * softness) - softness;
+        gl_FragColor = mix(outgoing, incoming, smoothstep(key - softness, key + softness, t));
+      } else if (mode == 2) {
+        gl_FragColor = progress < 0.5
+          ? mix(outgoing, black, progress * 2.0)
+          : mix(black, incoming, progress * 2.0 - 1.0);
+      } else {
+        gl_FragColor = mix(outgoing, incoming, progress);
+      }
+    }`,
+    vert: `
+    precision ${precision} float;
+    attribute vec2 position;
+    varying vec2 uv;
+
+    void main () {
+      uv = position;
+      gl_Position = vec4(1.0 - 2.0 * position, 0, 1);
+    }`,
+    attributes: { position },
+    uniforms: {
+      tex0: regl.prop("tex0"),
+      outgoingTex: regl.prop("outgoingTex"),
+      progress: regl.prop("progress"),
+      mode: regl.prop("mode"),
+    },
+    count: 3,
+    depth: { enable: false },
+  });
+
+  // Framebuffers for the incoming scene, two per output like hydra's own.
+  // The outgoing scene's framebuffers take their place once it's let go.
+  let spare = null;
+  function createFbos(width, height) {
+    return [0, 1].map(() =>
+      regl.framebuffer({
+        color: regl.texture({ mag: "nearest", width, height, format: "rgba" }),
+        depthStencil: false,
+      }),
+    );
+  }
+
+  let renderFbo = null;
+  let transition = null;
+  // The outgoing scene: each output's state, and the output it showed
+  let outgoing = null;
+  let startedAt = null;
+  let timer = null;
+
+  // Render the outgoing scene's outputs, with hydra's outputs showing them
+  // meanwhile so passes sampling o0–o3 (feedback, src(o1)) read the outgoing ones
+  function renderOutgoing() {
+    const incoming = hydra.o.map(takeOutputState);
+    hydra.o.forEach((output, i) => putOutputState(output, outgoing.states[i]));
+    try {
+      const { synth, canvas } = hydra;
+      const props = {
+        time: synth.time,
+        mouse: synth.mouse,
+        bpm: synth.bpm,
+        resolution: [canvas.width, canvas.height],
+      };
+      for (const output of hydra.o) output.tick(props);
+      return outgoing.output.getCurrent();
+    } finally {
+      hydra.o.forEach((output, i) => {
+        outgoing.states[i] = takeOutputState(output);
+        putOutputState(output, incoming[i]);
+      });
+    }
+  }
+
+  function release() {
+    clearTimeout(timer);
+    if (renderFbo) hydra.renderFbo = renderFbo;
+    renderFbo = null;
+    transition = null;
+    if (outgoing) {
+      // Its framebuffers are the spares for the next transition
+      spare = outgoing.states.map((state) => state.fbos);
+      outgoing = null;
+    }
+  }
+
+  return {
+    isActive: () => transition !== null,
+
+    /** Set the scene on screen aside and keep showing it until start(). */
+    hold(next) {
+      release();
+      const { width, height } = hydra.output.getCurrent();
+      spare ??= hydra.o.map(() => createFbos(width, height));
+      outgoing = { output: hydra.output, states: hydra.o.map(takeOutputState) };
+      hydra.o.forEach((output, i) => {
+        for (const fbo of spare[i]) fbo.resize(width, height);
+        putOutputState(output, { draw: output.draw, fbos: spare[i], pingPongIndex: 0 });
+      });
+      spare = null;
+
+      transition = next;
+      startedAt = null;
+      renderFbo = hydra.renderFbo;
+      hydra.renderFbo = (props) => {
+        const progress =
+          startedAt === null
+            ? 0
+            : transitionProgress(performance.now() - startedAt, transition.duration);
+        try {
+          const outgoingTex = renderOutgoing();
+          blend({ ...props, outgoingTex, progress, mode: SHADER_MODES[transition.mode] ?? 0 });
+        } catch (error) {
+          console.error("TransitionPlugin: could not render the outgoing scene:", error);
+          renderFbo(props);
+          release();
+          return;
+        }
+        if (progress >= 1) release();
+      };
+      timer = setTimeout(release, HOLD_TIMEOUT);
+    },
+
+    /** Blend from the outgoing to the incoming scene. */
+    start() {
+      if (!transition) return;
+      startedAt = performance.now();
+      // Frames stop coming when the scene calls render(): let go anyway
+      clearTimeout(timer);
+      timer = setTimeout(release, transition.duration * 1000 + 250);
+    },
+
+    release,
+
+    destroy() {
+      release();
+      for (const fbo of spare?.flat() ?? []) fbo.destroy();
+      spare = null;
+    },
+  };
+}
+
+export function createTransitionPlugin() {
+  return {
+    id: "transitions",
+    name: "Scene Transitions",
+    description: "Crossfades, luma wipes or dips to black between slots",
+
+    setup(ctx) {
+      let settings = loadTransitionSettings(ctx.storage);
+      // Map<hydra, layer>, created on the first transition of each instance
+      const layers = new Map();
+      // The transition the last slot load asked for, and the instances it ran on
+      let armed = null;
+
+      const controls = ctx.getPanels().stats?.slots?.transition;
+
+      function renderControls() {
+        if (!controls) return;
+        controls.modeSelect.value = settings.mode;
+        controls.durationSlider.value = String(settings.duration);
+        controls.durationValue.textContent = `${settings.duration.toFixed(1)}s`;
+        controls.ccInput.value = settings.cc === null ? "" : String(settings.cc);
+      }
+
+      function setSettings(changes) {
+        settings = saveTransitionSettings(ctx.storage, { ...settings, ...changes });
+        renderControls();
+        return { ...settings };
+      }
+
+      const onModeChange = () => setSettings({ mode: controls.modeSelect.value });
+      const onDurationInput = () => setSettings({ duration: controls.durationSlider.value });
+      const onCCChange = () => {
+        const cc = controls.ccInput.value;
+        setSettings({ cc: cc === "" ? null : Number(cc) });
+      };
+      // Keys in the CC field must not trigger app shortcuts or auto-run
+      const stopKeys = (e) => e.stopPropagation();
+      if (controls) {
+        controls.modeSelect.addEventListener("change", onModeChange);
+        controls.durationSlider.addEventListener("input", onDurationInput);
+        controls.ccInput.addEventListener("change", onCCChange);
+        controls.ccInput.addEventListener("keydown", stopKeys);
+        renderControls();
+      }
+
+      const offControlChange = ctx.midi?.manager?.onControlChange?.((cc, value) => {
+        if (cc === settings.cc) setSettings({ duration: durationFromCC(value) });
+      });
+
+      function layerFor(hydra) {
+        if (!layers.has(hydra)) layers.set(hydra, createTransitionLayer(hydra));
+        return layers.get(hydra);
+      }
+
+      const unsubscribers = [
+        ctx.events.on("slots:loading", ({ bank, slot }) => {
+          const transition = resolveTransition(
+            settings,
+            readSlotMeta(ctx.storage, bank, slot).transition,
+          );
+          armed = transition && { transition, until: Date.now() + ARM_TIMEOUT, ran: new Set() };
+        }),
+
+        ctx.events.on("code:will-run", ({ hydra }) => {
+          if (!armed || Date.now() > armed.until || armed.ran.has(hydra)) return;
+          armed.ran.add(hydra);
+          if (!hydra?.regl || hydra.isRenderingAll) return;
+          try {
+            layerFor(hydra).hold(armed.transition);
+          } catch (error) {
+            console.error("TransitionPlugin: could not hold the outgoing scene:", error);
+          }
+        }),
+
+        ctx.events.on("code:ran", ({ hydra }) => {
+          layers.get(hydra)?.start();
+        }),
+
+        // The breakout window's context is gone with it
+        ctx.events.on("breakout:closed", () => {
+          for (const [hydra, layer] of layers) {
+            if (hydra === ctx.hydra) continue;
+            layer.release();
+            layers.delete(hydra);
+          }
+        }),
+      ];
+
+      return {
+        api: {
+          getSettings: () => ({ ...settings }),
+          setSettings,
+          isActive: () => [...layers.values()].some((layer) => layer.isActive()),
+        },
+        dispose() {
+          for (const unsubscribe of unsubscribers) unsubscribe();
+          offControlChange?.();
+          if (controls) {
+            controls.modeSelect.removeEventListener("change", onModeChange);
+            controls.durationSlider.removeEventListener("input", onDurationInput);
+            controls.ccInput.removeEventListener("change", onCCChange);
+            controls.ccInput.removeEventListener("keydown", stopKeys);
+          }
+          for (const layer of layers.values()) layer.destroy();
+          layers.clear();
+        },
+      };
+    },
+  };
+}
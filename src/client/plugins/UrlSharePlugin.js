@@ -3,7 +3,7 @@
  *
  * Alt/Opt+U copies a link with the current sketch encoded in the URL fragment
  * (e.g. https://host/#sketch=...). Opening such a link loads and runs the
- * sketch WITHOUT touching localStorage slots — nothing is persisted unless
+ * sketch WITHOUT touching the saved slots — nothing is persisted unless
  * the user explicitly saves.
  *
  * The codec functions are pure and exported for tests.
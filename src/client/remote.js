@@ -0,0 +1,117 @@
+/**
+ * Remote controller page (/remote) - a phone or tablet on the LAN as a controller.
+ *
+ * Bank and slot buttons plus an XY pad, sent over the server's socket hub to
+ * the performing browser (see plugins/RemoteControlPlugin.js). The performer
+ * answers with its state so the active bank/slot and filled slots show here,
+ * and the buttons follow its number of banks and slots.
+ */
+
+import { BANK_COUNT, SLOT_COUNT } from "../utils/SceneBanks.js";
+import { createServerSocket } from "./core/ServerSocket.js";
+
+// Same rate limit as the MIDI path applies to XY pad CCs
+const XY_THROTTLE_MS = 25;
+
+const socket = createServerSocket();
+const status = document.getElementById("remote-status");
+const xyPad = document.getElementById("remote-xy");
+const xyDot = document.getElementById("remote-xy-dot");
+
+function createButtons(containerId, count, onPress) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = "";
+  return Array.from({ length: count }, (_, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = String(index + 1);
+    button.addEventListener("click", () => onPress(index));
+    container.appendChild(button);
+    return button;
+  });
+}
+
+let bankButtons = [];
+let slotButtons = [];
+
+function createBankButtons(bankCount, slotCount) {
+  bankButtons = createButtons("remote-banks", bankCount, (bank) => {
+    socket.send({ type: "remote:bank", bank });
+  });
+  slotButtons = createButtons("remote-slots", slotCount, (slot) => {
+    socket.send({ type: "remote:slot", slot });
+  });
+}
+createBankButtons(BANK_COUNT, SLOT_COUNT);
+
+function showState({ bank, slot, filled, geometry }) {
+  if (
+    geometry &&
+    (geometry.banks !== bankButtons.length || geometry.slots !== slotButtons.length)
+  ) {
+    createBankButtons(geometry.banks, geometry.slots);
+  }
+  bankButtons.forEach((button, index) => {
+    button.classList.toggle("active", index === bank);
+  });
+  slotButtons.forEach((button, index) => {
+    button.classList.toggle("active", index === slot);
+    button.classList.toggle("filled", Array.isArray(filled) && filled.includes(index));
+  });
+}
+
+socket.on("remote:state", showState);
+socket.on("socket:open", () => {
+  status.textContent = "connected";
+  status.classList.add("connected");
+  socket.send({ type: "remote:hello" });
+});
+socket.on("socket:close", () => {
+  status.textContent = "reconnecting…";
+  status.classList.remove("connected");
+});
+
+// XY pad: y grows upwards, like the nanoPAD2 and the desktop XY pad panel
+let lastXYSent = 0;
+let pendingXY = null;
+let xyTimer = null;
+
+function sendXY() {
+  xyTimer = null;
+  if (!pendingXY) return;
+  lastXYSent = Date.now();
+  socket.send({ type: "remote:xy", ...pendingXY });
+  pendingXY = null;
+}
+
+function onPointer(event) {
+  const rect = xyPad.getBoundingClientRect();
+  const x = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+  const y = Math.max(0, Math.min(1, 1 - (event.clientY - rect.top) / rect.height));
+  xyDot.style.left = `${x * 100}%`;
+  xyDot.style.top = `${(1 - y) * 100}%`;
+
+  pendingXY = { x, y };
+  const wait = XY_THROTTLE_MS - (Date.now() - lastXYSent);
+  if (wait <= 0) {
+    sendXY();
+  } else if (!xyTimer) {
+    // Trailing send, so the final position of a fast drag isn't dropped
+    xyTimer = setTimeout(sendXY, wait);
+  }
+}
+
+xyPad.addEventListener("pointerdown", (event) => {
+  xyPad.setPointerCapture(event.pointerId);
+  onPointer(event);
+});
+xyPad.addEventListener("pointermove", (event) => {
+  if (xyPad.hasPointerCapture(event.pointerId)) onPointer(event);
+});
+for (const type of ["pointerup", "pointercancel"]) {
+  xyPad.addEventListener(type, () => {
+    clearTimeout(xyTimer);
+    sendXY();
+    socket.send({ type: "remote:release" });
+  });
+}
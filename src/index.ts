@@ -1,7 +1,22 @@
-import { readFileSync } from "node:fs";
 import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { Elysia } from "elysia";
+import QRCode from "qrcode";
+import { createAssetRoutes } from "./server/AssetRoutes";
+import { createBankManifestRoutes } from "./server/BankManifest";
+import { createBankRoutes } from "./server/BankRoutes";
+import { createBankStore } from "./server/BankStore";
+import { runBanksCli } from "./server/BanksCli";
+import { HELP_TEXT, parseCliArgs, resolveCliOptions } from "./server/CliOptions";
+import { getLanAddresses, getServerUrls } from "./server/Network";
+import { createOscListener } from "./server/Osc";
+import { oscToHubMessage } from "./server/OscBridge";
+import { relayRemoteControl } from "./server/RemoteControl";
+import { loadOrCreateCertificate } from "./server/SelfSignedCert";
+import { createSketchFolder } from "./server/SketchFolder";
+import { createSocketHub } from "./server/SocketHub";
+import { createStaticRoutes } from "./server/StaticFiles";
+import { decodeSlotCode, encodeSlotCode } from "./utils/SceneBanks.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -9,92 +24,166 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 // When running in dev/build, public dir is relative to project root
 const isExecutable =
   process.execPath.endsWith("hydractrl.exe") || process.execPath.endsWith("hydractrl");
-const publicDir = isExecutable
+const defaultPublicDir = isExecutable
   ? join(dirname(process.execPath), "hydractrl-public")
   : join(__dirname, "..", "public");
 
-// Load HTML and serve static assets
-const indexHtml = readFileSync(join(publicDir, "index.html"), "utf-8");
+function exitWithUsageError(message: string): never {
+  console.error(`hydractrl: ${message}`);
+  console.error("Run with --help to see the available options.");
+  process.exit(2);
+}
+
+// `hydractrl banks ...`: bank file tools for scripts, no server
+if (process.argv[2] === "banks") {
+  process.exit(runBanksCli(process.argv.slice(3)));
+}
+
+const parsed = parseCliArgs(process.argv.slice(2));
+if (parsed.error !== undefined) exitWithUsageError(parsed.error);
+if (parsed.args.help) {
+  console.log(HELP_TEXT);
+  process.exit(0);
+}
+const resolved = resolveCliOptions(parsed.args, defaultPublicDir);
+if (resolved.error !== undefined) exitWithUsageError(resolved.error);
+const options = resolved.options;
+const publicDir = options.publicDir;
+
+// Scene banks saved through the API live next to the public dir, so a show
+// survives browser profile resets and travels with the executable
+const dataDir = join(dirname(publicDir), "hydractrl-data");
+const bankStore = createBankStore(dataDir);
+
+// --bank: a new or changed show file replaces the stored banks, and browsers
+// load them when they connect. The same file on a restart is skipped, so edits
+// made during the set are kept.
+if (options.bank && bankStore.loadBankFile(options.bank)) {
+  console.log("Loaded the --bank show file into the stored banks");
+}
+
+// Live browsers connect over /ws for pushes from the server
+const socketHub = createSocketHub();
+
+// Phones/tablets on the LAN open /remote to control the performing browser
+relayRemoteControl(socketHub);
+
+// OSC from stage software (TouchOSC, Max, Ableton) is forwarded to the browsers.
+// A busy port only costs the OSC input, never the server.
+const OSC_PORT = 57121;
+try {
+  await createOscListener({
+    port: OSC_PORT,
+    onMessage: (message) => {
+      const hubMessage = oscToHubMessage(message);
+      if (hubMessage) socketHub.broadcast(hubMessage);
+    },
+  });
+} catch (error) {
+  console.warn(`OSC: could not listen on UDP port ${OSC_PORT}:`, error);
+}
+
+// One .js file per slot, for editing sketches in an external editor. Edits on
+// disk go to the bank store (keeping the slot's thumbnail, title and tags), so
+// they aren't lost with no browser open, and are pushed to the browsers; saves
+// in the browser are written back.
+const sketchFolder = createSketchFolder(join(dirname(publicDir), "sketches"), {
+  onChange: ({ bank, slot, code }) => {
+    bankStore.putSlot(bank, slot, { ...bankStore.getSlot(bank, slot), code: encodeSlotCode(code) });
+    socketHub.broadcast({ type: "sketch:changed", bank, slot, code });
+  },
+});
+socketHub.on("sketch:saved", ({ bank, slot, code }) => {
+  if (typeof bank === "number" && typeof slot === "number" && typeof code === "string") {
+    sketchFolder.write(bank, slot, code);
+  }
+});
+// Give every stored slot a file to edit, without touching files that exist
+for (const { bankIndex, slots } of bankStore.readAll().banks) {
+  for (const { slotIndex, code } of slots) {
+    const decoded = decodeSlotCode(code);
+    if (decoded !== null && sketchFolder.read(bankIndex, slotIndex) === null) {
+      sketchFolder.write(bankIndex, slotIndex, decoded);
+    }
+  }
+}
+sketchFolder.start();
+
+// --https: self-signed certificate for localhost and the LAN addresses, cached
+// next to the banks so browsers only have to accept it once
+const lanAddresses = getLanAddresses();
+const tls = options.https
+  ? loadOrCreateCertificate(join(dataDir, "tls"), {
+      hostnames: ["localhost"],
+      ips: ["127.0.0.1", ...lanAddresses],
+    })
+  : null;
+
+// Images and videos for s0–s3: the public dir (where local-assets are copied)
+// minus the app's own files, then every --assets-dir
+const assetRoots = [publicDir, ...options.assetsDirs];
 
 // Create Elysia server
 const app = new Elysia()
-  .get("/", () => new Response(indexHtml, { headers: { "Content-Type": "text/html" } }))
-  .get("/assets/*", ({ path }) => {
-    try {
-      // Extract the part of the path after "/assets/"
-      const assetPath = path.replace(/^\/assets\//, "");
-      const filePath = join(publicDir, "assets", assetPath);
-
-      // Read file as buffer to handle both text and binary files
-      const content = readFileSync(filePath);
-
-      // Determine content type based on file extension
-      let contentType = "application/octet-stream";
-      if (assetPath.endsWith(".js")) contentType = "application/javascript";
-      else if (assetPath.endsWith(".css")) contentType = "text/css";
-      else if (assetPath.endsWith(".json")) contentType = "application/json";
-      else if (assetPath.endsWith(".png")) contentType = "image/png";
-      else if (assetPath.endsWith(".jpg") || assetPath.endsWith(".jpeg"))
-        contentType = "image/jpeg";
-      else if (assetPath.endsWith(".svg")) contentType = "image/svg+xml";
-      else if (assetPath.endsWith(".ico")) contentType = "image/x-icon";
-      else if (assetPath.endsWith(".mp4")) contentType = "video/mp4";
-      else if (assetPath.endsWith(".webm")) contentType = "video/webm";
-      else if (assetPath.endsWith(".ogg")) contentType = "video/ogg";
-      else if (assetPath.endsWith(".avi")) contentType = "video/x-msvideo";
-      else if (assetPath.endsWith(".mov")) contentType = "video/quicktime";
-
-      return new Response(content, { headers: { "Content-Type": contentType } });
-    } catch (err) {
-      console.error(`Failed to serve asset: ${path}`);
-      return new Response("Not found", { status: 404 });
-    }
-  })
-  .get("/styles.css", () => {
-    const css = readFileSync(join(publicDir, "styles.css"), "utf-8");
-    return new Response(css, { headers: { "Content-Type": "text/css" } });
-  })
-  .get("/*", ({ path }) => {
-    // Skip if it's already handled by other routes
-    if (path === "/" || path.startsWith("/assets/") || path === "/styles.css") {
-      return;
-    }
+  .use(createBankRoutes(bankStore))
+  .use(createAssetRoutes(assetRoots, { ignore: ["assets", "favicon"] }))
+  // Live manifest, so bank files dropped into assets/banks/ show up without a rebuild
+  .use(createBankManifestRoutes(join(publicDir, "assets", "banks"), "/assets/banks/index.json"))
+  .use(socketHub.routes)
+  .use(
+    createStaticRoutes(publicDir, {
+      aliases: { "/remote": "remote.html" },
+      assetRoots: options.assetsDirs,
+    }),
+  )
+  .listen({
+    port: options.port,
+    hostname: options.host,
+    ...(tls ? { tls: { cert: tls.cert, key: tls.key } } : {}),
+  });
 
-    try {
-      // Remove leading slash and serve from public directory root
-      const filePath = join(publicDir, path.slice(1));
-      const content = readFileSync(filePath);
-
-      // Determine content type based on file extension
-      let contentType = "application/octet-stream";
-      if (path.endsWith(".js")) contentType = "application/javascript";
-      else if (path.endsWith(".css")) contentType = "text/css";
-      else if (path.endsWith(".json")) contentType = "application/json";
-      else if (path.endsWith(".png")) contentType = "image/png";
-      else if (path.endsWith(".jpg") || path.endsWith(".jpeg")) contentType = "image/jpeg";
-      else if (path.endsWith(".svg")) contentType = "image/svg+xml";
-      else if (path.endsWith(".ico")) contentType = "image/x-icon";
-      else if (path.endsWith(".mp4")) contentType = "video/mp4";
-      else if (path.endsWith(".webm")) contentType = "video/webm";
-      else if (path.endsWith(".ogg")) contentType = "video/ogg";
-      else if (path.endsWith(".avi")) contentType = "video/x-msvideo";
-      else if (path.endsWith(".mov")) contentType = "video/quicktime";
-
-      return new Response(content, { headers: { "Content-Type": contentType } });
-    } catch (err) {
-      console.error(`Failed to serve file: ${path}`);
-      return new Response("Not found", { status: 404 });
-    }
-  })
-  .listen(3000);
+const urls = getServerUrls({
+  protocol: tls ? "https" : "http",
+  host: options.host,
+  port: app.server?.port ?? options.port,
+  lanAddresses,
+});
+const url = urls.local;
+const bannerLine = (icon: string, text: string) => `║  ${icon}  ${text.padEnd(57)}║`;
 
 console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                         HYDRACTRL                             ║
 ║                                                               ║
 ║  🎛️  Live visual performance tool powered by hydra-synth      ║
-║  🌐  Server running at http://localhost:${app.server?.port}                  ║
+${[
+  bannerLine("🌐", `Server running at ${url}`),
+  ...urls.lan.map((lanUrl) => bannerLine("📶", `On your network: ${lanUrl}`)),
+  ...(tls ? [bannerLine("🔒", "Self-signed certificate: accept the browser warning")] : []),
+].join("\n")}
+║  📱  Remote control: open /remote on a phone on your network  ║
+║  🎚️  OSC input on UDP port ${OSC_PORT} (/hydractrl/...)             ║
 ║  💫  Ready for visual synthesis                               ║
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
+
+// Scan to open the app on a phone or tablet
+if (urls.lan.length > 0) {
+  console.log(await QRCode.toString(urls.lan[0], { type: "terminal", small: true }));
+}
+
+// --open: launch the default browser (best effort, the URL is printed above)
+if (options.open) {
+  const command =
+    process.platform === "darwin"
+      ? ["open", url]
+      : process.platform === "win32"
+        ? ["cmd", "/c", "start", "", url]
+        : ["xdg-open", url];
+  try {
+    Bun.spawn(command, { stdout: "ignore", stderr: "ignore" });
+  } catch (error) {
+    console.warn(`Could not open a browser, visit ${url} instead:`, error);
+  }
+}
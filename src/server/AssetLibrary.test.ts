@@ -0,0 +1,85 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { getAssetType, listAssets } from "./AssetLibrary";
+import { createAssetRoutes } from "./AssetRoutes";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-assets-"));
+const publicDir = join(root, "public");
+const extraDir = join(root, "extra");
+const outside = join(root, "outside");
+
+function touch(filePath: string, content = "x") {
+  mkdirSync(join(filePath, ".."), { recursive: true });
+  writeFileSync(filePath, content);
+}
+
+touch(join(publicDir, "index.html"));
+touch(join(publicDir, "logo.jpg"), "12345");
+touch(join(publicDir, "assets", "img", "app-logo.png"));
+touch(join(publicDir, "clips", "my loop.mp4"));
+touch(join(publicDir, ".hidden", "secret.png"));
+touch(join(extraDir, "logo.jpg"), "shadowed");
+touch(join(extraDir, "stills", "sky.webp"));
+touch(join(outside, "private.png"));
+symlinkSync(outside, join(extraDir, "link"));
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+describe("getAssetType", () => {
+  test("classifies images and videos by extension", () => {
+    expect(getAssetType("a.PNG")).toBe("image");
+    expect(getAssetType("a.webm")).toBe("video");
+    expect(getAssetType("a.js")).toBe(null);
+  });
+});
+
+describe("listAssets", () => {
+  test("lists images and videos of all roots recursively", () => {
+    const listing = listAssets([publicDir, extraDir], "", { ignore: ["assets"] });
+    expect(listing?.truncated).toBe(false);
+    expect(listing?.assets.map((asset) => asset.path)).toEqual([
+      "clips/my loop.mp4",
+      "logo.jpg",
+      "stills/sky.webp",
+    ]);
+    expect(listing?.assets[0]).toMatchObject({ url: "/clips/my%20loop.mp4", type: "video" });
+    // The public dir's copy wins, as it does when serving
+    expect(listing?.assets[1].size).toBe(5);
+  });
+
+  test("lists a subdirectory", () => {
+    expect(listAssets([publicDir, extraDir], "stills")?.assets.map((a) => a.url)).toEqual([
+      "/stills/sky.webp",
+    ]);
+  });
+
+  test("rejects directories outside the roots", () => {
+    expect(listAssets([publicDir], "../outside")).toBe(null);
+    expect(listAssets([publicDir], "%2e%2e/outside")).toBe(null);
+  });
+});
+
+describe("asset routes", () => {
+  test("GET /api/assets returns the listing and rejects traversal", async () => {
+    const app = createAssetRoutes([publicDir, extraDir], { ignore: ["assets"] }).listen(0);
+    const base = `http://localhost:${app.server?.port}/api/assets`;
+    try {
+      const listing = await (await fetch(base)).json();
+      expect(listing.assets).toHaveLength(3);
+
+      const nested = await (await fetch(`${base}?dir=clips`)).json();
+      expect(nested.assets.map((asset: { path: string }) => asset.path)).toEqual([
+        "clips/my loop.mp4",
+      ]);
+
+      const escaped = await fetch(`${base}?dir=${encodeURIComponent("../outside")}`);
+      expect(escaped.status).toBe(400);
+    } finally {
+      app.stop();
+    }
+  });
+});
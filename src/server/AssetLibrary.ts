@@ -0,0 +1,98 @@
+/**
+ * AssetLibrary - list the images and videos the server can serve to sketches.
+ *
+ * Walks the public dir (where the executable's local-assets end up) and every
+ * --assets-dir recursively. Paths are relative to their root and double as the
+ * URL to load them from, since the static routes serve all roots from `/`.
+ * Symlinks and dotfiles are skipped, so a listing never leaves its roots.
+ */
+import { type Dirent, type Stats, readdirSync, statSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+import { getMimeType, resolvePublicPath } from "./StaticFiles";
+
+export type AssetType = "image" | "video";
+
+export interface Asset {
+  path: string;
+  url: string;
+  type: AssetType;
+  size: number;
+  modified: number;
+}
+
+// Keeps the response (and the walk) small on a huge media drive
+export const MAX_ASSETS = 2000;
+
+export function getAssetType(filePath: string): AssetType | null {
+  const mime = getMimeType(filePath);
+  if (mime.startsWith("image/")) return "image";
+  if (mime.startsWith("video/")) return "video";
+  return null;
+}
+
+function toUrlPath(root: string, filePath: string) {
+  return relative(root, filePath).split(sep).join("/");
+}
+
+/**
+ * List assets below `dir` (a URL-style path, "" for everything) in all roots.
+ * A file in an earlier root hides the same path in later ones, like the static routes.
+ * @param options.ignore - Top-level directories of the roots that aren't assets
+ *   (the app's own assets/ and favicon/).
+ * @returns The assets sorted by path, or null when `dir` escapes the roots.
+ */
+export function listAssets(roots: string[], dir = "", options: { ignore?: string[] } = {}) {
+  const ignore = options.ignore || [];
+  const assets: Asset[] = [];
+  const seen = new Set<string>();
+  let truncated = false;
+
+  const walk = (root: string, current: string) => {
+    let entries: Dirent[];
+    try {
+      entries = readdirSync(current, { withFileTypes: true });
+    } catch (_error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (truncated) return;
+      if (entry.name.startsWith(".")) continue;
+      const filePath = join(current, entry.name);
+      const path = toUrlPath(root, filePath);
+      if (entry.isDirectory()) {
+        if (!ignore.includes(path)) walk(root, filePath);
+        continue;
+      }
+      const type = entry.isFile() ? getAssetType(entry.name) : null;
+      if (!type || seen.has(path)) continue;
+      if (assets.length === MAX_ASSETS) {
+        truncated = true;
+        return;
+      }
+      let stats: Stats;
+      try {
+        stats = statSync(filePath);
+      } catch (_error) {
+        // Deleted or renamed since it was listed (e.g. a video being exported)
+        continue;
+      }
+      seen.add(path);
+      assets.push({
+        path,
+        url: `/${path.split("/").map(encodeURIComponent).join("/")}`,
+        type,
+        size: stats.size,
+        modified: stats.mtimeMs,
+      });
+    }
+  };
+
+  for (const root of roots) {
+    const start = resolvePublicPath(root, dir);
+    if (!start) return null;
+    walk(root, start);
+  }
+
+  assets.sort((a, b) => a.path.localeCompare(b.path));
+  return { assets, truncated };
+}
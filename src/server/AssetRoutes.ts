@@ -0,0 +1,20 @@
+/**
+ * REST route for the local asset library.
+ *
+ *   GET    /api/assets              every image/video in the asset roots
+ *   GET    /api/assets?dir=clips    only those below clips/
+ */
+import { Elysia } from "elysia";
+import { listAssets } from "./AssetLibrary";
+
+export function createAssetRoutes(roots: string[], options: { ignore?: string[] } = {}) {
+  return new Elysia({ prefix: "/api/assets" }).get("", ({ query, set }) => {
+    const dir = typeof query.dir === "string" ? query.dir : "";
+    const listing = listAssets(roots, dir, options);
+    if (!listing) {
+      set.status = 400;
+      return { error: "Invalid directory" };
+    }
+    return listing;
+  });
+}
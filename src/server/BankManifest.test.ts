@@ -0,0 +1,86 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodeSlotCode } from "../utils/SceneBanks.js";
+import { createManifestEntry, extractAuthors, scanBankManifest } from "./BankManifest";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-manifest-"));
+const bank = (codes: string[], meta = {}) => ({
+  version: 1,
+  ...meta,
+  banks: [
+    {
+      bankIndex: 0,
+      slots: codes.map((code, slotIndex) => ({ slotIndex, code: encodeSlotCode(code) })),
+    },
+  ],
+});
+
+mkdirSync(join(root, "random"));
+writeFileSync(join(root, "pack.json"), JSON.stringify(bank(["osc().out()"])));
+writeFileSync(
+  join(root, "random", "bank-00.json"),
+  JSON.stringify(bank(["// by Olivia Jack\nosc().out()", "noise().out()"])),
+);
+writeFileSync(
+  join(root, "random", "set.json"),
+  JSON.stringify(
+    bank(["shape().out()"], { name: "Tonight", collection: "live", tags: ["dark", 3] }),
+  ),
+);
+writeFileSync(join(root, "random", "notes.json"), JSON.stringify({ hello: "world" }));
+writeFileSync(join(root, "index.json"), "{}");
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+describe("extractAuthors", () => {
+  test("reads credits at the start of comments", () => {
+    const code = [
+      "// Galaxy Trip",
+      "// by Rangga Purnama Aji",
+      "//made by @ritchse",
+      "// by Luis Aguirre @laguirrepop",
+      "/* by Olivia Jack */",
+      "// BY olivia jack",
+      "// based on a sketch by Someone Else",
+    ].join("\n");
+    expect(extractAuthors(code)).toEqual([
+      "Rangga Purnama Aji",
+      "@ritchse",
+      "Luis Aguirre",
+      "Olivia Jack",
+    ]);
+  });
+});
+
+describe("createManifestEntry", () => {
+  test("uses file metadata or falls back to the path", () => {
+    expect(createManifestEntry("random/bank-00.json", bank(["// by A\nx", "// by B\ny"]))).toEqual({
+      file: "random/bank-00.json",
+      name: "bank-00",
+      collection: "random",
+      tags: [],
+      slots: 2,
+      authors: ["A", "B"],
+    });
+    expect(createManifestEntry("x.json", { version: 1, banks: [] })).toBe(null);
+  });
+});
+
+describe("scanBankManifest", () => {
+  test("lists bank files, skips others and the manifest itself", () => {
+    const { manifest, skipped } = scanBankManifest(root);
+    expect(manifest.collections).toEqual(["default", "live", "random"]);
+    expect(manifest.banks.map((entry) => [entry.file, entry.collection, entry.name])).toEqual([
+      ["pack.json", "default", "pack"],
+      ["random/bank-00.json", "random", "bank-00"],
+      ["random/set.json", "live", "Tonight"],
+    ]);
+    expect(manifest.banks[1].authors).toEqual(["Olivia Jack"]);
+    expect(manifest.banks[2].tags).toEqual(["dark"]);
+    expect(skipped.map((issue) => issue.path)).toEqual(["random/notes.json"]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * BankManifest - banks/index.json, the list of curated bank files for the dice button.
+ *
+ *   {
+ *     version: 1,
+ *     collections: ["default", "random"],
+ *     banks: [{ file: "random/bank-00.json", name, collection, tags, slots, authors }]
+ *   }
+ *
+ * A bank file's collection is its top-level `collection`, else its folder
+ * below banks/ ("default" for files directly in banks/). `name` and `tags`
+ * come from the file when present; authors are read from the "// by ..."
+ * credits in the sketches. The server serves a freshly scanned manifest; for
+ * static hosting `hydractrl banks manifest` writes it at build time.
+ */
+import { type Dirent, readFileSync, readdirSync } from "node:fs";
+import { basename, join, relative, sep } from "node:path";
+import { Elysia } from "elysia";
+import { MAX_BANK_GEOMETRY, decodeSlotCode, normalizeScenesData } from "../utils/SceneBanks.js";
+import type { Issue } from "./BankTools";
+
+export const MANIFEST_FILE = "index.json";
+export const MANIFEST_VERSION = 1;
+const DEFAULT_COLLECTION = "default";
+
+export interface ManifestEntry {
+  file: string;
+  name: string;
+  collection: string;
+  tags: string[];
+  slots: number;
+  authors: string[];
+}
+
+// "// by Name", "//made by @handle", "/* created by Name */" at the start of a comment
+const CREDIT_PATTERN = /^\s*(?:\/\/+|\/\*+)\s*(?:made\s+|created\s+)?by\s+(.+?)\s*(?:\*\/)?\s*$/i;
+
+/** Authors credited in a sketch's comments, without trailing @handles. */
+export function extractAuthors(code: string) {
+  const authors: string[] = [];
+  for (const line of code.split("\n")) {
+    const match = CREDIT_PATTERN.exec(line);
+    if (!match) continue;
+    const name = match[1].replace(/^(.+?)\s+@\S+$/, "$1").replace(/[\s.,;:]+$/, "");
+    if (name && !authors.some((author) => author.toLowerCase() === name.toLowerCase())) {
+      authors.push(name);
+    }
+  }
+  return authors;
+}
+
+/**
+ * Manifest entry for one parsed bank file.
+ * @param file - Path relative to the banks dir, with "/" separators.
+ * @returns null when the data isn't a bank file with at least one slot.
+ */
+export function createManifestEntry(file: string, data: unknown): ManifestEntry | null {
+  const normalized = normalizeScenesData(data, MAX_BANK_GEOMETRY);
+  if (!normalized || normalized.banks.length === 0) return null;
+  const meta = data as { name?: unknown; collection?: unknown; tags?: unknown };
+
+  const authors: string[] = [];
+  let slots = 0;
+  for (const bank of normalized.banks) {
+    for (const slot of bank.slots) {
+      slots++;
+      for (const author of extractAuthors(decodeSlotCode(slot.code) || "")) {
+        if (!authors.some((known) => known.toLowerCase() === author.toLowerCase())) {
+          authors.push(author);
+        }
+      }
+    }
+  }
+
+  const folder = file.includes("/") ? file.slice(0, file.indexOf("/")) : DEFAULT_COLLECTION;
+  return {
+    file,
+    name: typeof meta.name === "string" && meta.name ? meta.name : basename(file, ".json"),
+    collection: typeof meta.collection === "string" && meta.collection ? meta.collection : folder,
+    tags: Array.isArray(meta.tags) ? meta.tags.filter((tag) => typeof tag === "string") : [],
+    slots,
+    authors,
+  };
+}
+
+function listJsonFiles(dir: string): string[] {
+  let entries: Dirent[];
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch (_error) {
+    return [];
+  }
+  const files: string[] = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const filePath = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listJsonFiles(filePath));
+    else if (entry.isFile() && entry.name.endsWith(".json")) files.push(filePath);
+  }
+  return files;
+}
+
+/**
+ * Scan a banks dir. Files that aren't bank files are skipped and reported.
+ * The result has no timestamp, so regenerating an unchanged dir gives the same file.
+ */
+export function scanBankManifest(dir: string) {
+  const banks: ManifestEntry[] = [];
+  const skipped: Issue[] = [];
+  for (const filePath of listJsonFiles(dir)) {
+    const file = relative(dir, filePath).split(sep).join("/");
+    if (file === MANIFEST_FILE) continue;
+    let entry: ManifestEntry | null = null;
+    try {
+      entry = createManifestEntry(file, JSON.parse(readFileSync(filePath, "utf-8")));
+    } catch (_error) {
+      // Not JSON: reported below like any other non-bank file
+    }
+    if (entry) banks.push(entry);
+    else skipped.push({ path: file, message: "not a bank file, left out of the manifest" });
+  }
+  banks.sort((a, b) => a.file.localeCompare(b.file));
+  const collections = [...new Set(banks.map((bank) => bank.collection))].sort();
+  return { manifest: { version: MANIFEST_VERSION, collections, banks }, skipped };
+}
+
+/** Serve a live manifest of `banksDir` at `urlPath`, ahead of the static index.json. */
+export function createBankManifestRoutes(banksDir: string, urlPath: string) {
+  return new Elysia().get(urlPath, ({ set }) => {
+    set.headers["Cache-Control"] = "no-cache";
+    return scanBankManifest(banksDir).manifest;
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * REST routes for the server-side bank store.
+ *
+ *   GET    /api/banks                       all banks (scenes format)
+ *   PUT    /api/banks                       replace the banks within the layout the
+ *                                            data was collected from (its geometry)
+ *   GET    /api/banks/:bank/slots/:slot     one slot
+ *   PUT    /api/banks/:bank/slots/:slot     store one slot ({ code, thumbnail?, title?,
+ *                                            color?, tags? })
+ *   DELETE /api/banks/:bank/slots/:slot     clear one slot
+ */
+import { Elysia } from "elysia";
+import { type BankStore, isValidBankIndex, isValidSlotIndex } from "./BankStore";
+
+export function createBankRoutes(store: BankStore) {
+  // Route params arrive as strings; anything that isn't a valid index is a 404
+  const parseIndices = (params: { bank: string; slot: string }) => {
+    const bank = Number(params.bank);
+    const slot = Number(params.slot);
+    return isValidBankIndex(bank) && isValidSlotIndex(slot) ? { bank, slot } : null;
+  };
+
+  return new Elysia({ prefix: "/api/banks" })
+    .get("", () => store.readAll())
+    .put("", ({ body, set }) => {
+      const written = store.mergeAll(body);
+      if (!written) {
+        set.status = 400;
+        return { error: "Invalid scenes data format" };
+      }
+      return written;
+    })
+    .get("/:bank/slots/:slot", ({ params, set }) => {
+      const indices = parseIndices(params);
+      const slot = indices && store.getSlot(indices.bank, indices.slot);
+      if (!slot) {
+        set.status = 404;
+        return { error: "Slot not found" };
+      }
+      return slot;
+    })
+    .put("/:bank/slots/:slot", ({ params, body, set }) => {
+      const indices = parseIndices(params);
+      if (!indices) {
+        set.status = 404;
+        return { error: "Slot not found" };
+      }
+      const slot = store.putSlot(indices.bank, indices.slot, body as { code?: unknown });
+      if (!slot) {
+        set.status = 400;
+        return { error: "Invalid slot data" };
+      }
+      return slot;
+    })
+    .delete("/:bank/slots/:slot", ({ params, set }) => {
+      const indices = parseIndices(params);
+      if (!indices || !store.deleteSlot(indices.bank, indices.slot)) {
+        set.status = 404;
+        return { error: "Slot not found" };
+      }
+      return { deleted: true };
+    });
+}
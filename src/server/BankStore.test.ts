@@ -0,0 +1,180 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodeSlotCode } from "../utils/SceneBanks.js";
+import { createBankStore } from "./BankStore";
+
+const tempDirs: string[] = [];
+
+function createTempStore() {
+  const dir = mkdtempSync(join(tmpdir(), "hydractrl-banks-"));
+  tempDirs.push(dir);
+  return createBankStore(join(dir, "data"));
+}
+
+afterEach(() => {
+  for (const dir of tempDirs.splice(0)) {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+describe("BankStore", () => {
+  test("reads as empty before anything is saved", () => {
+    const store = createTempStore();
+    expect(store.readAll()).toEqual({ version: 1, banks: [] });
+    expect(store.getSlot(0, 0)).toBe(null);
+  });
+
+  test("writeAll persists normalized scenes data", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("osc().out()");
+
+    const written = store.writeAll({
+      version: 1,
+      exportDate: "2024-01-01T00:00:00.000Z",
+      banks: [
+        {
+          bankIndex: 1,
+          slots: [
+            { slotIndex: 4, code },
+            { slotIndex: 99, code },
+          ],
+        },
+      ],
+    });
+
+    expect(written).toEqual({
+      version: 1,
+      banks: [{ bankIndex: 1, slots: [{ slotIndex: 4, code }] }],
+    });
+    expect(store.readAll()).toEqual(written);
+  });
+
+  test("writeAll rejects invalid data", () => {
+    const store = createTempStore();
+    expect(store.writeAll({ banks: "nope" })).toBe(null);
+  });
+
+  test("mergeAll only replaces the banks and slots within the sent layout", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("osc().out()");
+    const newCode = encodeSlotCode("noise().out()");
+    store.writeAll({
+      version: 1,
+      banks: [
+        {
+          bankIndex: 0,
+          name: "Opener",
+          slots: [
+            { slotIndex: 1, code },
+            { slotIndex: 12, code },
+          ],
+        },
+        { bankIndex: 1, slots: [{ slotIndex: 0, code }] },
+        { bankIndex: 9, slots: [{ slotIndex: 15, code }] },
+      ],
+    });
+
+    // A 2 × 8 browser cleared bank 1 and changed bank 0
+    const merged = store.mergeAll({
+      version: 1,
+      geometry: { banks: 2, slots: 8 },
+      banks: [{ bankIndex: 0, slots: [{ slotIndex: 2, code: newCode }] }],
+    });
+
+    expect(merged).toEqual({
+      version: 1,
+      banks: [
+        {
+          bankIndex: 0,
+          slots: [
+            { slotIndex: 2, code: newCode },
+            { slotIndex: 12, code },
+          ],
+        },
+        { bankIndex: 9, slots: [{ slotIndex: 15, code }] },
+      ],
+    });
+    expect(store.readAll()).toEqual(merged);
+  });
+
+  test("mergeAll without a geometry covers the default layout", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("osc().out()");
+    store.writeAll({
+      version: 1,
+      banks: [
+        { bankIndex: 0, slots: [{ slotIndex: 0, code }] },
+        { bankIndex: 4, slots: [{ slotIndex: 0, code }] },
+      ],
+    });
+    expect(store.mergeAll({ version: 1, banks: [] })?.banks).toEqual([
+      { bankIndex: 4, slots: [{ slotIndex: 0, code }] },
+    ]);
+    expect(store.mergeAll({ banks: "nope" })).toBe(null);
+  });
+
+  test("loadBankFile replaces the banks only when the file changed", () => {
+    const store = createTempStore();
+    const show = {
+      version: 1,
+      banks: [{ bankIndex: 0, slots: [{ slotIndex: 0, code: encodeSlotCode("osc().out()") }] }],
+    };
+    expect(store.loadBankFile(show)).toBe(true);
+
+    // Edits made during the set survive a restart with the same file
+    const edited = encodeSlotCode("noise().out()");
+    store.putSlot(0, 0, { code: edited });
+    expect(store.loadBankFile(show)).toBe(false);
+    expect(store.getSlot(0, 0)?.code).toBe(edited);
+
+    const newShow = { version: 1, banks: [{ bankIndex: 1, slots: show.banks[0].slots }] };
+    expect(store.loadBankFile(newShow)).toBe(true);
+    expect(store.readAll()).toEqual(newShow);
+  });
+
+  test("putSlot, getSlot and deleteSlot", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("noise().out()");
+
+    expect(store.putSlot(2, 7, { code, thumbnail: "data:image/jpeg;base64,AAAA" })).toEqual({
+      slotIndex: 7,
+      code,
+      thumbnail: "data:image/jpeg;base64,AAAA",
+    });
+    expect(store.getSlot(2, 7)?.code).toBe(code);
+
+    // Overwriting replaces the slot instead of duplicating it
+    store.putSlot(2, 7, { code });
+    expect(store.readAll().banks[0].slots).toEqual([{ slotIndex: 7, code }]);
+
+    expect(store.deleteSlot(2, 7)).toBe(true);
+    expect(store.deleteSlot(2, 7)).toBe(false);
+    expect(store.readAll().banks).toEqual([]);
+  });
+
+  test("putSlot keeps a slot's title, color and tags", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("osc().out()");
+    expect(
+      store.putSlot(0, 1, { code, title: "Waves", color: "blue", tags: ["Calm", "calm"] }),
+    ).toEqual({ slotIndex: 1, code, title: "Waves", tags: ["calm"] });
+  });
+
+  test("putSlot rejects invalid indices and code", () => {
+    const store = createTempStore();
+    const code = encodeSlotCode("osc().out()");
+    expect(store.putSlot(16, 0, { code })).toBe(null);
+    expect(store.putSlot(0, 16, { code })).toBe(null);
+    expect(store.putSlot(0, 0, { code: "%%%" })).toBe(null);
+    expect(store.putSlot(0, 0, {})).toBe(null);
+  });
+
+  test("a corrupt file reads as empty instead of throwing", () => {
+    const store = createTempStore();
+    store.writeAll({ version: 1, banks: [] });
+    writeFileSync(store.filePath, "{not json");
+    expect(store.readAll()).toEqual({ version: 1, banks: [] });
+  });
+});
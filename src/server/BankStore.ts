@@ -0,0 +1,196 @@
+/**
+ * BankStore - scene banks persisted on disk by the server.
+ *
+ * Browser localStorage doesn't survive a profile reset or a different
+ * machine, so when HYDRACTRL runs from the executable the banks are also kept
+ * in `banks.json` in a data folder next to it, in the same format
+ * `exportAllSlots` produces. Writes go through a temp file + rename so a crash
+ * mid-write can't leave a truncated show behind.
+ */
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  MAX_BANK_COUNT,
+  MAX_BANK_GEOMETRY,
+  MAX_SLOT_COUNT,
+  SCENES_FORMAT_VERSION,
+  decodeSlotCode,
+  getScenesGeometry,
+  normalizeScenesData,
+  normalizeSlotMeta,
+} from "../utils/SceneBanks.js";
+
+export interface SlotData {
+  slotIndex: number;
+  code: string;
+  thumbnail?: string;
+  title?: string;
+  color?: string;
+  tags?: string[];
+}
+
+export interface BankData {
+  bankIndex: number;
+  name?: string;
+  slots: SlotData[];
+}
+
+export interface ScenesData {
+  version: number;
+  banks: BankData[];
+}
+
+const BANKS_FILE = "banks.json";
+// Hash of the last --bank file loaded into the store
+const BANK_SOURCE_FILE = "bank-source.sha256";
+
+// The bank/slot layout is a browser setting, so the store keeps any slot a
+// browser can have; each browser only loads the banks of its own layout.
+
+export function isValidBankIndex(bank: number) {
+  return Number.isInteger(bank) && bank >= 0 && bank < MAX_BANK_COUNT;
+}
+
+export function isValidSlotIndex(slot: number) {
+  return Number.isInteger(slot) && slot >= 0 && slot < MAX_SLOT_COUNT;
+}
+
+function emptyScenes(): ScenesData {
+  return { version: SCENES_FORMAT_VERSION, banks: [] };
+}
+
+export function createBankStore(dataDir: string) {
+  const filePath = join(dataDir, BANKS_FILE);
+
+  /** All banks on disk. Missing or corrupt files read as empty. */
+  function readAll(): ScenesData {
+    if (!existsSync(filePath)) return emptyScenes();
+    try {
+      const data = normalizeScenesData(
+        JSON.parse(readFileSync(filePath, "utf-8")),
+        MAX_BANK_GEOMETRY,
+      );
+      if (data) return data;
+      console.warn(`BankStore: ${filePath} is not a scenes file, ignoring it`);
+    } catch (error) {
+      console.warn(`BankStore: failed to read ${filePath}:`, error);
+    }
+    return emptyScenes();
+  }
+
+  /**
+   * Replace all banks.
+   * @returns The normalized data that was written, or null if `data` is invalid.
+   */
+  function writeAll(data: unknown): ScenesData | null {
+    const normalized = normalizeScenesData(data, MAX_BANK_GEOMETRY) as ScenesData | null;
+    if (!normalized) return null;
+
+    mkdirSync(dataDir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(normalized, null, 2), "utf-8");
+    renameSync(tmpPath, filePath);
+    return normalized;
+  }
+
+  /**
+   * Replace the banks and slots within the layout `data` was collected from
+   * (its `geometry`, 4 × 16 without one) and keep everything outside it, so a
+   * browser with a smaller layout doesn't drop the slots of a larger one.
+   * @returns The merged data that was written, or null if `data` is invalid.
+   */
+  function mergeAll(data: unknown): ScenesData | null {
+    const incoming = normalizeScenesData(data, MAX_BANK_GEOMETRY) as ScenesData | null;
+    if (!incoming) return null;
+
+    const layout = getScenesGeometry(data);
+    const banks = new Map<number, BankData>();
+    for (const bankData of readAll().banks) {
+      const slots = bankData.slots.filter((s) => s.slotIndex >= layout.slots);
+      if (bankData.bankIndex >= layout.banks) banks.set(bankData.bankIndex, bankData);
+      else if (slots.length > 0)
+        banks.set(bankData.bankIndex, { bankIndex: bankData.bankIndex, slots });
+    }
+    for (const bankData of incoming.banks) {
+      if (bankData.bankIndex >= layout.banks) continue;
+      const slots = bankData.slots.filter((s) => s.slotIndex < layout.slots);
+      const kept = banks.get(bankData.bankIndex)?.slots ?? [];
+      banks.set(bankData.bankIndex, { ...bankData, slots: [...slots, ...kept] });
+    }
+    return writeAll({ version: SCENES_FORMAT_VERSION, banks: [...banks.values()] });
+  }
+
+  /**
+   * Load a show's banks (`--bank`) into the store, unless this very file was
+   * loaded before: restarting with the same command keeps the edits made since.
+   * A changed file replaces the stored banks.
+   * @returns true if the banks were replaced.
+   */
+  function loadBankFile(data: ScenesData): boolean {
+    const hash = createHash("sha256").update(JSON.stringify(data)).digest("hex");
+    const hashPath = join(dataDir, BANK_SOURCE_FILE);
+    try {
+      if (existsSync(hashPath) && readFileSync(hashPath, "utf-8").trim() === hash) return false;
+    } catch (error) {
+      console.warn(`BankStore: failed to read ${hashPath}:`, error);
+    }
+    if (!writeAll(data)) return false;
+    writeFileSync(hashPath, hash, "utf-8");
+    return true;
+  }
+
+  function getSlot(bank: number, slot: number): SlotData | null {
+    const bankData = readAll().banks.find((b) => b.bankIndex === bank);
+    return bankData?.slots.find((s) => s.slotIndex === slot) || null;
+  }
+
+  /** Store one slot. @returns The stored slot, or null if the payload is invalid. */
+  function putSlot(
+    bank: number,
+    slot: number,
+    payload: {
+      code?: unknown;
+      thumbnail?: unknown;
+      title?: unknown;
+      color?: unknown;
+      tags?: unknown;
+    },
+  ): SlotData | null {
+    if (!isValidBankIndex(bank) || !isValidSlotIndex(slot)) return null;
+    if (typeof payload?.code !== "string" || decodeSlotCode(payload.code) === null) return null;
+
+    const slotData: SlotData = { slotIndex: slot, code: payload.code };
+    if (typeof payload.thumbnail === "string" && payload.thumbnail) {
+      slotData.thumbnail = payload.thumbnail;
+    }
+    Object.assign(slotData, normalizeSlotMeta(payload));
+
+    const data = readAll();
+    let bankData = data.banks.find((b) => b.bankIndex === bank);
+    if (!bankData) {
+      bankData = { bankIndex: bank, slots: [] };
+      data.banks.push(bankData);
+    }
+    bankData.slots = bankData.slots.filter((s) => s.slotIndex !== slot);
+    bankData.slots.push(slotData);
+
+    writeAll(data);
+    return slotData;
+  }
+
+  /** Remove one slot. @returns true if the slot existed. */
+  function deleteSlot(bank: number, slot: number): boolean {
+    const data = readAll();
+    const bankData = data.banks.find((b) => b.bankIndex === bank);
+    if (!bankData || !bankData.slots.some((s) => s.slotIndex === slot)) return false;
+
+    bankData.slots = bankData.slots.filter((s) => s.slotIndex !== slot);
+    writeAll(data);
+    return true;
+  }
+
+  return { filePath, readAll, writeAll, mergeAll, loadBankFile, getSlot, putSlot, deleteSlot };
+}
+
+export type BankStore = ReturnType<typeof createBankStore>;
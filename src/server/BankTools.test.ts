@@ -0,0 +1,216 @@
+import { describe, expect, test } from "bun:test";
+import { decodeSlotCode, encodeSlotCode } from "../utils/SceneBanks.js";
+import {
+  type ScenesData,
+  collectSketches,
+  hasAttribution,
+  mergeScenesData,
+  placeholderThumbnail,
+  scenesToSketchFiles,
+  shuffle,
+  sketchFilesToScenes,
+  splitIntoBanks,
+  updateThumbnails,
+  validateScenesData,
+} from "./BankTools";
+
+const slot = (slotIndex: number, code: string, thumbnail?: string) => ({
+  slotIndex,
+  code: encodeSlotCode(code),
+  ...(thumbnail !== undefined ? { thumbnail } : {}),
+});
+const bankFile = (bankIndex: number, slots: ReturnType<typeof slot>[]) => ({
+  version: 1,
+  banks: [{ bankIndex, slots }],
+});
+
+describe("validateScenesData", () => {
+  test("accepts a valid file with empty and data URL thumbnails", () => {
+    const data = bankFile(3, [
+      slot(0, "osc().out()", ""),
+      slot(15, "noise().out()", "data:image/jpeg;base64,AAEC"),
+    ]);
+    expect(validateScenesData(data)).toEqual({ valid: true, errors: [], warnings: [], slots: 2 });
+  });
+
+  test("reports every problem with its location", () => {
+    const data = {
+      version: 2,
+      banks: [
+        {
+          bankIndex: 4,
+          slots: [
+            { slotIndex: 16, code: "%%%" },
+            { slotIndex: 1, code: encodeSlotCode("a"), thumbnail: "http://x/y.png" },
+            { slotIndex: 1, code: encodeSlotCode("b") },
+          ],
+        },
+      ],
+    };
+    const result = validateScenesData(data);
+    expect(result.valid).toBe(false);
+    expect(result.errors.map((issue) => issue.path)).toEqual([
+      "$.banks[0].bankIndex",
+      "$.banks[0].slots[0].slotIndex",
+      "$.banks[0].slots[0].code",
+      "$.banks[0].slots[1].thumbnail",
+    ]);
+    expect(result.warnings.map((issue) => issue.path)).toEqual([
+      "$.version",
+      "$.banks[0].slots[2]",
+    ]);
+  });
+
+  test("warns about malformed names, titles, colors, tags and transitions", () => {
+    const data = {
+      version: 1,
+      banks: [
+        {
+          bankIndex: 0,
+          name: 7,
+          slots: [
+            {
+              ...slot(0, "a"),
+              title: "Intro",
+              color: "red",
+              tags: "loop",
+              transition: { mode: "spin" },
+            },
+          ],
+        },
+      ],
+    };
+    const result = validateScenesData(data);
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map((issue) => issue.path)).toEqual([
+      "$.banks[0].name",
+      "$.banks[0].slots[0].color",
+      "$.banks[0].slots[0].tags",
+      "$.banks[0].slots[0].transition",
+    ]);
+  });
+
+  test("rejects the wrong shape", () => {
+    expect(validateScenesData([]).valid).toBe(false);
+    expect(validateScenesData({ version: 1 }).errors[0].path).toBe("$.banks");
+  });
+
+  test("checks indices against the file's own layout", () => {
+    const data = { ...bankFile(6, [slot(7, "a"), slot(8, "b")]), geometry: { banks: 8, slots: 8 } };
+    const result = validateScenesData(data);
+    expect(result.errors.map((issue) => issue.message)).toEqual(["slotIndex 8 is not 0–7"]);
+  });
+});
+
+describe("mergeScenesData", () => {
+  const first = bankFile(0, [slot(0, "a"), slot(1, "b")]);
+  const second = bankFile(0, [slot(0, "c")]);
+
+  test("moves conflicting slots to the next free slot by default", () => {
+    const merged = mergeScenesData([first, second]);
+    expect(merged.data.banks[0].slots.map((s) => decodeSlotCode(s.code))).toEqual(["a", "b", "c"]);
+    expect(merged.warnings[0].message).toBe("slot taken, moved to bank 0 slot 2");
+  });
+
+  test("keeps the largest layout of the inputs", () => {
+    const big = { ...bankFile(6, [slot(0, "d")]), geometry: { banks: 8, slots: 16 } };
+    const merged = mergeScenesData([first, big]);
+    expect(merged.data.geometry).toEqual({ banks: 8, slots: 16 });
+    expect(merged.data.banks.map((bank) => bank.bankIndex)).toEqual([0, 6]);
+    expect(mergeScenesData([first, second]).data.geometry).toBeUndefined();
+  });
+
+  test("keeps bank names, the first file's name winning", () => {
+    const named = (name: string, data: ScenesData) => ({
+      ...data,
+      banks: data.banks.map((bank) => ({ ...bank, name })),
+    });
+    const merged = mergeScenesData([named("Intro", first), named("Other", second)]);
+    expect(merged.data.banks[0].name).toBe("Intro");
+    expect(merged.data.banks[0].slots[0]).not.toHaveProperty("name");
+  });
+
+  test("overwrites or skips on request", () => {
+    const overwritten = mergeScenesData([first, second], "overwrite").data.banks[0].slots;
+    expect(decodeSlotCode(overwritten[0].code)).toBe("c");
+    const skipped = mergeScenesData([first, second], "skip").data.banks[0].slots;
+    expect(decodeSlotCode(skipped[0].code)).toBe("a");
+  });
+
+  test("reports slots that don't fit", () => {
+    const full = {
+      version: 1,
+      banks: [3].map((bankIndex) => ({
+        bankIndex,
+        slots: Array.from({ length: 16 }, (_, i) => slot(i, `x${i}`)),
+      })),
+    };
+    const merged = mergeScenesData([full, bankFile(3, [slot(15, "extra")])]);
+    expect(merged.errors).toHaveLength(1);
+  });
+});
+
+describe("collecting and splitting sketches", () => {
+  test("collects from bank files and collection arrays", () => {
+    expect(collectSketches(bankFile(1, [slot(0, "a"), slot(2, "b")]))).toEqual(["a", "b"]);
+    expect(collectSketches([{ _id: "1", code: encodeSlotCode("c") }, { code: "%%%" }])).toEqual([
+      "c",
+    ]);
+    expect(collectSketches({ hello: "world" })).toBe(null);
+  });
+
+  test("splits into 16-slot single-bank files", () => {
+    const sketches = Array.from({ length: 20 }, (_, i) => `s${i}`);
+    const files = splitIntoBanks(sketches);
+    expect(files).toHaveLength(2);
+    expect(files[0].banks[0].slots).toHaveLength(16);
+    expect(files[1].banks[0]).toMatchObject({ bankIndex: 0 });
+    expect(decodeSlotCode(files[1].banks[0].slots[3].code)).toBe("s19");
+    expect(splitIntoBanks(sketches, 1)).toHaveLength(1);
+  });
+
+  test("filters by attribution and shuffles deterministically with a seeded random", () => {
+    expect(hasAttribution("// by Olivia Jack\nosc().out()")).toBe(true);
+    expect(hasAttribution("osc().out()")).toBe(false);
+    expect(shuffle([1, 2, 3], () => 0)).toEqual([2, 3, 1]);
+  });
+});
+
+describe("thumbnails", () => {
+  const data = bankFile(0, [
+    slot(0, "osc(10).out()", "data:image/jpeg;base64,AAEC"),
+    slot(1, "noise().out()"),
+  ]);
+
+  test("strips thumbnails", () => {
+    const stripped = updateThumbnails(data, "strip");
+    expect(stripped.banks[0].slots.every((s) => !("thumbnail" in s))).toBe(true);
+  });
+
+  test("regenerates valid placeholder thumbnails", () => {
+    const regenerated = updateThumbnails(data, "regenerate", true);
+    expect(regenerated.banks[0].slots[0].thumbnail).toBe("data:image/jpeg;base64,AAEC");
+    expect(regenerated.banks[0].slots[1].thumbnail).toBe(placeholderThumbnail("noise().out()"));
+    expect(validateScenesData(regenerated).valid).toBe(true);
+  });
+});
+
+describe("sketch folder conversion", () => {
+  test("round-trips through bank-N/slot-NN.js files", () => {
+    const data = {
+      version: 1,
+      banks: [
+        { bankIndex: 0, slots: [slot(2, "a")] },
+        { bankIndex: 3, slots: [slot(15, "b")] },
+      ],
+    };
+    const files = scenesToSketchFiles(data);
+    expect(files).toEqual([
+      { path: "bank-1/slot-03.js", code: "a" },
+      { path: "bank-4/slot-16.js", code: "b" },
+    ]);
+    const back = sketchFilesToScenes([...files, { path: "notes.js", code: "" }]);
+    expect(back.data).toEqual(data);
+    expect(back.warnings).toHaveLength(1);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * BankTools - checks and transformations on bank files, for `hydractrl banks`.
+ *
+ * Everything here is pure and works on parsed JSON; the file and folder IO
+ * lives in BanksCli.ts. Problems are collected as issues with a JSON-path-like
+ * location instead of thrown, so one run can report all of them.
+ */
+import {
+  BANK_COUNT,
+  SCENES_FORMAT_VERSION,
+  SLOT_COUNT,
+  decodeSlotCode,
+  encodeSlotCode,
+  getScenesGeometry,
+  isDefaultBankGeometry,
+  normalizeScenesData,
+  normalizeSlotMeta,
+} from "../utils/SceneBanks.js";
+import { parseSketchPath, sketchRelativePath } from "./SketchFolder";
+
+export interface SlotData {
+  slotIndex: number;
+  code: string;
+  thumbnail?: string;
+  title?: string;
+  color?: string;
+  tags?: string[];
+  transition?: { mode?: string; duration?: number };
+}
+
+export interface Geometry {
+  banks: number;
+  slots: number;
+}
+
+export interface ScenesData {
+  version: number;
+  geometry?: Geometry;
+  banks: { bankIndex: number; name?: string; slots: SlotData[] }[];
+}
+
+export interface Issue {
+  path: string;
+  message: string;
+}
+
+const THUMBNAIL_PATTERN = /^data:image\/(png|jpeg|webp|gif|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+
+const isIndex = (value: unknown, count: number) =>
+  Number.isInteger(value) && (value as number) >= 0 && (value as number) < count;
+
+/**
+ * Check a parsed bank file: shape, index ranges (of the file's own bank/slot
+ * layout), decodable code and thumbnail data URLs. Empty thumbnails are fine
+ * (the app captures one on the next run).
+ */
+export function validateScenesData(data: unknown) {
+  const errors: Issue[] = [];
+  const warnings: Issue[] = [];
+  let slotCount = 0;
+
+  const record = data as { version?: unknown; geometry?: unknown; banks?: unknown };
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    errors.push({ path: "$", message: "not a bank file (expected an object)" });
+    return { valid: false, errors, warnings, slots: 0 };
+  }
+  if (!record.version) {
+    errors.push({ path: "$.version", message: "missing format version" });
+  } else if (record.version !== SCENES_FORMAT_VERSION) {
+    warnings.push({
+      path: "$.version",
+      message: `version ${record.version}, expected ${SCENES_FORMAT_VERSION}`,
+    });
+  }
+  if (!Array.isArray(record.banks)) {
+    errors.push({ path: "$.banks", message: "missing banks array" });
+    return { valid: false, errors, warnings, slots: 0 };
+  }
+  const geometry = getScenesGeometry(record);
+  const declared = record.geometry as { banks?: unknown; slots?: unknown } | undefined;
+  if (
+    declared !== undefined &&
+    (declared?.banks !== geometry.banks || declared?.slots !== geometry.slots)
+  ) {
+    warnings.push({
+      path: "$.geometry",
+      message: `invalid bank layout, checking against ${geometry.banks} banks × ${geometry.slots} slots`,
+    });
+  }
+
+  const seen = new Set<string>();
+  record.banks.forEach((bank, b) => {
+    const bankPath = `$.banks[${b}]`;
+    if (!bank || typeof bank !== "object") {
+      errors.push({ path: bankPath, message: "bank is not an object" });
+      return;
+    }
+    if (!isIndex(bank.bankIndex, geometry.banks)) {
+      errors.push({
+        path: `${bankPath}.bankIndex`,
+        message: `bankIndex ${JSON.stringify(bank.bankIndex)} is not 0–${geometry.banks - 1}`,
+      });
+    }
+    if (bank.name !== undefined && typeof bank.name !== "string") {
+      warnings.push({ path: `${bankPath}.name`, message: "name is not a string, ignored" });
+    }
+    if (!Array.isArray(bank.slots)) {
+      errors.push({ path: `${bankPath}.slots`, message: "missing slots array" });
+      return;
+    }
+    bank.slots.forEach((slot: Partial<SlotData> | null, s: number) => {
+      const slotPath = `${bankPath}.slots[${s}]`;
+      if (!slot || typeof slot !== "object") {
+        errors.push({ path: slotPath, message: "slot is not an object" });
+        return;
+      }
+      slotCount++;
+      if (!isIndex(slot.slotIndex, geometry.slots)) {
+        errors.push({
+          path: `${slotPath}.slotIndex`,
+          message: `slotIndex ${JSON.stringify(slot.slotIndex)} is not 0–${geometry.slots - 1}`,
+        });
+      }
+      if (decodeSlotCode(slot.code) === null) {
+        errors.push({ path: `${slotPath}.code`, message: "code is not decodable base64" });
+      }
+      if (
+        slot.thumbnail !== undefined &&
+        slot.thumbnail !== "" &&
+        (typeof slot.thumbnail !== "string" || !THUMBNAIL_PATTERN.test(slot.thumbnail))
+      ) {
+        errors.push({
+          path: `${slotPath}.thumbnail`,
+          message: "thumbnail is not an image data URL",
+        });
+      }
+      // Titles, color labels, tags and transitions are optional extras: bad ones are dropped on import
+      const meta = normalizeSlotMeta(slot);
+      if (slot.title !== undefined && typeof slot.title !== "string") {
+        warnings.push({ path: `${slotPath}.title`, message: "title is not a string, ignored" });
+      }
+      if (slot.color !== undefined && meta.color === undefined) {
+        warnings.push({ path: `${slotPath}.color`, message: "color is not #rrggbb, ignored" });
+      }
+      if (
+        slot.tags !== undefined &&
+        (!Array.isArray(slot.tags) || slot.tags.some((tag) => typeof tag !== "string"))
+      ) {
+        warnings.push({ path: `${slotPath}.tags`, message: "tags is not a list of strings" });
+      }
+      if (slot.transition !== undefined && meta.transition === undefined) {
+        warnings.push({
+          path: `${slotPath}.transition`,
+          message: "transition has no valid mode or duration, ignored",
+        });
+      }
+      const key = `${bank.bankIndex}:${slot.slotIndex}`;
+      if (seen.has(key)) {
+        warnings.push({
+          path: slotPath,
+          message: `duplicate of bank ${bank.bankIndex} slot ${slot.slotIndex} (the last one wins)`,
+        });
+      }
+      seen.add(key);
+    });
+  });
+
+  return { valid: errors.length === 0, errors, warnings, slots: slotCount };
+}
+
+export type ConflictMode = "next-free" | "overwrite" | "skip";
+
+/**
+ * Merge bank files in order. A slot that is already taken goes to the next
+ * free slot of the same bank, then of the following banks ("next-free"), or
+ * replaces ("overwrite") or loses to ("skip") the earlier one. The result has
+ * the largest bank/slot layout of the inputs.
+ * @returns The merged data plus the moved/dropped slots, as warnings and errors.
+ */
+export function mergeScenesData(list: ScenesData[], onConflict: ConflictMode = "next-free") {
+  const grid = new Map<number, SlotData>();
+  const warnings: Issue[] = [];
+  const errors: Issue[] = [];
+  const geometry = list.map(getScenesGeometry).reduce(
+    (largest, layout) => ({
+      banks: Math.max(largest.banks, layout.banks),
+      slots: Math.max(largest.slots, layout.slots),
+    }),
+    { banks: 1, slots: 1 },
+  );
+  const stride = geometry.slots;
+  const total = geometry.banks * stride;
+  // Bank names: the first file that names a bank wins
+  const names = new Map<number, string>();
+
+  list.forEach((data, fileIndex) => {
+    for (const { bankIndex, name, slots } of normalizeScenesData(data, geometry)?.banks || []) {
+      if (name && !names.has(bankIndex)) names.set(bankIndex, name);
+      for (const slot of slots as SlotData[]) {
+        const path = `$[${fileIndex}] bank ${bankIndex} slot ${slot.slotIndex}`;
+        let position = bankIndex * stride + slot.slotIndex;
+        if (grid.has(position)) {
+          if (onConflict === "skip") {
+            warnings.push({ path, message: "slot taken, skipped" });
+            continue;
+          }
+          if (onConflict === "next-free") {
+            while (position < total && grid.has(position)) position++;
+            if (position === total) {
+              errors.push({ path, message: "no free slot left, dropped" });
+              continue;
+            }
+            warnings.push({
+              path,
+              message: `slot taken, moved to bank ${Math.floor(position / stride)} slot ${position % stride}`,
+            });
+          } else {
+            warnings.push({ path, message: "slot taken, overwritten" });
+          }
+        }
+        grid.set(position, { ...slot, slotIndex: position % stride });
+      }
+    }
+  });
+
+  return { data: gridToScenesData(grid, geometry, names), warnings, errors };
+}
+
+function gridToScenesData(
+  grid: Map<number, SlotData>,
+  geometry: Geometry,
+  names = new Map<number, string>(),
+): ScenesData {
+  const banks: ScenesData["banks"] = [];
+  const bankFor = (bankIndex: number) => {
+    let bank = banks.find((entry) => entry.bankIndex === bankIndex);
+    if (!bank) {
+      bank = { bankIndex, slots: [] };
+      const name = names.get(bankIndex);
+      if (name) bank.name = name;
+      banks.push(bank);
+    }
+    return bank;
+  };
+  for (const position of [...grid.keys()].sort((a, b) => a - b)) {
+    bankFor(Math.floor(position / geometry.slots)).slots.push(grid.get(position) as SlotData);
+  }
+  for (const bankIndex of names.keys()) bankFor(bankIndex);
+  banks.sort((a, b) => a.bankIndex - b.bankIndex);
+  const data: ScenesData = { version: SCENES_FORMAT_VERSION, banks };
+  if (!isDefaultBankGeometry(geometry)) data.geometry = { ...geometry };
+  return data;
+}
+
+// Comment patterns that credit an author ("// by ...", "// @handle", "CC-BY")
+const ATTRIBUTION_PATTERNS = [
+  /\/\/.*by\s+[a-zA-Z]/i,
+  /\/\/.*CC.*/i,
+  /\/\/.*@[a-zA-Z]/i,
+  /\/\/.*author/i,
+  /\/\/.*created?\s+by/i,
+  /\/\/.*made?\s+by/i,
+  /\/\*.*by\s+[a-zA-Z]/i,
+  /\/\*.*@[a-zA-Z]/i,
+  /\/\*.*author/i,
+  /\/\*.*created?\s+by/i,
+  /\/\*.*made?\s+by/i,
+];
+
+/** Does the sketch credit its author in a comment? */
+export function hasAttribution(code: string) {
+  return ATTRIBUTION_PATTERNS.some((pattern) => pattern.test(code));
+}
+
+/**
+ * Sketch sources out of anything that holds sketches: a bank file, or a
+ * collection array like the hydra editor's saved-sketches export
+ * (`[{ code, ... }]` with the same base64 encoding).
+ * @returns The decoded sources in order, or null for an unknown shape.
+ */
+export function collectSketches(data: unknown) {
+  const encoded: unknown[] = [];
+  if (Array.isArray(data)) {
+    for (const item of data) encoded.push(typeof item === "string" ? item : item?.code);
+  } else {
+    const normalized = normalizeScenesData(data, getScenesGeometry(data));
+    if (!normalized) return null;
+    for (const bank of normalized.banks) {
+      for (const slot of bank.slots) encoded.push(slot.code);
+    }
+  }
+  return encoded.map(decodeSlotCode).filter((code): code is string => code !== null);
+}
+
+/** Fisher–Yates shuffle; `random` is injectable for tests. */
+export function shuffle<T>(items: T[], random = Math.random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Cut sketches into single-bank files of SLOT_COUNT slots, in the format of
+ * public/assets/banks/random (bank 0). A short remainder gets its own file.
+ */
+export function splitIntoBanks(sketches: string[], maxFiles = Number.POSITIVE_INFINITY) {
+  const files: ScenesData[] = [];
+  for (let start = 0; start < sketches.length && files.length < maxFiles; start += SLOT_COUNT) {
+    const slots = sketches
+      .slice(start, start + SLOT_COUNT)
+      .map((code, slotIndex) => ({ slotIndex, code: encodeSlotCode(code) }));
+    files.push({ version: SCENES_FORMAT_VERSION, banks: [{ bankIndex: 0, slots }] });
+  }
+  return files;
+}
+
+function hashCode(code: string) {
+  let hash = 2166136261;
+  for (let i = 0; i < code.length; i++) {
+    hash ^= code.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A stand-in thumbnail derived from the code: a two-colour gradient labelled
+ * with the sketch's first source. Real thumbnails need WebGL, so they're only
+ * captured in the browser; this keeps filled slots recognizable until then.
+ */
+export function placeholderThumbnail(code: string) {
+  const hash = hashCode(code);
+  const hue = hash % 360;
+  const hue2 = (hue + 60 + ((hash >> 9) % 120)) % 360;
+  const source = /\b(osc|noise|voronoi|shape|gradient|solid|src)\s*\(/.exec(code)?.[1] || "";
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32">` +
+    `<defs><linearGradient id="g" x2="1" y2="1"><stop stop-color="hsl(${hue},70%,45%)"/>` +
+    `<stop offset="1" stop-color="hsl(${hue2},70%,25%)"/></linearGradient></defs>` +
+    `<rect width="32" height="32" fill="url(#g)"/>` +
+    `<text x="16" y="20" font-family="monospace" font-size="9" fill="#fff" text-anchor="middle">${source}</text></svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+}
+
+/**
+ * Strip every thumbnail, or regenerate them as placeholders.
+ * @param onlyMissing - With "regenerate", keep the thumbnails that exist.
+ */
+export function updateThumbnails(
+  data: ScenesData,
+  mode: "strip" | "regenerate",
+  onlyMissing = false,
+): ScenesData {
+  return {
+    ...data,
+    banks: data.banks.map((bank) => ({
+      ...bank,
+      slots: bank.slots.map(({ thumbnail, ...slot }) => {
+        if (mode === "strip") return slot;
+        if (onlyMissing && thumbnail) return { ...slot, thumbnail };
+        return { ...slot, thumbnail: placeholderThumbnail(decodeSlotCode(slot.code) || "") };
+      }),
+    })),
+  };
+}
+
+/** One .js file per slot, in the sketch folder layout (bank-1/slot-01.js, ...). */
+export function scenesToSketchFiles(data: ScenesData) {
+  const files: { path: string; code: string }[] = [];
+  for (const bank of normalizeScenesData(data, getScenesGeometry(data))?.banks || []) {
+    for (const slot of bank.slots) {
+      files.push({
+        path: sketchRelativePath(bank.bankIndex, slot.slotIndex),
+        code: decodeSlotCode(slot.code) as string,
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * The inverse of scenesToSketchFiles. Files outside the layout are reported
+ * as warnings and left out.
+ */
+export function sketchFilesToScenes(files: { path: string; code: string }[]) {
+  const grid = new Map<number, SlotData>();
+  const warnings: Issue[] = [];
+  let banks = BANK_COUNT;
+  for (const file of files) {
+    const position = parseSketchPath(file.path);
+    if (!position) {
+      warnings.push({ path: file.path, message: "not a bank-N/slot-NN.js file, skipped" });
+      continue;
+    }
+    banks = Math.max(banks, position.bank + 1);
+    grid.set(position.bank * SLOT_COUNT + position.slot, {
+      slotIndex: position.slot,
+      code: encodeSlotCode(file.code),
+    });
+  }
+  return { data: gridToScenesData(grid, { banks, slots: SLOT_COUNT }), warnings };
+}
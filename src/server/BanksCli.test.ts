@@ -0,0 +1,120 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodeSlotCode } from "../utils/SceneBanks.js";
+import { parseBanksArgs, runBanksCli } from "./BanksCli";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-banks-cli-"));
+const bank = (bankIndex: number, codes: string[]) => ({
+  version: 1,
+  banks: [
+    {
+      bankIndex,
+      slots: codes.map((code, slotIndex) => ({ slotIndex, code: encodeSlotCode(code) })),
+    },
+  ],
+});
+writeFileSync(join(root, "a.json"), JSON.stringify(bank(0, ["osc().out()", "noise().out()"])));
+writeFileSync(join(root, "b.json"), JSON.stringify(bank(0, ["shape().out()"])));
+writeFileSync(
+  join(root, "bad.json"),
+  JSON.stringify({ version: 1, banks: [{ bankIndex: 9, slots: [] }] }),
+);
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function run(...argv: string[]) {
+  let stdout = "";
+  let stderr = "";
+  const code = runBanksCli(argv, {
+    cwd: root,
+    stdout: (text) => {
+      stdout += text;
+    },
+    stderr: (text) => {
+      stderr += text;
+    },
+  });
+  return { code, stdout, stderr };
+}
+
+describe("parseBanksArgs", () => {
+  test("rejects unknown commands and missing outputs", () => {
+    expect(parseBanksArgs(["frobnicate"]).error).toBe('unknown command "frobnicate"');
+    expect(parseBanksArgs(["merge", "a.json"]).error).toBe("merge needs -o <path>");
+    expect(parseBanksArgs(["thumbnails", "a.json", "-o", "x.json"]).error).toMatch(/--strip/);
+    expect(parseBanksArgs(["split", "a.json", "-o", "out", "--max-files", "0"]).error).toMatch(
+      /positive/,
+    );
+  });
+});
+
+describe("runBanksCli", () => {
+  test("validate exits 0 for valid files and 1 with a JSON report for invalid ones", () => {
+    expect(run("validate", "a.json", "b.json").code).toBe(0);
+
+    const result = run("validate", "a.json", "bad.json", "missing.json", "--json");
+    expect(result.code).toBe(1);
+    const report = JSON.parse(result.stdout);
+    expect(report).toMatchObject({ command: "validate", ok: false, stats: { files: 3, slots: 2 } });
+    expect(report.errors.map((issue: { message: string }) => issue.message)).toEqual([
+      "bankIndex 9 is not 0–3",
+      "file not found",
+    ]);
+  });
+
+  test("usage errors exit 2", () => {
+    const result = run("merge");
+    expect(result.code).toBe(2);
+    expect(result.stderr).toContain("merge needs an input");
+  });
+
+  test("merge writes the merged file", () => {
+    const result = run("merge", "a.json", "b.json", "-o", "out/merged.json", "--json");
+    expect(result.code).toBe(0);
+    expect(JSON.parse(result.stdout).stats).toEqual({ files: 2, slots: 3 });
+    const merged = JSON.parse(readFileSync(join(root, "out/merged.json"), "utf-8"));
+    expect(merged.banks[0].slots).toHaveLength(3);
+  });
+
+  test("merge writes nothing when sketches are dropped", () => {
+    const full = {
+      version: 1,
+      banks: [0, 1, 2, 3].map((bankIndex) => ({
+        bankIndex,
+        slots: Array.from({ length: 16 }, (_, slotIndex) => ({
+          slotIndex,
+          code: encodeSlotCode("osc().out()"),
+        })),
+      })),
+    };
+    writeFileSync(join(root, "full.json"), JSON.stringify(full));
+    const result = run("merge", "full.json", "b.json", "-o", "out/dropped.json", "--json");
+    expect(result.code).toBe(1);
+    const report = JSON.parse(result.stdout);
+    expect(report.errors[0].message).toContain("no free slot left, dropped");
+    expect(report.outputs).toEqual([]);
+    expect(existsSync(join(root, "out/dropped.json"))).toBe(false);
+  });
+
+  test("split, to-folder and from-folder", () => {
+    expect(run("split", "a.json", "b.json", "-o", "split").code).toBe(0);
+    expect(existsSync(join(root, "split/bank-00.json"))).toBe(true);
+
+    expect(run("to-folder", "a.json", "-o", "sketches").code).toBe(0);
+    expect(readFileSync(join(root, "sketches/bank-1/slot-02.js"), "utf-8")).toBe("noise().out()");
+
+    expect(run("from-folder", "sketches", "-o", "back.json").code).toBe(0);
+    expect(JSON.parse(readFileSync(join(root, "back.json"), "utf-8"))).toEqual(
+      bank(0, ["osc().out()", "noise().out()"]),
+    );
+  });
+
+  test("thumbnails refuses invalid input", () => {
+    expect(run("thumbnails", "bad.json", "--strip", "-o", "t.json").code).toBe(1);
+    expect(run("thumbnails", "a.json", "--regenerate", "-o", "t.json").code).toBe(0);
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * BanksCli - `hydractrl banks <command>`: validate and convert bank files from scripts.
+ *
+ * Exit codes: 0 done (warnings allowed), 1 invalid input or errors while
+ * processing, 2 usage error. With --json a machine-readable report is printed
+ * to stdout instead of the human-readable one:
+ *
+ *   { command, ok, inputs, outputs, errors: [{ file, path, message }], warnings, stats }
+ */
+import { mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { dirname, join, relative, resolve, sep } from "node:path";
+import { MANIFEST_FILE, scanBankManifest } from "./BankManifest";
+import {
+  type ConflictMode,
+  type Issue,
+  type ScenesData,
+  collectSketches,
+  hasAttribution,
+  mergeScenesData,
+  scenesToSketchFiles,
+  shuffle,
+  sketchFilesToScenes,
+  splitIntoBanks,
+  updateThumbnails,
+  validateScenesData,
+} from "./BankTools";
+
+export const BANKS_HELP_TEXT = `Usage: hydractrl banks <command> [options]
+
+Commands:
+  validate <file.json>...          Check bank files (base64 code, bank/slot indices within
+                                   the file's layout, thumbnail data URLs)
+  merge <file.json>... -o <out>    Merge bank files in order (nothing is written when a
+                                   sketch has no slot left)
+      --on-conflict <mode>         next-free (default), overwrite or skip
+  split <input>... -o <dir>        Cut sketches (bank files, collection arrays or
+                                   folders of .js files) into 16-slot bank files
+      --shuffle                    Randomize the order first
+      --attributed-only            Only sketches that credit an author in a comment
+      --max-files <n>              Write at most n bank files
+  thumbnails <file.json> -o <out>  Rewrite thumbnails
+      --strip                      Remove all thumbnails
+      --regenerate                 Replace them with generated placeholders
+      --missing-only               With --regenerate, keep existing thumbnails
+  to-folder <file.json> -o <dir>   Write one .js file per slot (bank-1/slot-01.js)
+  from-folder <dir> -o <out>       Build a bank file from such a folder
+  manifest <dir> [-o <out>]        Write the dice button's manifest of a banks dir
+                                   (default: <dir>/index.json)
+
+Options:
+  -o, --out <path>                 Output file or directory
+  --json                           Print a machine-readable report to stdout
+  -h, --help                       Show this help
+
+Exit codes: 0 ok, 1 invalid input or processing errors, 2 usage error.
+`;
+
+const COMMANDS = [
+  "validate",
+  "merge",
+  "split",
+  "thumbnails",
+  "to-folder",
+  "from-folder",
+  "manifest",
+];
+const CONFLICT_MODES = ["next-free", "overwrite", "skip"];
+const FLAGS = [
+  "--json",
+  "--shuffle",
+  "--attributed-only",
+  "--strip",
+  "--regenerate",
+  "--missing-only",
+];
+
+interface BanksArgs {
+  command: string;
+  inputs: string[];
+  out: string | null;
+  flags: Set<string>;
+  onConflict: ConflictMode;
+  maxFiles: number;
+}
+
+type FileIssue = Issue & { file: string };
+
+export interface BanksReport {
+  command: string;
+  ok: boolean;
+  inputs: string[];
+  outputs: string[];
+  errors: FileIssue[];
+  warnings: FileIssue[];
+  stats: Record<string, number>;
+}
+
+export interface BanksIo {
+  cwd?: string;
+  stdout?: (text: string) => void;
+  stderr?: (text: string) => void;
+}
+
+/** Parse the arguments after `banks`. @returns The arguments, "help", or an error. */
+export function parseBanksArgs(argv: string[]): { args?: BanksArgs; help?: true; error?: string } {
+  if (argv.length === 0 || argv.includes("--help") || argv.includes("-h")) return { help: true };
+  const [command, ...rest] = argv;
+  if (!COMMANDS.includes(command)) return { error: `unknown command "${command}"` };
+
+  const args: BanksArgs = {
+    command,
+    inputs: [],
+    out: null,
+    flags: new Set(),
+    onConflict: "next-free",
+    maxFiles: Number.POSITIVE_INFINITY,
+  };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (FLAGS.includes(arg)) {
+      args.flags.add(arg);
+      continue;
+    }
+    if (!arg.startsWith("-")) {
+      args.inputs.push(arg);
+      continue;
+    }
+    const value = rest[i + 1];
+    if (value === undefined || value.startsWith("-")) return { error: `${arg} needs a value` };
+    i++;
+    if (arg === "-o" || arg === "--out") {
+      args.out = value;
+    } else if (arg === "--on-conflict" && CONFLICT_MODES.includes(value)) {
+      args.onConflict = value as ConflictMode;
+    } else if (arg === "--on-conflict") {
+      return { error: `--on-conflict must be one of ${CONFLICT_MODES.join(", ")}` };
+    } else if (arg === "--max-files" && /^[1-9]\d*$/.test(value)) {
+      args.maxFiles = Number(value);
+    } else if (arg === "--max-files") {
+      return { error: "--max-files must be a positive number" };
+    } else {
+      return { error: `unknown option "${arg}"` };
+    }
+  }
+
+  if (args.inputs.length === 0) return { error: `${command} needs an input` };
+  const single = ["thumbnails", "to-folder", "from-folder", "manifest"].includes(command);
+  if (single && args.inputs.length > 1) return { error: `${command} takes one input` };
+  if (!["validate", "manifest"].includes(command) && !args.out) {
+    return { error: `${command} needs -o <path>` };
+  }
+  if (command === "thumbnails" && args.flags.has("--strip") === args.flags.has("--regenerate")) {
+    return { error: "thumbnails needs either --strip or --regenerate" };
+  }
+  return { args };
+}
+
+function listJsFiles(dir: string): string[] {
+  const files: string[] = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const filePath = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listJsFiles(filePath));
+    else if (entry.isFile() && entry.name.endsWith(".js")) files.push(filePath);
+  }
+  return files.sort();
+}
+
+function writeJson(filePath: string, data: unknown) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function formatReport(report: BanksReport) {
+  const lines = [
+    ...report.errors.map((issue) => `error: ${issue.file} ${issue.path}: ${issue.message}`),
+    ...report.warnings.map((issue) => `warning: ${issue.file} ${issue.path}: ${issue.message}`),
+  ];
+  const stats = Object.entries(report.stats)
+    .map(([name, value]) => `${value} ${name}`)
+    .join(", ");
+  const outputs = report.outputs.length ? ` → ${report.outputs.join(", ")}` : "";
+  lines.push(`${report.ok ? "✓" : "✗"} banks ${report.command}: ${stats}${outputs}`);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Run `hydractrl banks` with the arguments after "banks".
+ * @returns The process exit code.
+ */
+export function runBanksCli(argv: string[], io: BanksIo = {}) {
+  const cwd = io.cwd || process.cwd();
+  const stdout = io.stdout || ((text: string) => process.stdout.write(text));
+  const stderr = io.stderr || ((text: string) => process.stderr.write(text));
+
+  const parsed = parseBanksArgs(argv);
+  if (parsed.help) {
+    stdout(BANKS_HELP_TEXT);
+    return 0;
+  }
+  if (!parsed.args) {
+    stderr(`hydractrl banks: ${parsed.error}\nRun with --help to see the commands.\n`);
+    return 2;
+  }
+  const args = parsed.args;
+  const inputs = args.inputs.map((input) => resolve(cwd, input));
+  const out = args.out ? resolve(cwd, args.out) : null;
+
+  const report: BanksReport = {
+    command: args.command,
+    ok: true,
+    inputs,
+    outputs: [],
+    errors: [],
+    warnings: [],
+    stats: {},
+  };
+  const addIssues = (file: string, list: FileIssue[], issues: Issue[]) => {
+    for (const issue of issues) list.push({ file, ...issue });
+  };
+
+  // Reads are reported, not thrown: a missing file is just another error
+  const readJson = (file: string): unknown => {
+    try {
+      return JSON.parse(readFileSync(file, "utf-8"));
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      const message =
+        code === "ENOENT" ? "file not found" : code ? `cannot read (${code})` : "not JSON";
+      report.errors.push({ file, path: "$", message });
+      return undefined;
+    }
+  };
+  const readBankFile = (file: string) => {
+    const data = readJson(file);
+    if (data === undefined) return null;
+    const result = validateScenesData(data);
+    addIssues(file, report.errors, result.errors);
+    addIssues(file, report.warnings, result.warnings);
+    return result.valid ? (data as ScenesData) : null;
+  };
+
+  try {
+    switch (args.command) {
+      case "validate": {
+        let slots = 0;
+        for (const file of inputs) {
+          const data = readJson(file);
+          if (data === undefined) continue;
+          const result = validateScenesData(data);
+          addIssues(file, report.errors, result.errors);
+          addIssues(file, report.warnings, result.warnings);
+          slots += result.slots;
+        }
+        report.stats = { files: inputs.length, slots };
+        break;
+      }
+
+      case "merge": {
+        const list = inputs.map(readBankFile);
+        if (report.errors.length > 0) break;
+        const merged = mergeScenesData(list as ScenesData[], args.onConflict);
+        addIssues("merge", report.warnings, merged.warnings);
+        addIssues("merge", report.errors, merged.errors);
+        // A set with dropped sketches is no merge: leave no file to pick up
+        if (merged.errors.length === 0) {
+          writeJson(out as string, merged.data);
+          report.outputs.push(out as string);
+        }
+        report.stats = {
+          files: inputs.length,
+          slots: merged.data.banks.reduce((sum, bank) => sum + bank.slots.length, 0),
+        };
+        break;
+      }
+
+      case "split": {
+        let sketches: string[] = [];
+        for (const input of inputs) {
+          let isDirectory = false;
+          try {
+            isDirectory = statSync(input).isDirectory();
+          } catch (_error) {
+            // Reported by readJson below
+          }
+          if (isDirectory) {
+            for (const file of listJsFiles(input)) sketches.push(readFileSync(file, "utf-8"));
+            continue;
+          }
+          const data = readJson(input);
+          if (data === undefined) continue;
+          const collected = collectSketches(data);
+          if (collected === null) {
+            report.errors.push({
+              file: input,
+              path: "$",
+              message: "not a bank file or sketch array",
+            });
+          } else {
+            sketches.push(...collected);
+          }
+        }
+        if (report.errors.length > 0) break;
+
+        const total = sketches.length;
+        if (args.flags.has("--attributed-only")) sketches = sketches.filter(hasAttribution);
+        if (args.flags.has("--shuffle")) sketches = shuffle(sketches);
+        const files = splitIntoBanks(sketches, args.maxFiles);
+        files.forEach((data, index) => {
+          const filePath = join(out as string, `bank-${String(index).padStart(2, "0")}.json`);
+          writeJson(filePath, data);
+          report.outputs.push(filePath);
+        });
+        report.stats = {
+          sketches: total,
+          used: files.reduce((sum, data) => sum + data.banks[0].slots.length, 0),
+          files: files.length,
+        };
+        break;
+      }
+
+      case "thumbnails": {
+        const data = readBankFile(inputs[0]);
+        if (!data) break;
+        const mode = args.flags.has("--strip") ? "strip" : "regenerate";
+        const updated = updateThumbnails(data, mode, args.flags.has("--missing-only"));
+        writeJson(out as string, updated);
+        report.outputs.push(out as string);
+        report.stats = {
+          slots: updated.banks.reduce((sum, bank) => sum + bank.slots.length, 0),
+        };
+        break;
+      }
+
+      case "to-folder": {
+        const data = readBankFile(inputs[0]);
+        if (!data) break;
+        const files = scenesToSketchFiles(data);
+        for (const file of files) {
+          const filePath = join(out as string, file.path);
+          mkdirSync(dirname(filePath), { recursive: true });
+          writeFileSync(filePath, file.code);
+          report.outputs.push(filePath);
+        }
+        report.stats = { files: files.length };
+        break;
+      }
+
+      case "from-folder": {
+        const dir = inputs[0];
+        const files = listJsFiles(dir).map((filePath) => ({
+          path: relative(dir, filePath).split(sep).join("/"),
+          code: readFileSync(filePath, "utf-8"),
+        }));
+        const converted = sketchFilesToScenes(files);
+        addIssues(dir, report.warnings, converted.warnings);
+        writeJson(out as string, converted.data);
+        report.outputs.push(out as string);
+        report.stats = {
+          files: files.length,
+          slots: converted.data.banks.reduce((sum, bank) => sum + bank.slots.length, 0),
+        };
+        break;
+      }
+
+      case "manifest": {
+        const dir = inputs[0];
+        if (!statSync(dir).isDirectory()) {
+          report.errors.push({ file: dir, path: "$", message: "not a directory" });
+          break;
+        }
+        const target = out || join(dir, MANIFEST_FILE);
+        const { manifest, skipped } = scanBankManifest(dir);
+        addIssues(dir, report.warnings, skipped);
+        writeJson(target, manifest);
+        report.outputs.push(target);
+        report.stats = { banks: manifest.banks.length, collections: manifest.collections.length };
+        break;
+      }
+    }
+  } catch (error) {
+    const nodeError = error as NodeJS.ErrnoException;
+    report.errors.push({
+      file: nodeError.path || out || "",
+      path: "$",
+      message: nodeError.code ? `${nodeError.code}: ${nodeError.message}` : String(error),
+    });
+  }
+
+  report.ok = report.errors.length === 0;
+  if (args.flags.has("--json")) {
+    stdout(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    (report.ok ? stdout : stderr)(formatReport(report));
+  }
+  return report.ok ? 0 : 1;
+}
@@ -0,0 +1,128 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodeSlotCode } from "../utils/SceneBanks.js";
+import {
+  type CliArgs,
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  parseCliArgs,
+  resolveCliOptions,
+} from "./CliOptions";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-cli-"));
+mkdirSync(join(root, "public"));
+mkdirSync(join(root, "videos"));
+writeFileSync(
+  join(root, "show.json"),
+  JSON.stringify({
+    version: 1,
+    banks: [{ bankIndex: 0, slots: [{ slotIndex: 0, code: encodeSlotCode("osc().out()") }] }],
+  }),
+);
+writeFileSync(join(root, "broken.json"), "{");
+writeFileSync(join(root, "other.json"), JSON.stringify({ hello: "world" }));
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function args(argv: string[]) {
+  const result = parseCliArgs(argv);
+  if (result.error !== undefined) throw new Error(result.error);
+  return result.args;
+}
+
+describe("parseCliArgs", () => {
+  test("defaults", () => {
+    expect(args([])).toEqual({
+      port: DEFAULT_PORT,
+      host: DEFAULT_HOST,
+      publicDir: null,
+      assetsDirs: [],
+      bankFile: null,
+      https: false,
+      open: false,
+      help: false,
+    });
+  });
+
+  test("accepts --opt value and --opt=value, repeatable --assets-dir", () => {
+    expect(
+      args([
+        "--port",
+        "8080",
+        "--host=127.0.0.1",
+        "--assets-dir",
+        "a",
+        "--assets-dir=b",
+        "--bank",
+        "show.json",
+        "--public-dir=web",
+        "--https",
+        "--open",
+      ]),
+    ).toEqual({
+      port: 8080,
+      host: "127.0.0.1",
+      publicDir: "web",
+      assetsDirs: ["a", "b"],
+      bankFile: "show.json",
+      https: true,
+      open: true,
+      help: false,
+    });
+    expect(args(["-h"]).help).toBe(true);
+  });
+
+  test("reports invalid options", () => {
+    expect(parseCliArgs(["--port", "99999"]).error).toContain("--port");
+    expect(parseCliArgs(["--port=3e3"]).error).toContain("--port");
+    expect(parseCliArgs(["--port"]).error).toBe("--port needs a value");
+    expect(parseCliArgs(["--bank", "--open"]).error).toBe("--bank needs a value");
+    expect(parseCliArgs(["--host="]).error).toBe("--host needs a value");
+    expect(parseCliArgs(["--open=yes"]).error).toBe("--open does not take a value");
+    expect(parseCliArgs(["--verbose"]).error).toBe('unknown option "--verbose"');
+    expect(parseCliArgs(["serve"]).error).toBe('unknown option "serve"');
+  });
+});
+
+describe("resolveCliOptions", () => {
+  const base: CliArgs = args([]);
+
+  test("resolves paths against the working directory and loads the bank", () => {
+    const result = resolveCliOptions(
+      { ...base, publicDir: "public", assetsDirs: ["videos"], bankFile: "show.json" },
+      "/unused",
+      root,
+    );
+    expect(result.error).toBeUndefined();
+    expect(result.options?.publicDir).toBe(join(root, "public"));
+    expect(result.options?.assetsDirs).toEqual([join(root, "videos")]);
+    expect(result.options?.bank?.banks[0].slots[0].slotIndex).toBe(0);
+  });
+
+  test("falls back to the default public dir", () => {
+    const result = resolveCliOptions(base, join(root, "public"), root);
+    expect(result.options?.publicDir).toBe(join(root, "public"));
+    expect(result.options?.bank).toBe(null);
+  });
+
+  test("reports missing dirs and unusable bank files", () => {
+    expect(resolveCliOptions(base, join(root, "nope"), root).error).toContain("public dir");
+    const withPublic = { ...base, publicDir: "public" };
+    expect(resolveCliOptions({ ...withPublic, assetsDirs: ["nope"] }, "", root).error).toContain(
+      "assets dir not found",
+    );
+    expect(
+      resolveCliOptions({ ...withPublic, bankFile: "missing.json" }, "", root).error,
+    ).toContain("bank file not found");
+    expect(resolveCliOptions({ ...withPublic, bankFile: "broken.json" }, "", root).error).toContain(
+      "bank file not JSON",
+    );
+    expect(resolveCliOptions({ ...withPublic, bankFile: "other.json" }, "", root).error).toContain(
+      "not a scene bank export",
+    );
+  });
+});
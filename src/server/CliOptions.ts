@@ -0,0 +1,169 @@
+/**
+ * CliOptions - command-line arguments of the server / hydractrl executable.
+ *
+ * `parseCliArgs` is purely syntactic; `resolveCliOptions` then checks the
+ * paths and the bank file against the filesystem. Both report problems as
+ * `{ error }` instead of throwing, so src/index.ts can print one clear line
+ * and exit non-zero.
+ */
+import { readFileSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+import { MAX_BANK_GEOMETRY, normalizeScenesData } from "../utils/SceneBanks.js";
+
+export const DEFAULT_PORT = 3000;
+// All interfaces, so phones on the LAN can reach /remote
+export const DEFAULT_HOST = "0.0.0.0";
+
+export const HELP_TEXT = `Usage: hydractrl [options]
+       hydractrl banks <command>   Validate and convert bank files (see banks --help)
+
+Options:
+  --port <number>       Port to listen on (default: ${DEFAULT_PORT})
+  --host <address>      Address to bind to (default: ${DEFAULT_HOST}, all interfaces)
+  --public-dir <dir>    Directory with the web app (default: hydractrl-public next
+                        to the executable, or public/ in development)
+  --assets-dir <dir>    Extra directory of local images/videos served from /,
+                        can be given more than once
+  --bank <file.json>    Scene bank export to load into the banks on startup
+                        (once per version of the file: restarts keep edits)
+  --https               Serve over HTTPS with a self-signed certificate, so
+                        tablets on the LAN may use the microphone/camera
+  --open                Open the app in the default browser
+  -h, --help            Show this help
+`;
+
+export interface CliArgs {
+  port: number;
+  host: string;
+  publicDir: string | null;
+  assetsDirs: string[];
+  bankFile: string | null;
+  https: boolean;
+  open: boolean;
+  help: boolean;
+}
+
+type ParseResult = { args: CliArgs; error?: undefined } | { error: string; args?: undefined };
+
+const VALUE_OPTIONS = ["--port", "--host", "--public-dir", "--assets-dir", "--bank"];
+const FLAG_OPTIONS = ["--https", "--open", "--help", "-h"];
+
+/** Parse argv (without the runtime/executable entries). Accepts `--opt value` and `--opt=value`. */
+export function parseCliArgs(argv: string[]): ParseResult {
+  const args: CliArgs = {
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    publicDir: null,
+    assetsDirs: [],
+    bankFile: null,
+    https: false,
+    open: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const equals = arg.indexOf("=");
+    const name = arg.startsWith("--") && equals !== -1 ? arg.slice(0, equals) : arg;
+
+    if (FLAG_OPTIONS.includes(name)) {
+      if (name !== arg) return { error: `${name} does not take a value` };
+      if (name === "--https") args.https = true;
+      else if (name === "--open") args.open = true;
+      else args.help = true;
+      continue;
+    }
+    if (!VALUE_OPTIONS.includes(name)) {
+      return { error: `unknown option "${arg}"` };
+    }
+
+    let value: string | undefined;
+    if (name !== arg) {
+      value = arg.slice(equals + 1);
+    } else {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        return { error: `${name} needs a value` };
+      }
+      i++;
+    }
+    if (value === "") return { error: `${name} needs a value` };
+
+    switch (name) {
+      case "--port": {
+        const port = Number(value);
+        if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+          return { error: `--port must be a number from 1 to 65535, got "${value}"` };
+        }
+        args.port = port;
+        break;
+      }
+      case "--host":
+        args.host = value;
+        break;
+      case "--public-dir":
+        args.publicDir = value;
+        break;
+      case "--assets-dir":
+        args.assetsDirs.push(value);
+        break;
+      case "--bank":
+        args.bankFile = value;
+        break;
+    }
+  }
+  return { args };
+}
+
+function isDirectory(path: string) {
+  try {
+    return statSync(path).isDirectory();
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve paths against `cwd`, check that directories exist and load the bank file.
+ * @returns Absolute paths plus the normalized scenes data of `--bank`, or an error.
+ */
+export function resolveCliOptions(args: CliArgs, defaultPublicDir: string, cwd = process.cwd()) {
+  const publicDir = args.publicDir ? resolve(cwd, args.publicDir) : defaultPublicDir;
+  if (!isDirectory(publicDir)) {
+    return { error: `public dir not found: ${publicDir}` };
+  }
+
+  const assetsDirs = args.assetsDirs.map((dir) => resolve(cwd, dir));
+  const missing = assetsDirs.find((dir) => !isDirectory(dir));
+  if (missing) {
+    return { error: `assets dir not found: ${missing}` };
+  }
+
+  let bank = null;
+  if (args.bankFile) {
+    const bankPath = resolve(cwd, args.bankFile);
+    let raw: unknown;
+    try {
+      raw = JSON.parse(readFileSync(bankPath, "utf-8"));
+    } catch (error) {
+      const reason = (error as NodeJS.ErrnoException).code === "ENOENT" ? "not found" : "not JSON";
+      return { error: `bank file ${reason}: ${bankPath}` };
+    }
+    bank = normalizeScenesData(raw, MAX_BANK_GEOMETRY);
+    if (!bank) {
+      return { error: `bank file is not a scene bank export: ${bankPath}` };
+    }
+  }
+
+  return {
+    options: {
+      port: args.port,
+      host: args.host,
+      https: args.https,
+      open: args.open,
+      publicDir,
+      assetsDirs,
+      bank,
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import { describe, expect, test } from "bun:test";
+import type { NetworkInterfaceInfo } from "node:os";
+import { getLanAddresses, getServerUrls } from "./Network";
+
+function entry(address: string, family: string, internal = false) {
+  return { address, family, internal } as NetworkInterfaceInfo;
+}
+
+describe("getLanAddresses", () => {
+  test("keeps external IPv4 addresses only", () => {
+    expect(
+      getLanAddresses({
+        lo: [entry("127.0.0.1", "IPv4", true), entry("::1", "IPv6", true)],
+        wlan0: [entry("192.168.1.20", "IPv4"), entry("fe80::1", "IPv6")],
+        eth0: [entry("10.0.0.5", "IPv4")],
+        docker0: undefined,
+      }),
+    ).toEqual(["192.168.1.20", "10.0.0.5"]);
+  });
+});
+
+describe("getServerUrls", () => {
+  test("lists LAN URLs when bound to all interfaces", () => {
+    expect(
+      getServerUrls({
+        protocol: "https",
+        host: "0.0.0.0",
+        port: 3000,
+        lanAddresses: ["192.168.1.20"],
+      }),
+    ).toEqual({ local: "https://localhost:3000", lan: ["https://192.168.1.20:3000"] });
+  });
+
+  test("uses the bound address only", () => {
+    expect(
+      getServerUrls({
+        protocol: "http",
+        host: "127.0.0.1",
+        port: 8080,
+        lanAddresses: ["192.168.1.20"],
+      }),
+    ).toEqual({ local: "http://127.0.0.1:8080", lan: [] });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Network - the URLs the server can be reached at, for the startup banner.
+ */
+import { type NetworkInterfaceInfo, networkInterfaces } from "node:os";
+
+const ALL_INTERFACES = ["0.0.0.0", "::"];
+
+/** External IPv4 addresses of this machine (what a phone on the LAN would use). */
+export function getLanAddresses(
+  interfaces: NodeJS.Dict<NetworkInterfaceInfo[]> = networkInterfaces(),
+) {
+  const addresses: string[] = [];
+  for (const entries of Object.values(interfaces)) {
+    for (const entry of entries || []) {
+      // Node reports family as "IPv4", older versions as the number 4
+      const isIPv4 = entry.family === "IPv4" || (entry.family as unknown) === 4;
+      if (isIPv4 && !entry.internal && !addresses.includes(entry.address)) {
+        addresses.push(entry.address);
+      }
+    }
+  }
+  return addresses;
+}
+
+/**
+ * @returns The URL to open on this machine and the URLs for other devices.
+ *   Bound to one specific address, that address is the only URL.
+ */
+export function getServerUrls(options: {
+  protocol: "http" | "https";
+  host: string;
+  port: number;
+  lanAddresses: string[];
+}) {
+  const { protocol, host, port } = options;
+  if (!ALL_INTERFACES.includes(host)) {
+    return { local: `${protocol}://${host}:${port}`, lan: [] };
+  }
+  return {
+    local: `${protocol}://localhost:${port}`,
+    lan: options.lanAddresses.map((address) => `${protocol}://${address}:${port}`),
+  };
+}
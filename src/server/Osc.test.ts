@@ -0,0 +1,102 @@
+import { describe, expect, test } from "bun:test";
+import { type OscMessage, createOscListener, parseOscPacket } from "./Osc";
+
+function oscString(value: string) {
+  const bytes = new TextEncoder().encode(value);
+  const out = new Uint8Array((bytes.length + 4) & ~3);
+  out.set(bytes);
+  return out;
+}
+
+function concat(parts: Uint8Array[]) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/** Encode an OSC message the way TouchOSC & co. do (i, f, s, T, F only). */
+function encodeMessage(address: string, args: (number | string | boolean)[]) {
+  let tags = ",";
+  const data: Uint8Array[] = [];
+  for (const arg of args) {
+    if (typeof arg === "string") {
+      tags += "s";
+      data.push(oscString(arg));
+    } else if (typeof arg === "boolean") {
+      tags += arg ? "T" : "F";
+    } else {
+      const bytes = new Uint8Array(4);
+      if (Number.isInteger(arg)) {
+        tags += "i";
+        new DataView(bytes.buffer).setInt32(0, arg);
+      } else {
+        tags += "f";
+        new DataView(bytes.buffer).setFloat32(0, arg);
+      }
+      data.push(bytes);
+    }
+  }
+  return concat([oscString(address), oscString(tags), ...data]);
+}
+
+function encodeBundle(messages: Uint8Array[]) {
+  const parts = [oscString("#bundle"), new Uint8Array(8)];
+  for (const message of messages) {
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, message.length);
+    parts.push(size, message);
+  }
+  return concat(parts);
+}
+
+describe("parseOscPacket", () => {
+  test("decodes messages with mixed argument types", () => {
+    const [message] = parseOscPacket(encodeMessage("/hydractrl/var/speed", [3, 0.5, "fast", true]));
+    expect(message.address).toBe("/hydractrl/var/speed");
+    expect(message.args).toEqual([3, 0.5, "fast", true]);
+  });
+
+  test("flattens bundles", () => {
+    const packet = encodeBundle([
+      encodeMessage("/hydractrl/bank", [2]),
+      encodeMessage("/hydractrl/slot", [5]),
+    ]);
+    expect(parseOscPacket(packet)).toEqual([
+      { address: "/hydractrl/bank", args: [2] },
+      { address: "/hydractrl/slot", args: [5] },
+    ]);
+  });
+
+  test("rejects malformed packets", () => {
+    expect(() => parseOscPacket(new TextEncoder().encode("hello"))).toThrow();
+    expect(() => parseOscPacket(oscString("no-slash"))).toThrow();
+    expect(() => parseOscPacket(concat([oscString("/a"), oscString(",i")]))).toThrow();
+  });
+});
+
+describe("createOscListener", () => {
+  test("receives messages from a local UDP sender", async () => {
+    const received: OscMessage[] = [];
+    const listener = await createOscListener({
+      port: 0,
+      hostname: "127.0.0.1",
+      onMessage: (message) => received.push(message),
+    });
+    const sender = await Bun.udpSocket({});
+    try {
+      sender.send(new TextEncoder().encode("garbage"), listener.port, "127.0.0.1");
+      sender.send(encodeMessage("/hydractrl/xy", [0.25, 0.75]), listener.port, "127.0.0.1");
+      for (let i = 0; i < 50 && received.length === 0; i++) {
+        await Bun.sleep(10);
+      }
+      expect(received).toEqual([{ address: "/hydractrl/xy", args: [0.25, 0.75] }]);
+    } finally {
+      sender.close();
+      listener.close();
+    }
+  });
+});
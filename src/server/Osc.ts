@@ -0,0 +1,144 @@
+/**
+ * Osc - minimal OSC 1.0 decoding and a UDP listener (Bun.udpSocket).
+ *
+ * Supports the argument types stage software actually sends: i, f, d, h, s,
+ * S, b, T, F, N, I. Bundles are flattened into their messages; time tags are
+ * ignored and everything is applied immediately, which is what a live set wants.
+ */
+
+export type OscArg = number | string | boolean | null | Uint8Array;
+
+export interface OscMessage {
+  address: string;
+  args: OscArg[];
+}
+
+function padded(length: number) {
+  return (length + 3) & ~3;
+}
+
+function readString(view: DataView, offset: number) {
+  let end = offset;
+  while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+  if (end >= view.byteLength) throw new Error("unterminated OSC string");
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, end - offset);
+  return { value: new TextDecoder().decode(bytes), next: offset + padded(end - offset + 1) };
+}
+
+function parseMessage(view: DataView): OscMessage {
+  const address = readString(view, 0);
+  if (!address.value.startsWith("/")) throw new Error("OSC address must start with /");
+
+  // Type tags are optional in very old senders; no tags means no arguments
+  if (address.next >= view.byteLength) return { address: address.value, args: [] };
+  const tags = readString(view, address.next);
+  if (!tags.value.startsWith(",")) throw new Error("OSC type tags must start with ,");
+
+  const args: OscArg[] = [];
+  let offset = tags.next;
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case "i":
+        args.push(view.getInt32(offset));
+        offset += 4;
+        break;
+      case "f":
+        args.push(view.getFloat32(offset));
+        offset += 4;
+        break;
+      case "d":
+        args.push(view.getFloat64(offset));
+        offset += 8;
+        break;
+      case "h":
+        args.push(Number(view.getBigInt64(offset)));
+        offset += 8;
+        break;
+      case "s":
+      case "S": {
+        const string = readString(view, offset);
+        args.push(string.value);
+        offset = string.next;
+        break;
+      }
+      case "b": {
+        const size = view.getInt32(offset);
+        args.push(new Uint8Array(view.buffer, view.byteOffset + offset + 4, size).slice());
+        offset += 4 + padded(size);
+        break;
+      }
+      case "T":
+        args.push(true);
+        break;
+      case "F":
+        args.push(false);
+        break;
+      case "N":
+        args.push(null);
+        break;
+      case "I":
+        args.push(Number.POSITIVE_INFINITY);
+        break;
+      default:
+        throw new Error(`unsupported OSC type tag "${tag}"`);
+    }
+  }
+  if (offset > view.byteLength) throw new Error("truncated OSC message");
+  return { address: address.value, args };
+}
+
+/**
+ * Decode an OSC packet (message or bundle) into its messages.
+ * @throws On malformed packets.
+ */
+export function parseOscPacket(data: Uint8Array): OscMessage[] {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.byteLength >= 16 && readString(view, 0).value === "#bundle") {
+    const messages: OscMessage[] = [];
+    // Skip "#bundle\0" and the 8-byte time tag
+    let offset = 16;
+    while (offset + 4 <= data.byteLength) {
+      const size = view.getInt32(offset);
+      offset += 4;
+      if (size <= 0 || offset + size > data.byteLength) throw new Error("truncated OSC bundle");
+      messages.push(...parseOscPacket(data.subarray(offset, offset + size)));
+      offset += size;
+    }
+    return messages;
+  }
+  return [parseMessage(view)];
+}
+
+/**
+ * Listen for OSC over UDP. Malformed packets are logged and dropped.
+ * @returns The listening port and a `close` function.
+ */
+export async function createOscListener(options: {
+  port: number;
+  hostname?: string;
+  onMessage: (message: OscMessage) => void;
+}) {
+  const socket = await Bun.udpSocket({
+    port: options.port,
+    hostname: options.hostname || "0.0.0.0",
+    socket: {
+      data(_socket, data, port, address) {
+        let messages: OscMessage[];
+        try {
+          messages = parseOscPacket(data);
+        } catch (error) {
+          console.warn(`OSC: dropped malformed packet from ${address}:${port}:`, error);
+          return;
+        }
+        for (const message of messages) {
+          try {
+            options.onMessage(message);
+          } catch (error) {
+            console.error(`OSC: error handling ${message.address}:`, error);
+          }
+        }
+      },
+    },
+  });
+  return { port: socket.port, close: () => socket.close() };
+}
@@ -0,0 +1,48 @@
+import { describe, expect, test } from "bun:test";
+import { oscToHubMessage } from "./OscBridge";
+
+describe("oscToHubMessage", () => {
+  test("maps 1-based slots and banks onto remote messages", () => {
+    expect(oscToHubMessage({ address: "/hydractrl/slot", args: [3] })).toEqual({
+      type: "remote:slot",
+      slot: 2,
+    });
+    expect(oscToHubMessage({ address: "/hydractrl/bank", args: ["4"] })).toEqual({
+      type: "remote:bank",
+      bank: 3,
+    });
+    expect(oscToHubMessage({ address: "/hydractrl/slot", args: [1.5] })).toBe(null);
+    expect(oscToHubMessage({ address: "/hydractrl/slot", args: [] })).toBe(null);
+  });
+
+  test("maps the XY pad and its release", () => {
+    expect(oscToHubMessage({ address: "/hydractrl/xy", args: [0.1, 0.9] })).toEqual({
+      type: "remote:xy",
+      x: 0.1,
+      y: 0.9,
+    });
+    expect(oscToHubMessage({ address: "/hydractrl/xy", args: [0.1] })).toBe(null);
+    expect(oscToHubMessage({ address: "/hydractrl/xy/release", args: [] })).toEqual({
+      type: "remote:release",
+    });
+  });
+
+  test("maps variables with one or several values", () => {
+    expect(oscToHubMessage({ address: "/hydractrl/var/speed", args: [0.5] })).toEqual({
+      type: "osc:var",
+      name: "speed",
+      value: 0.5,
+    });
+    expect(oscToHubMessage({ address: "/hydractrl/var/rgb", args: [1, 0, 0] })).toEqual({
+      type: "osc:var",
+      name: "rgb",
+      value: [1, 0, 0],
+    });
+  });
+
+  test("ignores foreign addresses and invalid variable names", () => {
+    expect(oscToHubMessage({ address: "/live/tempo", args: [120] })).toBe(null);
+    expect(oscToHubMessage({ address: "/hydractrl/var/a.b", args: [1] })).toBe(null);
+    expect(oscToHubMessage({ address: "/hydractrl/var/", args: [1] })).toBe(null);
+  });
+});
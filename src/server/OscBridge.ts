@@ -0,0 +1,63 @@
+/**
+ * OscBridge - translate OSC messages into socket hub messages for the browser.
+ *
+ *   /hydractrl/slot <n>          select slot n (1-16) in the current bank
+ *   /hydractrl/bank <n>          switch to bank n (1-4)
+ *   /hydractrl/xy <x> <y>        move the XY pad (0-1, y up), like the nanoPAD2
+ *   /hydractrl/xy/release        let go of the XY pad (starts the physics throw)
+ *   /hydractrl/var/<name> <v...> set window.<name> for sketches to read
+ *
+ * Slots and banks are 1-based, matching the UI and the sketch folder. They
+ * become the same remote:* messages the /remote controller page sends, so the
+ * browser applies OSC exactly like the remote and the MIDI path.
+ */
+import type { OscArg, OscMessage } from "./Osc";
+import type { HubMessage } from "./SocketHub";
+
+const PREFIX = "/hydractrl";
+const VAR_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function toNumber(arg: OscArg | undefined) {
+  if (typeof arg === "number") return arg;
+  if (typeof arg === "boolean") return arg ? 1 : 0;
+  if (typeof arg === "string" && arg.trim() !== "") return Number(arg);
+  return Number.NaN;
+}
+
+function toIndex(arg: OscArg | undefined) {
+  const value = toNumber(arg);
+  return Number.isInteger(value) ? value - 1 : null;
+}
+
+/**
+ * Map an OSC message onto a hub message.
+ * @returns null for addresses that aren't ours or arguments that don't fit.
+ */
+export function oscToHubMessage({ address, args }: OscMessage): HubMessage | null {
+  if (address === `${PREFIX}/slot`) {
+    const slot = toIndex(args[0]);
+    return slot === null ? null : { type: "remote:slot", slot };
+  }
+  if (address === `${PREFIX}/bank`) {
+    const bank = toIndex(args[0]);
+    return bank === null ? null : { type: "remote:bank", bank };
+  }
+  if (address === `${PREFIX}/xy`) {
+    const x = toNumber(args[0]);
+    const y = toNumber(args[1]);
+    return Number.isFinite(x) && Number.isFinite(y) ? { type: "remote:xy", x, y } : null;
+  }
+  if (address === `${PREFIX}/xy/release`) {
+    return { type: "remote:release" };
+  }
+  if (address.startsWith(`${PREFIX}/var/`)) {
+    const name = address.slice(`${PREFIX}/var/`.length);
+    if (!VAR_NAME_PATTERN.test(name) || args.some((arg) => arg instanceof Uint8Array)) {
+      return null;
+    }
+    // One argument is the value itself; several become an array
+    const value = args.length === 1 ? args[0] : args;
+    return { type: "osc:var", name, value };
+  }
+  return null;
+}
@@ -0,0 +1,41 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { relayRemoteControl } from "./RemoteControl";
+import { createSocketHub } from "./SocketHub";
+
+const stops: (() => void)[] = [];
+
+afterEach(() => {
+  for (const stop of stops.splice(0)) stop();
+});
+
+async function openSocket(port: number | undefined) {
+  const socket = new WebSocket(`ws://localhost:${port}/ws`);
+  stops.push(() => socket.close());
+  const received: unknown[] = [];
+  socket.onmessage = (event) => received.push(JSON.parse(event.data));
+  await new Promise((resolve, reject) => {
+    socket.onopen = resolve;
+    socket.onerror = reject;
+  });
+  return { socket, received };
+}
+
+describe("relayRemoteControl", () => {
+  test("forwards remote messages to every other client", async () => {
+    const hub = createSocketHub();
+    relayRemoteControl(hub);
+    const app = hub.routes.listen(0);
+    stops.push(() => app.stop());
+
+    const controller = await openSocket(app.server?.port);
+    const performer = await openSocket(app.server?.port);
+
+    controller.socket.send(JSON.stringify({ type: "remote:slot", slot: 5 }));
+    controller.socket.send(JSON.stringify({ type: "sketch:saved", bank: 0, slot: 0, code: "" }));
+    performer.socket.send(JSON.stringify({ type: "remote:state", bank: 0, slot: 5, filled: [] }));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(performer.received).toEqual([{ type: "remote:slot", slot: 5 }]);
+    expect(controller.received).toEqual([{ type: "remote:state", bank: 0, slot: 5, filled: [] }]);
+  });
+});
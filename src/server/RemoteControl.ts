@@ -0,0 +1,33 @@
+/**
+ * RemoteControl - relay between LAN controllers (/remote) and performing browsers.
+ *
+ * The server doesn't interpret remote messages, it only forwards them over
+ * the socket hub to every other client:
+ *
+ *   controller → performers: remote:slot {slot}, remote:bank {bank},
+ *                            remote:xy {x, y}, remote:release, remote:hello
+ *   performer → controllers: remote:state {bank, slot, filled}
+ *
+ * "remote:hello" asks performers to answer with their current state, so a
+ * controller that just connected can show the active bank and slot.
+ */
+import type { SocketHub } from "./SocketHub";
+
+export const REMOTE_MESSAGE_TYPES = [
+  "remote:hello",
+  "remote:slot",
+  "remote:bank",
+  "remote:xy",
+  "remote:release",
+  "remote:state",
+];
+
+/** Forward remote control messages to all other clients. @returns Unsubscribe function. */
+export function relayRemoteControl(hub: SocketHub) {
+  const unsubscribers = REMOTE_MESSAGE_TYPES.map((type) =>
+    hub.on(type, (message, client) => hub.broadcast(message, client)),
+  );
+  return () => {
+    for (const unsubscribe of unsubscribers) unsubscribe();
+  };
+}
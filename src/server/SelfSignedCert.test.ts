@@ -0,0 +1,118 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { X509Certificate, createPrivateKey } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createSelfSignedCertificate,
+  isCertificateUsable,
+  loadOrCreateCertificate,
+} from "./SelfSignedCert";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-tls-"));
+const names = { hostnames: ["localhost"], ips: ["127.0.0.1", "192.168.1.20"] };
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+// A DER element at `offset`: its tag and where its content starts and ends
+function readElement(bytes: Uint8Array, offset: number) {
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) length = length * 256 + bytes[start + i];
+    start += lengthBytes;
+  }
+  return { tag: bytes[offset], start, end: start + length };
+}
+
+// The serial number's INTEGER content, from Certificate > TBSCertificate
+function readSerial(cert: string) {
+  const bytes = new Uint8Array(new X509Certificate(cert).raw);
+  const tbs = readElement(bytes, readElement(bytes, 0).start);
+  const version = readElement(bytes, tbs.start);
+  const serial = readElement(bytes, version.end);
+  expect(serial.tag).toBe(0x02);
+  return bytes.slice(serial.start, serial.end);
+}
+
+describe("createSelfSignedCertificate", () => {
+  test("produces a valid self-signed certificate for the given names", () => {
+    const { cert, key } = createSelfSignedCertificate(names);
+    const certificate = new X509Certificate(cert);
+
+    expect(certificate.subject).toBe("CN=HYDRACTRL local");
+    expect(certificate.verify(certificate.publicKey)).toBe(true);
+    expect(certificate.checkPrivateKey(createPrivateKey(key))).toBe(true);
+    expect(certificate.checkHost("localhost")).toBe("localhost");
+    expect(certificate.checkIP("192.168.1.20")).toBe("192.168.1.20");
+  });
+
+  test("encodes the serial number as a minimal, positive DER integer", () => {
+    for (let i = 0; i < 20; i++) {
+      const serial = readSerial(createSelfSignedCertificate(names).cert);
+      expect(serial.length).toBe(16);
+      // Positive, without the redundant leading zero byte DER forbids
+      expect(serial[0] & 0x80).toBe(0);
+      expect(serial[0]).not.toBe(0);
+    }
+  });
+
+  test("serves TLS with Bun", async () => {
+    const server = Bun.serve({
+      port: 0,
+      tls: createSelfSignedCertificate(names),
+      fetch: () => new Response("ok"),
+    });
+    try {
+      const response = await fetch(`https://localhost:${server.port}/`, {
+        tls: { rejectUnauthorized: false },
+      });
+      expect(await response.text()).toBe("ok");
+    } finally {
+      server.stop(true);
+    }
+  });
+});
+
+describe("isCertificateUsable", () => {
+  const { cert } = createSelfSignedCertificate(names);
+
+  test("accepts covered addresses", () => {
+    expect(isCertificateUsable(cert, { hostnames: ["localhost"], ips: ["192.168.1.20"] })).toBe(
+      true,
+    );
+  });
+
+  test("rejects new addresses, near expiry and garbage", () => {
+    expect(isCertificateUsable(cert, { hostnames: [], ips: ["10.0.0.5"] })).toBe(false);
+    const later = new Date(Date.now() + 360 * 24 * 60 * 60 * 1000);
+    expect(isCertificateUsable(cert, { ...names, now: later })).toBe(false);
+    expect(isCertificateUsable("not a cert", names)).toBe(false);
+  });
+});
+
+describe("loadOrCreateCertificate", () => {
+  test("caches the certificate and regenerates it when the LAN address changes", () => {
+    const dir = join(root, "tls");
+    const first = loadOrCreateCertificate(dir, names);
+    expect(first.created).toBe(true);
+
+    const second = loadOrCreateCertificate(dir, names);
+    expect(second.created).toBe(false);
+    expect(second.cert).toBe(first.cert);
+
+    const moved = loadOrCreateCertificate(dir, { hostnames: ["localhost"], ips: ["10.0.0.5"] });
+    expect(moved.created).toBe(true);
+  });
+
+  test("regenerates when the cached key is unreadable", () => {
+    const dir = join(root, "broken");
+    loadOrCreateCertificate(dir, names);
+    writeFileSync(join(dir, "key.pem"), "garbage");
+    expect(loadOrCreateCertificate(dir, names).created).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * SelfSignedCert - a local TLS certificate for --https, generated without network or openssl.
+ *
+ * Mobile browsers only allow microphone/camera access (and so `a.fft`) on
+ * secure origins. The certificate is an ECDSA P-256 X.509 v3 certificate,
+ * DER-encoded by hand and signed with node:crypto, covering localhost and the
+ * machine's LAN addresses. It is cached on disk and only regenerated when it
+ * is about to expire or a new LAN address shows up.
+ */
+import {
+  X509Certificate,
+  createPrivateKey,
+  generateKeyPairSync,
+  randomBytes,
+  sign,
+} from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+const VALIDITY_DAYS = 365;
+// Regenerate a little before expiry, so a show never starts with a dead cert
+const RENEW_BEFORE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMMON_NAME = "HYDRACTRL local";
+
+// --- Minimal DER encoding ---------------------------------------------------
+
+function der(tag: number, ...contents: Uint8Array[]) {
+  const body = Buffer.concat(contents);
+  let length: Buffer;
+  if (body.length < 0x80) {
+    length = Buffer.from([body.length]);
+  } else {
+    const bytes: number[] = [];
+    for (let n = body.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+const sequence = (...items: Uint8Array[]) => der(0x30, ...items);
+
+function oid(dotted: string) {
+  const [first, second, ...rest] = dotted.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const part of rest) {
+    const chunk = [part & 0x7f];
+    for (let n = part >> 7; n > 0; n >>= 7) chunk.unshift((n & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date: Date) {
+  const text = date
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .replace(/\.\d+Z$/, "Z")
+    .slice(2);
+  return der(0x17, Buffer.from(text, "ascii"));
+}
+
+function ipBytes(ip: string) {
+  return Buffer.from(ip.split(".").map(Number));
+}
+
+function extension(id: string, value: Uint8Array, critical = false) {
+  const parts = [oid(id)];
+  if (critical) parts.push(der(0x01, Buffer.from([0xff])));
+  parts.push(der(0x04, value));
+  return sequence(...parts);
+}
+
+const ECDSA_WITH_SHA256 = sequence(oid("1.2.840.10045.4.3.2"));
+
+/**
+ * Generate a self-signed server certificate.
+ * @param options.hostnames - DNS names (e.g. "localhost").
+ * @param options.ips - IPv4 addresses (e.g. "192.168.1.20").
+ * @returns PEM-encoded certificate and private key.
+ */
+export function createSelfSignedCertificate(options: {
+  hostnames: string[];
+  ips: string[];
+  now?: Date;
+}) {
+  const { publicKey, privateKey } = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  const now = options.now || new Date();
+  const name = sequence(der(0x31, sequence(oid("2.5.4.3"), der(0x0c, Buffer.from(COMMON_NAME)))));
+
+  // Positive 128-bit serial number. The top bit is cleared (negative otherwise)
+  // and the next one set, so the INTEGER never starts with a redundant zero
+  // byte, which strict DER parsers (BoringSSL, so Chrome) reject.
+  const serial = randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40;
+
+  const altNames = sequence(
+    ...options.hostnames.map((host) => der(0x82, Buffer.from(host, "ascii"))),
+    ...options.ips.map((ip) => der(0x87, ipBytes(ip))),
+  );
+
+  const tbsCertificate = sequence(
+    der(0xa0, der(0x02, Buffer.from([2]))), // version 3
+    der(0x02, serial),
+    ECDSA_WITH_SHA256,
+    name,
+    sequence(
+      utcTime(new Date(now.getTime() - DAY_MS)),
+      utcTime(new Date(now.getTime() + VALIDITY_DAYS * DAY_MS)),
+    ),
+    name,
+    publicKey.export({ type: "spki", format: "der" }),
+    der(
+      0xa3,
+      sequence(
+        extension("2.5.29.17", altNames), // subjectAltName
+        extension("2.5.29.19", sequence(), true), // basicConstraints: not a CA
+        extension("2.5.29.15", der(0x03, Buffer.from([0x07, 0x80])), true), // keyUsage: digitalSignature
+        extension("2.5.29.37", sequence(oid("1.3.6.1.5.5.7.3.1"))), // extKeyUsage: serverAuth
+      ),
+    ),
+  );
+
+  const signature = sign("sha256", tbsCertificate, privateKey);
+  const certificate = sequence(
+    tbsCertificate,
+    ECDSA_WITH_SHA256,
+    der(0x03, Buffer.concat([Buffer.from([0]), signature])),
+  );
+
+  const base64 = certificate.toString("base64").replace(/(.{64})/g, "$1\n");
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64.trimEnd()}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: "pkcs8", format: "pem" }).toString(),
+  };
+}
+
+/** Does a cached certificate still cover these addresses for long enough? */
+export function isCertificateUsable(
+  certPem: string,
+  options: { hostnames: string[]; ips: string[]; now?: Date },
+) {
+  try {
+    const certificate = new X509Certificate(certPem);
+    const now = options.now || new Date();
+    if (Date.parse(certificate.validTo) - now.getTime() < RENEW_BEFORE_DAYS * DAY_MS) return false;
+    return (
+      options.hostnames.every((host) => certificate.checkHost(host) !== undefined) &&
+      options.ips.every((ip) => certificate.checkIP(ip) !== undefined)
+    );
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Load the cached certificate from `dir`, or generate and cache a new one.
+ * @returns PEM certificate and key, and whether a new one was generated.
+ */
+export function loadOrCreateCertificate(
+  dir: string,
+  options: { hostnames: string[]; ips: string[] },
+) {
+  const certPath = join(dir, "cert.pem");
+  const keyPath = join(dir, "key.pem");
+
+  if (existsSync(certPath) && existsSync(keyPath)) {
+    const cert = readFileSync(certPath, "utf-8");
+    const key = readFileSync(keyPath, "utf-8");
+    try {
+      const matchesKey = new X509Certificate(cert).checkPrivateKey(createPrivateKey(key));
+      if (matchesKey && isCertificateUsable(cert, options)) return { cert, key, created: false };
+    } catch (_error) {
+      // Unreadable cert or key: fall through and regenerate
+    }
+  }
+
+  const generated = createSelfSignedCertificate(options);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(certPath, generated.cert);
+  writeFileSync(keyPath, generated.key, { mode: 0o600 });
+  return { ...generated, created: true };
+}
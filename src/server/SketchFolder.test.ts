@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  type SketchChange,
+  createSketchFolder,
+  parseSketchPath,
+  sketchRelativePath,
+} from "./SketchFolder";
+
+const tempDirs: string[] = [];
+const stops: (() => void)[] = [];
+
+function createTempDir() {
+  const dir = mkdtempSync(join(tmpdir(), "hydractrl-sketches-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+function waitFor(condition: () => boolean, timeoutMs = 2000) {
+  return new Promise<void>((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out"));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+afterEach(() => {
+  for (const stop of stops.splice(0)) stop();
+  for (const dir of tempDirs.splice(0)) {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+describe("sketch paths", () => {
+  test("are 1-based and zero-padded", () => {
+    expect(sketchRelativePath(0, 2)).toBe("bank-1/slot-03.js");
+    expect(sketchRelativePath(3, 15)).toBe("bank-4/slot-16.js");
+  });
+
+  test("parse back into slot coordinates", () => {
+    expect(parseSketchPath("bank-1/slot-03.js")).toEqual({ bank: 0, slot: 2 });
+    expect(parseSketchPath("bank-4\\slot-16.js")).toEqual({ bank: 3, slot: 15 });
+    expect(parseSketchPath("bank-16/slot-08.js")).toEqual({ bank: 15, slot: 7 });
+  });
+
+  test("anything else is not a slot file", () => {
+    expect(parseSketchPath("bank-1")).toBe(null);
+    expect(parseSketchPath("bank-1/slot-03.js~")).toBe(null);
+    expect(parseSketchPath("bank-17/slot-01.js")).toBe(null);
+    expect(parseSketchPath("bank-1/slot-17.js")).toBe(null);
+    expect(parseSketchPath("bank-1/slot-00.js")).toBe(null);
+    expect(parseSketchPath("bank-1/notes.txt")).toBe(null);
+  });
+});
+
+describe("SketchFolder", () => {
+  test("write creates the bank folder and read returns the code", () => {
+    const dir = createTempDir();
+    const folder = createSketchFolder(dir);
+
+    expect(folder.read(1, 4)).toBe(null);
+    expect(folder.write(1, 4, "osc().out()")).toBe(true);
+    expect(readFileSync(join(dir, "bank-2/slot-05.js"), "utf-8")).toBe("osc().out()");
+    expect(folder.read(1, 4)).toBe("osc().out()");
+    expect(folder.write(16, 0, "osc().out()")).toBe(false);
+  });
+
+  test("reports external edits but not its own writes", async () => {
+    const dir = createTempDir();
+    const changes: SketchChange[] = [];
+    const folder = createSketchFolder(dir, { onChange: (change) => changes.push(change) });
+    folder.start();
+    stops.push(folder.stop);
+
+    folder.write(0, 0, "osc().out()");
+    writeFileSync(join(dir, "bank-1/slot-02.js"), "noise().out()");
+
+    await waitFor(() => changes.length > 0);
+    // Give a possible echo of our own write time to show up
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    expect(changes).toEqual([{ bank: 0, slot: 1, code: "noise().out()" }]);
+  });
+});
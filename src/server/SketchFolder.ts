@@ -0,0 +1,121 @@
+/**
+ * SketchFolder - one .js file per slot, for editing sketches in an external editor.
+ *
+ * Layout (1-based, like the slot numbers shown in the UI):
+ *
+ *   sketches/bank-1/slot-01.js ... sketches/bank-4/slot-16.js
+ *
+ * (up to bank-16, for browsers set to more banks).
+ *
+ * The folder is watched; when a sketch file is saved, `onChange` is called
+ * with its bank, slot and code. Files written by `write` (saves coming from
+ * the browser) are remembered, so they don't echo back as changes.
+ */
+import { type FSWatcher, existsSync, mkdirSync, readFileSync, watch, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { isValidBankIndex, isValidSlotIndex } from "./BankStore";
+
+export interface SketchChange {
+  bank: number;
+  slot: number;
+  code: string;
+}
+
+// Editors often save in several steps (truncate, write, rename); wait for quiet
+const CHANGE_DEBOUNCE_MS = 100;
+
+/** Path of a slot's sketch file relative to the sketch folder. */
+export function sketchRelativePath(bank: number, slot: number) {
+  return `bank-${bank + 1}/slot-${String(slot + 1).padStart(2, "0")}.js`;
+}
+
+/**
+ * Parse a path relative to the sketch folder back into slot coordinates.
+ * @returns null for anything that isn't a slot file.
+ */
+export function parseSketchPath(relativePath: string) {
+  const match = /^bank-(\d+)[\\/]slot-(\d+)\.js$/.exec(relativePath);
+  if (!match) return null;
+  const bank = Number(match[1]) - 1;
+  const slot = Number(match[2]) - 1;
+  return isValidBankIndex(bank) && isValidSlotIndex(slot) ? { bank, slot } : null;
+}
+
+export function createSketchFolder(
+  dir: string,
+  options: { onChange?: (change: SketchChange) => void } = {},
+) {
+  const onChange = options.onChange || (() => {});
+  // Last content we wrote or reported per file, to suppress echoes and no-op saves
+  const known = new Map<string, string>();
+  const timers = new Map<string, ReturnType<typeof setTimeout>>();
+  let watcher: FSWatcher | null = null;
+
+  function read(bank: number, slot: number): string | null {
+    const filePath = join(dir, sketchRelativePath(bank, slot));
+    try {
+      return existsSync(filePath) ? readFileSync(filePath, "utf-8") : null;
+    } catch (error) {
+      console.warn(`SketchFolder: failed to read ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /** Write a slot's sketch file. @returns true if the write succeeded. */
+  function write(bank: number, slot: number, code: string) {
+    if (!isValidBankIndex(bank) || !isValidSlotIndex(slot)) return false;
+    const relativePath = sketchRelativePath(bank, slot);
+    const filePath = join(dir, relativePath);
+    try {
+      mkdirSync(dirname(filePath), { recursive: true });
+      known.set(relativePath, code);
+      writeFileSync(filePath, code, "utf-8");
+      return true;
+    } catch (error) {
+      console.warn(`SketchFolder: failed to write ${filePath}:`, error);
+      return false;
+    }
+  }
+
+  function handleFileEvent(relativePath: string) {
+    const coordinates = parseSketchPath(relativePath);
+    if (!coordinates) return;
+
+    clearTimeout(timers.get(relativePath));
+    timers.set(
+      relativePath,
+      setTimeout(() => {
+        timers.delete(relativePath);
+        const code = read(coordinates.bank, coordinates.slot);
+        // Deleted files leave the slot alone; unchanged content is our own write
+        if (code === null || known.get(relativePath) === code) return;
+        known.set(relativePath, code);
+        onChange({ ...coordinates, code });
+      }, CHANGE_DEBOUNCE_MS),
+    );
+  }
+
+  /** Create the folder if needed and start watching it. */
+  function start() {
+    if (watcher) return;
+    mkdirSync(dir, { recursive: true });
+    watcher = watch(dir, { recursive: true }, (_event, filename) => {
+      if (filename) {
+        handleFileEvent(String(filename).replace(/\\/g, "/"));
+      }
+    });
+  }
+
+  function stop() {
+    watcher?.close();
+    watcher = null;
+    for (const timer of timers.values()) {
+      clearTimeout(timer);
+    }
+    timers.clear();
+  }
+
+  return { dir, read, write, start, stop };
+}
+
+export type SketchFolder = ReturnType<typeof createSketchFolder>;
@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { type HubMessage, createSocketHub, isHubMessage } from "./SocketHub";
+
+const stops: (() => void)[] = [];
+
+afterEach(() => {
+  for (const stop of stops.splice(0)) stop();
+});
+
+/** Serve the hub on a random port and open a client socket to it. */
+async function connect(hub: ReturnType<typeof createSocketHub>) {
+  const app = hub.routes.listen(0);
+  stops.push(() => app.stop());
+  const socket = new WebSocket(`ws://localhost:${app.server?.port}/ws`);
+  stops.push(() => socket.close());
+  await new Promise((resolve, reject) => {
+    socket.onopen = resolve;
+    socket.onerror = reject;
+  });
+  return socket;
+}
+
+function nextMessage(socket: WebSocket) {
+  return new Promise<HubMessage>((resolve) => {
+    socket.onmessage = (event) => resolve(JSON.parse(event.data));
+  });
+}
+
+describe("isHubMessage", () => {
+  test("requires an object with a string type", () => {
+    expect(isHubMessage({ type: "sketch:saved" })).toBe(true);
+    expect(isHubMessage({ type: 1 })).toBe(false);
+    expect(isHubMessage("sketch:saved")).toBe(false);
+    expect(isHubMessage(null)).toBe(false);
+  });
+});
+
+describe("SocketHub", () => {
+  test("dispatches incoming messages by type and broadcasts to clients", async () => {
+    const hub = createSocketHub();
+    const received: HubMessage[] = [];
+    hub.on("boom", () => {
+      throw new Error("handler failure");
+    });
+    hub.on("ping", (message, client) => {
+      received.push(message);
+      client.send(JSON.stringify({ type: "pong" }));
+    });
+    const socket = await connect(hub);
+
+    const reply = nextMessage(socket);
+    socket.send(JSON.stringify({ type: "boom" }));
+    socket.send("not json");
+    socket.send(JSON.stringify({ type: "ping", value: 1 }));
+    expect(await reply).toEqual({ type: "pong" });
+    expect(received).toEqual([{ type: "ping", value: 1 }]);
+
+    expect(hub.clientCount()).toBe(1);
+    const broadcast = nextMessage(socket);
+    hub.broadcast({ type: "sketch:changed", bank: 0, slot: 1, code: "osc().out()" });
+    expect(await broadcast).toEqual({
+      type: "sketch:changed",
+      bank: 0,
+      slot: 1,
+      code: "osc().out()",
+    });
+  });
+});
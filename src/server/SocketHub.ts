@@ -0,0 +1,86 @@
+/**
+ * SocketHub - WebSocket hub between the server and connected browsers (/ws).
+ *
+ * Messages are JSON objects with a `type` (e.g. "sketch:changed"). Server
+ * modules subscribe to incoming message types with `on` and push to every
+ * connected client with `broadcast`. Like the client EventBus, a throwing
+ * handler is logged and never breaks the other handlers or the socket.
+ */
+import { Elysia } from "elysia";
+
+export interface HubMessage {
+  type: string;
+  [key: string]: unknown;
+}
+
+export interface HubClient {
+  send(data: string): unknown;
+}
+
+type Handler = (message: HubMessage, client: HubClient) => void;
+
+export function isHubMessage(message: unknown): message is HubMessage {
+  return Boolean(
+    message &&
+      typeof message === "object" &&
+      typeof (message as { type?: unknown }).type === "string",
+  );
+}
+
+export function createSocketHub(path = "/ws") {
+  const clients = new Set<HubClient>();
+  const handlers = new Map<string, Set<Handler>>();
+
+  /** Subscribe to an incoming message type. @returns Unsubscribe function. */
+  function on(type: string, handler: Handler) {
+    if (!handlers.has(type)) {
+      handlers.set(type, new Set());
+    }
+    handlers.get(type)?.add(handler);
+    return () => {
+      handlers.get(type)?.delete(handler);
+    };
+  }
+
+  function dispatch(message: HubMessage, client: HubClient) {
+    for (const handler of [...(handlers.get(message.type) || [])]) {
+      try {
+        handler(message, client);
+      } catch (error) {
+        console.error(`SocketHub: error in handler for "${message.type}":`, error);
+      }
+    }
+  }
+
+  /** Send a message to every client, optionally except the one it came from. */
+  function broadcast(message: HubMessage, except?: HubClient) {
+    const data = JSON.stringify(message);
+    for (const client of clients) {
+      if (client === except) continue;
+      try {
+        client.send(data);
+      } catch (error) {
+        console.warn("SocketHub: failed to send to a client:", error);
+      }
+    }
+  }
+
+  const routes = new Elysia().ws(path, {
+    open(ws) {
+      clients.add(ws.raw);
+    },
+    close(ws) {
+      clients.delete(ws.raw);
+    },
+    message(ws, message) {
+      // Elysia already parsed JSON payloads; anything else isn't ours
+      if (isHubMessage(message)) {
+        dispatch(message, ws.raw);
+      }
+    },
+  });
+
+  return { on, broadcast, routes, clientCount: () => clients.size };
+}
+
+export type SocketHub = ReturnType<typeof createSocketHub>;
@@ -0,0 +1,127 @@
+import { afterAll, describe, expect, test } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { brotliDecompressSync, gunzipSync } from "node:zlib";
+import { getMimeType, parseRange, resolvePublicPath, serveFile } from "./StaticFiles";
+
+const root = mkdtempSync(join(tmpdir(), "hydractrl-static-"));
+const videoPath = join(root, "clip.mp4");
+const scriptPath = join(root, "app.js");
+const script = `console.log(${JSON.stringify("hydra ".repeat(500))});`;
+writeFileSync(videoPath, new Uint8Array(Array.from({ length: 100 }, (_, i) => i)));
+writeFileSync(scriptPath, script);
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function get(filePath: string, headers: Record<string, string> = {}) {
+  return serveFile(filePath, new Request("http://localhost/file", { headers }));
+}
+
+describe("getMimeType", () => {
+  test("uses one table for every route", () => {
+    expect(getMimeType("/assets/index.js")).toBe("application/javascript; charset=utf-8");
+    expect(getMimeType("local/Clip.MOV")).toBe("video/quicktime");
+    expect(getMimeType("unknown.bin")).toBe("application/octet-stream");
+  });
+});
+
+describe("resolvePublicPath", () => {
+  test("maps URL paths inside the root", () => {
+    expect(resolvePublicPath(root, "/assets/my%20image.png")).toBe(
+      join(root, "assets", "my image.png"),
+    );
+  });
+
+  test("refuses to leave the root", () => {
+    expect(resolvePublicPath(root, "/../secret.txt")).toBe(null);
+    expect(resolvePublicPath(root, "/assets/%2e%2e/%2e%2e/secret.txt")).toBe(null);
+    expect(resolvePublicPath(root, "/%E0%A4%A")).toBe(null);
+  });
+});
+
+describe("parseRange", () => {
+  test("supports start-end, open-ended and suffix ranges", () => {
+    expect(parseRange("bytes=0-9", 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange("bytes=90-", 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange("bytes=-10", 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange("bytes=50-500", 100)).toEqual({ start: 50, end: 99 });
+  });
+
+  test("reports unsatisfiable ranges and ignores unsupported ones", () => {
+    expect(parseRange("bytes=100-", 100)).toBe("unsatisfiable");
+    expect(parseRange("bytes=9-1", 100)).toBe("unsatisfiable");
+    expect(parseRange("bytes=0-1,5-6", 100)).toBe(null);
+    expect(parseRange("items=0-1", 100)).toBe(null);
+    expect(parseRange(null, 100)).toBe(null);
+  });
+});
+
+describe("serveFile", () => {
+  test("streams whole files with validators", async () => {
+    const response = await get(videoPath);
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toBe("video/mp4");
+    expect(response.headers.get("accept-ranges")).toBe("bytes");
+    expect(response.headers.get("etag")).toBeTruthy();
+    expect(response.headers.get("last-modified")).toBeTruthy();
+    expect((await response.arrayBuffer()).byteLength).toBe(100);
+  });
+
+  test("serves byte ranges so videos can seek", async () => {
+    const response = await get(videoPath, { Range: "bytes=10-19" });
+    expect(response.status).toBe(206);
+    expect(response.headers.get("content-range")).toBe("bytes 10-19/100");
+    expect([...new Uint8Array(await response.arrayBuffer())]).toEqual([
+      10, 11, 12, 13, 14, 15, 16, 17, 18, 19,
+    ]);
+
+    expect((await get(videoPath, { Range: "bytes=200-" })).status).toBe(416);
+  });
+
+  test("ignores the range when If-Range is stale", async () => {
+    const response = await get(videoPath, { Range: "bytes=0-9", "If-Range": 'W/"stale"' });
+    expect(response.status).toBe(200);
+  });
+
+  test("answers matching conditional requests with 304", async () => {
+    const { headers } = await get(videoPath);
+    const etag = headers.get("etag") as string;
+    const lastModified = headers.get("last-modified") as string;
+
+    expect((await get(videoPath, { "If-None-Match": etag })).status).toBe(304);
+    expect((await get(videoPath, { "If-None-Match": 'W/"other"' })).status).toBe(200);
+    expect((await get(videoPath, { "If-Modified-Since": lastModified })).status).toBe(304);
+  });
+
+  test("compresses text assets for clients that accept it", async () => {
+    const gzip = await get(scriptPath, { "Accept-Encoding": "gzip" });
+    expect(gzip.headers.get("content-encoding")).toBe("gzip");
+    expect(gzip.headers.get("vary")).toBe("Accept-Encoding");
+    const body = new Uint8Array(await gzip.arrayBuffer());
+    expect(new TextDecoder().decode(gunzipSync(body))).toBe(script);
+
+    const brotli = await get(scriptPath, { "Accept-Encoding": "gzip, br" });
+    expect(brotli.headers.get("content-encoding")).toBe("br");
+    const brotliBody = new Uint8Array(await brotli.arrayBuffer());
+    expect(new TextDecoder().decode(brotliDecompressSync(brotliBody))).toBe(script);
+
+    const video = await get(videoPath, { "Accept-Encoding": "gzip" });
+    expect(video.headers.get("content-encoding")).toBe(null);
+  });
+
+  test("compresses a file once when it's requested again while compressing", async () => {
+    const [first, second] = await Promise.all([
+      get(scriptPath, { "Accept-Encoding": "br" }),
+      get(scriptPath, { "Accept-Encoding": "br" }),
+    ]);
+    expect(await first.arrayBuffer()).toEqual(await second.arrayBuffer());
+  });
+
+  test("404s for missing files and directories", async () => {
+    expect((await get(join(root, "missing.js"))).status).toBe(404);
+    expect((await get(root)).status).toBe(404);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * StaticFiles - serve the public dir: streaming, Range, conditional GETs, compression.
+ *
+ * Files are streamed with Bun.file instead of read into memory, so large local
+ * videos don't block the server, and `Range` requests make them seekable.
+ * Every response carries an ETag and Last-Modified; matching conditional
+ * requests get a 304. Text assets are gzip/brotli compressed once per file
+ * version and kept in a small in-memory cache. Compression runs on the zlib
+ * thread pool, so a large bundle doesn't hold up /ws and OSC meanwhile.
+ */
+import { statSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, sep } from "node:path";
+import { promisify } from "node:util";
+import { constants, brotliCompress, gzip } from "node:zlib";
+import { Elysia } from "elysia";
+
+export const MIME_TYPES: Record<string, string> = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".mjs": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".ogg": "video/ogg",
+  ".ogv": "video/ogg",
+  ".avi": "video/x-msvideo",
+  ".mov": "video/quicktime",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+};
+
+// Worth compressing: text formats above this size
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(javascript|json|xml|manifest\+json)|image\/svg)/;
+const MIN_COMPRESS_BYTES = 1024;
+const COMPRESSED_CACHE_LIMIT = 64;
+
+export function getMimeType(filePath: string) {
+  return MIME_TYPES[extname(filePath).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * Map a URL path onto a file inside `root`.
+ * @returns null for paths that escape the root or can't be decoded.
+ */
+export function resolvePublicPath(root: string, urlPath: string) {
+  let decoded: string;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (_error) {
+    return null;
+  }
+  if (decoded.includes("\0")) return null;
+  const resolvedRoot = normalize(root);
+  const filePath = normalize(join(resolvedRoot, decoded));
+  return filePath === resolvedRoot || filePath.startsWith(resolvedRoot + sep) ? filePath : null;
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header.
+ * @returns The inclusive byte range, "unsatisfiable", or null to send the whole file
+ *   (no header, multiple ranges or a syntax we don't support).
+ */
+export function parseRange(header: string | null, size: number) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start: number;
+  let end: number;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return "unsatisfiable";
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return "unsatisfiable";
+  return { start, end };
+}
+
+function etagMatches(header: string | null, etag: string) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  // Weak comparison, as required for If-None-Match
+  const bare = etag.replace(/^W\//, "");
+  return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === bare);
+}
+
+function pickEncoding(acceptEncoding: string | null) {
+  if (!acceptEncoding) return null;
+  if (/\bbr\b/.test(acceptEncoding)) return "br";
+  if (/\bgzip\b/.test(acceptEncoding)) return "gzip";
+  return null;
+}
+
+const brotliCompressAsync = promisify(brotliCompress);
+const gzipAsync = promisify(gzip);
+
+// Compressions in progress and done, so concurrent requests share one
+const compressedCache = new Map<string, Promise<Uint8Array>>();
+
+async function compress(filePath: string, encoding: "br" | "gzip") {
+  const content = await readFile(filePath);
+  // Brotli's default quality (11) takes seconds on the client bundle; 5 is
+  // still smaller than gzip at a fraction of the time
+  const body =
+    encoding === "br"
+      ? await brotliCompressAsync(content, {
+          params: { [constants.BROTLI_PARAM_QUALITY]: 5 },
+        })
+      : await gzipAsync(content);
+  return new Uint8Array(body);
+}
+
+function getCompressed(filePath: string, etag: string, encoding: "br" | "gzip") {
+  const key = `${encoding}:${etag}:${filePath}`;
+  let body = compressedCache.get(key);
+  if (!body) {
+    body = compress(filePath, encoding);
+    // A failed compression isn't cached; the request falls back to the plain file
+    body.catch(() => compressedCache.delete(key));
+    if (compressedCache.size >= COMPRESSED_CACHE_LIMIT) {
+      // Oldest first: Map iteration follows insertion order
+      compressedCache.delete(compressedCache.keys().next().value as string);
+    }
+    compressedCache.set(key, body);
+  }
+  return body;
+}
+
+/**
+ * Respond with a file from disk, honoring Range, conditional and
+ * Accept-Encoding request headers.
+ */
+export async function serveFile(filePath: string, request: Request) {
+  let stats: ReturnType<typeof statSync>;
+  try {
+    stats = statSync(filePath);
+  } catch (_error) {
+    return new Response("Not found", { status: 404 });
+  }
+  if (!stats.isFile()) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const size = stats.size;
+  const etag = `W/"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000);
+  const contentType = getMimeType(filePath);
+  const compressible = COMPRESSIBLE_TYPE.test(contentType) && size >= MIN_COMPRESS_BYTES;
+  const headers: Record<string, string> = {
+    "Content-Type": contentType,
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+    "Accept-Ranges": "bytes",
+    // Always revalidate: files change while developing and between builds
+    "Cache-Control": "no-cache",
+  };
+  if (compressible) headers.Vary = "Accept-Encoding";
+
+  const ifNoneMatch = request.headers.get("if-none-match");
+  const ifModifiedSince = request.headers.get("if-modified-since");
+  const notModified = ifNoneMatch
+    ? etagMatches(ifNoneMatch, etag)
+    : ifModifiedSince !== null && lastModified.getTime() <= Date.parse(ifModifiedSince);
+  if (notModified) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // If-Range: only honor the range when the client's copy is still current
+  const ifRange = request.headers.get("if-range");
+  const rangeAllowed =
+    !ifRange ||
+    ifRange === etag ||
+    (!ifRange.includes('"') && lastModified.getTime() <= Date.parse(ifRange));
+  const range = rangeAllowed ? parseRange(request.headers.get("range"), size) : null;
+
+  if (range === "unsatisfiable") {
+    return new Response(null, {
+      status: 416,
+      headers: { ...headers, "Content-Range": `bytes */${size}` },
+    });
+  }
+  if (range) {
+    return new Response(Bun.file(filePath).slice(range.start, range.end + 1), {
+      status: 206,
+      headers: {
+        ...headers,
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+        "Content-Length": String(range.end - range.start + 1),
+      },
+    });
+  }
+
+  const encoding = compressible ? pickEncoding(request.headers.get("accept-encoding")) : null;
+  if (encoding) {
+    try {
+      const body = await getCompressed(filePath, etag, encoding);
+      return new Response(body, {
+        headers: {
+          ...headers,
+          "Content-Encoding": encoding,
+          "Content-Length": String(body.length),
+        },
+      });
+    } catch (error) {
+      console.warn(`StaticFiles: failed to compress ${filePath}:`, error);
+    }
+  }
+
+  return new Response(Bun.file(filePath), {
+    headers: { ...headers, "Content-Length": String(size) },
+  });
+}
+
+function isFile(filePath: string) {
+  try {
+    return statSync(filePath).isFile();
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Routes serving everything under `publicDir`, with `/` as index.html.
+ * @param options.aliases - Extra URL paths mapped onto files (e.g. "/remote" → "remote.html").
+ * @param options.assetRoots - More directories served from `/`, looked up in order
+ *   after the public dir (local images and videos for sketches).
+ */
+export function createStaticRoutes(
+  publicDir: string,
+  options: { aliases?: Record<string, string>; assetRoots?: string[] } = {},
+) {
+  const roots = [publicDir, ...(options.assetRoots || [])];
+  const app = new Elysia().get("/", ({ request }) =>
+    serveFile(join(publicDir, "index.html"), request),
+  );
+  for (const [urlPath, file] of Object.entries(options.aliases || {})) {
+    app.get(urlPath, ({ request }) => serveFile(join(publicDir, file), request));
+  }
+  return app.get("/*", ({ path, request }) => {
+    for (const root of roots) {
+      const filePath = resolvePublicPath(root, path);
+      if (filePath && isFile(filePath)) return serveFile(filePath, request);
+    }
+    return new Response("Not found", { status: 404 });
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * MemoryStorage - in-memory storage for tests of modules that take an
+ * injected storage (see client/core/Storage.js).
+ */
+
+import { createSafeStorage } from "../client/core/Storage.js";
+
+/** Minimal in-memory implementation of the Web Storage interface. */
+export function createMemoryBackend() {
+  const map = new Map();
+  return {
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    key: (index) => [...map.keys()][index] ?? null,
+    get length() {
+      return map.size;
+    },
+  };
+}
+
+/** Safe storage (get/set/getJSON/setJSON...) over an empty in-memory backend. */
+export function createMemoryStorage() {
+  return createSafeStorage({ backend: createMemoryBackend() });
+}
@@ -0,0 +1,63 @@
+/**
+ * BankManifest - pick curated banks for the dice button from banks/index.json.
+ *
+ * The manifest is generated by the server (live) or by
+ * `hydractrl banks manifest` at build time; see src/server/BankManifest.ts
+ * for the format. Pure helpers, shared by the slots panel and tests.
+ */
+
+export const BANKS_BASE_URL = "/assets/banks/";
+export const MANIFEST_URL = `${BANKS_BASE_URL}index.json`;
+// Pseudo collection: pick from every bank in the manifest
+export const ALL_COLLECTIONS = "all";
+// What the dice has always loaded, when no collection was chosen
+export const DEFAULT_DICE_COLLECTION = "random";
+
+/**
+ * Validate a fetched manifest, dropping malformed entries.
+ * @returns {{collections: string[], banks: Array}|null}
+ */
+export function normalizeManifest(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.banks)) return null;
+  const banks = data.banks.filter(
+    (entry) =>
+      entry &&
+      typeof entry.file === "string" &&
+      entry.file.endsWith(".json") &&
+      !entry.file.split("/").includes("..") &&
+      typeof entry.collection === "string",
+  );
+  const collections = [...new Set(banks.map((entry) => entry.collection))].sort();
+  return { collections, banks };
+}
+
+/** The collection to use: the chosen one if it (still) exists, else random/all. */
+export function resolveCollection(manifest, chosen) {
+  if (chosen === ALL_COLLECTIONS || manifest.collections.includes(chosen)) return chosen;
+  return manifest.collections.includes(DEFAULT_DICE_COLLECTION)
+    ? DEFAULT_DICE_COLLECTION
+    : ALL_COLLECTIONS;
+}
+
+/**
+ * Pick a random bank of a collection, never the one loaded last (unless it
+ * is the only one).
+ * @param {object} options
+ * @param {string} options.collection - Collection name or ALL_COLLECTIONS.
+ * @param {string|null} [options.lastFile] - File of the previously loaded bank.
+ * @param {() => number} [options.random] - Injectable for tests.
+ * @returns {object|null} The manifest entry, or null if the collection is empty.
+ */
+export function pickRandomBank(manifest, { collection, lastFile = null, random = Math.random }) {
+  const candidates = manifest.banks.filter(
+    (entry) => collection === ALL_COLLECTIONS || entry.collection === collection,
+  );
+  if (candidates.length === 0) return null;
+  const fresh = candidates.length > 1 ? candidates.filter((e) => e.file !== lastFile) : candidates;
+  return fresh[Math.floor(random() * fresh.length)];
+}
+
+/** URL of a manifest entry's bank file (path segments encoded). */
+export function getBankFileUrl(entry) {
+  return BANKS_BASE_URL + entry.file.split("/").map(encodeURIComponent).join("/");
+}
@@ -0,0 +1,58 @@
+import { describe, expect, test } from "bun:test";
+import {
+  ALL_COLLECTIONS,
+  getBankFileUrl,
+  normalizeManifest,
+  pickRandomBank,
+  resolveCollection,
+} from "./BankManifest.js";
+
+const manifest = normalizeManifest({
+  version: 1,
+  banks: [
+    { file: "random/bank-00.json", collection: "random" },
+    { file: "random/bank-01.json", collection: "random" },
+    { file: "live/my set.json", collection: "live" },
+    { file: "../secret.json", collection: "random" },
+    { name: "no file" },
+  ],
+});
+
+describe("normalizeManifest", () => {
+  test("keeps valid entries and derives the collections", () => {
+    expect(manifest.banks).toHaveLength(3);
+    expect(manifest.collections).toEqual(["live", "random"]);
+    expect(normalizeManifest({ hello: "world" })).toBe(null);
+  });
+});
+
+describe("resolveCollection", () => {
+  test("falls back to random, then all", () => {
+    expect(resolveCollection(manifest, "live")).toBe("live");
+    expect(resolveCollection(manifest, "gone")).toBe("random");
+    expect(resolveCollection({ collections: ["live"], banks: [] }, null)).toBe(ALL_COLLECTIONS);
+  });
+});
+
+describe("pickRandomBank", () => {
+  test("picks from the collection, never the last bank twice", () => {
+    const pick = (lastFile, value) =>
+      pickRandomBank(manifest, { collection: "random", lastFile, random: () => value }).file;
+    expect(pick("random/bank-00.json", 0)).toBe("random/bank-01.json");
+    expect(pick("random/bank-01.json", 0.99)).toBe("random/bank-00.json");
+  });
+
+  test("repeats a collection's only bank and handles empty collections", () => {
+    const only = pickRandomBank(manifest, { collection: "live", lastFile: "live/my set.json" });
+    expect(only.file).toBe("live/my set.json");
+    expect(pickRandomBank(manifest, { collection: "none" })).toBe(null);
+    const any = pickRandomBank(manifest, { collection: ALL_COLLECTIONS, random: () => 0.99 });
+    expect(any.file).toBe("live/my set.json");
+  });
+});
+
+describe("getBankFileUrl", () => {
+  test("encodes path segments", () => {
+    expect(getBankFileUrl({ file: "live/my set.json" })).toBe("/assets/banks/live/my%20set.json");
+  });
+});
@@ -6,14 +6,24 @@
 import { CompletionContext, autocompletion, startCompletion } from "@codemirror/autocomplete";
 import { defaultKeymap, history, historyKeymap, indentWithTab } from "@codemirror/commands";
 import { javascript } from "@codemirror/lang-javascript";
-import { Compartment, EditorState } from "@codemirror/state";
+import { lintGutter, linter } from "@codemirror/lint";
+import { Compartment, EditorState, StateEffect, StateField } from "@codemirror/state";
 import { oneDark } from "@codemirror/theme-one-dark";
-import { EditorView, highlightActiveLineGutter, keymap, lineNumbers } from "@codemirror/view";
+import {
+  Decoration,
+  EditorView,
+  highlightActiveLineGutter,
+  keymap,
+  lineNumbers,
+} from "@codemirror/view";
 import { dracula } from "@uiw/codemirror-theme-dracula";
 import { eclipse } from "@uiw/codemirror-theme-eclipse";
 import { monokai } from "@uiw/codemirror-theme-monokai";
 import { solarizedDark } from "@uiw/codemirror-theme-solarized";
 import hydraData from "../data/hydra-functions.json" assert { type: "json" };
+import { getEvalRange } from "./EvalRange.js";
+import { lintHydraCode } from "./HydraLint.js";
+import { numberScrubbing } from "./NumberScrub.js";
 
 // Language compartment for JavaScript with Hydra extensions
 const languageCompartment = new Compartment();
@@ -53,6 +63,29 @@ const hydraTheme = EditorView.theme({
     backgroundColor: "var(--color-bg-editor)",
     border: "none",
   },
+  ".cm-errorLine": {
+    backgroundColor: "rgba(255, 70, 70, 0.25)",
+  },
+  ".cm-evalFlash": {
+    backgroundColor: "rgba(255, 255, 255, 0.3)",
+  },
+});
+
+// The line of the last runtime error, highlighted until the code changes
+const setErrorLine = StateEffect.define();
+const errorLineField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, transaction) {
+    for (const effect of transaction.effects) {
+      if (effect.is(setErrorLine)) {
+        return effect.value === null
+          ? Decoration.none
+          : Decoration.set([Decoration.line({ class: "cm-errorLine" }).range(effect.value)]);
+      }
+    }
+    return transaction.docChanged ? Decoration.none : decorations;
+  },
+  provide: (field) => EditorView.decorations.from(field),
 });
 
 // Generate hydraFunctions from shared JSON data, converting params array to params array of strings for backward compatibility
@@ -99,6 +132,31 @@ Object.assign(hydraFunctions, p5Functions);
 // Create a list of Hydra functions for syntax highlighting
 const hydraKeywords = Object.keys(hydraFunctions);
 
+// A range that was just evaluated, flashed briefly
+const EVAL_FLASH_MS = 300;
+const setEvalFlash = StateEffect.define();
+const evalFlashField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, transaction) {
+    let next = decorations.map(transaction.changes);
+    for (const effect of transaction.effects) {
+      if (effect.is(setEvalFlash)) {
+        next =
+          effect.value === null
+            ? Decoration.none
+            : Decoration.set([
+                Decoration.mark({ class: "cm-evalFlash" }).range(
+                  effect.value.from,
+                  effect.value.to,
+                ),
+              ]);
+      }
+    }
+    return next;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
 /**
  * Provide Hydra-specific autocompletions
  * @param {CompletionContext} context - The CodeMirror completion context
@@ -187,6 +245,13 @@ function hydraCompletions(context) {
   return null;
 }
 
+// Hydra-aware diagnostics while typing; names the page defines (hydra and p5
+// globals, the user's own) are fine to call
+const hydraLinter = linter(
+  (view) => lintHydraCode(view.state.doc.toString(), { isGlobal: (name) => name in window }),
+  { delay: 500 },
+);
+
 /**
  * Create a CodeMirror editor for Hydra code
  * @param {HTMLElement} container - Container to add the editor to
@@ -224,6 +289,18 @@ export function createCodeMirrorEditor(container, initialCode = "") {
       // High priority to override other keymaps
       preventDefault: true,
     },
+    {
+      // Evaluate the block under the cursor (or the selection) without hush
+      key: "Shift-Enter",
+      run: (view) => evaluate(view, "block"),
+      preventDefault: true,
+    },
+    {
+      // Evaluate the line under the cursor (or the selection) without hush
+      key: "Alt-Enter",
+      run: (view) => evaluate(view, "line"),
+      preventDefault: true,
+    },
     {
       // Add Ctrl+Space for manual trigger of completion
       key: "Ctrl-Space",
@@ -245,6 +322,24 @@ export function createCodeMirrorEditor(container, initialCode = "") {
     return themeMapping.default;
   }
 
+  // Listeners for numbers changed by dragging or scrolling over them
+  const scrubListeners = new Set();
+  // Listeners for parts of the code evaluated on their own
+  const evaluateListeners = new Set();
+  let flashTimer = null;
+
+  // Evaluate the selection, line or block under the cursor: flash it and
+  // hand it to the listeners (which run it)
+  function evaluate(view, mode) {
+    const range = getEvalRange(view.state, mode);
+    if (!range) return true;
+    clearTimeout(flashTimer);
+    view.dispatch({ effects: setEvalFlash.of({ from: range.from, to: range.to }) });
+    flashTimer = setTimeout(() => view.dispatch({ effects: setEvalFlash.of(null) }), EVAL_FLASH_MS);
+    evaluateListeners.forEach((fn) => fn({ ...range, mode }));
+    return true;
+  }
+
   // Create initial editor state
   const startState = EditorState.create({
     doc: initialCode,
@@ -269,6 +364,12 @@ export function createCodeMirrorEditor(container, initialCode = "") {
         icons: true,
         closeOnBlur: true,
       }),
+      // Diagnostics as gutter markers and underlines
+      lintGutter(),
+      hydraLinter,
+      errorLineField,
+      evalFlashField,
+      numberScrubbing({ onScrub: (change) => scrubListeners.forEach((fn) => fn(change)) }),
     ],
   });
 
@@ -306,6 +407,37 @@ export function createCodeMirrorEditor(container, initialCode = "") {
       });
     },
     focus: () => view.focus(),
+    hasFocus: () => view.hasFocus,
+    // Highlight a line (1-based, clamped to the document) as the line of an
+    // error; with select, also put the cursor there and scroll to it
+    highlightError: (lineNumber, column = 1, { select = true } = {}) => {
+      const doc = view.state.doc;
+      const line = doc.line(Math.min(Math.max(lineNumber, 1), doc.lines));
+      const pos = line.from + Math.min(Math.max(column - 1, 0), line.length);
+      const effects = [setErrorLine.of(line.from)];
+      if (!select) {
+        view.dispatch({ effects });
+        return;
+      }
+      effects.push(EditorView.scrollIntoView(pos, { y: "center" }));
+      view.dispatch({ selection: { anchor: pos }, effects });
+      view.focus();
+    },
+    clearError: () => view.dispatch({ effects: setErrorLine.of(null) }),
+    // Evaluate part of the code as with Shift+Enter ("block"), Alt+Enter
+    // ("line") or "selection"
+    evaluate: (mode) => evaluate(view, mode),
+    // Subscribe to evaluated parts ({from, to, code, line, column, mode});
+    // returns an unsubscribe function
+    onEvaluate: (fn) => {
+      evaluateListeners.add(fn);
+      return () => evaluateListeners.delete(fn);
+    },
+    // Subscribe to numbers scrubbed in the editor; returns an unsubscribe function
+    onNumberScrub: (fn) => {
+      scrubListeners.add(fn);
+      return () => scrubListeners.delete(fn);
+    },
     element: view.dom,
     // Add method to manually update theme
     updateTheme: () => {
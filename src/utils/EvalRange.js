@@ -0,0 +1,42 @@
+/**
+ * EvalRange - the part of the editor to evaluate on its own, as in other
+ * live-coding editors: the selection, the line under the cursor, or the
+ * block (lines up to the nearest blank lines) under the cursor.
+ */
+
+/**
+ * The range to evaluate for a mode, from the editor state's main selection.
+ * A non-empty selection always wins; a blank line has nothing to evaluate.
+ * @param {import("@codemirror/state").EditorState} state
+ * @param {"selection"|"line"|"block"} mode
+ * @returns {{from: number, to: number, code: string, line: number, column: number}|null}
+ *   `line` and `column` (1-based) are where the range starts.
+ */
+export function getEvalRange(state, mode) {
+  const { doc } = state;
+  const selection = state.selection.main;
+  let from;
+  let to;
+
+  if (!selection.empty) {
+    ({ from, to } = selection);
+  } else if (mode === "selection") {
+    return null;
+  } else {
+    const cursorLine = doc.lineAt(selection.head);
+    if (!cursorLine.text.trim()) return null;
+    let first = cursorLine.number;
+    let last = cursorLine.number;
+    if (mode === "block") {
+      while (first > 1 && doc.line(first - 1).text.trim()) first--;
+      while (last < doc.lines && doc.line(last + 1).text.trim()) last++;
+    }
+    from = doc.line(first).from;
+    to = doc.line(last).to;
+  }
+
+  const code = doc.sliceString(from, to);
+  if (!code.trim()) return null;
+  const startLine = doc.lineAt(from);
+  return { from, to, code, line: startLine.number, column: from - startLine.from + 1 };
+}
@@ -0,0 +1,40 @@
+import { describe, expect, test } from "bun:test";
+import { EditorSelection, EditorState } from "@codemirror/state";
+import { getEvalRange } from "./EvalRange.js";
+
+const DOC = "// setup\nspeed = 1\n\nosc(10)\n  .kaleid(4)\n  .out()\n\n\nnoise().out(o1)";
+
+const stateAt = (anchor, head = anchor) =>
+  EditorState.create({ doc: DOC, selection: EditorSelection.single(anchor, head) });
+const codeOf = (range) => range?.code ?? null;
+
+describe("getEvalRange", () => {
+  const inKaleid = DOC.indexOf("kaleid");
+
+  test("takes the block between blank lines", () => {
+    expect(getEvalRange(stateAt(inKaleid), "block")).toMatchObject({
+      code: "osc(10)\n  .kaleid(4)\n  .out()",
+      line: 4,
+      column: 1,
+    });
+    expect(codeOf(getEvalRange(stateAt(0), "block"))).toBe("// setup\nspeed = 1");
+    expect(codeOf(getEvalRange(stateAt(DOC.length), "block"))).toBe("noise().out(o1)");
+  });
+
+  test("takes the line under the cursor", () => {
+    expect(codeOf(getEvalRange(stateAt(inKaleid), "line"))).toBe("  .kaleid(4)");
+  });
+
+  test("prefers a selection, wherever it starts", () => {
+    const from = DOC.indexOf("10");
+    const range = getEvalRange(stateAt(from, from + 2), "block");
+    expect(range).toMatchObject({ code: "10", line: 4, column: 5 });
+    expect(getEvalRange(stateAt(inKaleid), "selection")).toBe(null);
+  });
+
+  test("has nothing to evaluate on a blank line", () => {
+    const blank = DOC.indexOf("\n\n\n") + 1;
+    expect(getEvalRange(stateAt(blank), "block")).toBe(null);
+    expect(getEvalRange(stateAt(blank), "line")).toBe(null);
+  });
+});
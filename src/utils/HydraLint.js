@@ -0,0 +1,255 @@
+/**
+ * HydraLint - hydra-aware diagnostics for sketches, from the function
+ * catalogue in src/data/hydra-functions.json.
+ *
+ * Flags mistakes that would otherwise only show up as a runtime error:
+ * unknown or misspelled hydra functions, too many or missing arguments,
+ * chaining a source (or anything) onto a chain, chaining after out(), a
+ * source passed where a number is expected and two chains rendering to the
+ * same output. Only chains that start with a source call (osc(), src(o0), ...)
+ * are checked, so plain JavaScript and p5 code stay quiet.
+ *
+ * The diagnostics use CodeMirror's shape ({from, to, severity, message}), so
+ * the editor's linter can return them as they are.
+ */
+
+import { javascriptLanguage } from "@codemirror/lang-javascript";
+import hydraData from "../data/hydra-functions.json" assert { type: "json" };
+
+const functions = hydraData.functions;
+
+// Parameters that take a source; everything else takes a number (or a
+// function or array giving one), an output buffer, a URL or options
+const TEXTURE_PARAMS = new Set(["texture", "source"]);
+const PARAM_EXPECTATIONS = {
+  buffer: "an output buffer (o0-o3)",
+  url: "a URL",
+  options: "an options object",
+};
+
+const isChainable = (fn) =>
+  fn.syntaxType === "method" && (fn.returnType === "texture" || fn === functions.out);
+const CHAINABLE_NAMES = Object.keys(functions).filter((name) => isChainable(functions[name]));
+const CALLABLE_NAMES = Object.keys(functions).filter((name) =>
+  ["source", "function"].includes(functions[name].syntaxType),
+);
+
+const NOT_ARGUMENTS = new Set(["(", ")", ",", "LineComment", "BlockComment"]);
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The closest known name, if it's close enough to be a typo: one edit for
+ * short names, two for longer ones. Case doesn't count as an edit.
+ * @returns {string|null}
+ */
+export function suggestName(name, candidates) {
+  const lower = name.toLowerCase();
+  const maxDistance = name.length <= 5 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+const getArguments = (argList) => {
+  const args = [];
+  for (let child = argList?.firstChild; child; child = child.nextSibling) {
+    if (!NOT_ARGUMENTS.has(child.name)) args.push(child);
+  }
+  return args;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * Lint a sketch.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {function(string): boolean} [options.isGlobal] - Whether a name is
+ *   defined outside the sketch (e.g. `name in window`), so calling it is fine.
+ * @returns {Array<{from: number, to: number, severity: "error"|"warning", message: string}>}
+ */
+export function lintHydraCode(code, { isGlobal = () => false } = {}) {
+  const tree = javascriptLanguage.parser.parse(code);
+  const text = (node) => code.slice(node.from, node.to);
+  const diagnostics = [];
+  const report = (node, severity, message, to = node.to) =>
+    diagnostics.push({ from: node.from, to, severity, message });
+
+  // Names the sketch defines itself (also as `window.name = ...`), and
+  // functions it adds with setFunction()
+  const declared = new Set();
+  const custom = new Set();
+  tree.iterate({
+    enter(ref) {
+      const target = ref.name === "AssignmentExpression" ? ref.node.firstChild : null;
+      if (ref.name === "VariableDefinition") {
+        declared.add(text(ref.node));
+      } else if (target?.name === "VariableName") {
+        declared.add(text(target));
+      } else if (
+        target?.name === "MemberExpression" &&
+        text(target.firstChild) === "window" &&
+        target.lastChild.name === "PropertyName"
+      ) {
+        declared.add(text(target.lastChild));
+      } else if (ref.name === "CallExpression" && text(ref.node.firstChild) === "setFunction") {
+        for (const match of text(ref.node).matchAll(/\bname\s*:\s*(["'`])(\w+)\1/g)) {
+          custom.add(match[2]);
+        }
+      }
+    },
+  });
+
+  // Whether an expression is a hydra chain (a source call with transforms),
+  // and whether out() has ended it. Returns null for anything else.
+  function describeChain(node) {
+    if (node?.name !== "CallExpression") return null;
+    const callee = node.firstChild;
+    if (callee.name === "VariableName") {
+      const name = text(callee);
+      return functions[name]?.syntaxType === "source" && !declared.has(name)
+        ? { ended: false }
+        : null;
+    }
+    if (callee.name !== "MemberExpression" || callee.lastChild.name !== "PropertyName") return null;
+    const chain = describeChain(callee.firstChild);
+    return chain && { ended: chain.ended || text(callee.lastChild) === "out" };
+  }
+
+  function checkArguments(name, argList) {
+    const params = functions[name].params;
+    const args = getArguments(argList);
+    if (args.length > params.length) {
+      const takes = params.length ? `at most ${plural(params.length, "argument")}` : "no arguments";
+      report(
+        args[params.length],
+        "warning",
+        `${name}() takes ${takes}, got ${args.length}`,
+        args.at(-1).to,
+      );
+    }
+    const missing = params.slice(args.length).find((param) => param.default === undefined);
+    if (missing) {
+      report(argList, "warning", `${name}() is missing its ${missing.name} argument`);
+    }
+    params.slice(0, args.length).forEach((param, i) => {
+      if (TEXTURE_PARAMS.has(param.name) || !describeChain(args[i])) return;
+      const expected = PARAM_EXPECTATIONS[param.name] ?? "a number";
+      report(args[i], "warning", `${name}() expects ${expected} for ${param.name}, not a source`);
+    });
+  }
+
+  function checkCall(node) {
+    const callee = node.firstChild;
+    const argList = node.getChild("ArgList");
+    if (!argList) return;
+
+    if (callee.name === "VariableName") {
+      const name = text(callee);
+      if (declared.has(name)) return;
+      const fn = functions[name];
+      if (fn && fn.syntaxType !== "method") {
+        checkArguments(name, argList);
+      } else if (isGlobal(name)) {
+        return;
+      } else if (fn) {
+        report(
+          callee,
+          "error",
+          `${name}() is a transform: chain it onto a source, e.g. osc().${name}()`,
+        );
+      } else {
+        const suggestion = suggestName(name, CALLABLE_NAMES);
+        if (suggestion) {
+          report(callee, "error", `Unknown function ${name}(), did you mean ${suggestion}()?`);
+        }
+      }
+      return;
+    }
+
+    if (callee.name !== "MemberExpression") return;
+    const property = callee.lastChild;
+    const chain = property.name === "PropertyName" && describeChain(callee.firstChild);
+    if (!chain) return;
+    const name = text(property);
+    const fn = functions[name];
+    if (chain.ended) {
+      report(property, "error", `out() ends the chain: .${name}() can't follow it`);
+    } else if (custom.has(name)) {
+      return;
+    } else if (!fn) {
+      // Without a close match it may be a function the reference doesn't know
+      const suggestion = suggestName(name, CHAINABLE_NAMES);
+      if (suggestion) {
+        report(
+          property,
+          "error",
+          `Unknown hydra function .${name}(), did you mean .${suggestion}()?`,
+        );
+      } else {
+        report(property, "warning", `Unknown hydra function .${name}()`);
+      }
+    } else if (fn.syntaxType === "source") {
+      report(
+        property,
+        "error",
+        `${name}() is a source and can't be chained after a transform: pass it as an argument, e.g. .modulate(${name}())`,
+      );
+    } else if (!isChainable(fn)) {
+      report(property, "error", `${name}() can't be chained onto a source`);
+    } else {
+      checkArguments(name, argList);
+    }
+  }
+
+  tree.iterate({
+    enter(ref) {
+      if (ref.name === "CallExpression") checkCall(ref.node);
+    },
+  });
+
+  // Top-level chains rendering to the same output: only the last one shows
+  const rendered = new Map();
+  for (let statement = tree.topNode.firstChild; statement; statement = statement.nextSibling) {
+    const call = statement.name === "ExpressionStatement" ? statement.firstChild : null;
+    const callee = call?.name === "CallExpression" ? call.firstChild : null;
+    if (callee?.name !== "MemberExpression" || text(callee.lastChild) !== "out") continue;
+    const chain = describeChain(callee.firstChild);
+    if (!chain || chain.ended) continue;
+    const [buffer] = getArguments(call.getChild("ArgList"));
+    const output = buffer ? text(buffer).replace(/\s+/g, "") : "o0";
+    const line = code.slice(0, call.from).split("\n").length;
+    if (rendered.has(output)) {
+      report(
+        callee.lastChild,
+        "warning",
+        `${output} is already rendered on line ${rendered.get(output)}: this chain replaces it`,
+      );
+    }
+    rendered.set(output, line);
+  }
+
+  return diagnostics.sort((a, b) => a.from - b.from);
+}
@@ -0,0 +1,120 @@
+import { describe, expect, test } from "bun:test";
+import { lintHydraCode, suggestName } from "./HydraLint.js";
+
+// Each diagnostic as [severity, flagged code, message]
+const lint = (code, options) =>
+  lintHydraCode(code, options).map(({ from, to, severity, message }) => [
+    severity,
+    code.slice(from, to),
+    message,
+  ]);
+
+describe("lintHydraCode", () => {
+  test("accepts valid sketches and plain JavaScript", () => {
+    const code = [
+      "s0.initCam()",
+      "const wobble = () => Math.sin(time) * 0.1",
+      "osc(10, 0.1, () => a.fft[0])",
+      "  .rotate(wobble)",
+      "  .modulate(noise(3).kaleid([2, 4].fast(0.5)), 0.2)",
+      "  .out(o1)",
+      "src(o1).out()",
+      "render(o0)",
+    ].join("\n");
+    expect(lint(code)).toEqual([]);
+  });
+
+  test("flags unknown functions with a suggestion", () => {
+    expect(lint("osc().modulateScal(noise()).out()")).toEqual([
+      [
+        "error",
+        "modulateScal",
+        "Unknown hydra function .modulateScal(), did you mean .modulateScale()?",
+      ],
+    ]);
+    expect(lint("voronio(5).out()")).toEqual([
+      ["error", "voronio", "Unknown function voronio(), did you mean voronoi()?"],
+    ]);
+    expect(lint("osc().wobble().out()")).toEqual([
+      ["warning", "wobble", "Unknown hydra function .wobble()"],
+    ]);
+  });
+
+  test("knows every function hydra-synth defines, and globals the sketch sets", () => {
+    const code = [
+      "osc().shift(0.1, 0.2).out()",
+      "osc().a().sum([1, 1, 1, 0]).out(o1)",
+      "prev().scale(1.01).blend(noise(), 0.1).out(o2)",
+      "a.setBins(4)",
+      "window.initImg = (source, url) => source.initImage(url)",
+      "initImg(s0, 'a.png')",
+    ].join("\n");
+    expect(lint(code)).toEqual([]);
+  });
+
+  test("leaves names alone that the sketch or page defines", () => {
+    expect(lint("const voronio = () => osc(); voronio().out()")).toEqual([]);
+    expect(lint("voronio().out()", { isGlobal: (name) => name === "voronio" })).toEqual([]);
+    expect(lint("rotate(1)", { isGlobal: () => true })).toEqual([]);
+    expect(
+      lint(
+        "setFunction({ name: 'wobble', type: 'coord', inputs: [], glsl: '' })\nosc().wobble().out()",
+      ),
+    ).toEqual([]);
+  });
+
+  test("checks argument counts", () => {
+    expect(lint("shape(4, 0.3, 0.1, 2, 1).out()")).toEqual([
+      ["warning", "2, 1", "shape() takes at most 3 arguments, got 5"],
+    ]);
+    expect(lint("osc().modulate().out()")).toEqual([
+      ["warning", "()", "modulate() is missing its texture argument"],
+    ]);
+    expect(lint("hush(1)")).toEqual([["warning", "1", "hush() takes no arguments, got 1"]]);
+  });
+
+  test("flags what can't be chained", () => {
+    expect(lint("osc().rotate().noise().out()")).toEqual([
+      [
+        "error",
+        "noise",
+        "noise() is a source and can't be chained after a transform: pass it as an argument, e.g. .modulate(noise())",
+      ],
+    ]);
+    expect(lint("osc().out().out()")).toEqual([
+      ["error", "out", "out() ends the chain: .out() can't follow it"],
+    ]);
+    expect(lint("osc().setBins(4)")[0][2]).toBe("setBins() can't be chained onto a source");
+    expect(lint("kaleid(4)")[0][2]).toBe(
+      "kaleid() is a transform: chain it onto a source, e.g. osc().kaleid()",
+    );
+  });
+
+  test("flags a source passed where a number is expected", () => {
+    expect(lint("osc(osc()).out()")).toEqual([
+      ["warning", "osc()", "osc() expects a number for frequency, not a source"],
+    ]);
+    expect(lint("osc().out(noise())")).toEqual([
+      ["warning", "noise()", "out() expects an output buffer (o0-o3) for buffer, not a source"],
+    ]);
+  });
+
+  test("warns when two chains render to the same output", () => {
+    expect(lint("osc().out()\nnoise().out(o1)\nvoronoi().out(o0)")).toEqual([
+      ["warning", "out", "o0 is already rendered on line 1: this chain replaces it"],
+    ]);
+  });
+
+  test("copes with code that is still being typed", () => {
+    expect(() => lintHydraCode("osc(10, ).rot")).not.toThrow();
+    expect(() => lintHydraCode("osc(")).not.toThrow();
+  });
+});
+
+describe("suggestName", () => {
+  test("suggests close names only", () => {
+    expect(suggestName("Kaleid", ["kaleid", "scale"])).toBe("kaleid");
+    expect(suggestName("sin", ["src", "osc"])).toBe(null);
+    expect(suggestName("modulatRotat", ["modulateRotate", "modulate"])).toBe("modulateRotate");
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * NumberScrub - change numbers in the editor by dragging or scrolling over
+ * them, for live tweaking without retyping digits.
+ *
+ * Dragging a number left or right steps it in its last digit (0.5 moves by
+ * 0.1, 10 by 1); hold Alt/⌥ for steps ten times finer, Shift for steps ten
+ * times coarser. Scrolling over a number steps it too. A click without
+ * dragging still places the cursor. A whole drag (or a burst of scrolling)
+ * is one undo step: the intermediate values stay out of the history.
+ *
+ * The editor reports each change through `onScrub`, e.g. to re-run the
+ * sketch.
+ */
+
+import { syntaxTree } from "@codemirror/language";
+import { EditorSelection, Transaction } from "@codemirror/state";
+import { Decoration, EditorView, ViewPlugin } from "@codemirror/view";
+
+// Pixels of horizontal drag per step, and of scrolling per step
+const PIXELS_PER_STEP = 4;
+const WHEEL_PER_STEP = 40;
+// Movement before a press on a number counts as a drag rather than a click
+const DRAG_THRESHOLD = 3;
+// A burst of scrolling ends (and becomes an undo step) after this pause
+const WHEEL_COMMIT_MS = 400;
+
+const DECIMAL_LITERAL = /^-?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * The value and number of decimals of a plain decimal literal (hex,
+ * exponents and bigints aren't scrubbed).
+ * @returns {{value: number, decimals: number}|null}
+ */
+export function parseNumberLiteral(text) {
+  const literal = text.replace(/\s+/g, "");
+  if (!DECIMAL_LITERAL.test(literal)) return null;
+  const dot = literal.indexOf(".");
+  return { value: Number(literal), decimals: dot === -1 ? 0 : literal.length - dot - 1 };
+}
+
+/**
+ * Size of one step for a number with that many decimals.
+ * @param {{fine?: boolean, coarse?: boolean}} modifiers
+ * @returns {{step: number, decimals: number}} The step, and the decimals to show it.
+ */
+export function getScrubStep(decimals, { fine = false, coarse = false } = {}) {
+  const precision = decimals + (fine ? 1 : 0) - (coarse ? 1 : 0);
+  return { step: 10 ** -precision, decimals: Math.max(precision, 0) };
+}
+
+/** A scrubbed value as a literal, without floating point noise like 0.30000000000000004. */
+export function formatScrubbedNumber(value, decimals) {
+  const text = value.toFixed(decimals);
+  return /^-0\.?0*$/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * The scrubbable number literal (with its unary minus) at a document position.
+ * @returns {{from: number, to: number, text: string, value: number, decimals: number}|null}
+ */
+export function findNumberAt(state, pos) {
+  for (const side of [1, -1]) {
+    let node = syntaxTree(state).resolveInner(pos, side);
+    if (node.name !== "Number") continue;
+    if (node.parent?.name === "UnaryExpression" && node.parent.firstChild?.name === "ArithOp") {
+      if (state.sliceDoc(node.parent.firstChild.from, node.parent.firstChild.to) === "-") {
+        node = node.parent;
+      }
+    }
+    const text = state.sliceDoc(node.from, node.to);
+    const literal = parseNumberLiteral(text);
+    if (literal) return { from: node.from, to: node.to, text, ...literal };
+  }
+  return null;
+}
+
+const modifiersOf = (event) => ({ fine: event.altKey, coarse: event.shiftKey });
+
+// A series of changes to one number that ends as a single undo step
+function createScrubSession(view, number, onScrub) {
+  const { from } = number;
+  let to = number.to;
+  let text = number.text;
+  let value = number.value;
+  let decimals = number.decimals;
+
+  function replace(insert, annotations) {
+    view.dispatch({ changes: { from, to, insert }, annotations });
+    to = from + insert.length;
+  }
+
+  return {
+    step(count, modifiers) {
+      if (count === 0) return;
+      const step = getScrubStep(number.decimals, modifiers);
+      decimals = Math.max(decimals, step.decimals);
+      value += count * step.step;
+      let insert = formatScrubbedNumber(value, decimals);
+      // Keep `x-1` from becoming the decrement `x--1`
+      if (insert.startsWith("-") && /[-+]$/.test(view.state.sliceDoc(from - 1, from))) {
+        insert = ` ${insert}`;
+      }
+      if (insert === text) return;
+      text = insert;
+      replace(insert, Transaction.addToHistory.of(false));
+      onScrub({ value, done: false });
+    },
+    // Put the original back and make the final value one undoable change
+    commit() {
+      if (text === number.text) return;
+      replace(number.text, Transaction.addToHistory.of(false));
+      view.dispatch({ changes: { from, to, insert: text }, userEvent: "input.scrub" });
+      onScrub({ value, done: true });
+    },
+  };
+}
+
+// Number literals in view get a resize cursor, showing they can be dragged
+const numberMarks = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = this.build(view);
+    }
+
+    update(update) {
+      if (
+        update.docChanged ||
+        update.viewportChanged ||
+        syntaxTree(update.startState) !== syntaxTree(update.state)
+      ) {
+        this.decorations = this.build(update.view);
+      }
+    }
+
+    build(view) {
+      const mark = Decoration.mark({ class: "cm-number-scrub" });
+      const ranges = [];
+      for (const { from, to } of view.visibleRanges) {
+        syntaxTree(view.state).iterate({
+          from,
+          to,
+          enter(node) {
+            if (node.name !== "Number") return;
+            if (parseNumberLiteral(view.state.sliceDoc(node.from, node.to))) {
+              ranges.push(mark.range(node.from, node.to));
+            }
+          },
+        });
+      }
+      return Decoration.set(ranges);
+    }
+  },
+  { decorations: (plugin) => plugin.decorations },
+);
+
+const scrubTheme = EditorView.baseTheme({
+  ".cm-number-scrub": { cursor: "ew-resize" },
+  ".cm-number-scrub:hover": { textDecoration: "underline dotted" },
+  "&.cm-scrubbing, &.cm-scrubbing .cm-content": { cursor: "ew-resize", userSelect: "none" },
+});
+
+/**
+ * CodeMirror extension for scrubbing numbers.
+ * @param {Object} [options]
+ * @param {function({value: number, done: boolean})} [options.onScrub] - Called
+ *   on each change, and with done once a drag or a burst of scrolling ends.
+ */
+export function numberScrubbing({ onScrub = () => {} } = {}) {
+  let wheel = null;
+
+  const endWheel = () => {
+    if (!wheel) return;
+    clearTimeout(wheel.timer);
+    wheel.session.commit();
+    wheel = null;
+  };
+
+  const handlers = EditorView.domEventHandlers({
+    mousedown(event, view) {
+      if (event.button !== 0 || event.detail > 1 || event.ctrlKey || event.metaKey) return false;
+      if (!view.state.facet(EditorView.editable)) return false;
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+      const number = pos === null ? null : findNumberAt(view.state, pos);
+      if (!number) return false;
+      endWheel();
+      event.preventDefault();
+
+      const session = createScrubSession(view, number, onScrub);
+      const startX = event.clientX;
+      let lastX = startX;
+      let pending = 0;
+      let dragging = false;
+
+      const onMove = (e) => {
+        if (!dragging) {
+          if (Math.abs(e.clientX - startX) < DRAG_THRESHOLD) return;
+          dragging = true;
+          view.dom.classList.add("cm-scrubbing");
+        }
+        pending += e.clientX - lastX;
+        lastX = e.clientX;
+        const steps = Math.trunc(pending / PIXELS_PER_STEP);
+        pending -= steps * PIXELS_PER_STEP;
+        session.step(steps, modifiersOf(e));
+      };
+      const onUp = () => {
+        window.removeEventListener("mousemove", onMove);
+        window.removeEventListener("mouseup", onUp);
+        view.dom.classList.remove("cm-scrubbing");
+        if (dragging) {
+          session.commit();
+          return;
+        }
+        // A click: place the cursor (Shift extends the selection) as usual
+        const anchor = event.shiftKey ? view.state.selection.main.anchor : pos;
+        view.dispatch({ selection: EditorSelection.range(anchor, pos), userEvent: "select" });
+        view.focus();
+      };
+      window.addEventListener("mousemove", onMove);
+      window.addEventListener("mouseup", onUp);
+      return true;
+    },
+
+    wheel(event, view) {
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+      const number = pos === null ? null : findNumberAt(view.state, pos);
+      if (!number && !wheel) return false;
+      if (!number || (wheel && number.from !== wheel.from)) {
+        endWheel();
+        if (!number) return false;
+      }
+      event.preventDefault();
+      wheel ??= {
+        from: number.from,
+        session: createScrubSession(view, number, onScrub),
+        pending: 0,
+      };
+      // Lines and pages to pixels; Shift+wheel scrolls sideways in some browsers
+      const scale = event.deltaMode === 1 ? 33 : event.deltaMode === 2 ? 400 : 1;
+      wheel.pending -= (event.deltaY || event.deltaX) * scale;
+      const steps = Math.trunc(wheel.pending / WHEEL_PER_STEP);
+      wheel.pending -= steps * WHEEL_PER_STEP;
+      wheel.session.step(steps, modifiersOf(event));
+      clearTimeout(wheel.timer);
+      wheel.timer = setTimeout(endWheel, WHEEL_COMMIT_MS);
+      return true;
+    },
+  });
+
+  return [numberMarks, handlers, scrubTheme];
+}
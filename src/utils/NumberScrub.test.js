@@ -0,0 +1,62 @@
+import { describe, expect, test } from "bun:test";
+import { javascript } from "@codemirror/lang-javascript";
+import { EditorState } from "@codemirror/state";
+import {
+  findNumberAt,
+  formatScrubbedNumber,
+  getScrubStep,
+  parseNumberLiteral,
+} from "./NumberScrub.js";
+
+const stateOf = (doc) => EditorState.create({ doc, extensions: [javascript()] });
+
+describe("parseNumberLiteral", () => {
+  test("reads decimal literals and their decimals", () => {
+    expect(parseNumberLiteral("10")).toEqual({ value: 10, decimals: 0 });
+    expect(parseNumberLiteral("0.25")).toEqual({ value: 0.25, decimals: 2 });
+    expect(parseNumberLiteral(".5")).toEqual({ value: 0.5, decimals: 1 });
+    expect(parseNumberLiteral("- 1.5")).toEqual({ value: -1.5, decimals: 1 });
+  });
+
+  test("leaves other literals alone", () => {
+    for (const text of ["0xff", "1e3", "10n", "1_000"]) {
+      expect(parseNumberLiteral(text)).toBe(null);
+    }
+  });
+});
+
+describe("getScrubStep", () => {
+  test("steps in the last digit, finer or coarser with modifiers", () => {
+    expect(getScrubStep(1)).toEqual({ step: 0.1, decimals: 1 });
+    expect(getScrubStep(0, { fine: true })).toEqual({ step: 0.1, decimals: 1 });
+    expect(getScrubStep(0, { coarse: true })).toEqual({ step: 10, decimals: 0 });
+    expect(getScrubStep(2, { fine: true, coarse: true })).toEqual({ step: 0.01, decimals: 2 });
+  });
+});
+
+describe("formatScrubbedNumber", () => {
+  test("rounds away floating point noise and negative zero", () => {
+    expect(formatScrubbedNumber(0.1 + 0.2, 1)).toBe("0.3");
+    expect(formatScrubbedNumber(-0.00001, 2)).toBe("0.00");
+    expect(formatScrubbedNumber(-1.5, 1)).toBe("-1.5");
+  });
+});
+
+describe("findNumberAt", () => {
+  const state = stateOf("osc(10, -0.5, x-2).rotate(0xff)");
+
+  test("finds the literal on either side of the position", () => {
+    expect(findNumberAt(state, 4)).toMatchObject({ text: "10", from: 4, to: 6 });
+    expect(findNumberAt(state, 6)).toMatchObject({ text: "10", value: 10 });
+  });
+
+  test("includes a unary minus, but not a binary one", () => {
+    expect(findNumberAt(state, 10)).toMatchObject({ text: "-0.5", from: 8, value: -0.5 });
+    expect(findNumberAt(state, 16)).toMatchObject({ text: "2", from: 16, value: 2 });
+  });
+
+  test("ignores other code and literals", () => {
+    expect(findNumberAt(state, 1)).toBe(null);
+    expect(findNumberAt(state, 28)).toBe(null);
+  });
+});
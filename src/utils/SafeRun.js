@@ -0,0 +1,80 @@
+/**
+ * SafeRun - running a sketch on a hydra instance, and what safe run does
+ * when it fails.
+ *
+ * A full run clears the outputs with hush() before the new code runs; a
+ * snippet runs on top of what's already there. With safe run on, the code is
+ * compiled before anything is cleared, so a syntax error leaves the visuals
+ * alone, and code that throws after the hush is replaced by the code that
+ * last ran successfully on the same instance. Without a last good run the
+ * outputs stay cleared. Compiling and the hooks around a run are passed in,
+ * so this has no DOM or hydra-synth dependency.
+ */
+
+/**
+ * Create a runner that remembers the last good code of each hydra instance.
+ * `compile(code)` returns the async function to call with hydra, and must
+ * return `{ success, error, message }` like utils/SketchSource.js bodies do.
+ * `onWillRun(hydra)` is called just before a full run clears the outputs,
+ * and `onRestored(hydra, code)` after the last good code is running again.
+ */
+export function createSafeRun({ compile, onWillRun = () => {}, onRestored = () => {} }) {
+  const lastGoodCode = new WeakMap();
+
+  // Put back the code that last ran on this instance. Returns whether it's
+  // running again.
+  async function restore(hydra) {
+    const code = lastGoodCode.get(hydra);
+    if (code === undefined) return false;
+    try {
+      hydra.hush();
+      const result = await compile(code)(hydra);
+      if (!result?.success) return false;
+      onRestored(hydra, code);
+      return true;
+    } catch (error) {
+      console.error("Error restoring the last working code:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Run `code` on `hydra`. Resolves to `{ success: true }`, or to
+   * `{ success: false, error, message, restored }` where `restored` tells
+   * whether the last good code was put back. Never rejects.
+   */
+  async function run(hydra, code, { snippet = false, safe = false } = {}) {
+    const safeRun = safe && !snippet;
+    let hushed = false;
+
+    const fail = async (error, message) => ({
+      success: false,
+      error,
+      message,
+      restored: safeRun && hushed && (await restore(hydra)),
+    });
+
+    try {
+      // Safe run checks the syntax before anything is cleared
+      let fn = safeRun ? compile(code) : null;
+
+      if (!snippet) {
+        onWillRun(hydra);
+        hydra.hush();
+        hushed = true;
+      }
+
+      fn ??= compile(code);
+      const result = await fn(hydra);
+      if (result && !result.success) return await fail(result.error, result.message);
+
+      if (!snippet) lastGoodCode.set(hydra, code);
+      return { success: true };
+    } catch (error) {
+      console.error("Error running Hydra code:", error);
+      return await fail(error, error.message || "Failed to execute Hydra code");
+    }
+  }
+
+  return { run };
+}
@@ -0,0 +1,125 @@
+import { describe, expect, spyOn, test } from "bun:test";
+import { createSafeRun } from "./SafeRun.js";
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Like buildSketchBody() in SketchSource.js, minus the browser globals
+const compile = (code) =>
+  new AsyncFunction(
+    "hydra",
+    `try {\n${code}\nreturn { success: true };\n} catch (e) {\nreturn { success: false, error: e, message: e.message };\n}`,
+  );
+
+// A hydra stand-in that records what ran on it since the last hush()
+function createFakeHydra() {
+  const hydra = {
+    hushes: 0,
+    running: [],
+    hush() {
+      hydra.hushes++;
+      hydra.running = [];
+    },
+    out(name) {
+      hydra.running.push(name);
+    },
+  };
+  return hydra;
+}
+
+function createRunner() {
+  const restored = [];
+  const safeRun = createSafeRun({
+    compile,
+    onRestored: (hydra, code) => restored.push(code),
+  });
+  return { ...safeRun, restored };
+}
+
+describe("createSafeRun", () => {
+  const errorSpy = () => spyOn(console, "error").mockImplementation(() => {});
+
+  test("runs a sketch after clearing the outputs", async () => {
+    const { run } = createRunner();
+    const hydra = createFakeHydra();
+    expect(await run(hydra, "hydra.out('a')", { safe: true })).toEqual({ success: true });
+    expect(hydra.hushes).toBe(1);
+    expect(hydra.running).toEqual(["a"]);
+  });
+
+  test("a syntax error never clears the outputs in safe run", async () => {
+    const spy = errorSpy();
+    const { run, restored } = createRunner();
+    const hydra = createFakeHydra();
+    await run(hydra, "hydra.out('a')", { safe: true });
+    const result = await run(hydra, "hydra.out(", { safe: true });
+    spy.mockRestore();
+    expect(result.success).toBe(false);
+    expect(result.error).toBeInstanceOf(SyntaxError);
+    expect(result.restored).toBe(false);
+    expect(hydra.hushes).toBe(1);
+    expect(hydra.running).toEqual(["a"]);
+    expect(restored).toEqual([]);
+  });
+
+  test("a runtime error restores the last good code of that instance", async () => {
+    const spy = errorSpy();
+    const { run, restored } = createRunner();
+    const hydra = createFakeHydra();
+    const other = createFakeHydra();
+    await run(hydra, "hydra.out('a')", { safe: true });
+    await run(other, "hydra.out('b')", { safe: true });
+    const result = await run(hydra, "hydra.out('c'); missing()", { safe: true });
+    spy.mockRestore();
+    expect(result).toMatchObject({ success: false, restored: true });
+    expect(result.message).toContain("missing");
+    expect(hydra.running).toEqual(["a"]);
+    expect(other.running).toEqual(["b"]);
+    expect(restored).toEqual(["hydra.out('a')"]);
+  });
+
+  test("without a last good run the outputs stay cleared", async () => {
+    const spy = errorSpy();
+    const { run, restored } = createRunner();
+    const hydra = createFakeHydra();
+    hydra.running = ["old"];
+    const result = await run(hydra, "hydra.out('c'); missing()", { safe: true });
+    spy.mockRestore();
+    expect(result).toMatchObject({ success: false, restored: false });
+    expect(hydra.hushes).toBe(1);
+    expect(hydra.running).toEqual(["c"]);
+    expect(restored).toEqual([]);
+  });
+
+  test("snippets never clear the outputs and are never restored", async () => {
+    const spy = errorSpy();
+    const { run, restored } = createRunner();
+    const hydra = createFakeHydra();
+    await run(hydra, "hydra.out('a')", { safe: true });
+    await run(hydra, "hydra.out('b')", { safe: true, snippet: true });
+    const result = await run(hydra, "missing()", { safe: true, snippet: true });
+    spy.mockRestore();
+    expect(result).toMatchObject({ success: false, restored: false });
+    expect(hydra.hushes).toBe(1);
+    expect(hydra.running).toEqual(["a", "b"]);
+    expect(restored).toEqual([]);
+
+    // A snippet isn't what a later failure goes back to
+    const spy2 = errorSpy();
+    await run(hydra, "missing()", { safe: true });
+    spy2.mockRestore();
+    expect(hydra.running).toEqual(["a"]);
+  });
+
+  test("does nothing extra with safe run off", async () => {
+    const spy = errorSpy();
+    const { run, restored } = createRunner();
+    const hydra = createFakeHydra();
+    await run(hydra, "hydra.out('a')");
+    const result = await run(hydra, "hydra.out(");
+    spy.mockRestore();
+    expect(result).toMatchObject({ success: false, restored: false });
+    expect(hydra.hushes).toBe(2);
+    expect(hydra.running).toEqual([]);
+    expect(restored).toEqual([]);
+  });
+});
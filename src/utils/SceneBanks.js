@@ -0,0 +1,407 @@
+/**
+ * SceneBanks - the scene bank data format.
+ *
+ * Shared by the slots panel (export/import), the default scene pack loader,
+ * the server-side bank store and the server sync. The format is the one
+ * `exportAllSlots` has always produced:
+ *
+ *   {
+ *     version: 1,
+ *     geometry?: { banks: 4, slots: 16 },
+ *     banks: [{
+ *       bankIndex, name?,
+ *       slots: [{ slotIndex, code, thumbnail?, title?, color?, tags?, transition? }]
+ *     }],
+ *     exportDate?: "2024-01-01T00:00:00.000Z"
+ *   }
+ *
+ * `code` is base64 of encodeURIComponent(source), so non-Latin1 characters
+ * survive btoa. `geometry` is the bank/slot layout the data was exported
+ * from. It is only written for other layouts than 4 banks × 16 slots, so files
+ * from before the layout was configurable read as what they are. Bank names
+ * and slot titles, color labels ("#rrggbb"), tags and transitions into the slot
+ * (`{ mode?, duration? }`, see SceneTransition.js) are optional too: older
+ * files simply have none, and older versions ignore them.
+ *
+ * Everything here is pure (storage is injected) so it runs in the browser, in
+ * the Bun server and in tests.
+ */
+
+import { normalizeSlotTransition } from "./SceneTransition.js";
+
+export const SCENES_FORMAT_VERSION = 1;
+// The default layout
+export const BANK_COUNT = 4;
+export const SLOT_COUNT = 16;
+// Alt/⌥+0–F and the MIDI mappings address at most 16 slots per bank
+export const MAX_BANK_COUNT = 16;
+export const MAX_SLOT_COUNT = 16;
+
+export const DEFAULT_BANK_GEOMETRY = Object.freeze({ banks: BANK_COUNT, slots: SLOT_COUNT });
+// What the server stores and the bank tools accept: any layout a browser can use
+export const MAX_BANK_GEOMETRY = Object.freeze({ banks: MAX_BANK_COUNT, slots: MAX_SLOT_COUNT });
+
+export const BANK_GEOMETRY_KEY = "hydractrl-bank-geometry";
+
+const STORAGE_KEY_PREFIX = "hydractrl-slot-";
+
+export const MAX_TITLE_LENGTH = 60;
+export const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 24;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function isCount(value, max) {
+  return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+/**
+ * Validate a bank/slot layout. Counts that are missing or out of range fall
+ * back to the default ones.
+ * @returns {{banks: number, slots: number}}
+ */
+export function normalizeBankGeometry(value) {
+  return {
+    banks: isCount(value?.banks, MAX_BANK_COUNT) ? value.banks : BANK_COUNT,
+    slots: isCount(value?.slots, MAX_SLOT_COUNT) ? value.slots : SLOT_COUNT,
+  };
+}
+
+/** The layout setting, shared by the slots panel, MIDI, shortcuts and plugins. */
+export function loadBankGeometry(storage) {
+  try {
+    return normalizeBankGeometry(JSON.parse(storage.get(BANK_GEOMETRY_KEY)));
+  } catch (_error) {
+    return normalizeBankGeometry(null);
+  }
+}
+
+/** Store the layout setting. @returns The layout as stored. */
+export function saveBankGeometry(storage, geometry) {
+  const normalized = normalizeBankGeometry(geometry);
+  storage.set(BANK_GEOMETRY_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+export function isDefaultBankGeometry(geometry) {
+  return geometry.banks === BANK_COUNT && geometry.slots === SLOT_COUNT;
+}
+
+/** The layout scenes data was exported from (4 × 16 for files without one). */
+export function getScenesGeometry(data) {
+  return normalizeBankGeometry(data?.geometry);
+}
+
+/** Storage key of a slot's code; thumbnails live at `${key}-thumbnail`. */
+export function getSlotStorageKey(bank, slot) {
+  return `${STORAGE_KEY_PREFIX}bank-${bank}-slot-${slot}`;
+}
+
+/** Storage key of a slot's title, color label and tags (JSON). */
+export function getSlotMetaKey(bank, slot) {
+  return `${getSlotStorageKey(bank, slot)}-meta`;
+}
+
+/** Storage key of a bank's name. */
+export function getBankNameKey(bank) {
+  return `hydractrl-bank-${bank}-name`;
+}
+
+/** Storage key of a slot's earlier revisions (JSON, see SlotHistory.js). */
+export function getSlotHistoryKey(bank, slot) {
+  return `${getSlotStorageKey(bank, slot)}-history`;
+}
+
+/** Storage key of the cleared slots' trash (JSON, see SlotHistory.js). */
+export const SLOT_TRASH_KEY = "hydractrl-slot-trash";
+
+const SCENE_KEY_PATTERN =
+  /^(hydractrl-slot-bank-\d+-slot-\d+(-.+)?|hydractrl-bank-\d+-name|hydractrl-slot-trash)$/;
+
+/** Is this one of the keys above (scene data, kept in IndexedDB) rather than a setting? */
+export function isSceneStorageKey(key) {
+  return SCENE_KEY_PATTERN.test(key);
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, maxLength) : "";
+}
+
+/** Tags from user input: "a, b #c" → ["a", "b", "c"], without duplicates. */
+export function parseTags(input) {
+  const tags = [];
+  const list = Array.isArray(input) ? input : String(input ?? "").split(/[,#]/);
+  for (const item of list) {
+    const tag = cleanText(item, MAX_TAG_LENGTH).toLowerCase();
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * A slot's title, color label, tags and transition, with invalid parts dropped.
+ * @returns {{title?: string, color?: string, tags?: string[], transition?: object}} Empty when there are none.
+ */
+export function normalizeSlotMeta(value) {
+  const meta = {};
+  const title = cleanText(value?.title, MAX_TITLE_LENGTH);
+  if (title) meta.title = title;
+  if (typeof value?.color === "string" && COLOR_PATTERN.test(value.color)) {
+    meta.color = value.color.toLowerCase();
+  }
+  const tags = Array.isArray(value?.tags) ? parseTags(value.tags) : [];
+  if (tags.length > 0) meta.tags = tags;
+  const transition = normalizeSlotTransition(value?.transition);
+  if (Object.keys(transition).length > 0) meta.transition = transition;
+  return meta;
+}
+
+/** A bank name as stored, or "" when the input isn't one. */
+export function normalizeBankName(value) {
+  return cleanText(value, MAX_TITLE_LENGTH);
+}
+
+export function readSlotMeta(storage, bank, slot) {
+  try {
+    return normalizeSlotMeta(JSON.parse(storage.get(getSlotMetaKey(bank, slot))));
+  } catch (_error) {
+    return {};
+  }
+}
+
+/** Store a slot's title/color/tags; empty metadata removes the key. */
+export function writeSlotMeta(storage, bank, slot, value) {
+  const meta = normalizeSlotMeta(value);
+  if (Object.keys(meta).length === 0) {
+    storage.remove(getSlotMetaKey(bank, slot));
+  } else {
+    storage.set(getSlotMetaKey(bank, slot), JSON.stringify(meta));
+  }
+  return meta;
+}
+
+export function readBankName(storage, bank) {
+  return normalizeBankName(storage.get(getBankNameKey(bank)));
+}
+
+/** Store a bank's name; an empty name removes it. */
+export function writeBankName(storage, bank, value) {
+  const name = normalizeBankName(value);
+  if (name) storage.set(getBankNameKey(bank), name);
+  else storage.remove(getBankNameKey(bank));
+  return name;
+}
+
+/** "Bank 1, Slot 3 — Title", for notifications and status lines. */
+export function formatSlotLabel(bank, slot, meta = {}) {
+  const label = `Bank ${bank + 1}, Slot ${slot + 1}`;
+  return meta.title ? `${label} — ${meta.title}` : label;
+}
+
+/** Encode sketch source for the bank format. */
+export function encodeSlotCode(code) {
+  return btoa(encodeURIComponent(code));
+}
+
+/**
+ * Decode sketch source from the bank format.
+ * @returns {string|null} The code, or null if the payload is invalid.
+ */
+export function decodeSlotCode(encoded) {
+  if (typeof encoded !== "string" || encoded.length === 0) return null;
+  try {
+    return decodeURIComponent(atob(encoded));
+  } catch (_error) {
+    return null;
+  }
+}
+
+/** Cheap shape check, matching the validation the importers have always done. */
+export function isScenesData(data) {
+  return Boolean(data && typeof data === "object" && data.version && Array.isArray(data.banks));
+}
+
+function isIndex(value, count) {
+  return Number.isInteger(value) && value >= 0 && value < count;
+}
+
+/**
+ * Validate scenes data and drop everything that can't be imported: banks or
+ * slots out of range, slots without decodable code, invalid titles, colors
+ * and tags. Later duplicates of the same bank/slot win, like they do when
+ * importing into storage. Banks without slots are kept when named.
+ * @param {{banks: number, slots: number}} [geometry] - The layout to fit the data into.
+ * @returns {{version: number, banks: Array}|null} null if the shape is invalid.
+ */
+export function normalizeScenesData(data, geometry = DEFAULT_BANK_GEOMETRY) {
+  if (!isScenesData(data)) return null;
+
+  const banks = new Map();
+  for (const bankData of data.banks) {
+    if (
+      !bankData ||
+      !isIndex(bankData.bankIndex, geometry.banks) ||
+      !Array.isArray(bankData.slots)
+    ) {
+      continue;
+    }
+    const bank = banks.get(bankData.bankIndex) || { name: "", slots: new Map() };
+    bank.name = normalizeBankName(bankData.name) || bank.name;
+    for (const slot of bankData.slots) {
+      if (!slot || !isIndex(slot.slotIndex, geometry.slots) || decodeSlotCode(slot.code) === null) {
+        continue;
+      }
+      const slotData = { slotIndex: slot.slotIndex, code: slot.code };
+      if (typeof slot.thumbnail === "string" && slot.thumbnail) {
+        slotData.thumbnail = slot.thumbnail;
+      }
+      bank.slots.set(slot.slotIndex, { ...slotData, ...normalizeSlotMeta(slot) });
+    }
+    banks.set(bankData.bankIndex, bank);
+  }
+
+  return {
+    version: SCENES_FORMAT_VERSION,
+    banks: [...banks.entries()]
+      .filter(([, bank]) => bank.slots.size > 0 || bank.name)
+      .sort(([a], [b]) => a - b)
+      .map(([bankIndex, bank]) => ({
+        bankIndex,
+        ...(bank.name ? { name: bank.name } : {}),
+        slots: [...bank.slots.values()].sort((a, b) => a.slotIndex - b.slotIndex),
+      })),
+  };
+}
+
+/**
+ * Read every filled slot from storage into the bank format, with bank names
+ * and slot titles/colors/tags. Empty banks are left out unless named.
+ * @param {{get: (key: string) => string|null}} storage - Safe storage (see core/Storage.js).
+ * @param {{banks: number, slots: number}} [geometry] - The layout to read.
+ */
+export function collectScenesData(storage, geometry = DEFAULT_BANK_GEOMETRY) {
+  const scenesData = { version: SCENES_FORMAT_VERSION, banks: [] };
+  if (!isDefaultBankGeometry(geometry)) {
+    scenesData.geometry = { banks: geometry.banks, slots: geometry.slots };
+  }
+
+  for (let bankIndex = 0; bankIndex < geometry.banks; bankIndex++) {
+    const bankData = { bankIndex, slots: [] };
+    const name = readBankName(storage, bankIndex);
+    if (name) bankData.name = name;
+
+    for (let slotIndex = 0; slotIndex < geometry.slots; slotIndex++) {
+      const storageKey = getSlotStorageKey(bankIndex, slotIndex);
+      const code = storage.get(storageKey);
+      if (!code) continue;
+
+      const slotData = { slotIndex, code: encodeSlotCode(code) };
+      const thumbnail = storage.get(`${storageKey}-thumbnail`);
+      if (thumbnail) {
+        slotData.thumbnail = thumbnail;
+      }
+      bankData.slots.push({ ...slotData, ...readSlotMeta(storage, bankIndex, slotIndex) });
+    }
+
+    if (bankData.slots.length > 0 || bankData.name) {
+      scenesData.banks.push(bankData);
+    }
+  }
+
+  return scenesData;
+}
+
+// Everything stored for a slot, as suffixes of its storage key
+const SLOT_KEY_SUFFIXES = ["", "-thumbnail", "-thumbnail-timestamp", "-meta", "-history"];
+
+function readSlotKeys(storage, { bank, slot }, suffixes) {
+  const storageKey = getSlotStorageKey(bank, slot);
+  return suffixes.map((suffix) => storage.get(`${storageKey}${suffix}`));
+}
+
+function writeSlotKeys(storage, { bank, slot }, suffixes, values) {
+  const storageKey = getSlotStorageKey(bank, slot);
+  suffixes.forEach((suffix, index) => {
+    if (values[index] === null) storage.remove(`${storageKey}${suffix}`);
+    else storage.set(`${storageKey}${suffix}`, values[index]);
+  });
+}
+
+/**
+ * Swap two slots with everything stored for them (code, thumbnail, metadata
+ * and revisions); with an empty slot, that moves the other one.
+ * @param {{bank: number, slot: number}} a
+ * @param {{bank: number, slot: number}} b
+ */
+export function swapSlotsInStorage(storage, a, b) {
+  const valuesA = readSlotKeys(storage, a, SLOT_KEY_SUFFIXES);
+  const valuesB = readSlotKeys(storage, b, SLOT_KEY_SUFFIXES);
+  writeSlotKeys(storage, a, SLOT_KEY_SUFFIXES, valuesB);
+  writeSlotKeys(storage, b, SLOT_KEY_SUFFIXES, valuesA);
+}
+
+/** Copy a slot's code, thumbnail and metadata over another slot; revisions stay put. */
+export function copySlotInStorage(storage, from, to) {
+  const suffixes = SLOT_KEY_SUFFIXES.filter((suffix) => suffix !== "-history");
+  writeSlotKeys(storage, to, suffixes, readSlotKeys(storage, from, suffixes));
+}
+
+/** Remove a slot's code, thumbnail and title/color/tags from storage. */
+export function removeSlotFromStorage(storage, bank, slot) {
+  const storageKey = getSlotStorageKey(bank, slot);
+  storage.remove(storageKey);
+  storage.remove(`${storageKey}-thumbnail`);
+  storage.remove(`${storageKey}-thumbnail-timestamp`);
+  storage.remove(getSlotMetaKey(bank, slot));
+}
+
+/**
+ * Write scenes data into storage.
+ * @param {object} storage - Safe storage with get/set/remove.
+ * @param {object} data - Scenes data in the bank format.
+ * @param {object} [options]
+ * @param {boolean} [options.clear] - Empty and unname every bank first, so storage
+ *   mirrors `data`. Otherwise banks keep their name unless `data` names them.
+ * @param {{banks: number, slots: number}} [options.geometry] - The layout to write;
+ *   slots outside it are left out.
+ * @returns {number} Number of slots written.
+ */
+export function writeScenesData(storage, data, options = {}) {
+  const geometry = options.geometry || DEFAULT_BANK_GEOMETRY;
+  const normalized = normalizeScenesData(data, geometry);
+  if (!normalized) return 0;
+
+  if (options.clear) {
+    for (let bank = 0; bank < geometry.banks; bank++) {
+      for (let slot = 0; slot < geometry.slots; slot++) {
+        removeSlotFromStorage(storage, bank, slot);
+      }
+      storage.remove(getBankNameKey(bank));
+    }
+  }
+
+  let written = 0;
+  for (const { bankIndex, name, slots } of normalized.banks) {
+    if (name) writeBankName(storage, bankIndex, name);
+    for (const slot of slots) {
+      writeSlotToStorage(storage, bankIndex, slot.slotIndex, slot);
+      written++;
+    }
+  }
+  return written;
+}
+
+/**
+ * Store one slot of scenes data (a normalized slot in the bank format) at
+ * bank/slot, replacing whatever was there.
+ */
+export function writeSlotToStorage(storage, bank, slot, slotData) {
+  const storageKey = getSlotStorageKey(bank, slot);
+  storage.set(storageKey, decodeSlotCode(slotData.code));
+  storage.remove(`${storageKey}-thumbnail`);
+  storage.remove(`${storageKey}-thumbnail-timestamp`);
+  if (slotData.thumbnail) {
+    storage.set(`${storageKey}-thumbnail`, slotData.thumbnail);
+    storage.set(`${storageKey}-thumbnail-timestamp`, Date.now());
+  }
+  writeSlotMeta(storage, bank, slot, slotData);
+}
@@ -0,0 +1,316 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import {
+  SLOT_TRASH_KEY,
+  collectScenesData,
+  copySlotInStorage,
+  decodeSlotCode,
+  encodeSlotCode,
+  formatSlotLabel,
+  getScenesGeometry,
+  getSlotHistoryKey,
+  getSlotMetaKey,
+  getSlotStorageKey,
+  isSceneStorageKey,
+  loadBankGeometry,
+  normalizeBankGeometry,
+  normalizeScenesData,
+  normalizeSlotMeta,
+  parseTags,
+  readBankName,
+  readSlotMeta,
+  saveBankGeometry,
+  swapSlotsInStorage,
+  writeBankName,
+  writeScenesData,
+  writeSlotMeta,
+} from "./SceneBanks.js";
+
+describe("slot code codec", () => {
+  test("round-trips non-Latin1 sketches", () => {
+    const code = "// ünïcødé 🎛️\nosc(4).out()";
+    expect(decodeSlotCode(encodeSlotCode(code))).toBe(code);
+  });
+
+  test("decodes the format of the bundled bank files", () => {
+    expect(decodeSlotCode(btoa(encodeURIComponent("osc().out()")))).toBe("osc().out()");
+  });
+
+  test("returns null for invalid payloads instead of throwing", () => {
+    expect(decodeSlotCode("!!not-base64!!")).toBe(null);
+    expect(decodeSlotCode("")).toBe(null);
+    expect(decodeSlotCode(undefined)).toBe(null);
+  });
+});
+
+describe("normalizeScenesData", () => {
+  test("rejects data without version or banks", () => {
+    expect(normalizeScenesData(null)).toBe(null);
+    expect(normalizeScenesData({ banks: [] })).toBe(null);
+    expect(normalizeScenesData({ version: 1 })).toBe(null);
+  });
+
+  test("drops out-of-range banks and slots and undecodable code", () => {
+    const code = encodeSlotCode("osc().out()");
+    const data = normalizeScenesData({
+      version: 1,
+      banks: [
+        { bankIndex: 4, slots: [{ slotIndex: 0, code }] },
+        {
+          bankIndex: 1,
+          slots: [
+            { slotIndex: 16, code },
+            { slotIndex: 3, code: "%%%" },
+            { slotIndex: 2, code, thumbnail: "data:image/jpeg;base64,AAAA" },
+          ],
+        },
+      ],
+    });
+
+    expect(data).toEqual({
+      version: 1,
+      banks: [
+        {
+          bankIndex: 1,
+          slots: [{ slotIndex: 2, code, thumbnail: "data:image/jpeg;base64,AAAA" }],
+        },
+      ],
+    });
+  });
+
+  test("sorts banks and slots and lets later duplicates win", () => {
+    const a = encodeSlotCode("a");
+    const b = encodeSlotCode("b");
+    const data = normalizeScenesData({
+      version: 1,
+      banks: [
+        { bankIndex: 2, slots: [{ slotIndex: 5, code: a }] },
+        { bankIndex: 0, slots: [{ slotIndex: 1, code: a }] },
+        { bankIndex: 2, slots: [{ slotIndex: 5, code: b }] },
+      ],
+    });
+
+    expect(data.banks.map((bank) => bank.bankIndex)).toEqual([0, 2]);
+    expect(data.banks[1].slots).toEqual([{ slotIndex: 5, code: b }]);
+  });
+});
+
+describe("collectScenesData / writeScenesData", () => {
+  test("round-trip through storage", () => {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(0, 3), "osc().out()");
+    storage.set(`${getSlotStorageKey(0, 3)}-thumbnail`, "data:image/jpeg;base64,AAAA");
+    storage.set(getSlotStorageKey(2, 15), "noise().out()");
+
+    const data = collectScenesData(storage);
+    expect(data.banks.map((bank) => bank.bankIndex)).toEqual([0, 2]);
+
+    const target = createMemoryStorage();
+    expect(writeScenesData(target, data)).toBe(2);
+    expect(target.get(getSlotStorageKey(0, 3))).toBe("osc().out()");
+    expect(target.get(`${getSlotStorageKey(0, 3)}-thumbnail`)).toBe("data:image/jpeg;base64,AAAA");
+    expect(target.get(getSlotStorageKey(2, 15))).toBe("noise().out()");
+  });
+
+  test("clear option empties slots that are not in the data", () => {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(3, 0), "old");
+    storage.set(`${getSlotStorageKey(3, 0)}-thumbnail`, "old-thumbnail");
+
+    writeScenesData(
+      storage,
+      {
+        version: 1,
+        banks: [{ bankIndex: 0, slots: [{ slotIndex: 0, code: encodeSlotCode("new") }] }],
+      },
+      { clear: true },
+    );
+
+    expect(storage.get(getSlotStorageKey(3, 0))).toBe(null);
+    expect(storage.get(`${getSlotStorageKey(3, 0)}-thumbnail`)).toBe(null);
+    expect(storage.get(getSlotStorageKey(0, 0))).toBe("new");
+  });
+
+  test("writing invalid data is a no-op", () => {
+    const storage = createMemoryStorage();
+    expect(writeScenesData(storage, { nope: true })).toBe(0);
+    expect(storage.keys()).toEqual([]);
+  });
+});
+
+describe("swapSlotsInStorage / copySlotInStorage", () => {
+  const a = { bank: 0, slot: 1 };
+  const b = { bank: 2, slot: 5 };
+
+  function fill(storage) {
+    storage.set(getSlotStorageKey(0, 1), "osc().out()");
+    storage.set(`${getSlotStorageKey(0, 1)}-thumbnail`, "data:image/jpeg;base64,AAAA");
+    writeSlotMeta(storage, 0, 1, { title: "Waves" });
+    storage.set(getSlotHistoryKey(0, 1), "[]");
+  }
+
+  test("swapping with an empty slot moves everything along", () => {
+    const storage = createMemoryStorage();
+    fill(storage);
+    swapSlotsInStorage(storage, a, b);
+
+    expect(storage.get(getSlotStorageKey(2, 5))).toBe("osc().out()");
+    expect(storage.get(`${getSlotStorageKey(2, 5)}-thumbnail`)).toBe("data:image/jpeg;base64,AAAA");
+    expect(readSlotMeta(storage, 2, 5)).toEqual({ title: "Waves" });
+    expect(storage.get(getSlotHistoryKey(2, 5))).toBe("[]");
+    expect(storage.keys().filter((key) => key.includes("bank-0-slot-1"))).toEqual([]);
+  });
+
+  test("swaps two filled slots", () => {
+    const storage = createMemoryStorage();
+    fill(storage);
+    storage.set(getSlotStorageKey(2, 5), "noise().out()");
+    swapSlotsInStorage(storage, a, b);
+
+    expect(storage.get(getSlotStorageKey(0, 1))).toBe("noise().out()");
+    expect(readSlotMeta(storage, 0, 1)).toEqual({});
+    expect(storage.get(getSlotStorageKey(2, 5))).toBe("osc().out()");
+  });
+
+  test("copies a slot without its revisions", () => {
+    const storage = createMemoryStorage();
+    fill(storage);
+    copySlotInStorage(storage, a, b);
+
+    expect(storage.get(getSlotStorageKey(0, 1))).toBe("osc().out()");
+    expect(storage.get(getSlotStorageKey(2, 5))).toBe("osc().out()");
+    expect(readSlotMeta(storage, 2, 5)).toEqual({ title: "Waves" });
+    expect(storage.get(getSlotHistoryKey(2, 5))).toBe(null);
+  });
+});
+
+describe("bank geometry", () => {
+  test("falls back to 4 × 16 for missing or out-of-range counts", () => {
+    expect(normalizeBankGeometry(null)).toEqual({ banks: 4, slots: 16 });
+    expect(normalizeBankGeometry({ banks: 8, slots: 17 })).toEqual({ banks: 8, slots: 16 });
+    expect(normalizeBankGeometry({ banks: 0, slots: 8 })).toEqual({ banks: 4, slots: 8 });
+    expect(getScenesGeometry({ version: 1, banks: [] })).toEqual({ banks: 4, slots: 16 });
+  });
+
+  test("is stored as a setting", () => {
+    const storage = createMemoryStorage();
+    expect(loadBankGeometry(storage)).toEqual({ banks: 4, slots: 16 });
+    saveBankGeometry(storage, { banks: 8, slots: 8 });
+    expect(loadBankGeometry(storage)).toEqual({ banks: 8, slots: 8 });
+  });
+
+  test("exports and imports follow the layout", () => {
+    const storage = createMemoryStorage();
+    const geometry = { banks: 8, slots: 8 };
+    storage.set(getSlotStorageKey(6, 7), "osc().out()");
+    storage.set(getSlotStorageKey(0, 12), "hidden by the layout");
+
+    const data = collectScenesData(storage, geometry);
+    expect(data.geometry).toEqual(geometry);
+    expect(data.banks).toEqual([
+      { bankIndex: 6, slots: [{ slotIndex: 7, code: encodeSlotCode("osc().out()") }] },
+    ]);
+    expect(collectScenesData(storage).geometry).toBeUndefined();
+
+    const target = createMemoryStorage();
+    expect(writeScenesData(target, data)).toBe(0);
+    expect(writeScenesData(target, data, { geometry })).toBe(1);
+    expect(target.get(getSlotStorageKey(6, 7))).toBe("osc().out()");
+  });
+});
+
+describe("bank names and slot metadata", () => {
+  test("tags are lowercased, deduplicated and stripped of #", () => {
+    expect(parseTags("Ambient, #dark  #Dark,, slow  glitch")).toEqual([
+      "ambient",
+      "dark",
+      "slow glitch",
+    ]);
+    expect(parseTags(["Loop", 3, "loop"])).toEqual(["loop"]);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+
+  test("invalid fields are dropped", () => {
+    expect(normalizeSlotMeta({ title: "  Intro ", color: "red", tags: "a" })).toEqual({
+      title: "Intro",
+    });
+    expect(normalizeSlotMeta({ title: "", color: "#FF00aa" })).toEqual({ color: "#ff00aa" });
+    expect(normalizeSlotMeta(null)).toEqual({});
+    expect(normalizeSlotMeta({ transition: { mode: "luma", duration: 2 } })).toEqual({
+      transition: { mode: "luma", duration: 2 },
+    });
+    expect(normalizeSlotMeta({ transition: { mode: "spin" } })).toEqual({});
+  });
+
+  test("scene keys are told apart from settings", () => {
+    expect(isSceneStorageKey(getSlotStorageKey(3, 15))).toBe(true);
+    expect(isSceneStorageKey(`${getSlotStorageKey(0, 0)}-thumbnail-timestamp`)).toBe(true);
+    expect(isSceneStorageKey(getSlotMetaKey(1, 2))).toBe(true);
+    expect(isSceneStorageKey("hydractrl-bank-2-name")).toBe(true);
+    expect(isSceneStorageKey(getSlotHistoryKey(0, 4))).toBe(true);
+    expect(isSceneStorageKey(SLOT_TRASH_KEY)).toBe(true);
+    expect(isSceneStorageKey("hydractrl-slot-size")).toBe(false);
+    expect(isSceneStorageKey("hydractrl-bank-geometry")).toBe(false);
+  });
+
+  test("are stored next to the slots", () => {
+    const storage = createMemoryStorage();
+    writeSlotMeta(storage, 1, 2, { title: "Drop", tags: ["peak"] });
+    writeBankName(storage, 1, "Finale");
+    expect(readSlotMeta(storage, 1, 2)).toEqual({ title: "Drop", tags: ["peak"] });
+    expect(readBankName(storage, 1)).toBe("Finale");
+    expect(formatSlotLabel(1, 2, readSlotMeta(storage, 1, 2))).toBe("Bank 2, Slot 3 — Drop");
+
+    writeSlotMeta(storage, 1, 2, {});
+    writeBankName(storage, 1, " ");
+    expect(storage.get(getSlotMetaKey(1, 2))).toBe(null);
+    expect(readBankName(storage, 1)).toBe("");
+  });
+
+  test("round-trip through exports", () => {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(0, 1), "osc().out()");
+    writeSlotMeta(storage, 0, 1, { title: "Waves", color: "#50fa7b", tags: ["calm"] });
+    writeBankName(storage, 0, "Opening");
+    writeBankName(storage, 2, "Empty for now");
+
+    const data = collectScenesData(storage);
+    expect(data.banks).toEqual([
+      {
+        bankIndex: 0,
+        name: "Opening",
+        slots: [
+          {
+            slotIndex: 1,
+            code: encodeSlotCode("osc().out()"),
+            title: "Waves",
+            color: "#50fa7b",
+            tags: ["calm"],
+          },
+        ],
+      },
+      { bankIndex: 2, name: "Empty for now", slots: [] },
+    ]);
+
+    const target = createMemoryStorage();
+    writeScenesData(target, data);
+    expect(readSlotMeta(target, 0, 1)).toEqual({
+      title: "Waves",
+      color: "#50fa7b",
+      tags: ["calm"],
+    });
+    expect(readBankName(target, 2)).toBe("Empty for now");
+  });
+
+  test("version 1 files without metadata still import", () => {
+    const storage = createMemoryStorage();
+    writeSlotMeta(storage, 0, 0, { title: "stale" });
+    const data = {
+      version: 1,
+      banks: [{ bankIndex: 0, slots: [{ slotIndex: 0, code: encodeSlotCode("shape().out()") }] }],
+    };
+    expect(normalizeScenesData(data)).toEqual(data);
+    expect(writeScenesData(storage, data)).toBe(1);
+    expect(readSlotMeta(storage, 0, 0)).toEqual({});
+  });
+});
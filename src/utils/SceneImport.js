@@ -0,0 +1,160 @@
+/**
+ * SceneImport - plan a non-destructive import of scenes data into the banks.
+ *
+ * The import dialog maps every bank of the file to a target:
+ *   - a bank index: slots keep their slot number in that bank,
+ *   - "empty": slots fill the first empty slots, from bank 1 slot 1 on,
+ *   - "skip": the bank isn't imported.
+ * and picks what happens when a target slot is already filled:
+ *   - "keep-both": the incoming slot moves to the next empty slot,
+ *   - "overwrite": it replaces the existing slot,
+ *   - "skip": it isn't imported.
+ * Incoming slots never overwrite each other: a second one for the same target
+ * moves on like "keep-both". The plan is computed without touching storage,
+ * so the dialog can preview it before anything is written; applySceneImport
+ * then writes it, keeping overwritten slots as revisions.
+ */
+
+import {
+  MAX_BANK_GEOMETRY,
+  getSlotStorageKey,
+  normalizeScenesData,
+  readBankName,
+  writeBankName,
+  writeSlotToStorage,
+} from "./SceneBanks.js";
+import { recordSlotRevision } from "./SlotHistory.js";
+
+export const TARGET_EMPTY = "empty";
+export const TARGET_SKIP = "skip";
+export const CONFLICT_MODES = ["keep-both", "overwrite", "skip"];
+
+/**
+ * Default target of every bank in the file: the same bank when the layout has
+ * it, otherwise the first empty slots.
+ * @returns {Object<number, number|string>} Target by source bank index.
+ */
+export function defaultImportTargets(data, geometry) {
+  const targets = {};
+  for (const bank of data.banks) {
+    targets[bank.bankIndex] = bank.bankIndex < geometry.banks ? bank.bankIndex : TARGET_EMPTY;
+  }
+  return targets;
+}
+
+/**
+ * Read scenes data for the import dialog: any bank/slot a browser can use is
+ * kept, so banks from a bigger layout can be mapped into this one.
+ * @returns {object|null} Normalized scenes data, null when it isn't any.
+ */
+export function readImportData(data) {
+  return normalizeScenesData(data, MAX_BANK_GEOMETRY);
+}
+
+/**
+ * @param {object} storage - Safe storage, only read.
+ * @param {object} data - Scenes data from readImportData.
+ * @param {object} options
+ * @param {{banks: number, slots: number}} options.geometry - This browser's layout.
+ * @param {Object<number, number|string>} [options.targets] - See defaultImportTargets.
+ * @param {"keep-both"|"overwrite"|"skip"} [options.onConflict]
+ * @returns {{operations: Array<{source: {bank: number, slot: number}, target: {bank: number, slot: number}|null,
+ *   status: "new"|"overwrite"|"moved"|"skipped", reason?: string, slotData: object}>,
+ *   counts: {new: number, overwrite: number, moved: number, skipped: number}, targets: object}}
+ */
+export function planSceneImport(storage, data, options) {
+  const { geometry, onConflict = "keep-both" } = options;
+  const targets = options.targets || defaultImportTargets(data, geometry);
+  const filled = (bank, slot) => Boolean(storage.get(getSlotStorageKey(bank, slot)));
+  const taken = new Set();
+  const key = (bank, slot) => bank * geometry.slots + slot;
+
+  // First slot from (bank, slot) on, wrapping around the banks, that is neither filled nor planned
+  function nextFree(bank, slot) {
+    const total = geometry.banks * geometry.slots;
+    const start = key(bank, slot);
+    for (let offset = 0; offset < total; offset++) {
+      const position = (start + offset) % total;
+      const free = Math.floor(position / geometry.slots);
+      const freeSlot = position % geometry.slots;
+      if (!taken.has(position) && !filled(free, freeSlot)) return { bank: free, slot: freeSlot };
+    }
+    return null;
+  }
+
+  const operations = [];
+  const counts = { new: 0, overwrite: 0, moved: 0, skipped: 0 };
+  const add = (operation) => {
+    operations.push(operation);
+    counts[operation.status]++;
+    if (operation.target) taken.add(key(operation.target.bank, operation.target.slot));
+  };
+
+  for (const bank of data.banks) {
+    const target = targets[bank.bankIndex] ?? TARGET_SKIP;
+    for (const slotData of bank.slots) {
+      const source = { bank: bank.bankIndex, slot: slotData.slotIndex };
+      const skip = (reason) => add({ source, target: null, status: "skipped", reason, slotData });
+
+      const isBank = Number.isInteger(target) && target >= 0 && target < geometry.banks;
+      if (!isBank && target !== TARGET_EMPTY) {
+        skip("bank not imported");
+        continue;
+      }
+      if (target === TARGET_EMPTY) {
+        const free = nextFree(0, 0);
+        if (free) add({ source, target: free, status: "new", slotData });
+        else skip("no empty slot left");
+        continue;
+      }
+
+      // Slot numbers past this layout's slots can only move
+      const wanted = { bank: target, slot: slotData.slotIndex };
+      const outside = wanted.slot >= geometry.slots;
+      const plannedHere = !outside && taken.has(key(wanted.bank, wanted.slot));
+      const conflict = !outside && !plannedHere && filled(wanted.bank, wanted.slot);
+
+      if (!outside && !plannedHere && !conflict) {
+        add({ source, target: wanted, status: "new", slotData });
+      } else if (conflict && onConflict === "overwrite") {
+        add({ source, target: wanted, status: "overwrite", slotData });
+      } else if (conflict && onConflict === "skip") {
+        skip("slot already filled");
+      } else {
+        const free = nextFree(target, outside ? 0 : wanted.slot);
+        if (free) add({ source, target: free, status: "moved", slotData });
+        else skip("no empty slot left");
+      }
+    }
+  }
+
+  return { operations, counts, targets };
+}
+
+/**
+ * Write a plan. Overwritten slots keep their content as a revision (see
+ * SlotHistory.js). Banks mapped onto an unnamed bank give it their name, when
+ * any of their slots landed there.
+ * @returns {number} Number of slots written.
+ */
+export function applySceneImport(storage, data, plan) {
+  let written = 0;
+  for (const operation of plan.operations) {
+    if (!operation.target) continue;
+    if (operation.status === "overwrite") {
+      recordSlotRevision(storage, operation.target.bank, operation.target.slot);
+    }
+    writeSlotToStorage(storage, operation.target.bank, operation.target.slot, operation.slotData);
+    written++;
+  }
+  for (const bank of data.banks) {
+    const target = plan.targets[bank.bankIndex];
+    const landed = plan.operations.some(
+      (operation) => operation.source.bank === bank.bankIndex && operation.target?.bank === target,
+    );
+    if (bank.name && landed && !readBankName(storage, target)) {
+      writeBankName(storage, target, bank.name);
+    }
+  }
+  return written;
+}
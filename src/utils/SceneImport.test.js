@@ -0,0 +1,143 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import { encodeSlotCode, getSlotStorageKey, readBankName, readSlotMeta } from "./SceneBanks.js";
+import {
+  TARGET_EMPTY,
+  TARGET_SKIP,
+  applySceneImport,
+  defaultImportTargets,
+  planSceneImport,
+  readImportData,
+} from "./SceneImport.js";
+import { readSlotHistory } from "./SlotHistory.js";
+
+const geometry = { banks: 2, slots: 4 };
+
+const slot = (slotIndex, code, extra = {}) => ({ slotIndex, code: encodeSlotCode(code), ...extra });
+const file = (banks) => readImportData({ version: 2, banks });
+
+// "bank:slot -> bank:slot (status)" for compact expectations
+const describePlan = (plan) =>
+  plan.operations.map(
+    ({ source, target, status }) =>
+      `${source.bank}:${source.slot} -> ${target ? `${target.bank}:${target.slot}` : "-"} (${status})`,
+  );
+
+describe("defaultImportTargets", () => {
+  test("keeps banks in place and sends banks outside the layout to empty slots", () => {
+    const data = file([
+      { bankIndex: 1, slots: [slot(0, "osc().out()")] },
+      { bankIndex: 5, slots: [slot(0, "noise().out()")] },
+    ]);
+    expect(defaultImportTargets(data, geometry)).toEqual({ 1: 1, 5: TARGET_EMPTY });
+  });
+});
+
+describe("planSceneImport", () => {
+  const data = file([{ bankIndex: 0, slots: [slot(0, "osc().out()"), slot(1, "noise().out()")] }]);
+
+  function filledStorage() {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(0, 1), "shape().out()");
+    return storage;
+  }
+
+  test("moves conflicting slots to the next empty slot by default", () => {
+    const plan = planSceneImport(filledStorage(), data, { geometry });
+    expect(describePlan(plan)).toEqual(["0:0 -> 0:0 (new)", "0:1 -> 0:2 (moved)"]);
+    expect(plan.counts).toEqual({ new: 1, overwrite: 0, moved: 1, skipped: 0 });
+  });
+
+  test("overwrites or skips filled slots on request", () => {
+    const overwrite = planSceneImport(filledStorage(), data, { geometry, onConflict: "overwrite" });
+    expect(describePlan(overwrite)).toEqual(["0:0 -> 0:0 (new)", "0:1 -> 0:1 (overwrite)"]);
+
+    const skip = planSceneImport(filledStorage(), data, { geometry, onConflict: "skip" });
+    expect(describePlan(skip)).toEqual(["0:0 -> 0:0 (new)", "0:1 -> - (skipped)"]);
+    expect(skip.operations[1].reason).toBe("slot already filled");
+  });
+
+  test("maps banks to another bank, to empty slots or nowhere", () => {
+    const storage = filledStorage();
+    const two = file([
+      { bankIndex: 0, slots: [slot(0, "osc().out()")] },
+      { bankIndex: 1, slots: [slot(3, "noise().out()")] },
+    ]);
+    expect(
+      describePlan(planSceneImport(storage, two, { geometry, targets: { 0: 1, 1: 0 } })),
+    ).toEqual(["0:0 -> 1:0 (new)", "1:3 -> 0:3 (new)"]);
+    expect(
+      describePlan(
+        planSceneImport(storage, two, { geometry, targets: { 0: TARGET_SKIP, 1: TARGET_EMPTY } }),
+      ),
+    ).toEqual(["0:0 -> - (skipped)", "1:3 -> 0:0 (new)"]);
+  });
+
+  test("never lets incoming slots overwrite each other", () => {
+    const two = file([
+      { bankIndex: 0, slots: [slot(0, "osc().out()")] },
+      { bankIndex: 1, slots: [slot(0, "noise().out()")] },
+    ]);
+    const plan = planSceneImport(createMemoryStorage(), two, {
+      geometry,
+      targets: { 0: 0, 1: 0 },
+      onConflict: "overwrite",
+    });
+    expect(describePlan(plan)).toEqual(["0:0 -> 0:0 (new)", "1:0 -> 0:1 (moved)"]);
+  });
+
+  test("moves slots past the layout and skips when nothing is free", () => {
+    const wide = file([{ bankIndex: 0, slots: [slot(9, "osc().out()")] }]);
+    expect(describePlan(planSceneImport(createMemoryStorage(), wide, { geometry }))).toEqual([
+      "0:9 -> 0:0 (moved)",
+    ]);
+
+    const full = createMemoryStorage();
+    for (let bank = 0; bank < geometry.banks; bank++) {
+      for (let index = 0; index < geometry.slots; index++) {
+        full.set(getSlotStorageKey(bank, index), "solid().out()");
+      }
+    }
+    const plan = planSceneImport(full, wide, { geometry });
+    expect(plan.operations[0].reason).toBe("no empty slot left");
+  });
+
+  test("doesn't touch storage", () => {
+    const storage = createMemoryStorage();
+    planSceneImport(storage, data, { geometry });
+    expect(storage.keys()).toEqual([]);
+  });
+});
+
+describe("applySceneImport", () => {
+  test("writes planned slots with their meta and names unnamed target banks", () => {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(1, 0), "shape().out()");
+    const data = file([
+      {
+        bankIndex: 0,
+        name: "Intro",
+        slots: [slot(0, "osc().out()", { title: "Waves", thumbnail: "data:image/jpeg;base64,AA" })],
+      },
+    ]);
+    const plan = planSceneImport(storage, data, { geometry, targets: { 0: 1 } });
+
+    expect(applySceneImport(storage, data, plan)).toBe(1);
+    expect(storage.get(getSlotStorageKey(1, 0))).toBe("shape().out()");
+    expect(storage.get(getSlotStorageKey(1, 1))).toBe("osc().out()");
+    expect(storage.get(`${getSlotStorageKey(1, 1)}-thumbnail`)).toBe("data:image/jpeg;base64,AA");
+    expect(readSlotMeta(storage, 1, 1).title).toBe("Waves");
+    expect(readBankName(storage, 1)).toBe("Intro");
+  });
+
+  test("keeps overwritten slots as revisions", () => {
+    const storage = createMemoryStorage();
+    storage.set(getSlotStorageKey(0, 0), "shape().out()");
+    const data = file([{ bankIndex: 0, slots: [slot(0, "osc().out()")] }]);
+    const plan = planSceneImport(storage, data, { geometry, onConflict: "overwrite" });
+
+    applySceneImport(storage, data, plan);
+    expect(storage.get(getSlotStorageKey(0, 0))).toBe("osc().out()");
+    expect(readSlotHistory(storage, 0, 0)[0].code).toBe("shape().out()");
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * SceneTransition - how one slot's scene gives way to the next.
+ *
+ * A transition has a mode and a duration in seconds. The global setting lives
+ * under TRANSITION_SETTINGS_KEY; a slot can override either part in its
+ * metadata (`transition: { mode?, duration? }`, see SceneBanks.js), and a MIDI
+ * CC moves the global duration. The blending itself is rendered by
+ * plugins/TransitionPlugin.js; this module only stores the settings and works
+ * out which transition to run and how far along it is.
+ */
+
+export const TRANSITION_SETTINGS_KEY = "hydractrl-transition";
+
+export const TRANSITION_MODES = [
+  { id: "cut", label: "Cut" },
+  { id: "crossfade", label: "Crossfade" },
+  { id: "luma", label: "Luma wipe" },
+  { id: "black", label: "Dip to black" },
+];
+
+export const MAX_TRANSITION_DURATION = 10;
+
+export const DEFAULT_TRANSITION_SETTINGS = { mode: "cut", duration: 1, cc: null };
+
+const isMode = (mode) => TRANSITION_MODES.some((entry) => entry.id === mode);
+
+function normalizeDuration(value) {
+  const duration = Number(value);
+  if (!Number.isFinite(duration) || duration < 0) return null;
+  // Tenths of a second are plenty, and keep stored values short
+  return Math.round(Math.min(duration, MAX_TRANSITION_DURATION) * 10) / 10;
+}
+
+/**
+ * A slot's own transition: only the parts it sets.
+ * @returns {{mode?: string, duration?: number}} Empty when it follows the global setting.
+ */
+export function normalizeSlotTransition(value) {
+  const transition = {};
+  if (isMode(value?.mode)) transition.mode = value.mode;
+  const duration = value?.duration === undefined ? null : normalizeDuration(value.duration);
+  if (duration !== null) transition.duration = duration;
+  return transition;
+}
+
+/**
+ * The global setting. `cc` is the MIDI controller that sets the duration
+ * (null for none, the default: knobs on common controllers send low CCs).
+ * @returns {{mode: string, duration: number, cc: number|null}}
+ */
+export function normalizeTransitionSettings(value) {
+  const settings = { ...DEFAULT_TRANSITION_SETTINGS, ...normalizeSlotTransition(value) };
+  if (value?.cc === null) settings.cc = null;
+  else if (Number.isInteger(value?.cc) && value.cc >= 0 && value.cc <= 127) settings.cc = value.cc;
+  return settings;
+}
+
+export function loadTransitionSettings(storage) {
+  return normalizeTransitionSettings(storage.getJSON(TRANSITION_SETTINGS_KEY));
+}
+
+/** Store the global setting. @returns The setting as stored. */
+export function saveTransitionSettings(storage, value) {
+  const settings = normalizeTransitionSettings(value);
+  storage.setJSON(TRANSITION_SETTINGS_KEY, settings);
+  return settings;
+}
+
+/**
+ * The transition into a slot: its own mode/duration over the global ones.
+ * @returns {{mode: string, duration: number}|null} Null for a hard cut.
+ */
+export function resolveTransition(settings, slotTransition) {
+  const { mode, duration } = { ...settings, ...normalizeSlotTransition(slotTransition) };
+  return mode === "cut" || duration <= 0 ? null : { mode, duration };
+}
+
+/**
+ * Duration for a MIDI CC value (0–127). The curve is quadratic, so the short
+ * fades used most get the larger part of the knob's travel.
+ */
+export function durationFromCC(value) {
+  return normalizeDuration((value / 127) ** 2 * MAX_TRANSITION_DURATION);
+}
+
+/** Progress of a transition, 0 to 1, after `elapsed` milliseconds. */
+export function transitionProgress(elapsed, duration) {
+  if (duration <= 0) return 1;
+  return Math.min(Math.max(elapsed / (duration * 1000), 0), 1);
+}
@@ -0,0 +1,73 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import {
+  DEFAULT_TRANSITION_SETTINGS,
+  MAX_TRANSITION_DURATION,
+  durationFromCC,
+  loadTransitionSettings,
+  normalizeSlotTransition,
+  resolveTransition,
+  saveTransitionSettings,
+  transitionProgress,
+} from "./SceneTransition.js";
+
+describe("transition settings", () => {
+  test("fall back to the defaults and keep valid values", () => {
+    const storage = createMemoryStorage();
+    expect(loadTransitionSettings(storage)).toEqual(DEFAULT_TRANSITION_SETTINGS);
+
+    saveTransitionSettings(storage, { mode: "luma", duration: 2.345, cc: 200 });
+    expect(loadTransitionSettings(storage)).toEqual({ mode: "luma", duration: 2.3, cc: null });
+    saveTransitionSettings(storage, { cc: 20 });
+    expect(loadTransitionSettings(storage).cc).toBe(20);
+    saveTransitionSettings(storage, { mode: "spin", duration: 60, cc: null });
+    expect(loadTransitionSettings(storage)).toEqual({
+      mode: "cut",
+      duration: MAX_TRANSITION_DURATION,
+      cc: null,
+    });
+  });
+
+  test("slot transitions keep only what they set", () => {
+    expect(normalizeSlotTransition(undefined)).toEqual({});
+    expect(normalizeSlotTransition({ mode: "black" })).toEqual({ mode: "black" });
+    expect(normalizeSlotTransition({ mode: "x", duration: "0.5" })).toEqual({ duration: 0.5 });
+    expect(normalizeSlotTransition({ duration: -1 })).toEqual({});
+  });
+});
+
+describe("resolveTransition", () => {
+  const settings = { mode: "crossfade", duration: 1, cc: 20 };
+
+  test("a slot overrides the global mode and duration", () => {
+    expect(resolveTransition(settings)).toEqual({ mode: "crossfade", duration: 1 });
+    expect(resolveTransition(settings, { duration: 3 })).toEqual({
+      mode: "crossfade",
+      duration: 3,
+    });
+    expect(resolveTransition({ ...settings, mode: "cut" }, { mode: "luma" })).toEqual({
+      mode: "luma",
+      duration: 1,
+    });
+  });
+
+  test("cuts and zero durations mean no transition", () => {
+    expect(resolveTransition(settings, { mode: "cut" })).toBe(null);
+    expect(resolveTransition(settings, { duration: 0 })).toBe(null);
+  });
+});
+
+describe("timing", () => {
+  test("durationFromCC spans zero to the maximum", () => {
+    expect(durationFromCC(0)).toBe(0);
+    expect(durationFromCC(127)).toBe(MAX_TRANSITION_DURATION);
+    expect(durationFromCC(64)).toBeLessThan(MAX_TRANSITION_DURATION / 2);
+  });
+
+  test("transitionProgress is clamped", () => {
+    expect(transitionProgress(500, 1)).toBe(0.5);
+    expect(transitionProgress(5000, 1)).toBe(1);
+    expect(transitionProgress(-10, 1)).toBe(0);
+    expect(transitionProgress(0, 0)).toBe(1);
+  });
+});
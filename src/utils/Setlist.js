@@ -0,0 +1,214 @@
+/**
+ * Setlist - an ordered list of slots to play unattended.
+ *
+ *   {
+ *     entries: [{ bank, slot, seconds? | beats? }],
+ *     mode: "order" | "shuffle" | "favourites",
+ *     loop: true,
+ *     bpm: 120,
+ *     hold: { seconds: 30 } | { beats: 64 },
+ *     midi: { playPause: null, next: null }
+ *   }
+ *
+ * An entry without its own hold time uses `hold`; beats are counted at `bpm`.
+ * "favourites" ignores the entries and picks random filled slots tagged
+ * FAVOURITE_TAG. `midi` holds the CC numbers (null for none) of the buttons
+ * that toggle play/pause and skip ahead. None are bound by default: common
+ * controllers send low CC numbers from their knobs. This module works out what
+ * to play next (for shuffles, with an injectable random); the playing itself
+ * is done by plugins/SetlistPlugin.js.
+ */
+
+import { DEFAULT_BANK_GEOMETRY, getSlotStorageKey, readSlotMeta } from "./SceneBanks.js";
+
+export const SETLIST_KEY = "hydractrl-setlist";
+export const FAVOURITE_TAG = "fav";
+
+export const SETLIST_MODES = [
+  { id: "order", label: "In order" },
+  { id: "shuffle", label: "Shuffle" },
+  { id: "favourites", label: `Random from favourites (#${FAVOURITE_TAG})` },
+];
+
+// An hour per slot at most; anything shorter than a second is a flicker
+export const MIN_HOLD_SECONDS = 1;
+export const MAX_HOLD_SECONDS = 3600;
+export const MAX_SETLIST_ENTRIES = 256;
+
+export const DEFAULT_SETLIST = Object.freeze({
+  entries: [],
+  mode: "order",
+  loop: true,
+  bpm: 120,
+  hold: { seconds: 30 },
+  midi: { playPause: null, next: null },
+});
+
+const sameSlot = (a, b) => a?.bank === b?.bank && a?.slot === b?.slot;
+
+// A controller number, null for none
+function normalizeCC(value, fallback) {
+  if (value === null) return null;
+  return Number.isInteger(value) && value >= 0 && value <= 127 ? value : fallback;
+}
+
+/**
+ * A hold time: seconds or beats, whichever is set (seconds win).
+ * @returns {{seconds: number}|{beats: number}|null}
+ */
+export function normalizeHold(value) {
+  const seconds = Number(value?.seconds);
+  if (value?.seconds !== undefined && Number.isFinite(seconds) && seconds > 0) {
+    return { seconds: Math.min(Math.max(seconds, MIN_HOLD_SECONDS), MAX_HOLD_SECONDS) };
+  }
+  const beats = Number(value?.beats);
+  if (value?.beats !== undefined && Number.isFinite(beats) && beats > 0) {
+    return { beats: Math.round(beats) || 1 };
+  }
+  return null;
+}
+
+/**
+ * A setlist with invalid parts dropped or replaced by the defaults. Entries
+ * outside the bank/slot layout are left out.
+ */
+export function normalizeSetlist(value, geometry = DEFAULT_BANK_GEOMETRY) {
+  const entries = [];
+  for (const entry of Array.isArray(value?.entries) ? value.entries : []) {
+    const { bank, slot } = entry ?? {};
+    if (!Number.isInteger(bank) || bank < 0 || bank >= geometry.banks) continue;
+    if (!Number.isInteger(slot) || slot < 0 || slot >= geometry.slots) continue;
+    if (entries.length === MAX_SETLIST_ENTRIES) break;
+    entries.push({ bank, slot, ...normalizeHold(entry) });
+  }
+  const bpm = Number(value?.bpm);
+  return {
+    entries,
+    mode: SETLIST_MODES.some((mode) => mode.id === value?.mode) ? value.mode : DEFAULT_SETLIST.mode,
+    loop: typeof value?.loop === "boolean" ? value.loop : DEFAULT_SETLIST.loop,
+    bpm: Number.isFinite(bpm) && bpm >= 20 && bpm <= 300 ? bpm : DEFAULT_SETLIST.bpm,
+    hold: normalizeHold(value?.hold) ?? { ...DEFAULT_SETLIST.hold },
+    midi: {
+      playPause: normalizeCC(value?.midi?.playPause, DEFAULT_SETLIST.midi.playPause),
+      next: normalizeCC(value?.midi?.next, DEFAULT_SETLIST.midi.next),
+    },
+  };
+}
+
+export function loadSetlist(storage, geometry) {
+  return normalizeSetlist(storage.getJSON(SETLIST_KEY), geometry);
+}
+
+/** Store a setlist. @returns The setlist as stored. */
+export function saveSetlist(storage, value, geometry) {
+  const setlist = normalizeSetlist(value, geometry);
+  storage.setJSON(SETLIST_KEY, setlist);
+  return setlist;
+}
+
+/**
+ * Entries after slots were moved or swapped (a `slots:moved` event): entries
+ * follow their sketch to its new place. A copy leaves them as they are.
+ */
+export function moveSetlistEntries(entries, { from, to, copy = false }) {
+  if (copy) return entries;
+  return entries.map((entry) => {
+    if (sameSlot(entry, from)) return { ...entry, bank: to.bank, slot: to.slot };
+    if (sameSlot(entry, to)) return { ...entry, bank: from.bank, slot: from.slot };
+    return entry;
+  });
+}
+
+/** How long an entry plays, in milliseconds: its own hold time or the setlist's. */
+export function getHoldDuration(setlist, entry) {
+  const hold = normalizeHold(entry) ?? setlist.hold;
+  const seconds = hold.seconds ?? (hold.beats * 60) / setlist.bpm;
+  return Math.round(seconds * 1000);
+}
+
+/** "30 s" or "64 beats". */
+export function formatHold(hold) {
+  return hold.seconds !== undefined ? `${hold.seconds} s` : `${hold.beats} beats`;
+}
+
+/** Filled slots tagged FAVOURITE_TAG, bank by bank. */
+export function findFavourites(storage, geometry = DEFAULT_BANK_GEOMETRY) {
+  const favourites = [];
+  for (let bank = 0; bank < geometry.banks; bank++) {
+    for (let slot = 0; slot < geometry.slots; slot++) {
+      if (!storage.get(getSlotStorageKey(bank, slot))) continue;
+      if (readSlotMeta(storage, bank, slot).tags?.includes(FAVOURITE_TAG)) {
+        favourites.push({ bank, slot });
+      }
+    }
+  }
+  return favourites;
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * The order a setlist plays in. `next()` returns the next entry, or null when
+ * the setlist is over (it never is when looping, unless there's nothing to
+ * play). Shuffle plays every entry once per round, in a new order each round;
+ * favourites pick at random, never the same slot twice in a row.
+ * @param {object} setlist - A normalized setlist.
+ * @param {object} [options]
+ * @param {Array<{bank: number, slot: number}>} [options.favourites] - For "favourites".
+ * @param {number} [options.start] - Entry to start at ("order" only).
+ * @param {() => number} [options.random]
+ */
+export function createSetlistSequence(setlist, options = {}) {
+  const random = options.random ?? Math.random;
+  let previous = null;
+
+  if (setlist.mode === "favourites") {
+    const favourites = options.favourites ?? [];
+    return {
+      next() {
+        if (favourites.length === 0) return null;
+        const choices = favourites.filter((entry) => !sameSlot(entry, previous));
+        const pool = choices.length > 0 ? choices : favourites;
+        previous = pool[Math.floor(random() * pool.length)];
+        return previous;
+      },
+    };
+  }
+
+  const entries = setlist.entries;
+  let round = entries;
+  let position = setlist.mode === "order" ? (options.start ?? 0) : 0;
+  let started = false;
+
+  function newRound() {
+    if (setlist.mode === "order") return entries;
+    const order = shuffle(entries, random);
+    // Don't play the last entry of a round again right away
+    if (order.length > 1 && sameSlot(order[0], previous)) order.push(order.shift());
+    return order;
+  }
+
+  return {
+    next() {
+      if (entries.length === 0) return null;
+      if (!started) {
+        round = newRound();
+        started = true;
+      }
+      if (position >= round.length) {
+        if (!setlist.loop) return null;
+        round = newRound();
+        position = 0;
+      }
+      previous = round[position++];
+      return previous;
+    },
+  };
+}
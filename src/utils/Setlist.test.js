@@ -0,0 +1,140 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import { getSlotStorageKey, writeSlotMeta } from "./SceneBanks.js";
+import {
+  DEFAULT_SETLIST,
+  createSetlistSequence,
+  findFavourites,
+  getHoldDuration,
+  loadSetlist,
+  moveSetlistEntries,
+  normalizeSetlist,
+  saveSetlist,
+} from "./Setlist.js";
+
+const entry = (bank, slot, hold) => ({ bank, slot, ...hold });
+const take = (sequence, count) => Array.from({ length: count }, () => sequence.next());
+
+describe("normalizeSetlist", () => {
+  test("falls back to the defaults", () => {
+    expect(normalizeSetlist(null)).toEqual({ ...DEFAULT_SETLIST, hold: { seconds: 30 } });
+  });
+
+  test("drops entries outside the layout and invalid hold times", () => {
+    const setlist = normalizeSetlist(
+      {
+        entries: [entry(0, 1, { beats: 16 }), entry(2, 9), entry(0, 2, { seconds: -4 }), "x"],
+        mode: "shuffle",
+        loop: false,
+        bpm: 1000,
+        hold: { beats: 32 },
+        midi: { playPause: null, next: 300 },
+      },
+      { banks: 2, slots: 8 },
+    );
+    expect(setlist).toEqual({
+      entries: [entry(0, 1, { beats: 16 }), entry(0, 2)],
+      mode: "shuffle",
+      loop: false,
+      bpm: 120,
+      hold: { beats: 32 },
+      midi: { playPause: null, next: null },
+    });
+  });
+
+  test("binds no MIDI controls unless told to", () => {
+    expect(normalizeSetlist(undefined).midi).toEqual({ playPause: null, next: null });
+    expect(normalizeSetlist({ midi: { next: 22 } }).midi).toEqual({ playPause: null, next: 22 });
+  });
+
+  test("is stored as normalized", () => {
+    const storage = createMemoryStorage();
+    saveSetlist(storage, { entries: [entry(1, 1)], mode: "nope" });
+    expect(loadSetlist(storage)).toMatchObject({ entries: [entry(1, 1)], mode: "order" });
+  });
+});
+
+describe("getHoldDuration", () => {
+  const setlist = normalizeSetlist({ bpm: 120, hold: { seconds: 30 } });
+
+  test("uses the entry's own hold time, in seconds or beats", () => {
+    expect(getHoldDuration(setlist, entry(0, 0))).toBe(30000);
+    expect(getHoldDuration(setlist, entry(0, 0, { seconds: 5 }))).toBe(5000);
+    expect(getHoldDuration(setlist, entry(0, 0, { beats: 16 }))).toBe(8000);
+  });
+});
+
+describe("moveSetlistEntries", () => {
+  const entries = [entry(0, 1, { seconds: 5 }), entry(0, 2), entry(1, 0)];
+
+  test("entries follow a moved or swapped sketch", () => {
+    const moved = moveSetlistEntries(entries, {
+      from: { bank: 0, slot: 1 },
+      to: { bank: 2, slot: 3 },
+    });
+    expect(moved).toEqual([entry(2, 3, { seconds: 5 }), entry(0, 2), entry(1, 0)]);
+
+    const swapped = moveSetlistEntries(entries, {
+      from: { bank: 0, slot: 2 },
+      to: { bank: 1, slot: 0 },
+      swapped: true,
+    });
+    expect(swapped).toEqual([entry(0, 1, { seconds: 5 }), entry(1, 0), entry(0, 2)]);
+  });
+
+  test("leaves entries alone for a copy", () => {
+    const copied = moveSetlistEntries(entries, {
+      from: { bank: 0, slot: 1 },
+      to: { bank: 1, slot: 0 },
+      copy: true,
+    });
+    expect(copied).toEqual(entries);
+  });
+});
+
+describe("createSetlistSequence", () => {
+  const entries = [entry(0, 0), entry(0, 1), entry(1, 4)];
+
+  test("plays in order and loops", () => {
+    const sequence = createSetlistSequence(normalizeSetlist({ entries }), { start: 1 });
+    expect(take(sequence, 4)).toEqual([entries[1], entries[2], entries[0], entries[1]]);
+  });
+
+  test("stops at the end without looping", () => {
+    const sequence = createSetlistSequence(normalizeSetlist({ entries, loop: false }));
+    expect(take(sequence, 4)).toEqual([...entries, null]);
+    expect(createSetlistSequence(normalizeSetlist({})).next()).toBe(null);
+  });
+
+  test("shuffles each entry once per round", () => {
+    const sequence = createSetlistSequence(normalizeSetlist({ entries, mode: "shuffle" }));
+    const rounds = take(sequence, 6);
+    for (const round of [rounds.slice(0, 3), rounds.slice(3)]) {
+      expect([...round].sort((a, b) => a.bank - b.bank || a.slot - b.slot)).toEqual(entries);
+    }
+    expect(rounds[3]).not.toEqual(rounds[2]);
+  });
+
+  test("picks favourites at random, never the same twice in a row", () => {
+    const storage = createMemoryStorage();
+    for (const [bank, slot, tags] of [
+      [0, 3, ["fav"]],
+      [1, 0, ["fav", "dark"]],
+      [1, 2, ["dark"]],
+    ]) {
+      storage.set(getSlotStorageKey(bank, slot), "osc().out()");
+      writeSlotMeta(storage, bank, slot, { tags });
+    }
+    const favourites = findFavourites(storage);
+    expect(favourites).toEqual([
+      { bank: 0, slot: 3 },
+      { bank: 1, slot: 0 },
+    ]);
+
+    const sequence = createSetlistSequence(normalizeSetlist({ mode: "favourites" }), {
+      favourites,
+      random: () => 0,
+    });
+    expect(take(sequence, 3)).toEqual([favourites[0], favourites[1], favourites[0]]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * ShowFile - everything a set needs, in one file to carry to the venue laptop.
+ *
+ *   {
+ *     format: "hydractrl-show",
+ *     version: 1,
+ *     exportDate: "2024-01-01T00:00:00.000Z",
+ *     parts: {
+ *       banks?: { ...scenes data, see SceneBanks.js },
+ *       setupCode?: "// setup tab",
+ *       midiMapping?: [[{ note, slot }, ...], ...],
+ *       settings?: { "hydractrl-theme": "dracula", ... }
+ *     }
+ *   }
+ *
+ * Every part is optional, and importing applies only the parts picked. A plain
+ * bank export reads as a show file with just its banks. Settings are the raw
+ * storage values of SHOW_SETTING_KEYS; panel positions and per-machine choices
+ * (server sync, MIDI device) are deliberately left out.
+ *
+ * createShowFile reads the storage it's given and applyShowFile writes to it;
+ * picking the file, asking which parts to apply and reloading are the caller's.
+ */
+
+import {
+  MAX_BANK_GEOMETRY,
+  collectScenesData,
+  getScenesGeometry,
+  normalizeScenesData,
+  writeScenesData,
+} from "./SceneBanks.js";
+
+export const SHOW_FILE_FORMAT = "hydractrl-show";
+export const SHOW_FILE_VERSION = 1;
+
+export const SETUP_CODE_KEY = "hydractrl-setup-code";
+export const MIDI_MAPPING_KEY = "hydractrl-midi-mapping";
+
+export const SHOW_SETTING_KEYS = [
+  "hydractrl-bank-geometry",
+  "hydractrl-theme",
+  "hydractrl-panel-opacity",
+  "hydractrl-slot-size",
+  "hydractrl-xy-physics",
+  "hydractrl-xy-pad-visible",
+  "hydractrl-auto-run",
+  "hydractrl-safe-run",
+  "hydractrl-move-to-next-slot",
+  "hydractrl-dice-collection",
+  "hydractrl-source-bindings",
+  "hydractrl-show-info-on-startup",
+  "hydractrl-transition",
+  "hydractrl-setlist",
+];
+
+/** The parts in the order the import dialog lists them. */
+export const SHOW_PARTS = [
+  { id: "banks", label: "Scene banks" },
+  { id: "setupCode", label: "Setup code" },
+  { id: "midiMapping", label: "MIDI mapping" },
+  { id: "settings", label: "Settings" },
+];
+
+/**
+ * Bundle the current set.
+ * @param {{banks: number, slots: number}} geometry - The layout the banks are exported from.
+ */
+export function createShowFile(storage, geometry) {
+  const parts = { banks: collectScenesData(storage, geometry) };
+
+  const setupCode = storage.get(SETUP_CODE_KEY);
+  if (setupCode !== null) parts.setupCode = setupCode;
+
+  const midiMapping = storage.getJSON(MIDI_MAPPING_KEY);
+  if (Array.isArray(midiMapping)) parts.midiMapping = midiMapping;
+
+  const settings = {};
+  for (const key of SHOW_SETTING_KEYS) {
+    const value = storage.get(key);
+    if (value !== null) settings[key] = value;
+  }
+  parts.settings = settings;
+
+  return {
+    format: SHOW_FILE_FORMAT,
+    version: SHOW_FILE_VERSION,
+    exportDate: new Date().toISOString(),
+    parts,
+  };
+}
+
+/**
+ * Read a show file (or a plain bank export). Parts that don't validate are
+ * dropped, settings keys outside SHOW_SETTING_KEYS are ignored.
+ * @returns {{show: {version: number, parts: object}|null, error?: string}}
+ */
+export function parseShowFile(data) {
+  if (data?.format !== SHOW_FILE_FORMAT) {
+    const banks = normalizeScenesData(data, MAX_BANK_GEOMETRY);
+    if (!banks) return { show: null, error: "Not a HYDRACTRL show or bank file." };
+    return { show: { version: SHOW_FILE_VERSION, parts: { banks: withGeometry(banks, data) } } };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { show: null, error: "The show file has no valid version." };
+  }
+  if (data.version > SHOW_FILE_VERSION) {
+    return {
+      show: null,
+      error: `The show file is version ${data.version}; this HYDRACTRL reads up to version ${SHOW_FILE_VERSION}. Update HYDRACTRL to import it.`,
+    };
+  }
+
+  const source = data.parts || {};
+  const parts = {};
+  const banks = normalizeScenesData(source.banks, MAX_BANK_GEOMETRY);
+  if (banks) parts.banks = withGeometry(banks, source.banks);
+  if (typeof source.setupCode === "string") parts.setupCode = source.setupCode;
+  if (Array.isArray(source.midiMapping) && source.midiMapping.every(Array.isArray)) {
+    parts.midiMapping = source.midiMapping;
+  }
+  if (source.settings && typeof source.settings === "object") {
+    const settings = {};
+    for (const key of SHOW_SETTING_KEYS) {
+      if (typeof source.settings[key] === "string") settings[key] = source.settings[key];
+    }
+    if (Object.keys(settings).length > 0) parts.settings = settings;
+  }
+  return { show: { version: data.version, parts } };
+}
+
+// normalizeScenesData drops the layout field; keep it for exports from other layouts
+function withGeometry(banks, original) {
+  return original?.geometry ? { ...banks, geometry: getScenesGeometry(original) } : banks;
+}
+
+/** One line per part for the import dialog, e.g. "12 slots in 3 banks". */
+export function describeShowPart(id, value) {
+  if (id === "banks") {
+    const slots = value.banks.reduce((count, bank) => count + bank.slots.length, 0);
+    return `${slots} slot${slots === 1 ? "" : "s"} in ${value.banks.length} bank${value.banks.length === 1 ? "" : "s"}`;
+  }
+  if (id === "setupCode") {
+    const lines = value.split("\n").filter((line) => line.trim()).length;
+    return `${lines} line${lines === 1 ? "" : "s"}`;
+  }
+  if (id === "midiMapping") return `${value.length} bank${value.length === 1 ? "" : "s"} of pads`;
+  if (id === "settings") {
+    return Object.keys(value)
+      .map((key) => key.replace(/^hydractrl-/, ""))
+      .join(", ");
+  }
+  return "";
+}
+
+/**
+ * Apply the chosen parts of a parsed show file. Banks replace all banks.
+ * @param {string[]} partIds - Parts to apply, from SHOW_PARTS.
+ * @returns {string[]} The parts that were applied.
+ */
+export function applyShowFile(storage, show, partIds) {
+  const applied = [];
+  const { parts } = show;
+  for (const id of partIds) {
+    if (parts[id] === undefined) continue;
+    if (id === "banks") {
+      writeScenesData(storage, parts.banks, { clear: true, geometry: MAX_BANK_GEOMETRY });
+    } else if (id === "setupCode") {
+      storage.set(SETUP_CODE_KEY, parts.setupCode);
+    } else if (id === "midiMapping") {
+      storage.setJSON(MIDI_MAPPING_KEY, parts.midiMapping);
+    } else if (id === "settings") {
+      for (const [key, value] of Object.entries(parts.settings)) storage.set(key, value);
+    } else {
+      continue;
+    }
+    applied.push(id);
+  }
+  return applied;
+}
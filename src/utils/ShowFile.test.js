@@ -0,0 +1,96 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import { encodeSlotCode, getSlotStorageKey, readBankName } from "./SceneBanks.js";
+import {
+  MIDI_MAPPING_KEY,
+  SETUP_CODE_KEY,
+  SHOW_FILE_FORMAT,
+  applyShowFile,
+  createShowFile,
+  describeShowPart,
+  parseShowFile,
+} from "./ShowFile.js";
+
+const geometry = { banks: 4, slots: 16 };
+
+function createSetStorage() {
+  const storage = createMemoryStorage();
+  storage.set(getSlotStorageKey(0, 0), "osc().out()");
+  storage.set("hydractrl-bank-0-name", "Opener");
+  storage.set(SETUP_CODE_KEY, "a.setBins(4)");
+  storage.setJSON(MIDI_MAPPING_KEY, [[{ note: 37, slot: 0 }]]);
+  storage.set("hydractrl-theme", "dracula");
+  storage.set("hydractrl-auto-run", "true");
+  storage.set("hydractrl_panel_editor-panel", "{}");
+  return storage;
+}
+
+describe("show files", () => {
+  test("bundle banks, setup code, MIDI mapping and settings", () => {
+    const show = createShowFile(createSetStorage(), geometry);
+    expect(show.format).toBe(SHOW_FILE_FORMAT);
+    expect(show.version).toBe(1);
+    expect(show.parts.banks.banks[0].name).toBe("Opener");
+    expect(show.parts.setupCode).toBe("a.setBins(4)");
+    expect(show.parts.midiMapping).toEqual([[{ note: 37, slot: 0 }]]);
+    // Panel positions stay per machine
+    expect(show.parts.settings).toEqual({
+      "hydractrl-theme": "dracula",
+      "hydractrl-auto-run": "true",
+    });
+  });
+
+  test("round-trip the chosen parts only", () => {
+    const { show } = parseShowFile(
+      JSON.parse(JSON.stringify(createShowFile(createSetStorage(), geometry))),
+    );
+    const target = createMemoryStorage();
+    target.set(getSlotStorageKey(2, 5), "old");
+    target.set("hydractrl-theme", "default");
+
+    expect(applyShowFile(target, show, ["banks", "setupCode"])).toEqual(["banks", "setupCode"]);
+    expect(target.get(getSlotStorageKey(0, 0))).toBe("osc().out()");
+    expect(target.get(getSlotStorageKey(2, 5))).toBe(null);
+    expect(readBankName(target, 0)).toBe("Opener");
+    expect(target.get(SETUP_CODE_KEY)).toBe("a.setBins(4)");
+    expect(target.get("hydractrl-theme")).toBe("default");
+    expect(target.get(MIDI_MAPPING_KEY)).toBe(null);
+
+    applyShowFile(target, show, ["settings", "midiMapping"]);
+    expect(target.get("hydractrl-theme")).toBe("dracula");
+    expect(target.getJSON(MIDI_MAPPING_KEY)).toEqual([[{ note: 37, slot: 0 }]]);
+  });
+
+  test("read plain bank exports as banks-only shows", () => {
+    const { show } = parseShowFile({
+      version: 1,
+      geometry: { banks: 8, slots: 8 },
+      banks: [{ bankIndex: 6, slots: [{ slotIndex: 7, code: encodeSlotCode("noise().out()") }] }],
+    });
+    expect(Object.keys(show.parts)).toEqual(["banks"]);
+    expect(show.parts.banks.geometry).toEqual({ banks: 8, slots: 8 });
+    expect(describeShowPart("banks", show.parts.banks)).toBe("1 slot in 1 bank");
+  });
+
+  test("drop invalid parts and unknown settings", () => {
+    const { show } = parseShowFile({
+      format: SHOW_FILE_FORMAT,
+      version: 1,
+      parts: {
+        banks: { nope: true },
+        setupCode: 42,
+        midiMapping: [1, 2],
+        settings: { "hydractrl-theme": "nord", "evil-key": "x", "hydractrl-auto-run": true },
+      },
+    });
+    expect(show.parts).toEqual({ settings: { "hydractrl-theme": "nord" } });
+  });
+
+  test("refuse newer and unknown files", () => {
+    expect(parseShowFile({ format: SHOW_FILE_FORMAT, version: 2, parts: {} }).error).toContain(
+      "version 2",
+    );
+    expect(parseShowFile({ format: SHOW_FILE_FORMAT, parts: {} }).show).toBe(null);
+    expect(parseShowFile({ hello: "world" }).show).toBe(null);
+  });
+});
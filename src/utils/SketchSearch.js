@@ -0,0 +1,250 @@
+/**
+ * SketchSearch - find sketches across banks by their code, titles, tags and
+ * the hydra functions they use.
+ *
+ * A query is a list of space-separated conditions, all of which must hold:
+ *
+ *   voronoi          the word appears in the code, title, tags or bank name
+ *   fn:kaleid        the code calls kaleid()
+ *   cat:modulate     the code uses any function of a category (id or title)
+ *   #dark            the slot is tagged "dark"
+ *   -word, -fn:osc   negates any of the above
+ *
+ * Functions and categories come from src/data/hydra-functions.json. Globals
+ * such as `time` or `bpm` count when they're mentioned, other functions when
+ * they're called; commented-out code doesn't count. Sketches are collected
+ * from the banks in storage and from bank files first, then searched, so the
+ * palette can index the dice's bank files once and search them on every key.
+ */
+
+import {
+  DEFAULT_BANK_GEOMETRY,
+  decodeSlotCode,
+  formatSlotLabel,
+  getSlotStorageKey,
+  normalizeSlotMeta,
+  readBankName,
+  readSlotMeta,
+} from "./SceneBanks.js";
+
+export const MAX_SNIPPET_LENGTH = 80;
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+
+/**
+ * Look-up tables for hydra-functions.json data, keyed by lowercase name.
+ * @returns {{functions: Map, categories: Map}}
+ */
+export function createFunctionIndex(hydraData) {
+  const functions = new Map();
+  const categories = new Map();
+  for (const [id, category] of Object.entries(hydraData.categories)) {
+    const entry = { id, title: category.title, color: category.color, functions: [] };
+    for (const name of category.functions) {
+      const syntaxType = hydraData.functions[name]?.syntaxType;
+      functions.set(name.toLowerCase(), { name, category: id, color: category.color, syntaxType });
+      entry.functions.push(name);
+    }
+    categories.set(id.toLowerCase(), entry);
+    categories.set(category.title.toLowerCase(), entry);
+  }
+  return { functions, categories };
+}
+
+function stripComments(code) {
+  return code.replace(/\/\*[\s\S]*?\*\//g, " ").replace(/\/\/[^\n]*/g, " ");
+}
+
+/**
+ * Names of the hydra functions a sketch uses, in order of first use.
+ * @returns {string[]}
+ */
+export function findUsedFunctions(code, index) {
+  const used = new Set();
+  const source = stripComments(code);
+  for (const match of source.matchAll(IDENTIFIER)) {
+    const entry = index.functions.get(match[0].toLowerCase());
+    if (!entry || entry.name !== match[0] || used.has(entry.name)) continue;
+    const after = source.slice(match.index + match[0].length);
+    const before = source[match.index - 1];
+    // Globals are read or set, properties (a.fft) read, the rest called
+    const isUse =
+      entry.syntaxType === "global"
+        ? before !== "."
+        : entry.syntaxType === "property"
+          ? before === "."
+          : /^\s*\(/.test(after);
+    if (isUse) used.add(entry.name);
+  }
+  return [...used];
+}
+
+/**
+ * Parse a query into conditions. Unknown functions and categories are kept
+ * (they match nothing) so the palette can point them out.
+ * @returns {Array<{type: "text"|"function"|"category"|"tag", value: string, negate: boolean, known?: boolean, color?: string, functions?: string[]}>}
+ */
+export function parseSearchQuery(query, index) {
+  const conditions = [];
+  for (const token of String(query ?? "").split(/\s+/)) {
+    const negate = token.length > 1 && token.startsWith("-");
+    const body = negate ? token.slice(1) : token;
+    const prefix = body.match(/^(fn|cat):(.*)$/i);
+    if (prefix && prefix[2]) {
+      const name = prefix[2].toLowerCase();
+      if (prefix[1].toLowerCase() === "fn") {
+        const entry = index.functions.get(name);
+        conditions.push({
+          type: "function",
+          value: entry?.name ?? prefix[2],
+          negate,
+          known: Boolean(entry),
+          color: entry?.color,
+        });
+      } else {
+        const entry = index.categories.get(name);
+        conditions.push({
+          type: "category",
+          value: entry?.title ?? prefix[2],
+          negate,
+          known: Boolean(entry),
+          color: entry?.color,
+          functions: entry?.functions ?? [],
+        });
+      }
+    } else if (body.startsWith("#") && body.length > 1) {
+      conditions.push({ type: "tag", value: body.slice(1).toLowerCase(), negate });
+    } else if (body && !prefix) {
+      conditions.push({ type: "text", value: body.toLowerCase(), negate });
+    }
+  }
+  return conditions;
+}
+
+function countOccurrences(text, term) {
+  let count = 0;
+  for (let at = text.indexOf(term); at !== -1 && count < 3; at = text.indexOf(term, at + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Score of a sketch for one condition: 0 when it doesn't hold
+function scoreCondition(sketch, condition) {
+  switch (condition.type) {
+    case "function":
+      return sketch.functions.includes(condition.value) ? 2 : 0;
+    case "category":
+      return condition.functions.filter((name) => sketch.functions.includes(name)).length;
+    case "tag":
+      return sketch.tags.includes(condition.value) ? 3 : 0;
+    default: {
+      const title = `${sketch.title} ${sketch.bankName}`.toLowerCase();
+      const tags = sketch.tags.join(" ");
+      return (
+        (title.includes(condition.value) ? 3 : 0) +
+        (tags.includes(condition.value) ? 2 : 0) +
+        countOccurrences(sketch.code.toLowerCase(), condition.value)
+      );
+    }
+  }
+}
+
+// The code line to show with a result: where the first condition matched
+function findSnippet(sketch, conditions) {
+  const lines = sketch.code.split("\n").map((line) => line.trim());
+  for (const condition of conditions) {
+    if (condition.negate) continue;
+    const names = condition.type === "category" ? condition.functions : [condition.value];
+    const line =
+      condition.type === "text"
+        ? lines.find((text) => text.toLowerCase().includes(condition.value))
+        : condition.type === "tag"
+          ? undefined
+          : lines.find((text) => names.some((name) => new RegExp(`\\b${name}\\b`).test(text)));
+    if (line) return line.slice(0, MAX_SNIPPET_LENGTH);
+  }
+  return (lines.find((line) => line && !line.startsWith("//")) ?? "").slice(0, MAX_SNIPPET_LENGTH);
+}
+
+/**
+ * Sketches matching all conditions, best first (sketches listed earlier win
+ * ties). An empty query matches everything.
+ * @param {Array} sketches - From collectSlotSketches / collectFileSketches.
+ * @returns {Array<{sketch: object, score: number, snippet: string}>}
+ */
+export function searchSketches(sketches, conditions) {
+  const results = [];
+  sketches.forEach((sketch, order) => {
+    let score = 0;
+    for (const condition of conditions) {
+      const conditionScore = scoreCondition(sketch, condition);
+      if (condition.negate ? conditionScore > 0 : conditionScore === 0) return;
+      score += conditionScore;
+    }
+    results.push({ sketch, score, order, snippet: findSnippet(sketch, conditions) });
+  });
+  results.sort((a, b) => b.score - a.score || a.order - b.order);
+  return results.map(({ order, ...result }) => result);
+}
+
+function createSketch(fields, code, meta, index) {
+  return {
+    ...fields,
+    code,
+    title: meta.title ?? "",
+    tags: meta.tags ?? [],
+    functions: findUsedFunctions(code, index),
+  };
+}
+
+/** The filled slots of the local banks, as searchable sketches. */
+export function collectSlotSketches(storage, index, geometry = DEFAULT_BANK_GEOMETRY) {
+  const sketches = [];
+  for (let bank = 0; bank < geometry.banks; bank++) {
+    const bankName = readBankName(storage, bank);
+    for (let slot = 0; slot < geometry.slots; slot++) {
+      const key = getSlotStorageKey(bank, slot);
+      const code = storage.get(key);
+      if (!code) continue;
+      const meta = readSlotMeta(storage, bank, slot);
+      const fields = {
+        source: "slot",
+        bank,
+        slot,
+        bankName,
+        label: formatSlotLabel(bank, slot, meta),
+        thumbnail: storage.get(`${key}-thumbnail`) || null,
+      };
+      sketches.push(createSketch(fields, code, meta, index));
+    }
+  }
+  return sketches;
+}
+
+/**
+ * The slots of a bank file (bank format, see SceneBanks.js) as searchable
+ * sketches.
+ * @param {string} name - Shown with each result, e.g. the manifest entry's name.
+ */
+export function collectFileSketches(scenesData, name, index) {
+  const sketches = [];
+  const banks = Array.isArray(scenesData?.banks) ? scenesData.banks : [];
+  for (const bank of banks) {
+    for (const slot of Array.isArray(bank?.slots) ? bank.slots : []) {
+      const code = decodeSlotCode(slot?.code);
+      if (!code || !Number.isInteger(slot.slotIndex)) continue;
+      const meta = normalizeSlotMeta(slot);
+      const place = banks.length > 1 ? `bank ${bank.bankIndex + 1}, slot` : "slot";
+      const fields = {
+        source: "file",
+        file: name,
+        bankName: typeof bank.name === "string" ? bank.name : "",
+        label: `${name} · ${place} ${slot.slotIndex + 1}${meta.title ? ` — ${meta.title}` : ""}`,
+        thumbnail: typeof slot.thumbnail === "string" && slot.thumbnail ? slot.thumbnail : null,
+      };
+      sketches.push(createSketch(fields, code, meta, index));
+    }
+  }
+  return sketches;
+}
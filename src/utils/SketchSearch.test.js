@@ -0,0 +1,119 @@
+import { describe, expect, test } from "bun:test";
+import hydraData from "../data/hydra-functions.json";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import { encodeSlotCode, getSlotStorageKey, writeBankName, writeSlotMeta } from "./SceneBanks.js";
+import {
+  collectFileSketches,
+  collectSlotSketches,
+  createFunctionIndex,
+  findUsedFunctions,
+  parseSearchQuery,
+  searchSketches,
+} from "./SketchSearch.js";
+
+const index = createFunctionIndex(hydraData);
+
+function createBanks() {
+  const storage = createMemoryStorage();
+  storage.set(getSlotStorageKey(0, 0), "osc(10).kaleid(4).out()");
+  storage.set(
+    getSlotStorageKey(0, 1),
+    "voronoi(5)\n  .modulateRotate(osc())\n  .kaleid()\n  .out()",
+  );
+  storage.set(getSlotStorageKey(1, 3), "// voronoi().out()\nnoise(3).color(1, 0, 0).out()");
+  writeSlotMeta(storage, 0, 1, { title: "Cells", tags: ["dark"] });
+  writeBankName(storage, 1, "Warm-up");
+  return storage;
+}
+
+const search = (sketches, query) =>
+  searchSketches(sketches, parseSearchQuery(query, index)).map((result) => result.sketch.label);
+
+describe("findUsedFunctions", () => {
+  test("finds called functions, read globals and properties", () => {
+    expect(findUsedFunctions("osc(10).rotate(() => time).out()\nspeed = 2", index)).toEqual([
+      "osc",
+      "rotate",
+      "time",
+      "out",
+      "speed",
+    ]);
+    expect(findUsedFunctions("shape(4).scale(() => a.fft[0])", index)).toEqual([
+      "shape",
+      "scale",
+      "fft",
+    ]);
+  });
+
+  test("ignores comments and names that aren't calls", () => {
+    expect(
+      findUsedFunctions("// kaleid()\n/* pixelate() */\nconst scale = 2; osc()", index),
+    ).toEqual(["osc"]);
+  });
+});
+
+describe("parseSearchQuery", () => {
+  test("tells words, functions, categories and tags apart", () => {
+    const conditions = parseSearchQuery("Voronoi fn:KALEID -cat:modulate #Dark fn:nope fn:", index);
+    expect(
+      conditions.map(({ type, value, negate, known }) => ({ type, value, negate, known })),
+    ).toEqual([
+      { type: "text", value: "voronoi", negate: false, known: undefined },
+      { type: "function", value: "kaleid", negate: false, known: true },
+      { type: "category", value: "Modulate", negate: true, known: true },
+      { type: "tag", value: "dark", negate: false, known: undefined },
+      { type: "function", value: "nope", negate: false, known: false },
+    ]);
+  });
+});
+
+describe("searchSketches", () => {
+  const sketches = collectSlotSketches(createBanks(), index);
+
+  test("matches all conditions across banks", () => {
+    expect(search(sketches, "kaleid")).toEqual(["Bank 1, Slot 1", "Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "cells")).toEqual(["Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "voronoi fn:kaleid")).toEqual(["Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "cat:modulate")).toEqual(["Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "#dark")).toEqual(["Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "warm-up")).toEqual(["Bank 2, Slot 4"]);
+  });
+
+  test("negates and leaves commented-out code out of function queries", () => {
+    expect(search(sketches, "-fn:kaleid")).toEqual(["Bank 2, Slot 4"]);
+    expect(search(sketches, "fn:voronoi")).toEqual(["Bank 1, Slot 2 — Cells"]);
+    expect(search(sketches, "fn:nope")).toEqual([]);
+    expect(search(sketches, "")).toHaveLength(3);
+  });
+
+  test("shows the line that matched", () => {
+    const [result] = searchSketches(sketches, parseSearchQuery("fn:modulateRotate", index));
+    expect(result.snippet).toBe(".modulateRotate(osc())");
+  });
+});
+
+describe("collectFileSketches", () => {
+  test("reads the slots of a bank file", () => {
+    const data = {
+      version: 1,
+      banks: [
+        {
+          bankIndex: 0,
+          slots: [
+            { slotIndex: 2, code: encodeSlotCode("shape(3).out()"), title: "Tri", tags: ["fav"] },
+            { slotIndex: 3, code: "not base64!" },
+          ],
+        },
+      ],
+    };
+    const [sketch, ...rest] = collectFileSketches(data, "random/bank-01", index);
+    expect(rest).toEqual([]);
+    expect(sketch).toMatchObject({
+      source: "file",
+      file: "random/bank-01",
+      label: "random/bank-01 · slot 3 — Tri",
+      tags: ["fav"],
+      functions: ["shape", "out"],
+    });
+  });
+});
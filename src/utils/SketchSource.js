@@ -0,0 +1,215 @@
+/**
+ * SketchSource - the function body a sketch runs in, and mapping errors
+ * thrown while it runs back to a line and column in the setup or main tab.
+ *
+ * The setup and main code are trimmed, joined and wrapped in boilerplate, and
+ * engines add a header of their own to `new AsyncFunction(...)` bodies, so
+ * stack positions don't match the editor. The body is tagged with a
+ * sourceURL to find its frames in a stack, and the engine's header is
+ * measured once with a probe function. Syntax errors have no stack position
+ * in every browser, so they're located by parsing each tab instead.
+ *
+ * What the code declares at top level is put on window once it has run, so
+ * a block or line evaluated later (in a function body of its own) can still
+ * use the sketch's consts, lets and functions.
+ */
+
+import { javascriptLanguage } from "@codemirror/lang-javascript";
+
+export const SKETCH_SOURCE_URL = "hydractrl-sketch.js";
+
+// Boilerplate before the sketch code: hydra in scope, then a try block that
+// turns errors into a result
+const BODY_PREFIX = `
+// Set global h variable to hydra for convenience
+window.h = hydra;
+// Make hydra functions available in global scope
+Object.keys(hydra).forEach(key => {
+  if (typeof hydra[key] === 'function' && key !== 'eval') {
+    window[key] = hydra[key].bind(hydra);
+  }
+});
+
+// Execute the user's code
+try {
+`;
+const BODY_SUFFIX = `
+  return { success: true };
+} catch(e) {
+  console.error('Error in Hydra code:', e);
+  return {
+    success: false,
+    error: e,
+    message: e.message || 'Unknown error'
+  };
+}
+//# sourceURL=${SKETCH_SOURCE_URL}`;
+const BODY_CODE_LINE = BODY_PREFIX.split("\n").length;
+
+const FRAME_PATTERN = new RegExp(`${SKETCH_SOURCE_URL.replace(/\./g, "\\.")}:(\\d+):(\\d+)`);
+
+function trimSection(tab, code) {
+  const leading = (code ?? "").match(/^\s*/)[0];
+  const lines = leading.split("\n");
+  return {
+    tab,
+    code: (code ?? "").trim(),
+    lineOffset: lines.length - 1,
+    columnOffset: lines.at(-1).length,
+  };
+}
+
+/**
+ * Join the setup and main code the way they run.
+ * @returns {{code: string, sections: Array<{tab: string, code: string, line: number, lineOffset: number, columnOffset: number}>}}
+ *   `code` is the joined code; each section starts on `line` of it.
+ */
+export function buildSketchSource({ setup = "", main = "" }) {
+  const sections = [trimSection("setup", setup), trimSection("main", main)].filter(
+    (section) => section.code,
+  );
+  let line = 1;
+  for (const section of sections) {
+    section.line = line;
+    // Sections are joined with a blank line
+    line += section.code.split("\n").length + 1;
+  }
+  const code = sections.map((section) => section.code).join("\n\n");
+  return { code, sections };
+}
+
+/**
+ * A part of one tab (e.g. a block or the selection) that runs on its own.
+ * @param {{line: number, column: number}} start - Where the code starts in the tab.
+ * @returns {{code: string, sections: Array}} Like buildSketchSource.
+ */
+export function buildSnippetSource(tab, code, { line = 1, column = 1 } = {}) {
+  const section = trimSection(tab, code);
+  if (section.lineOffset === 0) section.columnOffset += column - 1;
+  section.lineOffset += line - 1;
+  section.line = 1;
+  return { code: section.code, sections: section.code ? [section] : [] };
+}
+
+// Function bodies in a declaration's initializer have names of their own
+const NESTED_SCOPES = new Set(["ArrowFunction", "FunctionExpression", "ClassExpression"]);
+
+/**
+ * The names code declares at top level: variables (also destructured),
+ * functions and classes.
+ * @returns {string[]}
+ */
+export function findTopLevelNames(code) {
+  const names = new Set();
+  const text = (node) => code.slice(node.from, node.to);
+  // Definitions in a declaration, skipping functions in its initializers
+  const collect = (node) => {
+    if (NESTED_SCOPES.has(node.name)) return;
+    if (node.name === "VariableDefinition") {
+      names.add(text(node));
+    } else if (node.name === "PatternProperty" && !node.getChild(":")) {
+      // Shorthand `{ name }` or `{ name = value }` in an object pattern
+      const property = node.getChild("PropertyName");
+      if (property) names.add(text(property));
+    }
+    for (let child = node.firstChild; child; child = child.nextSibling) collect(child);
+  };
+  const top = javascriptLanguage.parser.parse(code).topNode;
+  for (let node = top.firstChild; node; node = node.nextSibling) {
+    if (node.name === "FunctionDeclaration" || node.name === "ClassDeclaration") {
+      const definition = node.getChild("VariableDefinition");
+      if (definition) names.add(text(definition));
+    } else if (node.name === "VariableDeclaration") {
+      collect(node);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * The body for `new AsyncFunction("hydra", body)` that runs joined code, and
+ * puts its top-level names on window when it succeeds.
+ */
+export function buildSketchBody(code) {
+  const names = findTopLevelNames(code);
+  const hoist = names.length ? `\n  Object.assign(window, { ${names.join(", ")} });` : "";
+  return `${BODY_PREFIX}${code}${hoist}${BODY_SUFFIX}`;
+}
+
+/**
+ * Line and column of the first stack frame in the sketch body.
+ * @returns {{line: number, column: number}|null}
+ */
+export function findStackPosition(error) {
+  const match = typeof error?.stack === "string" ? error.stack.match(FRAME_PATTERN) : null;
+  return match ? { line: Number(match[1]), column: Number(match[2]) } : null;
+}
+
+/**
+ * The line stack traces give the first line of a function body: measured
+ * with a probe, as engines add a header of their own.
+ * @returns {number|null}
+ */
+export function measureBodyStart() {
+  try {
+    new Function(`throw new Error();\n//# sourceURL=${SKETCH_SOURCE_URL}`)();
+  } catch (error) {
+    return findStackPosition(error)?.line ?? null;
+  }
+  return null;
+}
+
+let bodyStart;
+
+/**
+ * Line and column of the first syntax error in the code.
+ * @returns {{line: number, column: number}|null}
+ */
+export function findSyntaxErrorPosition(code) {
+  let position = null;
+  javascriptLanguage.parser.parse(code).iterate({
+    enter(ref) {
+      if (position) return false;
+      if (!ref.type.isError) return;
+      const before = code.slice(0, ref.from).split("\n");
+      position = { line: before.length, column: before.at(-1).length + 1 };
+    },
+  });
+  return position;
+}
+
+// A line in the joined code (1-based) as a place in a tab
+function toTabPosition(section, line, column) {
+  const sectionLine = line - section.line + 1;
+  return {
+    tab: section.tab,
+    line: sectionLine + section.lineOffset,
+    column: sectionLine === 1 ? column + section.columnOffset : column,
+  };
+}
+
+/**
+ * Where in the editor an error from running a sketch comes from.
+ * @param {Error} error - Thrown by the sketch, or by compiling it.
+ * @param {{sections: Array}} source - From buildSketchSource.
+ * @returns {{tab: "setup"|"main", line: number, column: number}|null}
+ */
+export function locateSketchError(error, source) {
+  const stackPosition = findStackPosition(error);
+  bodyStart ??= measureBodyStart();
+  if (stackPosition && bodyStart) {
+    const line = stackPosition.line - bodyStart + 1 - (BODY_CODE_LINE - 1);
+    const section = source.sections.findLast((candidate) => candidate.line <= line);
+    const lines = section?.code.split("\n").length ?? 0;
+    if (section && line < section.line + lines) {
+      return toTabPosition(section, line, stackPosition.column);
+    }
+  }
+  if (error?.name === "SyntaxError") {
+    for (const section of source.sections) {
+      const position = findSyntaxErrorPosition(section.code);
+      if (position) return toTabPosition({ ...section, line: 1 }, position.line, position.column);
+    }
+  }
+  return null;
+}
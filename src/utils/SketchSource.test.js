@@ -0,0 +1,166 @@
+import { afterAll, beforeAll, describe, expect, spyOn, test } from "bun:test";
+import {
+  buildSketchBody,
+  buildSketchSource,
+  buildSnippetSource,
+  findSyntaxErrorPosition,
+  findTopLevelNames,
+  locateSketchError,
+} from "./SketchSource.js";
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Run code the way the app does and return the error it throws
+async function runSketch(tabs) {
+  const source = buildSketchSource(tabs);
+  let error;
+  try {
+    const result = await new AsyncFunction("hydra", buildSketchBody(source.code))({});
+    error = result.error;
+  } catch (compileError) {
+    error = compileError;
+  }
+  return { source, error };
+}
+
+describe("buildSketchSource", () => {
+  test("joins the trimmed tabs with a blank line", () => {
+    const { code, sections } = buildSketchSource({
+      setup: "\n\n  bpm = 120\n",
+      main: "osc().out()\n",
+    });
+    expect(code).toBe("bpm = 120\n\nosc().out()");
+    expect(
+      sections.map(({ tab, line, lineOffset, columnOffset }) => [
+        tab,
+        line,
+        lineOffset,
+        columnOffset,
+      ]),
+    ).toEqual([
+      ["setup", 1, 2, 2],
+      ["main", 3, 0, 0],
+    ]);
+  });
+
+  test("leaves out empty tabs", () => {
+    expect(buildSketchSource({ setup: "  \n", main: "osc().out()" }).sections).toHaveLength(1);
+  });
+});
+
+describe("locateSketchError", () => {
+  // The sketch body makes hydra's functions global on window, and logs errors
+  let consoleError;
+  beforeAll(() => {
+    globalThis.window = {};
+    consoleError = spyOn(console, "error").mockImplementation(() => {});
+  });
+  afterAll(() => {
+    globalThis.window = undefined;
+    consoleError.mockRestore();
+  });
+
+  test("finds runtime errors in the main tab", async () => {
+    const { source, error } = await runSketch({
+      setup: "// setup\nconst level = 1\n",
+      main: "const speed = level\n\nmissingFunction()",
+    });
+    expect(locateSketchError(error, source)).toMatchObject({ tab: "main", line: 3 });
+  });
+
+  test("finds runtime errors in the setup tab, counting trimmed lines", async () => {
+    const { source, error } = await runSketch({
+      setup: "\n// setup\nconst level = undefined\nlevel.value = 1",
+      main: "osc().out()",
+    });
+    expect(locateSketchError(error, source)).toMatchObject({ tab: "setup", line: 4 });
+  });
+
+  test("finds syntax errors by parsing", async () => {
+    const { source, error } = await runSketch({
+      setup: "bpm = 120",
+      main: "osc(10\n  .rotate(0.1))\n  .out())",
+    });
+    expect(error.name).toBe("SyntaxError");
+    expect(locateSketchError(error, source)).toEqual({ tab: "main", line: 3, column: 9 });
+  });
+
+  test("finds errors in a snippet at its place in the tab", async () => {
+    const source = buildSnippetSource("main", "\n  const level = undefined\n  level.value = 1", {
+      line: 5,
+      column: 3,
+    });
+    const result = await new AsyncFunction("hydra", buildSketchBody(source.code))({});
+    expect(locateSketchError(result.error, source)).toMatchObject({ tab: "main", line: 7 });
+
+    const inline = buildSnippetSource("setup", "nope(", { line: 2, column: 7 });
+    const syntaxError = new SyntaxError("Unexpected end of input");
+    expect(locateSketchError(syntaxError, inline)).toEqual({ tab: "setup", line: 2, column: 12 });
+  });
+
+  test("gives up on errors from elsewhere", () => {
+    const source = buildSketchSource({ main: "osc().out()" });
+    expect(locateSketchError(new Error("elsewhere"), source)).toBe(null);
+  });
+});
+
+describe("findTopLevelNames", () => {
+  test("finds variables, destructured names, functions and classes", () => {
+    const code = [
+      "const speed = () => a.fft[0], { x, y: [z], w = 1 } = o",
+      "let level",
+      "var fade = function (amount) { const inner = amount }",
+      "function pulse(rate) { return rate }",
+      "class Shape {}",
+      "osc(speed).out()",
+    ].join("\n");
+    expect(findTopLevelNames(code)).toEqual([
+      "speed",
+      "x",
+      "z",
+      "w",
+      "level",
+      "fade",
+      "pulse",
+      "Shape",
+    ]);
+  });
+
+  test("leaves out names inside blocks and functions", () => {
+    expect(
+      findTopLevelNames("if (true) { const hidden = 1 }\nfor (let i = 0; i < 2; i++) {}"),
+    ).toEqual([]);
+  });
+});
+
+describe("buildSketchBody", () => {
+  // In a browser window is the global object, so names put on it are in scope
+  beforeAll(() => {
+    globalThis.window = globalThis;
+  });
+  afterAll(() => {
+    globalThis.window = undefined;
+    for (const name of ["h", "out", "speed", "pulse"]) delete globalThis[name];
+  });
+
+  test("lets a snippet use what the sketch declared", async () => {
+    const outputs = [];
+    const hydra = { out: (value) => outputs.push(value) };
+    const sketch = buildSketchSource({
+      main: "const speed = () => 2\nfunction pulse() { return 3 }\nhydra.out(speed())",
+    });
+    await new AsyncFunction("hydra", buildSketchBody(sketch.code))(hydra);
+
+    const snippet = buildSnippetSource("main", "hydra.out(speed() + pulse())", { line: 3 });
+    const result = await new AsyncFunction("hydra", buildSketchBody(snippet.code))(hydra);
+    expect(result.success).toBe(true);
+    expect(outputs).toEqual([2, 5]);
+  });
+});
+
+describe("findSyntaxErrorPosition", () => {
+  test("is null for valid code", () => {
+    expect(findSyntaxErrorPosition("osc().out()")).toBe(null);
+    expect(findSyntaxErrorPosition("osc(\n  .out()")).toMatchObject({ line: 2 });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * SlotHistory - earlier revisions of slots and a trash for cleared ones.
+ *
+ * Before a slot is overwritten (saving, importing over it, restoring) its code,
+ * thumbnail and title/color/tags are kept as a revision, newest first, at most
+ * MAX_REVISIONS per slot. Cleared slots go to the trash, newest first, at most
+ * MAX_TRASH_ENTRIES. Both live next to the scenes (IndexedDB, see
+ * core/SceneStorage.js); when scenes fall back to localStorage the revisions
+ * keep no thumbnails, as those would fill its ~5 MB quickly. Which one it is,
+ * the storage passed in tells (`isIndexedDB()`).
+ */
+
+import {
+  SLOT_TRASH_KEY,
+  encodeSlotCode,
+  getSlotHistoryKey,
+  getSlotStorageKey,
+  readSlotMeta,
+  removeSlotFromStorage,
+  writeSlotToStorage,
+} from "./SceneBanks.js";
+
+export const MAX_REVISIONS = 10;
+// A full clear of the largest layout (16 × 16) fits
+export const MAX_TRASH_ENTRIES = 256;
+
+function readList(storage, key) {
+  const list = storage.getJSON(key);
+  return Array.isArray(list) ? list.filter((entry) => typeof entry?.code === "string") : [];
+}
+
+// Thumbnails only where scenes have room (storage without isIndexedDB, e.g. in tests, has)
+function keepsThumbnails(storage) {
+  return storage.isIndexedDB ? storage.isIndexedDB() : true;
+}
+
+/**
+ * What a slot holds now, as a revision.
+ * @returns {{timestamp: number, code: string, thumbnail?: string, meta?: object}|null}
+ */
+export function readSlotSnapshot(storage, bank, slot) {
+  const storageKey = getSlotStorageKey(bank, slot);
+  const code = storage.get(storageKey);
+  if (!code) return null;
+  const snapshot = { timestamp: Date.now(), code };
+  const thumbnail = storage.get(`${storageKey}-thumbnail`);
+  if (thumbnail && keepsThumbnails(storage)) snapshot.thumbnail = thumbnail;
+  const meta = readSlotMeta(storage, bank, slot);
+  if (Object.keys(meta).length > 0) snapshot.meta = meta;
+  return snapshot;
+}
+
+/** A slot's earlier revisions, newest first. */
+export function readSlotHistory(storage, bank, slot) {
+  return readList(storage, getSlotHistoryKey(bank, slot));
+}
+
+/**
+ * Keep what a slot holds now as a revision, before it's replaced. Nothing is
+ * kept for an empty slot, or when the code is the same as the newest revision.
+ * @returns {boolean} Whether a revision was added.
+ */
+export function recordSlotRevision(storage, bank, slot) {
+  const snapshot = readSlotSnapshot(storage, bank, slot);
+  if (!snapshot) return false;
+  const history = readSlotHistory(storage, bank, slot);
+  if (history[0]?.code === snapshot.code) return false;
+  return storage.setJSON(
+    getSlotHistoryKey(bank, slot),
+    [snapshot, ...history].slice(0, MAX_REVISIONS),
+  );
+}
+
+/** Write a revision back into a slot, keeping what the slot holds now as a revision. */
+export function restoreSlotRevision(storage, bank, slot, revision) {
+  recordSlotRevision(storage, bank, slot);
+  writeSlotToStorage(storage, bank, slot, {
+    ...revision.meta,
+    code: encodeSlotCode(revision.code),
+    thumbnail: revision.thumbnail,
+  });
+}
+
+/** Cleared slots, newest first: revisions with the bank and slot they came from. */
+export function readTrash(storage) {
+  return readList(storage, SLOT_TRASH_KEY).filter(
+    (entry) => Number.isInteger(entry.bank) && Number.isInteger(entry.slot),
+  );
+}
+
+/**
+ * Clear a slot into the trash. Its revision history stays with the slot.
+ * @returns {boolean} Whether the slot had anything to clear.
+ */
+export function moveSlotToTrash(storage, bank, slot) {
+  const snapshot = readSlotSnapshot(storage, bank, slot);
+  if (!snapshot) return false;
+  const trash = [{ bank, slot, ...snapshot }, ...readTrash(storage)];
+  storage.setJSON(SLOT_TRASH_KEY, trash.slice(0, MAX_TRASH_ENTRIES));
+  removeSlotFromStorage(storage, bank, slot);
+  return true;
+}
+
+/**
+ * Put a trashed slot back where it came from and take it out of the trash.
+ * A slot filled since keeps its content as a revision.
+ * @returns {{bank: number, slot: number}|null} Where it went.
+ */
+export function restoreFromTrash(storage, index) {
+  const trash = readTrash(storage);
+  const entry = trash[index];
+  if (!entry) return null;
+  restoreSlotRevision(storage, entry.bank, entry.slot, entry);
+  trash.splice(index, 1);
+  storage.setJSON(SLOT_TRASH_KEY, trash);
+  return { bank: entry.bank, slot: entry.slot };
+}
+
+export function emptyTrash(storage) {
+  storage.remove(SLOT_TRASH_KEY);
+}
+
+/**
+ * Line diff of two versions of a sketch (longest common subsequence).
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffLines(before, after) {
+  // An empty slot has no lines rather than one empty line
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] =
+        a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i++] });
+    } else {
+      lines.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ type: "added", text: b[j++] });
+  return lines;
+}
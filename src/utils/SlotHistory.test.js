@@ -0,0 +1,114 @@
+import { describe, expect, test } from "bun:test";
+import { createMemoryStorage } from "../testing/MemoryStorage.js";
+import { getSlotStorageKey, readSlotMeta, writeSlotMeta } from "./SceneBanks.js";
+import {
+  MAX_REVISIONS,
+  diffLines,
+  emptyTrash,
+  moveSlotToTrash,
+  readSlotHistory,
+  readTrash,
+  recordSlotRevision,
+  restoreFromTrash,
+  restoreSlotRevision,
+} from "./SlotHistory.js";
+
+const slotKey = getSlotStorageKey(1, 2);
+
+function fill(storage, code, thumbnail) {
+  storage.set(slotKey, code);
+  if (thumbnail) storage.set(`${slotKey}-thumbnail`, thumbnail);
+}
+
+describe("slot revisions", () => {
+  test("keeps what a slot held, newest first, skipping unchanged code", () => {
+    const storage = createMemoryStorage();
+    expect(recordSlotRevision(storage, 1, 2)).toBe(false);
+
+    fill(storage, "osc().out()", "data:image/jpeg;base64,AA");
+    writeSlotMeta(storage, 1, 2, { title: "Waves" });
+    expect(recordSlotRevision(storage, 1, 2)).toBe(true);
+    expect(recordSlotRevision(storage, 1, 2)).toBe(false);
+    fill(storage, "noise().out()");
+    recordSlotRevision(storage, 1, 2);
+
+    const history = readSlotHistory(storage, 1, 2);
+    expect(history.map((revision) => revision.code)).toEqual(["noise().out()", "osc().out()"]);
+    expect(history[1].thumbnail).toBe("data:image/jpeg;base64,AA");
+    expect(history[1].meta).toEqual({ title: "Waves" });
+  });
+
+  test("keeps at most MAX_REVISIONS", () => {
+    const storage = createMemoryStorage();
+    for (let i = 0; i < MAX_REVISIONS + 3; i++) {
+      fill(storage, `osc(${i}).out()`);
+      recordSlotRevision(storage, 1, 2);
+    }
+    const history = readSlotHistory(storage, 1, 2);
+    expect(history).toHaveLength(MAX_REVISIONS);
+    expect(history[0].code).toBe(`osc(${MAX_REVISIONS + 2}).out()`);
+  });
+
+  test("leaves thumbnails out when scenes share localStorage", () => {
+    const storage = { ...createMemoryStorage(), isIndexedDB: () => false };
+    fill(storage, "osc().out()", "data:image/jpeg;base64,AA");
+    recordSlotRevision(storage, 1, 2);
+    expect(readSlotHistory(storage, 1, 2)[0].thumbnail).toBeUndefined();
+  });
+
+  test("restoring keeps the replaced code as a revision", () => {
+    const storage = createMemoryStorage();
+    fill(storage, "osc().out()");
+    writeSlotMeta(storage, 1, 2, { title: "Waves" });
+    recordSlotRevision(storage, 1, 2);
+    fill(storage, "noise().out()");
+    writeSlotMeta(storage, 1, 2, {});
+
+    restoreSlotRevision(storage, 1, 2, readSlotHistory(storage, 1, 2)[0]);
+    expect(storage.get(slotKey)).toBe("osc().out()");
+    expect(readSlotMeta(storage, 1, 2)).toEqual({ title: "Waves" });
+    expect(readSlotHistory(storage, 1, 2)[0].code).toBe("noise().out()");
+  });
+});
+
+describe("trash", () => {
+  test("clears slots into the trash and puts them back", () => {
+    const storage = createMemoryStorage();
+    expect(moveSlotToTrash(storage, 1, 2)).toBe(false);
+
+    fill(storage, "osc().out()", "data:image/jpeg;base64,AA");
+    expect(moveSlotToTrash(storage, 1, 2)).toBe(true);
+    expect(storage.get(slotKey)).toBe(null);
+    expect(storage.get(`${slotKey}-thumbnail`)).toBe(null);
+    expect(readTrash(storage)).toMatchObject([{ bank: 1, slot: 2, code: "osc().out()" }]);
+
+    // Filled again since: the newer code becomes a revision
+    fill(storage, "noise().out()");
+    expect(restoreFromTrash(storage, 0)).toEqual({ bank: 1, slot: 2 });
+    expect(storage.get(slotKey)).toBe("osc().out()");
+    expect(storage.get(`${slotKey}-thumbnail`)).toBe("data:image/jpeg;base64,AA");
+    expect(readSlotHistory(storage, 1, 2)[0].code).toBe("noise().out()");
+    expect(readTrash(storage)).toEqual([]);
+    expect(restoreFromTrash(storage, 0)).toBe(null);
+  });
+
+  test("empties", () => {
+    const storage = createMemoryStorage();
+    fill(storage, "osc().out()");
+    moveSlotToTrash(storage, 1, 2);
+    emptyTrash(storage);
+    expect(readTrash(storage)).toEqual([]);
+  });
+});
+
+describe("diffLines", () => {
+  test("marks removed and added lines", () => {
+    expect(diffLines("osc()\n.rotate()\n.out()", "osc()\n.kaleid()\n.out()")).toEqual([
+      { type: "same", text: "osc()" },
+      { type: "removed", text: ".rotate()" },
+      { type: "added", text: ".kaleid()" },
+      { type: "same", text: ".out()" },
+    ]);
+    expect(diffLines("", "osc().out()")).toEqual([{ type: "added", text: "osc().out()" }]);
+  });
+});